@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "confidence_score" DOUBLE PRECISION,
+ADD COLUMN     "extraction_json" JSONB,
+ADD COLUMN     "file_path" TEXT,
+ADD COLUMN     "last_call_cost_estimate" DOUBLE PRECISION,
+ADD COLUMN     "llm_model" TEXT,
+ADD COLUMN     "llm_provider" TEXT,
+ADD COLUMN     "llm_raw_response" JSONB,
+ADD COLUMN     "mime_type" TEXT,
+ADD COLUMN     "object_key" TEXT,
+ADD COLUMN     "requires_review" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "text_path" TEXT;
+
+-- CreateIndex
+CREATE INDEX "jobs_status_updated_at_idx" ON "public"."jobs"("status", "updated_at");
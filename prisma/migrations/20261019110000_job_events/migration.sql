@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ALTER COLUMN "status" SET DEFAULT 'queued';
+
+-- CreateTable
+CREATE TABLE "public"."job_events" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "from_status" TEXT,
+    "to_status" TEXT NOT NULL,
+    "duration_ms" INTEGER,
+    "error" TEXT,
+    "metadata" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "job_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_events_job_id_created_at_idx" ON "public"."job_events"("job_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."job_events" ADD CONSTRAINT "job_events_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "public"."jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "file_size" INTEGER,
+ADD COLUMN     "user_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "jobs_user_id_idx" ON "public"."jobs"("user_id");
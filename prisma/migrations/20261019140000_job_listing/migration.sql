@@ -0,0 +1,11 @@
+-- DropIndex
+DROP INDEX "public"."jobs_user_id_idx";
+
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "document_type" TEXT;
+
+-- Backfill document_type for jobs extracted before the column existed
+UPDATE "public"."jobs" SET "document_type" = "extraction_json"->>'document_type' WHERE "extraction_json" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "jobs_user_id_created_at_idx" ON "public"."jobs"("user_id", "created_at");
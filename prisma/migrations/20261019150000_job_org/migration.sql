@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "org_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "jobs_org_id_idx" ON "public"."jobs"("org_id");
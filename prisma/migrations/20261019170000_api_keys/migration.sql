@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "public"."api_keys" (
+    "id" TEXT NOT NULL,
+    "org_id" TEXT NOT NULL,
+    "created_by" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "lookup_id" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "rate_limit_per_minute" INTEGER,
+    "rate_limit_per_hour" INTEGER,
+    "daily_upload_limit_mb" INTEGER,
+    "monthly_upload_limit_mb" INTEGER,
+    "expires_at" TIMESTAMP(3),
+    "last_used_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_lookup_id_key" ON "public"."api_keys"("lookup_id");
+
+-- CreateIndex
+CREATE INDEX "api_keys_org_id_idx" ON "public"."api_keys"("org_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."api_keys" ADD CONSTRAINT "api_keys_org_id_fkey" FOREIGN KEY ("org_id") REFERENCES "public"."organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "chunk_count" INTEGER,
+ADD COLUMN     "chunks_dropped" INTEGER;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "schema_version" TEXT,
+ADD COLUMN     "schema_violations" JSONB;
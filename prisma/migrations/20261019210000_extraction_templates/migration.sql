@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "template_fields" JSONB,
+ADD COLUMN     "template_id" TEXT,
+ADD COLUMN     "template_version" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."extraction_templates" (
+    "id" TEXT NOT NULL,
+    "org_id" TEXT NOT NULL,
+    "created_by" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "fields" JSONB NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "deleted_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "extraction_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "extraction_templates_org_id_idx" ON "public"."extraction_templates"("org_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."extraction_templates" ADD CONSTRAINT "extraction_templates_org_id_fkey" FOREIGN KEY ("org_id") REFERENCES "public"."organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
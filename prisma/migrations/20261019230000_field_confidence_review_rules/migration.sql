@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "field_confidence" JSONB,
+ADD COLUMN     "review_reasons" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."organizations" ADD COLUMN     "review_rules" JSONB;
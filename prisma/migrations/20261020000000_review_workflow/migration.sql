@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "extraction_version" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "review_claimed_at" TIMESTAMP(3),
+ADD COLUMN     "review_claimed_by" TEXT,
+ADD COLUMN     "review_comment" TEXT,
+ADD COLUMN     "review_decision" TEXT,
+ADD COLUMN     "reviewed_at" TIMESTAMP(3),
+ADD COLUMN     "reviewed_by" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."extraction_corrections" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "comment" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "extraction_corrections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "extraction_corrections_job_id_version_key" ON "public"."extraction_corrections"("job_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."extraction_corrections" ADD CONSTRAINT "extraction_corrections_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "public"."jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
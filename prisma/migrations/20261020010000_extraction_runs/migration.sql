@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "public"."extraction_corrections" ADD COLUMN     "extraction_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "current_extraction_version" INTEGER,
+ADD COLUMN     "extraction_pinned" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reprocess_request" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."extractions" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "requested_by" TEXT,
+    "llm_provider" TEXT NOT NULL,
+    "llm_model" TEXT NOT NULL,
+    "prompt_version" TEXT NOT NULL,
+    "schema_version" TEXT,
+    "template_id" TEXT,
+    "template_version" INTEGER,
+    "document_type" TEXT,
+    "document_type_confidence" DOUBLE PRECISION,
+    "extraction_json" JSONB NOT NULL,
+    "template_fields" JSONB,
+    "citations" JSONB,
+    "field_confidence" JSONB,
+    "review_reasons" JSONB,
+    "schema_violations" JSONB,
+    "confidence_score" DOUBLE PRECISION,
+    "requires_review" BOOLEAN NOT NULL,
+    "chunk_count" INTEGER,
+    "chunks_dropped" INTEGER,
+    "llm_raw_response" JSONB,
+    "cost_estimate" DOUBLE PRECISION,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "extractions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "extractions_job_id_version_key" ON "public"."extractions"("job_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "public"."extraction_corrections" ADD CONSTRAINT "extraction_corrections_extraction_id_fkey" FOREIGN KEY ("extraction_id") REFERENCES "public"."extractions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."extractions" ADD CONSTRAINT "extractions_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "public"."jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
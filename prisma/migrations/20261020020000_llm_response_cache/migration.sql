@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."extractions" ADD COLUMN     "llm_cache" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "llm_cache" JSONB;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "public"."extractions" RENAME COLUMN "cost_estimate" TO "cost_usd";
+
+-- AlterTable
+ALTER TABLE "public"."extractions" ADD COLUMN     "cached_input_tokens" INTEGER,
+ADD COLUMN     "input_tokens" INTEGER,
+ADD COLUMN     "output_tokens" INTEGER,
+ADD COLUMN     "usage_estimated" BOOLEAN;
+
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "cached_input_tokens" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "cost_usd" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "input_tokens" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "output_tokens" INTEGER NOT NULL DEFAULT 0;
+
+-- Jobs from before token tracking keep the cost of their recorded runs; their token counts are unknown
+UPDATE "public"."jobs" SET "cost_usd" = COALESCE(
+  (SELECT SUM("cost_usd") FROM "public"."extractions" WHERE "extractions"."job_id" = "jobs"."id"),
+  "last_call_cost_estimate",
+  0
+);
+
+-- AlterTable
+ALTER TABLE "public"."jobs" DROP COLUMN "last_call_cost_estimate";
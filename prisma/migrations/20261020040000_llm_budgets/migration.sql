@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "llm_budget" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."organizations" ADD COLUMN     "llm_budgets" JSONB;
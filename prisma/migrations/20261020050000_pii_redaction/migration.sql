@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."extractions" ADD COLUMN     "redaction" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "redaction" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."organizations" ADD COLUMN     "redaction_policy" JSONB;
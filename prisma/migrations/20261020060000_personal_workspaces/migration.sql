@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "public"."organizations" ADD COLUMN     "personal" BOOLEAN NOT NULL DEFAULT false;
+
+-- Workspaces created on a user's first sign-in. One is only created for a user without any
+-- membership, so it is its creator's (its oldest member's) first membership. Names can't tell:
+-- organizations from token claims can have any name. A claimed organization that was also its
+-- creator's first is marked too, which only stops that user resetting its quota.
+WITH "creators" AS (
+  SELECT DISTINCT ON ("org_id") "org_id", "user_id"
+  FROM "public"."memberships"
+  ORDER BY "org_id", "created_at", "id"
+), "first_memberships" AS (
+  SELECT DISTINCT ON ("user_id") "user_id", "org_id"
+  FROM "public"."memberships"
+  ORDER BY "user_id", "created_at", "id"
+)
+UPDATE "public"."organizations" SET "personal" = true
+FROM "creators" JOIN "first_memberships" USING ("org_id", "user_id")
+WHERE "creators"."org_id" = "organizations"."id";
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "usage_estimated" BOOLEAN NOT NULL DEFAULT false;
+
+-- Jobs with a run counted locally, or whose cost dates from before token tracking
+UPDATE "public"."jobs" SET "usage_estimated" = true
+WHERE EXISTS (
+  SELECT 1 FROM "public"."extractions"
+  WHERE "extractions"."job_id" = "jobs"."id" AND "extractions"."usage_estimated" IS NOT FALSE
+) OR ("cost_usd" > 0 AND "input_tokens" = 0);
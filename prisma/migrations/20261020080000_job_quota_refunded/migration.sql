@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."jobs" ADD COLUMN     "quota_refunded" BOOLEAN NOT NULL DEFAULT false;
+
+-- Cancelled jobs were refunded when they were cancelled
+UPDATE "public"."jobs" SET "quota_refunded" = true
+WHERE "status" = 'cancelled' AND "file_size" IS NOT NULL;
@@ -0,0 +1,291 @@
+// Offline evaluation: run the extraction pipeline over a golden dataset and score it field by field
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { extractPlainText } = require('../utils/textExtract');
+const { extractDocument } = require('../llm/extractContract');
+const { createProvider } = require('../llm/providers');
+const { fixtureNameFor } = require('../llm/providers/mock');
+const { DEFAULT_FUZZY_THRESHOLD, scoreDocument, summarize } = require('./metrics');
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain'
+};
+const EXPECTED_SUFFIX = '.expected.json';
+
+const USAGE = `Usage: npm run eval -- <dataset-dir> [options]
+
+Runs every document in <dataset-dir> that has a golden <document>${EXPECTED_SUFFIX} next to it,
+e.g. sample.pdf and sample.pdf${EXPECTED_SUFFIX}.
+
+Options:
+  --provider <name>      openai | local | anthropic | mock (default: LLM_PROVIDER)
+  --model <model>        Model override for the provider
+  --fixtures <dir>       Mock provider fixtures to replay (default: <dataset-dir>/fixtures if it exists)
+  --record <dir>         Save every response as a mock fixture, to replay the run later
+  --threshold <0-1>      Similarity for a fuzzy text match (default: ${DEFAULT_FUZZY_THRESHOLD})
+  --out <file>           Write the JSON report to a file
+  --min-f1 <0-1>         Exit with 1 when the overall F1 is below this`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { dataset, provider, model, fixtures, record, threshold, out, minF1, help }
+ */
+function parseArgs(argv) {
+  const options = { threshold: DEFAULT_FUZZY_THRESHOLD };
+  const flags = {
+    '--provider': 'provider',
+    '--model': 'model',
+    '--fixtures': 'fixtures',
+    '--record': 'record',
+    '--threshold': 'threshold',
+    '--out': 'out',
+    '--min-f1': 'minF1'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (flags[arg]) {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[flags[arg]] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.dataset = arg;
+    }
+  }
+
+  for (const key of ['threshold', 'minF1']) {
+    if (options[key] !== undefined) {
+      const value = Number(options[key]);
+      if (!(value >= 0 && value <= 1)) {
+        throw new Error(`--${key === 'minF1' ? 'min-f1' : key} must be between 0 and 1`);
+      }
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Documents of a dataset with their golden files
+ * @param {string} dir - Dataset directory
+ * @returns {Array<{name: string, filePath: string, mime: string, expected: Object}>}
+ */
+function loadDataset(dir) {
+  const cases = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const mime = MIME_TYPES[path.extname(file).toLowerCase()];
+    if (!mime) continue;
+
+    const expectedPath = path.join(dir, `${file}${EXPECTED_SUFFIX}`);
+    if (!fs.existsSync(expectedPath)) {
+      console.warn(`⚠️  Skipping ${file}: no ${path.basename(expectedPath)}`);
+      continue;
+    }
+
+    cases.push({
+      name: file,
+      filePath: path.join(dir, file),
+      mime,
+      expected: JSON.parse(fs.readFileSync(expectedPath, 'utf8'))
+    });
+  }
+
+  return cases;
+}
+
+/**
+ * Wrap a provider so that every response is also saved as a mock fixture
+ * (<dir>/<name>.json, <name>.classify.json for classification). For chunked
+ * documents and corrective retries the last response wins.
+ * @param {import('../llm/providers/base').LlmProvider} provider - Provider to record
+ * @param {string} dir - Fixtures directory
+ * @returns {import('../llm/providers/base').LlmProvider}
+ */
+function recordResponses(provider, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const recorder = Object.create(provider);
+
+  recorder.generateJson = async (request) => {
+    const response = await provider.generateJson(request);
+    const filename = /^FILENAME: (.*)$/m.exec(request.userText)?.[1]?.trim();
+    if (filename) {
+      const suffix = /^ALLOWED_TYPES: /m.test(request.userText) ? '.classify.json' : '.json';
+      fs.writeFileSync(path.join(dir, `${fixtureNameFor(filename)}${suffix}`), `${response.text}\n`);
+    }
+    return response;
+  };
+
+  return recorder;
+}
+
+/**
+ * Create the provider the evaluation runs with
+ * @param {Object} options - Parsed arguments
+ * @returns {import('../llm/providers/base').LlmProvider}
+ */
+function createEvalProvider(options) {
+  const name = (options.provider || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const defaultFixtures = path.join(options.dataset, 'fixtures');
+  const fixturesDir = options.fixtures || (fs.existsSync(defaultFixtures) ? defaultFixtures : undefined);
+
+  const provider = createProvider(name, {
+    ...(options.model ? { model: options.model } : {}),
+    ...(name === 'mock' && fixturesDir ? { fixturesDir } : {})
+  });
+
+  return options.record ? recordResponses(provider, options.record) : provider;
+}
+
+/**
+ * Extract and score one document
+ * @param {Object} testCase - From loadDataset
+ * @param {import('../llm/providers/base').LlmProvider} provider - Provider to use
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<Object>} Document result for the report
+ */
+async function evaluateDocument(testCase, provider, options) {
+  const startedAt = Date.now();
+
+  try {
+    const { text } = await extractPlainText(testCase.filePath, testCase.mime);
+    const result = await extractDocument({
+      jobId: `eval-${fixtureNameFor(testCase.name)}`,
+      filename: testCase.name,
+      text,
+      provider
+    });
+    const actual = result.templateFields ? { ...result.extraction, custom_fields: result.templateFields } : result.extraction;
+
+    return {
+      document: testCase.name,
+      status: 'ok',
+      durationMs: Date.now() - startedAt,
+      documentType: result.classification.detectedType,
+      schemaVersion: result.schemaVersion,
+      promptVersion: result.promptVersion,
+      requiresReview: result.requiresReview,
+      costUsd: result.costUsd,
+      usage: result.usage,
+      fields: scoreDocument(testCase.expected, actual, { threshold: options.threshold })
+    };
+  } catch (error) {
+    console.error(`❌ ${testCase.name}: ${error.message}`);
+    return {
+      document: testCase.name,
+      status: 'failed',
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Run the evaluation
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<Object>} The report
+ */
+async function runEvaluation(options) {
+  const cases = loadDataset(options.dataset);
+  if (cases.length === 0) {
+    throw new Error(`No documents with ${EXPECTED_SUFFIX} golden files in ${options.dataset}`);
+  }
+
+  const provider = createEvalProvider(options);
+  console.log(`🧪 Evaluating ${cases.length} documents with ${provider.name} (${provider.model})`);
+
+  const documents = [];
+  for (const testCase of cases) {
+    documents.push(await evaluateDocument(testCase, provider, options));
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    dataset: path.resolve(options.dataset),
+    provider: provider.name,
+    model: provider.model,
+    promptVersions: [...new Set(documents.map(document => document.promptVersion).filter(Boolean))],
+    fuzzyThreshold: options.threshold,
+    summary: summarize(documents),
+    documents
+  };
+}
+
+function formatRate(value, width = 0) {
+  return (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`).padStart(width);
+}
+
+/**
+ * Print the report summary
+ * @param {Object} report - From runEvaluation
+ */
+function printSummary(report) {
+  const { summary } = report;
+
+  console.log('\n📊 Evaluation Results:');
+  console.log(`Documents: ${summary.documents} (${summary.failed} failed), prompt ${report.promptVersions.join(', ') || 'n/a'}`);
+  console.log(`Precision ${formatRate(summary.overall.precision)}  Recall ${formatRate(summary.overall.recall)}  F1 ${formatRate(summary.overall.f1)}`);
+  console.log(`Exact match ${formatRate(summary.overall.exactMatch)}  Fuzzy match ${formatRate(summary.overall.fuzzyMatch)}  Dates ${formatRate(summary.dates.accuracy)} (${summary.dates.correct}/${summary.dates.total})`);
+  console.log(`💰 Cost: $${summary.cost.total.toFixed(4)} ($${(summary.cost.perDocument || 0).toFixed(4)} per document), ${summary.cost.inputTokens} input / ${summary.cost.outputTokens} output tokens`);
+
+  const columns = ['precision', 'recall', 'f1', 'exactMatch', 'fuzzyMatch'];
+  console.log(`\n${'Field'.padEnd(32)}${['Precision', 'Recall', 'F1', 'Exact', 'Fuzzy'].map(title => title.padStart(10)).join('')}`);
+  for (const [field, metrics] of Object.entries(summary.perField)) {
+    console.log(`${field.padEnd(32)}${columns.map(column => formatRate(metrics[column], 10)).join('')}`);
+  }
+}
+
+// Run as a standalone process: npm run eval -- <dataset-dir>
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help || !options.dataset) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  runEvaluation(options)
+    .then(report => {
+      printSummary(report);
+
+      if (options.out) {
+        fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`\n📝 Report written to ${options.out}`);
+      }
+
+      const belowMinimum = options.minF1 !== undefined && (report.summary.overall.f1 ?? 0) < options.minF1;
+      if (belowMinimum) {
+        console.error(`\n❌ F1 ${report.summary.overall.f1} is below --min-f1 ${options.minF1}`);
+      }
+      process.exit(report.summary.failed > 0 || belowMinimum ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Evaluation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  loadDataset,
+  recordResponses,
+  runEvaluation
+};
@@ -0,0 +1,297 @@
+// Evaluation metrics: score an extraction against a golden (expected) one, per field and per dataset
+
+// Model bookkeeping rather than extracted facts
+const IGNORED_FIELDS = ['confidence_score', 'notes', 'evidence'];
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+// Numbers within 1% count as a fuzzy match ("120,000" read as 120000.5 is still right)
+const NUMBER_TOLERANCE = 0.01;
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Lowercase, drop punctuation and collapse whitespace
+ * @param {any} value - Value to normalize
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Dice coefficient of the character bigrams of two strings, after normalizeText
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} 0 (nothing in common) to 1 (same text)
+ */
+function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (left.length + right.length - 2);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Kind of value a golden field holds; picks how it is compared
+ * @param {string} field - Field path
+ * @param {any} expected - Golden value
+ * @returns {'date'|'number'|'boolean'|'list'|'text'}
+ */
+function fieldKind(field, expected) {
+  if (Array.isArray(expected)) return 'list';
+  if (typeof expected === 'number') return 'number';
+  if (typeof expected === 'boolean') return 'boolean';
+  if (/_date$/.test(field) || (typeof expected === 'string' && DATE_VALUE.test(expected))) return 'date';
+  return 'text';
+}
+
+/**
+ * Compare two non-empty scalar values
+ * @param {string} kind - From fieldKind
+ * @param {any} expected - Golden value
+ * @param {any} actual - Extracted value
+ * @param {number} threshold - Minimum similarity for a fuzzy text match
+ * @returns {{exact: boolean, fuzzy: boolean}}
+ */
+function compareValues(kind, expected, actual, threshold) {
+  if (kind === 'number') {
+    const exact = actual === expected;
+    const fuzzy = typeof actual === 'number' && Math.abs(actual - expected) <= Math.abs(expected) * NUMBER_TOLERANCE;
+    return { exact, fuzzy: exact || fuzzy };
+  }
+  if (kind === 'text') {
+    const exact = typeof actual === 'string' && actual.trim().toLowerCase() === expected.trim().toLowerCase();
+    return { exact, fuzzy: exact || similarity(expected, actual) >= threshold };
+  }
+  // Dates and booleans are right or wrong
+  const exact = actual === expected;
+  return { exact, fuzzy: exact };
+}
+
+/**
+ * Match list items one to one, best fuzzy match first
+ * @param {Array} expected - Golden items
+ * @param {Array} actual - Extracted items
+ * @param {number} threshold - Minimum similarity for a match
+ * @returns {{matched: number, exactMatched: number}}
+ */
+function matchLists(expected, actual, threshold) {
+  const pairs = [];
+  expected.forEach((want, i) => {
+    actual.forEach((got, j) => {
+      const score = similarity(want, got);
+      if (score >= threshold) pairs.push({ i, j, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  let exactMatched = 0;
+  for (const { i, j, score } of pairs) {
+    if (usedExpected.has(i) || usedActual.has(j)) continue;
+    usedExpected.add(i);
+    usedActual.add(j);
+    if (score === 1) exactMatched++;
+  }
+
+  return { matched: usedExpected.size, exactMatched };
+}
+
+/**
+ * Score one field. Counts follow information retrieval: a value the model should have
+ * found and didn't is a false negative, a value it made up is a false positive, and a
+ * wrong value is both. List fields are scored per item.
+ * @param {string} field - Field path
+ * @param {any} expected - Golden value (null when the document has none)
+ * @param {any} actual - Extracted value
+ * @param {number} threshold - Minimum similarity for a fuzzy match
+ * @returns {{kind: string, tp: number, fp: number, fn: number, exact: boolean, fuzzy: boolean, expected: any, actual: any}}
+ */
+function scoreField(field, expected, actual, threshold) {
+  const kind = fieldKind(field, expected);
+  const result = { kind, tp: 0, fp: 0, fn: 0, exact: false, fuzzy: false, expected, actual: actual ?? null };
+
+  if (kind === 'list') {
+    const items = Array.isArray(actual) ? actual : [];
+    const { matched, exactMatched } = matchLists(expected, items, threshold);
+    return {
+      ...result,
+      tp: matched,
+      fp: items.length - matched,
+      fn: expected.length - matched,
+      exact: exactMatched === expected.length && items.length === expected.length,
+      fuzzy: matched === expected.length && items.length === expected.length
+    };
+  }
+
+  if (isEmpty(expected) || isEmpty(actual)) {
+    const bothEmpty = isEmpty(expected) && isEmpty(actual);
+    return {
+      ...result,
+      fp: isEmpty(expected) && !bothEmpty ? 1 : 0,
+      fn: isEmpty(actual) && !bothEmpty ? 1 : 0,
+      exact: bothEmpty,
+      fuzzy: bothEmpty
+    };
+  }
+
+  const { exact, fuzzy } = compareValues(kind, expected, actual, threshold);
+  return { ...result, tp: fuzzy ? 1 : 0, fp: fuzzy ? 0 : 1, fn: fuzzy ? 0 : 1, exact, fuzzy };
+}
+
+/**
+ * Score an extraction against its golden file. Only fields present in the golden file are
+ * scored, so a golden file can leave out fields nobody has checked. Objects are scored per
+ * key (financial_terms.amount); template fields go under custom_fields like corrections.
+ * @param {Object} expected - Golden extraction
+ * @param {Object} actual - Extraction, with template fields under custom_fields
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum similarity for a fuzzy match
+ * @returns {Object<string, Object>} Field path -> scoreField result
+ */
+function scoreDocument(expected, actual, { threshold = DEFAULT_FUZZY_THRESHOLD } = {}) {
+  const fields = {};
+
+  const visit = (want, got, prefix) => {
+    for (const [key, value] of Object.entries(want)) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+      const field = prefix ? `${prefix}.${key}` : key;
+      const extracted = isPlainObject(got) ? got[key] : null;
+
+      if (isPlainObject(value)) {
+        visit(value, extracted, field);
+      } else if (value === null && isPlainObject(extracted)) {
+        // { currency: null, amount: null } is the same as no financial terms
+        const filled = Object.values(extracted).some(item => !isEmpty(item));
+        fields[field] = scoreField(field, null, filled ? extracted : null, threshold);
+      } else {
+        fields[field] = scoreField(field, value, extracted, threshold);
+      }
+    }
+  };
+
+  visit(expected, actual, '');
+  return fields;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null;
+}
+
+/**
+ * Precision, recall and F1 from counts
+ * @param {{tp: number, fp: number, fn: number}} counts
+ * @returns {{precision: number|null, recall: number|null, f1: number|null}}
+ */
+function prf({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? Number(((2 * precision * recall) / (precision + recall)).toFixed(4))
+    : null;
+  return { precision, recall, f1 };
+}
+
+/**
+ * Aggregate document results into dataset metrics
+ * @param {Array<Object>} documents - { status: 'ok'|'failed', fields, costUsd, usage }
+ * @returns {Object} overall, perField, dates and cost
+ */
+function summarize(documents) {
+  const scored = documents.filter(document => document.status === 'ok');
+  const totals = { tp: 0, fp: 0, fn: 0, exact: 0, fuzzy: 0, compared: 0 };
+  const dates = { correct: 0, total: 0 };
+  const perField = {};
+
+  for (const document of scored) {
+    for (const [field, result] of Object.entries(document.fields)) {
+      const entry = perField[field] || (perField[field] = { kind: result.kind, tp: 0, fp: 0, fn: 0, exact: 0, fuzzy: 0, documents: 0 });
+      for (const counter of ['tp', 'fp', 'fn']) {
+        entry[counter] += result[counter];
+        totals[counter] += result[counter];
+      }
+      entry.documents++;
+      entry.exact += result.exact ? 1 : 0;
+      entry.fuzzy += result.fuzzy ? 1 : 0;
+      totals.compared++;
+      totals.exact += result.exact ? 1 : 0;
+      totals.fuzzy += result.fuzzy ? 1 : 0;
+
+      // Date accuracy counts the dates the document has
+      if (result.kind === 'date' && !isEmpty(result.expected)) {
+        dates.total++;
+        dates.correct += result.exact ? 1 : 0;
+      }
+    }
+  }
+
+  const cost = scored.reduce((sum, document) => sum + (document.costUsd || 0), 0);
+  const tokens = scored.reduce((sum, document) => ({
+    input: sum.input + (document.usage?.inputTokens || 0),
+    output: sum.output + (document.usage?.outputTokens || 0),
+    cachedInput: sum.cachedInput + (document.usage?.cachedInputTokens || 0)
+  }), { input: 0, output: 0, cachedInput: 0 });
+
+  return {
+    documents: documents.length,
+    failed: documents.length - scored.length,
+    overall: {
+      ...prf(totals),
+      exactMatch: ratio(totals.exact, totals.compared),
+      fuzzyMatch: ratio(totals.fuzzy, totals.compared),
+      fieldsCompared: totals.compared
+    },
+    dates: { ...dates, accuracy: ratio(dates.correct, dates.total) },
+    cost: {
+      total: Number(cost.toFixed(6)),
+      perDocument: scored.length > 0 ? Number((cost / scored.length).toFixed(6)) : null,
+      inputTokens: tokens.input,
+      outputTokens: tokens.output,
+      cachedInputTokens: tokens.cachedInput
+    },
+    perField: Object.fromEntries(Object.entries(perField).sort(([a], [b]) => a.localeCompare(b)).map(([field, entry]) => [field, {
+      kind: entry.kind,
+      documents: entry.documents,
+      ...prf(entry),
+      exactMatch: ratio(entry.exact, entry.documents),
+      fuzzyMatch: ratio(entry.fuzzy, entry.documents)
+    }]))
+  };
+}
+
+module.exports = {
+  DEFAULT_FUZZY_THRESHOLD,
+  IGNORED_FIELDS,
+  similarity,
+  scoreField,
+  scoreDocument,
+  summarize
+};
@@ -9,19 +9,26 @@ const helmet = require('helmet');
 require('dotenv').config();
 
 const PrismaDatabaseManager = require('./prisma-database');
-const { processJob, processJobById } = require('./workers/processJob');
+const { startWorker, stopWorker } = require('./workers/queueWorker');
 
 // Import security middleware and services
 const { 
   validateOrigin, 
-  validateAuth: authenticateUser, 
-  logSecurityEvent 
+  validateAuth, 
+  requireAdmin,
+  logSecurityEvent,
+  apiKeyService
 } = require('./middleware/security');
+const { provisionAccount } = require('./middleware/accountProvisioning');
+const { requirePermission } = require('./middleware/permissions');
+const { PERMISSIONS, isValidRole, getPermissions, ROLES } = require('./services/permissions');
 const { 
   createSecureUpload, 
   validateUploadedFile 
 } = require('./middleware/fileValidation');
 
+const { requireJobOwnership } = require('./middleware/jobOwnership');
+
 const {
   generalRateLimiter,
   combinedUploadRateLimiter
@@ -29,34 +36,67 @@ const {
 const VirusScanner = require('./services/virusScanner');
 const S3Service = require('./services/s3Service');
 const UserQuotaService = require('./services/userQuota');
+const { getQuotaResetRefusal } = UserQuotaService;
+const JobQueue = require('./services/jobQueue');
+const JobRecoveryService = require('./services/jobRecovery');
+const { AccountProvisioningService } = require('./services/accountProvisioning');
+const { JOB_STATUS, buildTimeline, isTerminal } = require('./services/jobStateMachine');
+const { cancelJob, publishCancellation } = require('./services/jobCancellation');
+const { parseJobListQuery } = require('./utils/jobListQuery');
+const { serializeApiKey } = require('./services/apiKeys');
+const { ExtractionTemplateService, serializeTemplate } = require('./services/extractionTemplates');
+const { validateReviewRules, resolveReviewRules } = require('./services/reviewRouting');
+const { ReviewService, parseReviewQueueQuery, serializeCorrection, activeClaim } = require('./services/reviews');
+const { ExtractionRunService, serializeExtraction, validateReprocessOptions } = require('./services/extractionRuns');
+const { LlmBudgetService, validateBudgets, resolveBudgets } = require('./services/llmBudget');
+const { validateRedactionPolicy, resolveRedactionPolicy } = require('./llm/redaction');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 const STORAGE_DIR = process.env.STORAGE_DIR || './storage';
 const MAX_FILE_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE_BYTES) || 10485760; // 10MB default
+const RUN_WORKER_IN_PROCESS = process.env.RUN_WORKER_IN_PROCESS === 'true';
 
 // Initialize services
 const db = new PrismaDatabaseManager();
 const virusScanner = new VirusScanner();
 const s3Service = new S3Service();
 const quotaService = new UserQuotaService();
-
-// Initialize rate limiters
-const uploadRateLimiter = async (req, res, next) => {
-  try {
-    const rateLimiter = createRateLimiter('upload', 10, 60); // 10 uploads per minute
-    await rateLimiter.consume(req.ip);
-    next();
-  } catch (rejRes) {
-    res.status(429).json({
-      error: 'Too many upload requests',
-      message: 'Please wait before uploading again',
-      retryAfter: Math.round(rejRes.msBeforeNext / 1000)
-    });
+const jobQueue = new JobQueue();
+const jobRecovery = new JobRecoveryService({ db, jobQueue, s3Service });
+const accountService = new AccountProvisioningService({ db });
+const templateService = new ExtractionTemplateService({ db });
+const reviewService = new ReviewService({ db });
+const extractionRuns = new ExtractionRunService({ db });
+const llmBudget = new LlmBudgetService();
+
+// Verify the token, then load (or create on first sign-in) the user's organization and membership
+const authenticateUser = [validateAuth, provisionAccount(accountService)];
+
+// API keys can carry their own upload quota; usage is tracked under the key (req.userId)
+const quotaLimitsFor = (req) => req.apiKey
+  ? { dailyLimit: req.apiKey.dailyUploadLimitMb, monthlyLimit: req.apiKey.monthlyUploadLimitMb, apiKey: true }
+  : {};
+
+// LLM spend budgets of the caller and their organization; only read from the database when budgets are enforced
+const checkLlmBudget = async (req) => {
+  if (!llmBudget.enabled) {
+    return { allowed: true, status: 'disabled', warnings: [], budgets: [] };
   }
+  const organization = req.orgId ? await db.getOrganization(req.orgId) : null;
+  return llmBudget.check({ userId: req.userId, orgId: req.orgId, budgets: organization?.llm_budgets ?? null });
 };
 
-// Remove old rate limiting code - now handled by rateLimitMiddleware.js
+// Bad cursors get their own error code, so clients know to start over from the first page
+const invalidQueryResponse = (error) => ({
+  error: error.code === 'invalid_cursor' ? 'invalid_cursor' : 'Invalid query',
+  message: error.message
+});
+
+// Upload responses carry budget warnings so clients can tell users before jobs start failing
+const llmBudgetResponse = (budgetCheck) => budgetCheck.status === 'disabled'
+  ? {}
+  : { llmBudget: { status: budgetCheck.status, warnings: budgetCheck.warnings, budgets: budgetCheck.budgets } };
 
 // Ensure storage directory exists
 if (!fs.existsSync(STORAGE_DIR)) {
@@ -99,24 +139,18 @@ app.use(generalRateLimiter);
 // Configure secure file upload
 const upload = createSecureUpload(STORAGE_DIR);
 
-// Mock contract extraction function
-function simulateContractExtraction() {
-  // Load sample extraction data
-  const samplePath = path.join(__dirname, '..', 'samples', 'contract-extraction.json');
+/**
+ * Hand a job to the queue worker, failing the job if it cannot be queued
+ * @param {string} jobId - Job ID
+ * @param {Object} payload - Extra message fields (filePath, objectKey, mimeType)
+ */
+async function enqueueJob(jobId, payload = {}) {
   try {
-    const sampleData = JSON.parse(fs.readFileSync(samplePath, 'utf8'));
-    // Add some randomization to make it feel more realistic
-    sampleData.extraction_timestamp = new Date().toISOString();
-    sampleData.confidence_scores.overall_accuracy = 0.85 + Math.random() * 0.15;
-    return sampleData;
+    await jobQueue.enqueue({ jobId, ...payload });
   } catch (error) {
-    console.error('Error loading sample extraction:', error);
-    return {
-      document_type: "contract",
-      extraction_timestamp: new Date().toISOString(),
-      status: "extracted",
-      confidence_scores: { overall_accuracy: 0.92 }
-    };
+    console.error(`❌ Failed to enqueue job ${jobId}:`, error);
+    await db.failJob(jobId, `Failed to queue job: ${error.message}`);
+    throw error;
   }
 }
 
@@ -132,7 +166,8 @@ app.get('/health', generalRateLimiter, async (req, res) => {
         database: { status: 'ok' },
         virusScanner: await virusScanner.checkAvailability(),
         s3: await s3Service.checkHealth(),
-        quota: await quotaService.checkHealth()
+        quota: await quotaService.checkHealth(),
+        queue: await jobQueue.checkHealth()
       }
     };
     
@@ -150,7 +185,8 @@ app.get('/health', generalRateLimiter, async (req, res) => {
 app.post('/api/presign', 
   validateOrigin,
   authenticateUser,
-  uploadRateLimiter,
+  requirePermission(PERMISSIONS.JOBS_UPLOAD),
+  combinedUploadRateLimiter,
   async (req, res) => {
     try {
       if (!s3Service.enabled) {
@@ -160,8 +196,8 @@ app.post('/api/presign',
         });
       }
 
-      const { filename, contentType, contentLength } = req.body;
-      const userId = req.user.id;
+      const { filename, contentType, contentLength, templateId } = req.body;
+      const userId = req.userId;
 
       if (!filename || !contentType || !contentLength) {
         return res.status(400).json({
@@ -170,8 +206,11 @@ app.post('/api/presign',
         });
       }
 
+      // Carried on the object itself and checked again by /api/complete
+      const template = await templateService.resolveForUpload(req.orgId, templateId);
+
       // Check quota
-      const quotaCheck = await quotaService.checkQuota(userId, contentLength);
+      const quotaCheck = await quotaService.checkQuota(userId, contentLength, req.orgId, quotaLimitsFor(req));
       if (!quotaCheck.allowed) {
         return res.status(429).json({
           error: 'Quota exceeded',
@@ -180,20 +219,40 @@ app.post('/api/presign',
         });
       }
 
+      // No new jobs once an LLM budget is used up
+      const budgetCheck = await checkLlmBudget(req);
+      if (!budgetCheck.allowed) {
+        return res.status(429).json({
+          error: 'LLM budget exceeded',
+          message: budgetCheck.reason,
+          ...llmBudgetResponse(budgetCheck)
+        });
+      }
+
       // Generate presigned URL
       const presignedData = await s3Service.generatePresignedUpload(
-        userId, filename, contentType, contentLength
+        userId, filename, contentType, contentLength,
+        template ? { 'template-id': template.id } : {}
       );
 
       res.json({
         ...presignedData,
+        ...(template ? { templateId: template.id } : {}),
+        ...llmBudgetResponse(budgetCheck),
         message: 'Presigned URL generated successfully'
       });
 
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
       console.error('Presign error:', error);
       logSecurityEvent('presign_error', { 
-        userId: req.user?.id, 
+        userId: req.userId, 
         error: error.message 
       });
       
@@ -209,10 +268,11 @@ app.post('/api/presign',
 app.post('/api/complete',
   validateOrigin,
   authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_UPLOAD),
   async (req, res) => {
     try {
       const { objectKey } = req.body;
-      const userId = req.user.id;
+      const userId = req.userId;
 
       if (!objectKey) {
         return res.status(400).json({
@@ -221,8 +281,11 @@ app.post('/api/complete',
         });
       }
 
+      // Presigned keys are namespaced by user - don't let anyone claim another user's upload
+      const ownsObject = objectKey.startsWith(`${s3Service.uploadPrefix}/${userId}/`);
+
       // Verify object exists
-      const objectInfo = await s3Service.checkObjectExists(objectKey);
+      const objectInfo = ownsObject ? await s3Service.checkObjectExists(objectKey) : { exists: false };
       if (!objectInfo.exists) {
         return res.status(404).json({
           error: 'Object not found',
@@ -230,45 +293,53 @@ app.post('/api/complete',
         });
       }
 
+      // Template chosen at presign time; it may have been deleted since
+      const template = await templateService.resolveForUpload(req.orgId, objectInfo.metadata['template-id']);
+
+      // The budget may have run out since the presign
+      const budgetCheck = await checkLlmBudget(req);
+      if (!budgetCheck.allowed) {
+        return res.status(429).json({
+          error: 'LLM budget exceeded',
+          message: budgetCheck.reason,
+          ...llmBudgetResponse(budgetCheck)
+        });
+      }
+
       // Record usage
-      await quotaService.recordUsage(userId, objectInfo.size);
+      await quotaService.recordUsage(userId, objectInfo.size, req.orgId);
 
       // Create job in database
-      const job = await db.createJob(objectKey, 'processing');
+      const job = await db.createJob(objectKey, JOB_STATUS.QUEUED, null, {
+        object_key: objectKey,
+        mime_type: objectInfo.contentType,
+        file_size: objectInfo.size,
+        userId,
+        orgId: req.orgId,
+        templateId: template?.id ?? null
+      });
       const jobId = job.id;
 
-      // Start async processing
-      setTimeout(async () => {
-        try {
-          // Download file for processing if needed
-          const localPath = path.join(STORAGE_DIR, `${jobId}-${path.basename(objectKey)}`);
-          await s3Service.downloadToLocal(objectKey, localPath);
-
-          // Virus scan
-          await virusScanner.scanFileAsync(localPath, jobId, db);
-
-          // Process extraction
-          const extractionData = simulateContractExtraction();
-          await db.updateJobStatus(jobId, 'completed', JSON.stringify(extractionData));
-          
-          // Cleanup local file
-          fs.unlinkSync(localPath);
-          
-          console.log(`✅ Job ${jobId} completed for S3 object: ${objectKey}`);
-        } catch (error) {
-          console.error(`❌ Job ${jobId} failed:`, error);
-          await db.updateJobStatus(jobId, 'failed', JSON.stringify({ error: error.message }));
-        }
-      }, 3000 + Math.random() * 2000);
+      // Queue for processing - the worker downloads, scans and extracts
+      await enqueueJob(jobId);
 
       res.json({
         jobId,
         objectKey,
-        status: 'processing',
+        status: JOB_STATUS.QUEUED,
+        ...(template ? { templateId: template.id } : {}),
+        ...llmBudgetResponse(budgetCheck),
         message: 'Upload completed and processing started'
       });
 
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
       console.error('Complete upload error:', error);
       res.status(500).json({
         error: 'Failed to complete upload',
@@ -319,6 +390,7 @@ const handleMulterError = (error, req, res, next) => {
 app.post('/api/upload', 
   validateOrigin,
   authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_UPLOAD),
   combinedUploadRateLimiter,
   upload.single('file'), 
   handleMulterError,
@@ -332,13 +404,16 @@ app.post('/api/upload',
         });
       }
 
-      const userId = req.user.id;
+      const userId = req.userId;
       const filename = req.file.originalname;
       const filePath = req.file.path;
       const fileSize = req.file.size;
 
+      // Optional custom extraction template (multipart field)
+      const template = await templateService.resolveForUpload(req.orgId, req.body.templateId);
+
       // Check quota
-      const quotaCheck = await quotaService.checkQuota(userId, fileSize);
+      const quotaCheck = await quotaService.checkQuota(userId, fileSize, req.orgId, quotaLimitsFor(req));
       if (!quotaCheck.allowed) {
         // Delete uploaded file
         fs.unlinkSync(filePath);
@@ -350,40 +425,43 @@ app.post('/api/upload',
         });
       }
 
+      // No new jobs once an LLM budget is used up
+      const budgetCheck = await checkLlmBudget(req);
+      if (!budgetCheck.allowed) {
+        fs.unlinkSync(filePath);
+
+        return res.status(429).json({
+          error: 'LLM budget exceeded',
+          message: budgetCheck.reason,
+          ...llmBudgetResponse(budgetCheck)
+        });
+      }
+
       // Record usage
-      await quotaService.recordUsage(userId, fileSize);
+      await quotaService.recordUsage(userId, fileSize, req.orgId);
 
       // Create job in database
-      const job = await db.createJob(filename, 'processing');
+      const job = await db.createJob(filename, JOB_STATUS.QUEUED, null, {
+        file_path: filePath,
+        mime_type: req.file.mimetype,
+        file_size: fileSize,
+        userId,
+        orgId: req.orgId,
+        templateId: template?.id ?? null
+      });
       const jobId = job.id;
 
-      // Start async processing with real LLM extraction
-      setImmediate(async () => {
-        try {
-          // Virus scan first
-          await virusScanner.scanFileAsync(filePath, jobId, db);
-
-          // Process with real LLM extraction
-          console.log(`🚀 Starting processJob for ${jobId}`);
-          const result = await processJob(job);
-          
-          if (result.success) {
-            console.log(`✅ Job ${jobId} completed successfully`);
-          } else {
-            console.error(`❌ Job ${jobId} failed: ${result.error}`);
-          }
-        } catch (error) {
-          console.error(`❌ Job ${jobId} processing failed:`, error);
-          await db.updateJobStatus(jobId, 'failed', JSON.stringify({ error: error.message }));
-        }
-      });
+      // Queue for processing - the worker scans and runs LLM extraction
+      await enqueueJob(jobId);
 
       res.json({
         jobId,
         filename,
-        status: 'processing',
+        status: JOB_STATUS.QUEUED,
+        ...(template ? { templateId: template.id } : {}),
         message: 'File uploaded successfully and processing started',
-        usage: quotaCheck.usage
+        usage: quotaCheck.usage,
+        ...llmBudgetResponse(budgetCheck)
       });
 
     } catch (error) {
@@ -397,6 +475,13 @@ app.post('/api/upload',
           console.error('Error cleaning up file:', cleanupError);
         }
       }
+
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
       
       res.status(500).json({ 
         error: 'Upload failed',
@@ -406,198 +491,1596 @@ app.post('/api/upload',
   }
 );
 
-// Status check endpoint
-app.get('/api/status/:jobId', async (req, res) => {
-  try {
-    const { jobId } = req.params;
-    const job = await db.getJob(jobId);
+// Current user, organization and role (provisioned on first call)
+app.get('/api/me',
+  authenticateUser,
+  (req, res) => {
+    if (req.apiKey) {
+      return res.json({
+        userId: req.userId,
+        org: req.org,
+        role: null,
+        permissions: req.apiKey.scopes,
+        apiKey: { id: req.apiKey.id, name: req.apiKey.name, expiresAt: req.apiKey.expiresAt }
+      });
+    }
+
+    res.json({
+      userId: req.userId,
+      org: req.org,
+      role: req.membership.role,
+      permissions: getPermissions(req.membership.role)
+    });
+  }
+);
+
+// List jobs in the authenticated user's organization
+app.get('/api/jobs',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  async (req, res) => {
+    let query;
+    try {
+      query = parseJobListQuery(req.query);
+    } catch (error) {
+      return res.status(400).json(invalidQueryResponse(error));
+    }
 
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found',
-        message: `No job found with ID: ${jobId}`
+    try {
+      const { jobs, nextCursor } = await db.listJobs({ userId: req.userId, orgId: req.orgId }, query);
+
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.json({
+        jobs: jobs.map(job => ({
+          jobId: job.id,
+          filename: job.filename,
+          status: job.status,
+          documentType: job.document_type,
+          confidenceScore: job.confidence_score,
+          requiresReview: job.requires_review,
+          createdAt: job.createdAt,
+          updatedAt: job.updatedAt
+        })),
+        nextCursor,
+        hasMore: nextCursor !== null,
+        limit: query.limit
+      });
+
+    } catch (error) {
+      console.error('List jobs error:', error);
+      res.status(500).json({
+        error: 'Failed to list jobs',
+        message: error.message
       });
     }
+  }
+);
 
-    const response = {
-      jobId: job.id,
-      filename: job.filename,
-      status: job.status,
-      createdAt: job.createdAt,
-      updatedAt: job.updatedAt
-    };
+// Status check endpoint
+app.get('/api/status/:jobId',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = req.job;
+
+      const events = await db.getJobEvents(jobId);
+
+      const response = {
+        jobId: job.id,
+        filename: job.filename,
+        status: job.status,
+        userId: job.userId,
+        orgId: job.orgId,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        timeline: buildTimeline(events)
+      };
+
+      // Long documents are extracted in chunks; dropped chunks were never read by the model
+      if (job.chunk_count !== null && job.chunk_count !== undefined) {
+        response.chunking = {
+          chunkCount: job.chunk_count,
+          chunksDropped: job.chunks_dropped || 0
+        };
+      }
 
-    // Include extraction data if completed
-    if (job.status === 'completed' && job.extraction) {
-      try {
-        response.extraction = JSON.parse(job.extraction);
-      } catch (error) {
-        console.error('Error parsing extraction data:', error);
-        response.extraction = { error: 'Failed to parse extraction data' };
+      // Detected document type; it picks the extraction schema
+      if (job.document_type) {
+        response.classification = {
+          documentType: job.document_type,
+          confidence: job.document_type_confidence
+        };
       }
-    }
 
-    // Include error details if failed
-    if (job.status === 'failed' && job.extraction) {
-      try {
-        response.error_details = JSON.parse(job.extraction);
-      } catch (error) {
-        response.error_details = { error: 'Failed to parse error details' };
+      // Custom template fields, returned alongside the standard extraction
+      if (job.templateId) {
+        response.template = {
+          id: job.templateId,
+          version: job.template_version,
+          fields: job.template_fields
+        };
       }
-    }
 
-    // Disable caching to prevent 304 responses
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
+      // Fields the model still got wrong after its corrective retry
+      if (job.schema_version) {
+        response.schemaVersion = job.schema_version;
+        response.schemaViolations = job.schema_violations || [];
+      }
+
+      // Include extraction data once finished. LLM results are in extraction_json;
+      // extraction holds a JSON string for jobs from before the LLM pipeline.
+      const hasResult = [JOB_STATUS.COMPLETED, JOB_STATUS.NEEDS_REVIEW, JOB_STATUS.REJECTED].includes(job.status);
+      if (hasResult && job.extraction_json) {
+        response.extraction = job.extraction_json;
+        // Source spans for the extracted values (offsets into the stored text)
+        response.citations = job.citations || [];
+        // Per-field confidence, and the fields that sent the job to review
+        response.fieldConfidence = job.field_confidence || {};
+        response.review = {
+          requiresReview: job.requires_review,
+          reasons: job.review_reasons || [],
+          claim: activeClaim(job),
+          extractionVersion: job.extraction_version,
+          decision: job.review_decision,
+          reviewedBy: job.reviewedBy,
+          reviewedAt: job.reviewedAt
+        };
+        // Which LLM run the extraction comes from (see GET /api/jobs/:jobId/extractions)
+        if (job.current_extraction_version !== null && job.current_extraction_version !== undefined) {
+          response.extractionRun = {
+            version: job.current_extraction_version,
+            pinned: job.extraction_pinned,
+            provider: job.llm_provider,
+            model: job.llm_model
+          };
+        }
+        // LLM response cache hits and misses of the current run
+        if (job.llm_cache) {
+          response.llmCache = job.llm_cache;
+        }
+        // Tokens and USD spent on all of the job's LLM runs, as reported by the provider
+        // (estimated: some of it was counted locally because a provider didn't report usage)
+        response.usage = {
+          inputTokens: job.input_tokens,
+          outputTokens: job.output_tokens,
+          cachedInputTokens: job.cached_input_tokens,
+          costUsd: job.cost_usd,
+          estimated: job.usage_estimated
+        };
+      } else if (hasResult && job.extraction) {
+        try {
+          response.extraction = typeof job.extraction === 'string' ? JSON.parse(job.extraction) : job.extraction;
+        } catch (error) {
+          console.error('Error parsing extraction data:', error);
+          response.extraction = { error: 'Failed to parse extraction data' };
+        }
+      }
 
-    res.json(response);
+      // Personal data the current run kept from the LLM provider: counts per category, never the values
+      if (job.redaction) {
+        response.redaction = job.redaction;
+      }
 
-  } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({ 
-      error: 'Status check failed',
-      message: error.message 
-    });
+      // Budget check of the last LLM run: soft-limit warnings, or why the job was refused
+      if (job.llm_budget) {
+        response.llmBudget = job.llm_budget;
+      }
+
+      // Include error details if failed
+      const hasError = job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.DEAD_LETTER;
+      if (hasError && job.extraction) {
+        try {
+          response.error_details = JSON.parse(job.extraction);
+        } catch (error) {
+          response.error_details = { error: 'Failed to parse error details' };
+        }
+      }
+
+      // Disable caching to prevent 304 responses
+      res.set({
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Pragma': 'no-cache',
+        'Expires': '0'
+      });
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Status check error:', error);
+      res.status(500).json({ 
+        error: 'Status check failed',
+        message: error.message 
+      });
+    }
   }
-});
+);
 
-// Dev-only endpoint to force re-process a job
-app.post('/api/force-process/:jobId', async (req, res) => {
-  // Only allow in development mode
+// Only allow in development mode
+const devOnly = (req, res, next) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(404).json({ error: 'Endpoint not available in production' });
   }
+  next();
+};
 
-  try {
-    const { jobId } = req.params;
+// Dev-only endpoint to force re-process a job
+app.post('/api/force-process/:jobId',
+  devOnly,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_REPROCESS),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = req.job;
     
-    console.log(`🔄 Force processing requested for job: ${jobId}`);
+      // bypassCache: true calls the LLM again even if the response cache has the answers
+      const bypassCache = req.body?.bypassCache === true;
+      console.log(`🔄 Force processing requested for job: ${jobId}${bypassCache ? ' (bypassing the LLM cache)' : ''}`);
+
+      const budgetCheck = await checkLlmBudget(req);
+      if (!budgetCheck.allowed) {
+        return res.status(429).json({
+          error: 'LLM budget exceeded',
+          message: budgetCheck.reason,
+          ...llmBudgetResponse(budgetCheck)
+        });
+      }
+
+      // Move the job back to queued - only finished jobs can be reprocessed
+      try {
+        await db.transitionJob(jobId, JOB_STATUS.QUEUED, {
+          metadata: { source: 'force-process' },
+          // Same provider, model and template as before; drops any earlier reprocess overrides
+          data: { reprocess_request: { bypassCache, requestedBy: req.userId, requestedAt: new Date().toISOString() } }
+        });
+      } catch (error) {
+        if (error.code === 'INVALID_JOB_TRANSITION' || error.code === 'JOB_TRANSITION_CONFLICT') {
+          return res.status(409).json({
+            error: 'Job is still in progress',
+            message: `Job ${jobId} is ${job.status} and cannot be re-processed yet`
+          });
+        }
+        throw error;
+      }
     
-    // Check if job exists
-    const job = await db.getJob(jobId);
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found',
-        message: `No job found with ID: ${jobId}`
+      // Queue for re-processing
+      console.log(`🚀 Force processing job ${jobId}`);
+      await enqueueJob(jobId);
+
+      res.json({
+        message: 'Job re-processing started',
+        jobId: jobId,
+        status: JOB_STATUS.QUEUED
+      });
+
+    } catch (error) {
+      console.error('Force process error:', error);
+      res.status(500).json({ 
+        error: 'Force process failed',
+        message: error.message 
       });
     }
+  }
+);
+
+// Reprocess a finished job, optionally with another provider, model or template.
+// Every run is kept; see GET /api/jobs/:jobId/extractions.
+app.post('/api/jobs/:jobId/reprocess',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_REPROCESS),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = req.job;
+      const options = validateReprocessOptions(req.body || {});
+
+      // Templates must belong to the job's organization; null drops the job's template
+      let templateId = options.templateId;
+      if (templateId !== undefined && templateId !== null) {
+        templateId = (await templateService.resolveForUpload(job.orgId, templateId)).id;
+      }
+
+      const reprocessRequest = {
+        provider: options.provider,
+        model: options.model,
+        ...(templateId !== undefined ? { templateId } : {}),
+        pin: options.pin,
+        bypassCache: options.bypassCache,
+        requestedBy: req.userId,
+        requestedAt: new Date().toISOString()
+      };
+
+      // The new run is charged to the requester, so their budget must have room for it
+      const budgetCheck = await checkLlmBudget(req);
+      if (!budgetCheck.allowed) {
+        return res.status(429).json({
+          error: 'LLM budget exceeded',
+          message: budgetCheck.reason,
+          ...llmBudgetResponse(budgetCheck)
+        });
+      }
 
-    // Reset job status to processing
-    await db.updateJobStatus(jobId, 'processing', null);
-    
-    // Start processing immediately
-    setImmediate(async () => {
       try {
-        console.log(`🚀 Force processing job ${jobId}`);
-        const result = await processJobById(jobId);
-        
-        if (result.success) {
-          console.log(`✅ Force processing completed for job ${jobId}`);
-        } else {
-          console.error(`❌ Force processing failed for job ${jobId}: ${result.error}`);
-        }
+        await db.transitionJob(jobId, JOB_STATUS.QUEUED, {
+          metadata: { source: 'reprocess', provider: options.provider, model: options.model, templateId: templateId ?? null },
+          data: {
+            reprocess_request: reprocessRequest,
+            // The new run gets a fresh review
+            reviewClaimedBy: null,
+            reviewClaimedAt: null,
+            review_decision: null,
+            review_comment: null,
+            reviewedBy: null,
+            reviewedAt: null
+          }
+        });
       } catch (error) {
-        console.error(`❌ Force processing error for job ${jobId}:`, error);
-        await db.updateJobStatus(jobId, 'failed', JSON.stringify({ 
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          source: 'force-process'
-        }));
+        if (error.code === 'INVALID_JOB_TRANSITION' || error.code === 'JOB_TRANSITION_CONFLICT') {
+          return res.status(409).json({
+            error: 'job_in_progress',
+            message: `Job ${jobId} is ${job.status} and cannot be reprocessed yet`
+          });
+        }
+        throw error;
       }
-    });
-
-    res.json({
-      message: 'Job re-processing started',
-      jobId: jobId,
-      status: 'processing'
-    });
 
-  } catch (error) {
-    console.error('Force process error:', error);
-    res.status(500).json({ 
-      error: 'Force process failed',
-      message: error.message 
-    });
-  }
-});
+      await enqueueJob(jobId);
 
-// Webhook endpoint for automation
-app.post('/webhook/automation', (req, res) => {
-  try {
-    const payload = req.body;
-    
-    // Log webhook call
-    console.log('📥 Webhook received:', {
-      timestamp: new Date().toISOString(),
-      headers: req.headers,
-      body: payload
-    });
+      logSecurityEvent('job_reprocessed', {
+        userId: req.userId,
+        orgId: req.orgId,
+        jobId,
+        provider: options.provider,
+        model: options.model,
+        templateId: templateId ?? null
+      });
 
-    // Persist webhook data
-    db.logWebhook({
-      headers: req.headers,
-      body: payload,
-      timestamp: new Date().toISOString()
-    });
+      res.status(202).json({
+        jobId,
+        status: JOB_STATUS.QUEUED,
+        reprocess: reprocessRequest,
+        ...llmBudgetResponse(budgetCheck)
+      });
 
-    // Respond with success
-    res.json({
-      status: 'received',
-      message: 'Webhook processed successfully',
-      timestamp: new Date().toISOString()
-    });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
 
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ 
-      error: 'Webhook processing failed',
-      message: error.message 
-    });
+      console.error('Reprocess error:', error);
+      res.status(500).json({
+        error: 'Failed to reprocess job',
+        message: error.message
+      });
+    }
   }
-});
+);
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-  
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        error: 'File too large',
-        message: 'File size must be less than 10MB'
+// Every LLM run of a job, oldest first
+app.get('/api/jobs/:jobId/extractions',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const extractions = await extractionRuns.list(req.job.id);
+
+      res.json({
+        jobId: req.job.id,
+        currentVersion: req.job.current_extraction_version,
+        pinned: req.job.extraction_pinned,
+        extractions: extractions.map(extraction => serializeExtraction(extraction, req.job))
+      });
+
+    } catch (error) {
+      console.error('List extractions error:', error);
+      res.status(500).json({
+        error: 'Failed to list extractions',
+        message: error.message
       });
     }
   }
+);
 
-  res.status(500).json({
-    error: 'Internal server error',
-    message: error.message
-  });
-});
+// One run with its extracted data and raw LLM response
+app.get('/api/jobs/:jobId/extractions/:version',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const extraction = await extractionRuns.get(req.job.id, req.params.version);
+      res.json(serializeExtraction(extraction, req.job, { full: true }));
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    message: `Route ${req.method} ${req.originalUrl} not found`
-  });
-});
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down server...');
-  await db.close();
-  process.exit(0);
+      console.error('Get extraction error:', error);
+      res.status(500).json({
+        error: 'Failed to get extraction',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Make a run the current extraction; it stays current when the job is reprocessed
+app.post('/api/jobs/:jobId/extractions/:version/pin',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_REPROCESS),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      if (!isTerminal(req.job.status)) {
+        return res.status(409).json({
+          error: 'job_in_progress',
+          message: `Job ${req.job.id} is ${req.job.status}; wait for it to finish before pinning`
+        });
+      }
+
+      const job = await extractionRuns.pin(req.job, req.params.version);
+
+      logSecurityEvent('extraction_pinned', {
+        userId: req.userId,
+        orgId: req.orgId,
+        jobId: job.id,
+        version: job.current_extraction_version
+      });
+
+      res.json({
+        jobId: job.id,
+        currentVersion: job.current_extraction_version,
+        pinned: job.extraction_pinned
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Pin extraction error:', error);
+      res.status(500).json({
+        error: 'Failed to pin extraction',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Unpin: the latest run becomes current again
+app.delete('/api/jobs/:jobId/extractions/pin',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_REPROCESS),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      if (!isTerminal(req.job.status)) {
+        return res.status(409).json({
+          error: 'job_in_progress',
+          message: `Job ${req.job.id} is ${req.job.status}; wait for it to finish before unpinning`
+        });
+      }
+
+      const job = await extractionRuns.unpin(req.job);
+
+      logSecurityEvent('extraction_unpinned', {
+        userId: req.userId,
+        orgId: req.orgId,
+        jobId: job.id,
+        version: job.current_extraction_version
+      });
+
+      res.json({
+        jobId: job.id,
+        currentVersion: job.current_extraction_version,
+        pinned: job.extraction_pinned
+      });
+
+    } catch (error) {
+      console.error('Unpin extraction error:', error);
+      res.status(500).json({
+        error: 'Failed to unpin extraction',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_CANCEL),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = req.job;
+
+      if (isTerminal(job.status)) {
+        return res.status(409).json({
+          error: 'Job already finished',
+          message: `Job ${jobId} is ${job.status} and cannot be cancelled`
+        });
+      }
+
+      let quotaRefunded;
+      try {
+        ({ quotaRefunded } = await cancelJob(db, quotaService, job, req.userId));
+      } catch (error) {
+        if (error.code === 'INVALID_JOB_TRANSITION' || error.code === 'JOB_TRANSITION_CONFLICT') {
+          return res.status(409).json({
+            error: 'Job already finished',
+            message: `Job ${jobId} finished before it could be cancelled`
+          });
+        }
+        throw error;
+      }
+
+      // Abort in-flight work; workers that miss this stop at their next stage transition
+      try {
+        await publishCancellation(jobId);
+      } catch (error) {
+        console.error(`Failed to publish cancellation for job ${jobId}:`, error.message);
+      }
+
+      if (job.text_path && fs.existsSync(job.text_path)) {
+        fs.unlinkSync(job.text_path);
+      }
+
+      console.log(`🚫 Job ${jobId} cancelled by ${req.userId} (was ${job.status})`);
+
+      res.json({
+        jobId,
+        status: JOB_STATUS.CANCELLED,
+        message: 'Job cancelled',
+        quotaRefunded
+      });
+
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      res.status(500).json({
+        error: 'Failed to cancel job',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Delete a finished job and its stored files
+app.delete('/api/jobs/:jobId',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_DELETE),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = req.job;
+
+      if (!isTerminal(job.status)) {
+        return res.status(409).json({
+          error: 'Job is still in progress',
+          message: `Job ${jobId} is ${job.status}; cancel it before deleting`
+        });
+      }
+
+      for (const filePath of [job.text_path, job.file_path]) {
+        if (filePath && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+
+      if (job.object_key && s3Service.enabled) {
+        await s3Service.deleteObject(job.object_key);
+      }
+
+      await db.deleteJob(jobId);
+
+      logSecurityEvent('job_deleted', { userId: req.userId, orgId: req.orgId, jobId });
+
+      res.json({
+        jobId,
+        deleted: true,
+        message: 'Job deleted'
+      });
+
+    } catch (error) {
+      console.error('Delete job error:', error);
+      res.status(500).json({
+        error: 'Failed to delete job',
+        message: error.message
+      });
+    }
+  }
+);
+
+// List members of the authenticated user's organization
+app.get('/api/org/members',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const memberships = await db.listMemberships(req.orgId);
+
+      res.json({
+        org: req.org,
+        members: memberships.map(membership => ({
+          userId: membership.userId,
+          email: membership.user.email,
+          name: membership.user.name,
+          role: membership.role,
+          joinedAt: membership.createdAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('List members error:', error);
+      res.status(500).json({
+        error: 'Failed to list members',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Change a member's role
+app.patch('/api/org/members/:userId',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!isValidRole(role)) {
+        return res.status(400).json({
+          error: 'Invalid role',
+          message: `role must be one of: ${Object.values(ROLES).join(', ')}`
+        });
+      }
+
+      const membership = await db.getMembership(userId, req.orgId);
+      if (!membership) {
+        return res.status(404).json({
+          error: 'Member not found',
+          message: `No member ${userId} in this organization`
+        });
+      }
+
+      // Only owners can grant or take away ownership
+      const touchesOwner = role === ROLES.OWNER || membership.role === ROLES.OWNER;
+      if (touchesOwner && req.membership.role !== ROLES.OWNER) {
+        return res.status(403).json({
+          error: 'forbidden',
+          message: 'Only owners can change ownership'
+        });
+      }
+
+      if (userId === req.userId && membership.role === ROLES.OWNER && role !== ROLES.OWNER) {
+        const owners = (await db.listMemberships(req.orgId)).filter(m => m.role === ROLES.OWNER);
+        if (owners.length === 1) {
+          return res.status(409).json({
+            error: 'Last owner',
+            message: 'Promote another owner before stepping down'
+          });
+        }
+      }
+
+      const updated = await db.updateMembershipRole(userId, req.orgId, role);
+      accountService.invalidate(userId);
+
+      logSecurityEvent('member_role_changed', {
+        userId: req.userId,
+        orgId: req.orgId,
+        memberId: userId,
+        from: membership.role,
+        to: role
+      });
+
+      res.json({
+        userId: updated.userId,
+        role: updated.role,
+        permissions: getPermissions(updated.role)
+      });
+
+    } catch (error) {
+      console.error('Update member error:', error);
+      res.status(500).json({
+        error: 'Failed to update member',
+        message: error.message
+      });
+    }
+  }
+);
+
+// The organization's review rules, with the defaults for anything it hasn't set
+app.get('/api/org/review-rules',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const organization = await db.getOrganization(req.orgId);
+
+      res.json({
+        rules: organization.review_rules || {},
+        effective: resolveReviewRules(organization.review_rules)
+      });
+
+    } catch (error) {
+      console.error('Get review rules error:', error);
+      res.status(500).json({
+        error: 'Failed to get review rules',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Replace the organization's review rules; they apply to jobs processed from now on
+app.put('/api/org/review-rules',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.REVIEW_RULES_MANAGE),
+  async (req, res) => {
+    try {
+      const rules = validateReviewRules(req.body);
+      const organization = await db.updateOrganization(req.orgId, { review_rules: rules });
+
+      logSecurityEvent('review_rules_changed', {
+        userId: req.userId,
+        orgId: req.orgId
+      });
+
+      res.json({
+        rules: organization.review_rules,
+        effective: resolveReviewRules(organization.review_rules)
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Update review rules error:', error);
+      res.status(500).json({
+        error: 'Failed to update review rules',
+        message: error.message
+      });
+    }
+  }
+);
+
+// The organization's LLM budgets with the defaults for anything it hasn't set, and what the
+// organization and the caller have spent against them today and this month
+app.get('/api/org/llm-budgets',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const organization = await db.getOrganization(req.orgId);
+
+      res.json({
+        budgets: organization.llm_budgets || {},
+        effective: resolveBudgets(organization.llm_budgets),
+        ...await llmBudget.getUsage({ userId: req.userId, orgId: req.orgId, budgets: organization.llm_budgets })
+      });
+
+    } catch (error) {
+      console.error('Get LLM budgets error:', error);
+      res.status(500).json({
+        error: 'Failed to get LLM budgets',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Replace the organization's LLM budgets; they apply to jobs processed from now on
+app.put('/api/org/llm-budgets',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.LLM_BUDGETS_MANAGE),
+  async (req, res) => {
+    try {
+      const budgets = validateBudgets(req.body);
+      const organization = await db.updateOrganization(req.orgId, { llm_budgets: budgets });
+
+      logSecurityEvent('llm_budgets_changed', {
+        userId: req.userId,
+        orgId: req.orgId
+      });
+
+      res.json({
+        budgets: organization.llm_budgets,
+        effective: resolveBudgets(organization.llm_budgets)
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Update LLM budgets error:', error);
+      res.status(500).json({
+        error: 'Failed to update LLM budgets',
+        message: error.message
+      });
+    }
+  }
+);
+
+// The organization's PII redaction policy, with the defaults for anything it hasn't set
+app.get('/api/org/redaction-policy',
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const organization = await db.getOrganization(req.orgId);
+
+      res.json({
+        policy: organization.redaction_policy || {},
+        effective: resolveRedactionPolicy(organization.redaction_policy)
+      });
+
+    } catch (error) {
+      console.error('Get redaction policy error:', error);
+      res.status(500).json({
+        error: 'Failed to get redaction policy',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Replace the organization's PII redaction policy; it applies to jobs processed from now on
+app.put('/api/org/redaction-policy',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.REDACTION_MANAGE),
+  async (req, res) => {
+    try {
+      const policy = validateRedactionPolicy(req.body);
+      const organization = await db.updateOrganization(req.orgId, { redaction_policy: policy });
+
+      logSecurityEvent('redaction_policy_changed', {
+        userId: req.userId,
+        orgId: req.orgId,
+        enabled: resolveRedactionPolicy(organization.redaction_policy).enabled
+      });
+
+      res.json({
+        policy: organization.redaction_policy,
+        effective: resolveRedactionPolicy(organization.redaction_policy)
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Update redaction policy error:', error);
+      res.status(500).json({
+        error: 'Failed to update redaction policy',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Create an API key for a server-to-server integration (the key is only shown once)
+app.post('/api/api-keys',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.APIKEYS_MANAGE),
+  async (req, res) => {
+    try {
+      const { apiKey, key } = await apiKeyService.create({
+        orgId: req.orgId,
+        createdBy: req.userId,
+        creatorRole: req.membership.role,
+        input: req.body || {}
+      });
+
+      logSecurityEvent('api_key_created', {
+        userId: req.userId,
+        orgId: req.orgId,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes
+      });
+
+      res.status(201).json({
+        ...serializeApiKey(apiKey),
+        key
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        message: error.message
+      });
+    }
+  }
+);
+
+// List the organization's API keys
+app.get('/api/api-keys',
+  authenticateUser,
+  requirePermission(PERMISSIONS.APIKEYS_MANAGE),
+  async (req, res) => {
+    try {
+      const apiKeys = await apiKeyService.list(req.orgId);
+      res.json({ apiKeys: apiKeys.map(serializeApiKey) });
+
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Revoke an API key
+app.delete('/api/api-keys/:keyId',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.APIKEYS_MANAGE),
+  async (req, res) => {
+    try {
+      const { keyId } = req.params;
+      const apiKey = await apiKeyService.revoke(req.orgId, keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: `No API key ${keyId} in this organization`
+        });
+      }
+
+      logSecurityEvent('api_key_revoked', { userId: req.userId, orgId: req.orgId, apiKeyId: keyId });
+
+      res.json(serializeApiKey(apiKey));
+
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Extraction templates: organization-defined fields, selected with templateId on /api/upload and /api/presign
+app.post('/api/templates',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  async (req, res) => {
+    try {
+      const template = await templateService.create({
+        orgId: req.orgId,
+        createdBy: req.userId,
+        input: req.body || {}
+      });
+
+      res.status(201).json(serializeTemplate(template));
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Create template error:', error);
+      res.status(500).json({
+        error: 'Failed to create template',
+        message: error.message
+      });
+    }
+  }
+);
+
+// List the organization's extraction templates
+app.get('/api/templates',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  async (req, res) => {
+    try {
+      const templates = await templateService.list(req.orgId);
+      res.json({ templates: templates.map(serializeTemplate) });
+
+    } catch (error) {
+      console.error('List templates error:', error);
+      res.status(500).json({
+        error: 'Failed to list templates',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Get one extraction template
+app.get('/api/templates/:templateId',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const template = await templateService.get(req.orgId, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: `No extraction template ${templateId} in this organization`
+        });
+      }
+
+      res.json(serializeTemplate(template));
+
+    } catch (error) {
+      console.error('Get template error:', error);
+      res.status(500).json({
+        error: 'Failed to get template',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Update an extraction template; changing its fields bumps the version
+app.patch('/api/templates/:templateId',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const template = await templateService.update(req.orgId, templateId, req.body || {});
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: `No extraction template ${templateId} in this organization`
+        });
+      }
+
+      res.json(serializeTemplate(template));
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Update template error:', error);
+      res.status(500).json({
+        error: 'Failed to update template',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Delete an extraction template (jobs already queued with it still use it)
+app.delete('/api/templates/:templateId',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const template = await templateService.remove(req.orgId, templateId);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: `No extraction template ${templateId} in this organization`
+        });
+      }
+
+      res.json({
+        id: template.id,
+        deleted: true
+      });
+
+    } catch (error) {
+      console.error('Delete template error:', error);
+      res.status(500).json({
+        error: 'Failed to delete template',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Review queue: jobs in the organization waiting for review, oldest first
+app.get('/api/reviews',
+  authenticateUser,
+  requirePermission(PERMISSIONS.EXTRACTIONS_EDIT),
+  async (req, res) => {
+    let query;
+    try {
+      query = parseReviewQueueQuery(req.query, req.userId);
+    } catch (error) {
+      return res.status(400).json(invalidQueryResponse(error));
+    }
+
+    try {
+      const { reviews, nextCursor } = await reviewService.listQueue({ userId: req.userId, orgId: req.orgId }, query);
+
+      res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.json({
+        reviews,
+        nextCursor,
+        hasMore: nextCursor !== null,
+        limit: query.limit
+      });
+
+    } catch (error) {
+      console.error('List reviews error:', error);
+      res.status(500).json({
+        error: 'Failed to list reviews',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Claim a job for review; other reviewers can't change it until the claim is released or lapses
+app.post('/api/reviews/:jobId/claim',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.EXTRACTIONS_EDIT),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const claim = await reviewService.claim(req.job, req.userId);
+      res.json({ jobId: req.job.id, claim });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('Claim review error:', error);
+      res.status(500).json({
+        error: 'Failed to claim review',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Release your claim on a job
+app.delete('/api/reviews/:jobId/claim',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.EXTRACTIONS_EDIT),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const released = await reviewService.release(req.job, req.userId);
+      res.json({ jobId: req.job.id, released });
+
+    } catch (error) {
+      console.error('Release review error:', error);
+      res.status(500).json({
+        error: 'Failed to release review',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Correct extracted fields; each submission is stored as a new extraction version
+app.post('/api/reviews/:jobId/corrections',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.EXTRACTIONS_EDIT),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      const { correction, extraction, templateFields } = await reviewService.correct(req.job, req.userId, req.body || {});
+
+      logSecurityEvent('extraction_corrected', {
+        userId: req.userId,
+        orgId: req.orgId,
+        jobId: req.job.id,
+        version: correction.version,
+        fields: correction.changes.map(change => change.field)
+      });
+
+      res.status(201).json({
+        jobId: req.job.id,
+        correction: serializeCorrection(correction),
+        extraction,
+        ...(templateFields ? { templateFields } : {})
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: error.code,
+          message: error.message,
+          ...(error.violations ? { violations: error.violations } : {})
+        });
+      }
+
+      console.error('Correct extraction error:', error);
+      res.status(500).json({
+        error: 'Failed to save corrections',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Who changed what: corrections with their diffs, and the review decision
+app.get('/api/reviews/:jobId/history',
+  authenticateUser,
+  requirePermission(PERMISSIONS.JOBS_READ),
+  requireJobOwnership(db),
+  async (req, res) => {
+    try {
+      res.json(await reviewService.history(req.job));
+
+    } catch (error) {
+      console.error('Review history error:', error);
+      res.status(500).json({
+        error: 'Failed to get review history',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Approve (the job completes with the corrected extraction) or reject (a reason is required)
+const reviewDecisionHandler = (decision) => async (req, res) => {
+  try {
+    const { comment = null, reason = null } = req.body || {};
+    const job = await reviewService.decide(req.job, req.userId, decision, decision === 'approved' ? comment : reason);
+
+    logSecurityEvent(`review_${decision}`, {
+      userId: req.userId,
+      orgId: req.orgId,
+      jobId: job.id,
+      extractionVersion: job.extraction_version
+    });
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      decision: job.review_decision,
+      reviewedBy: job.reviewedBy,
+      reviewedAt: job.reviewedAt,
+      comment: job.review_comment,
+      extractionVersion: job.extraction_version
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.code,
+        message: error.message
+      });
+    }
+    // Someone else approved, rejected or reprocessed the job first
+    if (error.code === 'INVALID_JOB_TRANSITION' || error.code === 'JOB_TRANSITION_CONFLICT') {
+      return res.status(409).json({
+        error: 'not_in_review',
+        message: error.message
+      });
+    }
+
+    console.error('Review decision error:', error);
+    res.status(500).json({
+      error: 'Failed to record review decision',
+      message: error.message
+    });
+  }
+};
+
+app.post('/api/reviews/:jobId/approve',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.REVIEWS_APPROVE),
+  requireJobOwnership(db),
+  reviewDecisionHandler('approved')
+);
+
+app.post('/api/reviews/:jobId/reject',
+  validateOrigin,
+  authenticateUser,
+  requirePermission(PERMISSIONS.REVIEWS_APPROVE),
+  requireJobOwnership(db),
+  reviewDecisionHandler('rejected')
+);
+
+// Reset a member's, an API key's or the whole organization's upload quota
+app.post('/api/quotas/reset',
+  validateOrigin,
+  authenticateUser,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { userId, apiKeyId, period = 'both' } = req.body;
+      let apiKey = null;
+
+      if (!['daily', 'monthly', 'both'].includes(period)) {
+        return res.status(400).json({
+          error: 'Invalid period',
+          message: 'period must be daily, monthly or both'
+        });
+      }
+
+      // Without a userId or apiKeyId the organization-wide counters are reset
+      if (userId) {
+        const membership = await db.getMembership(userId, req.orgId);
+        if (!membership) {
+          return res.status(404).json({
+            error: 'Member not found',
+            message: `No member ${userId} in this organization`
+          });
+        }
+      } else if (apiKeyId) {
+        apiKey = await db.getApiKey(apiKeyId);
+        if (!apiKey || apiKey.orgId !== req.orgId) {
+          return res.status(404).json({
+            error: 'API key not found',
+            message: `No API key ${apiKeyId} in this organization`
+          });
+        }
+      }
+
+      // Nobody resets their own counters, or the quota would limit nothing
+      const organization = !userId && !apiKeyId ? await db.getOrganization(req.orgId) : null;
+      const refusal = getQuotaResetRefusal({
+        callerId: req.userId,
+        userId,
+        apiKey,
+        organization,
+        callerIsMember: Boolean(organization && await db.getMembership(req.userId, req.orgId))
+      });
+      if (refusal) {
+        logSecurityEvent('quota_reset_denied', { userId: req.userId, orgId: req.orgId, targetUserId: userId || null, apiKeyId: apiKeyId || null });
+        return res.status(403).json({
+          error: 'forbidden',
+          message: refusal
+        });
+      }
+
+      let scope = 'organization';
+      let subject = quotaService.orgSubject(req.orgId);
+      if (userId) {
+        scope = 'user';
+        subject = userId;
+      } else if (apiKeyId) {
+        scope = 'api_key';
+        subject = `apikey:${apiKeyId}`;
+      }
+
+      await quotaService.resetQuota(subject, period);
+
+      logSecurityEvent('quota_reset', { userId: req.userId, orgId: req.orgId, subject, period });
+
+      res.json({
+        reset: true,
+        scope,
+        userId: userId || null,
+        apiKeyId: scope === 'api_key' ? apiKeyId : null,
+        period
+      });
+
+    } catch (error) {
+      console.error('Quota reset error:', error);
+      res.status(500).json({
+        error: 'Failed to reset quota',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Admin: list dead-lettered jobs (gave up after exhausting retries)
+app.get('/api/admin/dead-letter',
+  authenticateUser,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const { jobs, total } = await db.getJobsByStatus(JOB_STATUS.DEAD_LETTER, { limit, offset });
+
+      res.json({
+        jobs: jobs.map(job => {
+          let errorDetails = null;
+          try {
+            errorDetails = job.extraction ? JSON.parse(job.extraction) : null;
+          } catch (error) {
+            errorDetails = { error: 'Failed to parse error details' };
+          }
+
+          return {
+            jobId: job.id,
+            filename: job.filename,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            error_details: errorDetails
+          };
+        }),
+        total,
+        limit,
+        offset
+      });
+
+    } catch (error) {
+      console.error('Dead-letter list error:', error);
+      res.status(500).json({
+        error: 'Failed to list dead-letter jobs',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Admin: requeue a dead-lettered job
+app.post('/api/admin/dead-letter/:jobId/requeue',
+  authenticateUser,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = await db.getJob(jobId);
+
+      if (!job || job.status !== JOB_STATUS.DEAD_LETTER) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: `No dead-letter job found with ID: ${jobId}`
+        });
+      }
+
+      await db.transitionJob(jobId, JOB_STATUS.QUEUED, {
+        metadata: { source: 'dead-letter-requeue', requeuedBy: req.userId }
+      });
+      await enqueueJob(jobId);
+
+      logSecurityEvent('dead_letter_requeued', { jobId, userId: req.userId });
+
+      res.json({
+        message: 'Job requeued',
+        jobId,
+        status: JOB_STATUS.QUEUED
+      });
+
+    } catch (error) {
+      console.error('Dead-letter requeue error:', error);
+      res.status(500).json({
+        error: 'Failed to requeue job',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Webhook endpoint for automation
+app.post('/webhook/automation', (req, res) => {
+  try {
+    const payload = req.body;
+    
+    // Log webhook call
+    console.log('📥 Webhook received:', {
+      timestamp: new Date().toISOString(),
+      headers: req.headers,
+      body: payload
+    });
+
+    // Persist webhook data
+    db.logWebhook({
+      headers: req.headers,
+      body: payload,
+      timestamp: new Date().toISOString()
+    });
+
+    // Respond with success
+    res.json({
+      status: 'received',
+      message: 'Webhook processed successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({ 
+      error: 'Webhook processing failed',
+      message: error.message 
+    });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('Server error:', error);
+  
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'File too large',
+        message: 'File size must be less than 10MB'
+      });
+    }
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    error: 'Not found',
+    message: `Route ${req.method} ${req.originalUrl} not found`
+  });
 });
 
-process.on('SIGTERM', async () => {
+// Graceful shutdown
+async function shutdown() {
   console.log('\n🛑 Shutting down server...');
+  if (RUN_WORKER_IN_PROCESS) {
+    await stopWorker();
+  }
   await db.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start server
 async function startServer() {
@@ -612,9 +2095,24 @@ async function startServer() {
       console.log('\n📋 Available endpoints:');
       console.log(`   GET  /health`);
       console.log(`   POST /api/upload`);
+      console.log(`   GET  /api/me`);
+      console.log(`   GET  /api/jobs`);
       console.log(`   GET  /api/status/:jobId`);
+      console.log(`   POST /api/jobs/:jobId/cancel`);
+      console.log(`   DELETE /api/jobs/:jobId`);
+      console.log(`   GET/POST /api/api-keys, DELETE /api/api-keys/:keyId`);
       console.log(`   POST /webhook/automation`);
     });
+
+    // Reconcile jobs stranded in `processing` by a previous process
+    jobRecovery.recoverOrphanedJobs().catch(error => {
+      console.error('❌ Job recovery failed:', error.message);
+    });
+
+    // Jobs are processed by `npm run worker`; optionally run a worker here for local dev
+    if (RUN_WORKER_IN_PROCESS) {
+      startWorker();
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
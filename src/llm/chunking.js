@@ -0,0 +1,147 @@
+// Split long documents into overlapping chunks for map-reduce extraction
+
+// Places a chunk may end, best first. Each pattern matches just before the
+// position where the next chunk should start.
+const BREAK_PATTERNS = [
+  // Page break (pages are joined with form feeds by textExtract)
+  /\f/g,
+  // Start of a section: "ARTICLE 5", "Section 12.", "12. TERMINATION", "12.3 Governing Law", all-caps headings
+  /\n(?=(?:ARTICLE|Article|SECTION|Section|SCHEDULE|Schedule|EXHIBIT|Exhibit|ANNEX|Annex|APPENDIX|Appendix)\b|\d{1,2}(?:\.\d{1,2})*\.?\s+[A-Z]|[A-Z][A-Z0-9 &,'()-]{3,60}\n)/g,
+  // Paragraph
+  /\n\n/g,
+  // Line
+  /\n/g,
+  // Sentence
+  /[.;:!?]["')\]]?\s/g,
+  // Word
+  /\s/g
+];
+
+/**
+ * Chunking settings, from environment variables
+ * @returns {{maxChars: number, overlapChars: number, maxChunks: number}}
+ */
+function getChunkingConfig() {
+  return {
+    maxChars: parseInt(process.env.LLM_CHUNK_MAX_CHARS) || 12000,
+    overlapChars: parseInt(process.env.LLM_CHUNK_OVERLAP_CHARS) || 600,
+    maxChunks: parseInt(process.env.LLM_MAX_CHUNKS) || 12
+  };
+}
+
+/**
+ * 1-based page number of a position in the text
+ * @param {Array<number>} pageBreaks - Offsets of the form feeds in the text
+ * @param {number} position - Character offset
+ * @returns {number}
+ */
+function pageAt(pageBreaks, position) {
+  let page = 1;
+  for (const offset of pageBreaks) {
+    if (offset >= position) break;
+    page++;
+  }
+  return page;
+}
+
+/**
+ * Last position in (from, to] where a chunk may end, trying each kind of break in order
+ * @param {string} text - Document text
+ * @param {number} from - Earliest acceptable break (exclusive)
+ * @param {number} to - Latest acceptable break (inclusive)
+ * @returns {number|null}
+ */
+function findBreak(text, from, to) {
+  const window = text.slice(from, to);
+
+  for (const pattern of BREAK_PATTERNS) {
+    let last = null;
+    for (const match of window.matchAll(pattern)) {
+      last = from + match.index + match[0].length;
+    }
+    if (last !== null && last > from) {
+      return last;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Where the chunk after a break starts: `overlapChars` earlier, moved forward to
+ * the next line or sentence boundary so the overlap doesn't begin mid-word
+ * @param {string} text - Document text
+ * @param {number} breakAt - End of the previous chunk
+ * @param {number} overlapChars - Overlap wanted
+ * @returns {number}
+ */
+function overlapStart(text, breakAt, overlapChars) {
+  const target = Math.max(0, breakAt - overlapChars);
+  const window = text.slice(target, breakAt);
+  const boundary = /[\n\f]|[.;:!?]\s/.exec(window) || /\s/.exec(window);
+
+  return boundary ? target + boundary.index + boundary[0].length : target;
+}
+
+/**
+ * Split a document into chunks of at most maxChars, ending at the best available
+ * break (page, section heading, paragraph, line, sentence) in the chunk's second
+ * half. Consecutive chunks overlap so a clause cut at a break is seen whole by one
+ * of them. Past maxChunks, the first maxChunks - 1 chunks and the last one are
+ * kept (parties and dates are usually up front, governing law and signatures at
+ * the end) and the rest are dropped.
+ * @param {string} text - Document text
+ * @param {Object} [options] - Overrides for getChunkingConfig()
+ * @returns {{chunks: Array<{index: number, start: number, end: number, text: string, pageStart: number, pageEnd: number}>, totalChunks: number, droppedChunks: Array<{index: number, start: number, end: number}>}}
+ */
+function chunkText(text, options = {}) {
+  const { maxChars, overlapChars, maxChunks } = { ...getChunkingConfig(), ...options };
+  // Overlap must stay below the half-chunk minimum or chunking would stop advancing
+  const overlap = Math.min(overlapChars, Math.floor(maxChars / 4));
+  const pageBreaks = [...text.matchAll(/\f/g)].map(match => match.index);
+
+  if (text.length <= maxChars) {
+    const chunk = { index: 0, start: 0, end: text.length, text, pageStart: 1, pageEnd: pageBreaks.length + 1 };
+    return { chunks: [chunk], totalChunks: 1, droppedChunks: [] };
+  }
+
+  const all = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    if (end < text.length) {
+      end = findBreak(text, start + Math.floor(maxChars / 2), end) ?? end;
+    }
+
+    all.push({
+      index: all.length,
+      start,
+      end,
+      text: text.slice(start, end).trim(),
+      pageStart: pageAt(pageBreaks, start),
+      pageEnd: pageAt(pageBreaks, end - 1)
+    });
+
+    if (end >= text.length) break;
+    start = overlapStart(text, end, overlap);
+  }
+
+  if (all.length <= maxChunks) {
+    return { chunks: all, totalChunks: all.length, droppedChunks: [] };
+  }
+
+  const kept = maxChunks > 1
+    ? [...all.slice(0, maxChunks - 1), all[all.length - 1]]
+    : [all[0]];
+  const droppedChunks = all
+    .filter(chunk => !kept.includes(chunk))
+    .map(({ index, start: from, end: to }) => ({ index, start: from, end: to }));
+
+  return { chunks: kept, totalChunks: all.length, droppedChunks };
+}
+
+module.exports = {
+  chunkText,
+  getChunkingConfig
+};
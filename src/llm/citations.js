@@ -0,0 +1,243 @@
+// Evidence citations: locate the model's supporting quotes in the stored document text
+
+// Fields that describe the extraction rather than the document; they need no evidence
+const UNCITED_FIELDS = ['document_type', 'summary', 'confidence_score', 'notes', 'evidence'];
+
+// Longest quote compared character by character; longer quotes are matched on their start
+const MAX_FUZZY_QUOTE_CHARS = 400;
+// Anchor word sequences tried per quote, and occurrences followed per anchor
+const MAX_ANCHORS = 8;
+const MAX_ANCHOR_HITS = 20;
+
+/**
+ * Citation settings, from environment variables
+ * @returns {{minSimilarity: number, penalty: number, maxPenalty: number}}
+ */
+function getCitationConfig() {
+  const read = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+  };
+
+  return {
+    minSimilarity: read('LLM_CITATION_MIN_SIMILARITY', 0.85),
+    penalty: read('LLM_CITATION_PENALTY', 0.05),
+    maxPenalty: read('LLM_CITATION_MAX_PENALTY', 0.2)
+  };
+}
+
+/**
+ * Lowercase, straighten quotes and dashes and collapse whitespace, keeping the
+ * original position of every remaining character
+ * @param {string} text - Text to normalize
+ * @returns {{text: string, positions: Array<number>}}
+ */
+function normalizeWithPositions(text) {
+  let normalized = '';
+  const positions = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      positions.push(i - 1);
+      pendingSpace = false;
+    }
+
+    char = char.toLowerCase()
+      .replace(/[‘’‛′]/, "'")
+      .replace(/[“”‟″]/, '"')
+      .replace(/[‐-―−]/, '-');
+    normalized += char;
+    positions.push(i);
+  }
+
+  return { text: normalized, positions };
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find a quote in the document: exactly, then ignoring case and whitespace, then
+ * approximately around places where a few of its words appear verbatim
+ * @param {string} text - Document text
+ * @param {{text: string, positions: Array<number>}} normalizedText - normalizeWithPositions(text)
+ * @param {string} quote - Quote from the model
+ * @returns {{start: number, end: number, similarity: number}|null} Offsets into text
+ */
+function locateQuote(text, normalizedText, quote) {
+  const exact = text.indexOf(quote);
+  if (exact !== -1) {
+    return { start: exact, end: exact + quote.length, similarity: 1 };
+  }
+
+  const target = normalizeWithPositions(quote).text.slice(0, MAX_FUZZY_QUOTE_CHARS);
+  if (target.length === 0) {
+    return null;
+  }
+
+  const toOriginal = (from, length) => ({
+    start: normalizedText.positions[from],
+    end: normalizedText.positions[from + length - 1] + 1
+  });
+
+  const loose = normalizedText.text.indexOf(target);
+  if (loose !== -1) {
+    return { ...toOriginal(loose, target.length), similarity: 1 };
+  }
+
+  // Anchors: runs of three words spread across the quote
+  const words = target.split(' ');
+  const anchorCount = Math.min(MAX_ANCHORS, Math.max(1, words.length - 2));
+  const candidates = new Set();
+
+  for (let a = 0; a < anchorCount; a++) {
+    const wordIndex = Math.floor(a * Math.max(0, words.length - 3) / Math.max(1, anchorCount - 1));
+    const anchor = words.slice(wordIndex, wordIndex + 3).join(' ');
+    const anchorOffset = words.slice(0, wordIndex).join(' ').length + (wordIndex > 0 ? 1 : 0);
+
+    let from = 0;
+    for (let hits = 0; hits < MAX_ANCHOR_HITS; hits++) {
+      const found = normalizedText.text.indexOf(anchor, from);
+      if (found === -1) break;
+      candidates.add(Math.max(0, found - anchorOffset));
+      from = found + 1;
+    }
+  }
+
+  const similarityAt = (start, length) => {
+    const window = normalizedText.text.slice(start, start + length);
+    return window.length === 0 ? 0 : 1 - levenshtein(target, window) / Math.max(target.length, window.length);
+  };
+
+  let best = null;
+  for (const start of candidates) {
+    const similarity = similarityAt(start, target.length);
+    if (!best || similarity > best.similarity) {
+      best = { start, length: target.length, similarity };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  // Dropped or extra characters shift the end of the match; settle it on the best length
+  const slack = Math.ceil(target.length * 0.1);
+  for (let length = target.length - slack; length <= target.length + slack; length++) {
+    const similarity = similarityAt(best.start, length);
+    if (length > 0 && similarity > best.similarity) {
+      best = { start: best.start, length, similarity };
+    }
+  }
+
+  const length = Math.min(best.length, normalizedText.text.length - best.start);
+  return { ...toOriginal(best.start, length), similarity: best.similarity };
+}
+
+/**
+ * 1-based page of an offset, when the text has page breaks (form feeds)
+ * @param {string} text - Document text
+ * @param {number} offset - Character offset
+ * @returns {number|null}
+ */
+function pageOf(text, offset) {
+  if (!text.includes('\f')) {
+    return null;
+  }
+  let page = 1;
+  for (let i = text.indexOf('\f'); i !== -1 && i < offset; i = text.indexOf('\f', i + 1)) {
+    page++;
+  }
+  return page;
+}
+
+/**
+ * Fields of an extraction that should be backed by evidence: every field with a
+ * value, with objects (financial_terms, custom_fields) split into their keys
+ * @param {Object} data - Extraction
+ * @returns {Array<string>} Field paths, e.g. 'financial_terms.amount'
+ */
+function citableFields(data) {
+  const hasValue = value => value !== null && value !== undefined && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+
+  return Object.entries(data)
+    .filter(([field]) => !UNCITED_FIELDS.includes(field))
+    .flatMap(([field, value]) => (value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value).filter(([, child]) => hasValue(child)).map(([key]) => `${field}.${key}`)
+      : hasValue(value) ? [field] : []));
+}
+
+/**
+ * Verify the model's evidence against the document text
+ * @param {string} text - Document text, as stored at the job's text_path
+ * @param {Array<{field: string, quote: string}>} evidence - Quotes from the model
+ * @param {Object} data - Extraction the evidence supports
+ * @returns {{citations: Array<{field: string, quote: string, start: number|null, end: number|null, page: number|null, verified: boolean, similarity: number}>, unverifiedFields: Array<string>}}
+ */
+function verifyCitations(text, evidence, data) {
+  const { minSimilarity } = getCitationConfig();
+  const normalizedText = normalizeWithPositions(text);
+  const fields = citableFields(data);
+
+  const citations = evidence
+    // Evidence for fields that aren't in the extraction can't support anything
+    .filter(({ field }) => fields.some(path => path === field || path.startsWith(`${field}.`)))
+    .map(({ field, quote }) => {
+      const match = locateQuote(text, normalizedText, quote);
+      const verified = match !== null && match.similarity >= minSimilarity;
+
+      return {
+        field,
+        quote,
+        start: verified ? match.start : null,
+        end: verified ? match.end : null,
+        page: verified ? pageOf(text, match.start) : null,
+        verified,
+        similarity: match ? Math.round(match.similarity * 100) / 100 : 0
+      };
+    });
+
+  const unverifiedFields = fields.filter(path => !citations.some(citation =>
+    citation.verified && (citation.field === path || path.startsWith(`${citation.field}.`))
+  ));
+
+  return { citations, unverifiedFields };
+}
+
+module.exports = {
+  verifyCitations,
+  locateQuote,
+  normalizeWithPositions,
+  citableFields,
+  getCitationConfig
+};
@@ -0,0 +1,58 @@
+// Classification step: detect the document type that picks the extraction schema
+const fs = require('fs');
+const path = require('path');
+const { buildClassificationPrompt } = require('./promptBuilders');
+const { validateExtraction, formatViolations } = require('./extractionSchema');
+const { GENERIC_TYPE, classificationSchema, getDocumentType } = require('./documentTypes');
+
+/**
+ * Classification settings, from environment variables
+ * @returns {{maxChars: number, minConfidence: number}}
+ */
+function getClassifierConfig() {
+  const minConfidence = parseFloat(process.env.LLM_CLASSIFIER_MIN_CONFIDENCE);
+  return {
+    maxChars: parseInt(process.env.LLM_CLASSIFIER_MAX_CHARS) || 4000,
+    minConfidence: isNaN(minConfidence) ? 0.6 : minConfidence
+  };
+}
+
+/**
+ * Classify a document and pick its registry entry. The generic contract schema is
+ * used when the classifier answers "other", isn't confident enough, or answers
+ * something that isn't a valid classification. Provider errors are thrown.
+ * @param {Object} params
+ * @param {string} params.filename - Name of the file being classified
+ * @param {string} params.text - Document text
+ * @param {function(string, string): Promise<string>} params.callLlm - Makes one LLM call (userText, systemText) and returns the raw response
+ * @returns {Promise<{detectedType: string|null, confidence: number|null, documentType: Object, rawResponse: string}>}
+ */
+async function classifyDocument({ filename, text, callLlm }) {
+  const { maxChars, minConfidence } = getClassifierConfig();
+  const systemText = fs.readFileSync(path.join(__dirname, 'prompts', 'system_document_classifier.txt'), 'utf8').trim();
+  const rawResponse = await callLlm(buildClassificationPrompt({ filename, text, maxChars }), systemText);
+
+  let classification;
+  try {
+    classification = JSON.parse(rawResponse);
+  } catch (error) {
+    console.warn(`⚠️  Classifier returned invalid JSON, using the generic schema: ${error.message}`);
+    return { detectedType: null, confidence: null, documentType: getDocumentType(GENERIC_TYPE), rawResponse };
+  }
+
+  const violations = validateExtraction(classification, classificationSchema);
+  if (violations.length > 0) {
+    console.warn(`⚠️  Invalid classification, using the generic schema:\n${formatViolations(violations)}`);
+    return { detectedType: null, confidence: null, documentType: getDocumentType(GENERIC_TYPE), rawResponse };
+  }
+
+  const { document_type: detectedType, confidence } = classification;
+  const documentType = getDocumentType(confidence >= minConfidence ? detectedType : GENERIC_TYPE);
+
+  return { detectedType, confidence, documentType, rawResponse };
+}
+
+module.exports = {
+  classifyDocument,
+  getClassifierConfig
+};
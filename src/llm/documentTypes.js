@@ -0,0 +1,102 @@
+// Document type registry: the schema and prompt guidance used to extract each kind of document
+const { contractSchema, extendSchema } = require('./extractionSchema');
+
+// Used when the classifier finds no specific type, or isn't confident enough in one
+const GENERIC_TYPE = 'other';
+
+const DOCUMENT_TYPES = {
+  nda: {
+    label: 'non-disclosure agreement',
+    description: 'NDA or confidentiality agreement protecting information shared between parties',
+    schema: extendSchema(contractSchema, require('./schemas/nda.json')),
+    guidance: 'Set mutual to true only if both parties are bound to protect each other\'s information. ' +
+      'The confidentiality period often differs from the term of the agreement; report it separately.'
+  },
+  msa: {
+    label: 'master services agreement',
+    description: 'Framework agreement for ongoing services, usually with work ordered under statements of work',
+    schema: extendSchema(contractSchema, require('./schemas/msa.json')),
+    guidance: 'Report the liability cap as written, including any carve-outs. ' +
+      'List indemnities from both parties.'
+  },
+  sow: {
+    label: 'statement of work',
+    description: 'Statement of work, work order or project order issued under a master agreement',
+    schema: extendSchema(contractSchema, require('./schemas/sow.json')),
+    guidance: 'Name the master agreement the statement of work refers to. ' +
+      'Give each milestone with its due date; use null for dates stated relative to other events.'
+  },
+  lease: {
+    label: 'lease',
+    description: 'Lease of real estate, office or retail space',
+    schema: extendSchema(contractSchema, require('./schemas/lease.json')),
+    guidance: 'financial_terms is the base rent. Describe rent escalation as written, e.g. 3% on each anniversary.'
+  },
+  employment: {
+    label: 'employment agreement',
+    description: 'Employment contract or offer letter between an employer and an employee',
+    schema: extendSchema(contractSchema, require('./schemas/employment.json')),
+    guidance: 'The parties are the employer and the employee. Give base salary as an annual amount.'
+  },
+  invoice: {
+    label: 'invoice',
+    description: 'Invoice or bill requesting payment for goods or services',
+    schema: extendSchema(contractSchema, require('./schemas/invoice.json')),
+    guidance: 'The parties are the issuer and the customer. financial_terms.amount is the invoice total. ' +
+      'term, termination_clauses and governing_law usually do not apply; use null or [].'
+  },
+  amendment: {
+    label: 'amendment',
+    description: 'Amendment, addendum or change order modifying an existing agreement',
+    schema: extendSchema(contractSchema, require('./schemas/amendment.json')),
+    guidance: 'Extract what the amendment says, not the original agreement. ' +
+      'effective_date is when the amendment takes effect.'
+  },
+  [GENERIC_TYPE]: {
+    label: 'contract',
+    description: 'Any other contract or legal document',
+    schema: contractSchema,
+    guidance: null
+  }
+};
+
+// What the classifier must answer
+const classificationSchema = {
+  $id: 'classification/v1',
+  type: 'object',
+  additionalProperties: false,
+  required: ['document_type', 'confidence'],
+  properties: {
+    document_type: { type: 'string', enum: Object.keys(DOCUMENT_TYPES) },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+/**
+ * Registry entry for a document type, falling back to the generic contract type
+ * @param {string|null} type - Document type key, e.g. 'lease'
+ * @returns {{type: string, label: string, description: string, schema: Object, guidance: string|null}}
+ */
+function getDocumentType(type) {
+  const key = Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, type) ? type : GENERIC_TYPE;
+  return { type: key, ...DOCUMENT_TYPES[key] };
+}
+
+/**
+ * Registered extraction schema by $id, e.g. the schema_version a job was extracted with
+ * @param {string|null} schemaId - Schema $id; a custom template suffix (+template/...) is ignored
+ * @returns {Object|null} The schema, or null for unknown or retired versions
+ */
+function getSchemaById(schemaId) {
+  const baseId = String(schemaId || '').split('+')[0];
+  const entry = Object.values(DOCUMENT_TYPES).find(({ schema }) => schema.$id === baseId);
+  return entry ? entry.schema : null;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  GENERIC_TYPE,
+  classificationSchema,
+  getDocumentType,
+  getSchemaById
+};
@@ -2,37 +2,146 @@ const fs = require('fs');
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
 const { extractAndStoreText } = require('../utils/textExtract');
-const { buildUserPrompt } = require('./promptBuilders');
-const { runExtractionCall } = require('./callOpenAI');
-const { getModelConfig } = require('./openaiClient');
+const { buildUserPrompt, buildClassificationPrompt, getPromptVersion } = require('./promptBuilders');
+const { contractSchema, DATE_PATTERN, validateExtraction, formatViolations, withTemplateFields } = require('./extractionSchema');
+const { classifyDocument, getClassifierConfig } = require('./classifyDocument');
+const { verifyCitations, getCitationConfig } = require('./citations');
+const { scoreFields } = require('./fieldConfidence');
+const { resolveReviewRules, evaluateReview } = require('../services/reviewRouting');
+const { jobDataFromExtraction } = require('../services/extractionRuns');
+const { budgetExceededError, getLlmBudgetService, unpricedModelError } = require('../services/llmBudget');
+const { getProvider } = require('./providers');
+const { buildCacheKey, getResponseCache } = require('./responseCache');
+const { chunkText } = require('./chunking');
+const { mergeExtractions } = require('./mergeExtractions');
+const { redactText, rehydrate, resolveRedactionPolicy } = require('./redaction');
+const { JOB_STATUS, transitionJob } = require('../services/jobStateMachine');
+const { withRetry } = require('../utils/retry');
+const { isCancelledError, throwIfCancelled } = require('../services/jobCancellation');
 
 const prisma = new PrismaClient();
 
 /**
- * Validate and coerce extracted JSON data
+ * Coerce extracted JSON data into the shape of the extraction schema
+ * (src/llm/schemas/contract.json plus any document type fields). Schema violations are
+ * reported separately by validateExtraction; this only guarantees downstream consumers
+ * get the documented shape.
  * @param {Object} data - Raw extracted data
+ * @param {Object} [schema] - Extraction JSON Schema (defaults to the contract schema)
  * @returns {Object} Validated and coerced data
  */
-function validateAndCoerceData(data) {
+function validateAndCoerceData(data, schema = contractSchema) {
   // Ensure required fields exist
   const validated = {
-    document_type: data.document_type || null,
-    parties: Array.isArray(data.parties) ? data.parties : [],
+    document_type: coerceNullableString(data.document_type),
+    parties: coerceStringList(data.parties, ['name']),
     effective_date: coerceDate(data.effective_date),
     renewal_date: coerceDate(data.renewal_date),
     term: coerceNullableString(data.term),
-    termination_clauses: Array.isArray(data.termination_clauses) ? data.termination_clauses : [],
+    termination_clauses: coerceStringList(data.termination_clauses, ['description', 'text', 'clause']),
     governing_law: coerceNullableString(data.governing_law),
-    key_obligations: Array.isArray(data.key_obligations) ? data.key_obligations : [],
-    financial_terms: data.financial_terms || null,
+    key_obligations: coerceStringList(data.key_obligations, ['description', 'text', 'obligation']),
+    financial_terms: coerceFinancialTerms(data.financial_terms),
     summary: coerceNullableString(data.summary),
     confidence_score: coerceConfidenceScore(data.confidence_score),
     notes: coerceNullableString(data.notes),
   };
 
+  // Fields added by the document type's schema
+  for (const [field, node] of Object.entries(schema.properties)) {
+    if (!(field in validated)) {
+      validated[field] = coerceField(data[field], node);
+    }
+  }
+
   return validated;
 }
 
+/**
+ * Coerce a value to the type of its schema node
+ * @param {any} value - Value to coerce
+ * @param {Object} node - JSON Schema node
+ * @returns {any}
+ */
+function coerceField(value, node) {
+  const types = [].concat(node.type || []);
+
+  if (types.includes('array')) {
+    const items = node.items || {};
+    if (!Array.isArray(value)) return [];
+    if (![].concat(items.type).includes('object')) return coerceStringList(value, ['description', 'text', 'name']);
+    return value
+      .filter(item => item && typeof item === 'object' && !Array.isArray(item))
+      .map(item => coerceField(item, items));
+  }
+
+  if (types.includes('object')) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      if (types.includes('null')) return null;
+      value = {};
+    }
+    return Object.fromEntries(
+      Object.entries(node.properties || {}).map(([key, child]) => [key, coerceField(value[key], child)])
+    );
+  }
+
+  if (types.includes('boolean')) {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|yes)$/i.test(String(value))) return true;
+    if (/^(false|no)$/i.test(String(value))) return false;
+    return null;
+  }
+
+  if (types.includes('number') || types.includes('integer')) {
+    const number = typeof value === 'string' ? parseFloat(value.replace(/[^0-9.-]/g, '')) : value;
+    return typeof number === 'number' && isFinite(number) ? number : null;
+  }
+
+  return node.pattern === DATE_PATTERN ? coerceDate(value) : coerceNullableString(value);
+}
+
+/**
+ * Coerce a list to non-empty strings; objects contribute their first text-like key
+ * @param {any} value - List to coerce
+ * @param {Array<string>} textKeys - Object keys holding the text, e.g. ['name']
+ * @returns {Array<string>}
+ */
+function coerceStringList(value, textKeys) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map(item => {
+      if (item && typeof item === 'object') {
+        const key = textKeys.find(k => typeof item[k] === 'string');
+        return key ? item[key] : null;
+      }
+      return typeof item === 'string' || typeof item === 'number' ? String(item) : null;
+    })
+    .map(item => item && item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Coerce financial terms to { currency, amount, payment_terms } or null
+ * @param {any} value - Financial terms to coerce
+ * @returns {Object|null}
+ */
+function coerceFinancialTerms(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const currency = coerceNullableString(value.currency)?.trim().toUpperCase() || null;
+  // "$120,000.00" -> 120000
+  const amount = typeof value.amount === 'string'
+    ? parseFloat(value.amount.replace(/[^0-9.]/g, ''))
+    : value.amount;
+
+  return {
+    currency: currency && /^[A-Z]{3}$/.test(currency) ? currency : null,
+    amount: typeof amount === 'number' && isFinite(amount) && amount >= 0 ? amount : null,
+    payment_terms: coerceNullableString(value.payment_terms),
+  };
+}
+
 /**
  * Coerce date to YYYY-MM-DD format or null
  * @param {any} value - Date value to coerce
@@ -80,139 +189,575 @@ function coerceConfidenceScore(value) {
 }
 
 /**
- * Estimate cost for OpenAI API call (rough approximation)
- * @param {string} model - Model name
- * @param {number} inputTokens - Estimated input tokens
- * @param {number} outputTokens - Estimated output tokens
- * @returns {number} Estimated cost in USD
+ * @param {string} text - Raw LLM response
+ * @returns {boolean} Whether the text parses as JSON
+ */
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @returns {{inputTokens: number, outputTokens: number, cachedInputTokens: number, estimated: boolean}} An empty token counter
+ */
+function newUsage() {
+  return { inputTokens: 0, outputTokens: 0, cachedInputTokens: 0, estimated: false };
+}
+
+/**
+ * Pre-flight estimate of a document's LLM calls, counted with the local tokenizer: the
+ * classification and one extraction per chunk, each with output at the maxTokens ceiling.
+ * Corrective retries and cache hits are not accounted for.
+ * @param {Object} params
+ * @param {import('./providers/base').LlmProvider} params.provider - Provider that will be called
+ * @param {string} params.filename - Uploaded filename
+ * @param {string} params.text - Document text
+ * @param {string} params.systemText - Extraction system prompt
+ * @param {Array<Object>} params.chunks - Chunks to extract (see chunkText)
+ * @param {number} params.totalChunks - Chunks in the document
+ * @returns {{calls: number, inputTokens: number, outputTokens: number, costUsd: number}}
+ */
+function estimateDocumentCost({ provider, filename, text, systemText, chunks, totalChunks }) {
+  const classifierSystemText = fs.readFileSync(path.join(__dirname, 'prompts', 'system_document_classifier.txt'), 'utf8').trim();
+  const calls = [
+    { systemText: classifierSystemText, userText: buildClassificationPrompt({ filename, text, maxChars: getClassifierConfig().maxChars }) },
+    ...chunks.map(chunk => ({
+      systemText,
+      userText: buildUserPrompt({
+        filename,
+        text: chunk.text,
+        maxChars: chunk.text.length,
+        part: totalChunks > 1 ? { index: chunk.index, total: totalChunks, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd } : null
+      })
+    }))
+  ];
+
+  return calls
+    .map(call => provider.estimateCallCost(call))
+    .reduce((total, estimate) => ({
+      calls: total.calls + 1,
+      inputTokens: total.inputTokens + estimate.inputTokens,
+      outputTokens: total.outputTokens + estimate.outputTokens,
+      costUsd: total.costUsd + estimate.cost
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+}
+
+/**
+ * Extract structured data from a document's text: classify it, call the LLM per chunk,
+ * merge, verify citations, score fields and apply review rules. Nothing is persisted,
+ * so the offline evaluation (src/eval) runs exactly what jobs run.
+ * @param {Object} params
+ * @param {string} params.jobId - Job ID, for logs and cancellation
+ * @param {string} params.filename - Uploaded filename, shown to the model
+ * @param {string} params.text - Plain text of the document (see extractPlainText)
+ * @param {import('./providers/base').LlmProvider} [params.provider] - Defaults to LLM_PROVIDER's
+ * @param {Object} [params.template] - Custom extraction template whose fields are extracted under custom_fields
+ * @param {Object} [params.reviewRules] - The organization's review rules (Organization.review_rules)
+ * @param {AbortSignal} [params.signal] - Aborts the in-flight LLM call when the job is cancelled
+ * @param {Function} [params.onValidating] - Called once the LLM calls are done, before merging
+ * @param {import('./responseCache').LlmResponseCache} [params.cache] - Response cache; none by default
+ * @param {boolean} [params.bypassCache] - Call the provider even on a cache hit (the fresh answer is still cached)
+ * @param {Function} [params.onPreflight] - Called with the pre-flight estimate before the first LLM call; throw to stop
+ * @param {Object} [params.usage] - Token counter every call adds to (cached answers cost nothing; estimated is set
+ *   when a provider didn't report usage and the tokens were counted locally). Pass one to know what a failed run spent.
+ * @param {Object} [params.redactionPolicy] - The organization's PII redaction policy (Organization.redaction_policy)
+ * @returns {Promise<Object>} Extraction, scores, usage and raw responses
  */
-function estimateCallCost(model, inputTokens, outputTokens) {
-  // Rough pricing for gpt-4o-mini (as of 2024)
-  const inputCostPer1k = 0.00015; // $0.15 per 1K input tokens
-  const outputCostPer1k = 0.0006; // $0.60 per 1K output tokens
+async function extractDocument({ jobId, filename, text, provider = getProvider(), template = null, reviewRules = null, signal, onValidating = async () => {}, cache = null, bypassCache = false, onPreflight = async () => {}, usage = newUsage(), redactionPolicy = null }) {
+  // Step 2: Read system prompt
+  console.log('📋 Loading system prompt...');
+  const systemPromptPath = path.join(__dirname, 'prompts', 'system_contracts_analyst.txt');
+  const systemText = fs.readFileSync(systemPromptPath, 'utf8').trim();
+  
+  // Step 2b: Replace personal data with placeholders before the text leaves the server. Local models
+  // get the text as is. The placeholder map stays in this function: only the counts are returned.
+  const policy = resolveRedactionPolicy(redactionPolicy);
+  const redaction = policy.enabled && policy.categories.length > 0 && provider.capabilities.external
+    ? redactText(text, policy.categories)
+    : null;
+  const promptText = redaction ? redaction.text : text;
+  if (redaction) {
+    const redacted = Object.entries(redaction.counts).map(([category, count]) => `${category}=${count}`).join(', ');
+    console.log(`🕶️  Redacted PII before calling ${provider.name}: ${redacted || 'none found'}`);
+  }
+  
+  // Step 3: Split long documents into chunks (one chunk when it fits in a single prompt)
+  const { chunks, totalChunks, droppedChunks } = chunkText(promptText);
+  if (totalChunks > 1) {
+    console.log(`✂️  Document is ${promptText.length} chars: extracting ${chunks.length} of ${totalChunks} chunks`);
+  }
+  
+  // Step 3b: Pre-flight estimate; the budget check can stop the job here, before anything is spent
+  const preflight = estimateDocumentCost({ provider, filename, text: promptText, systemText, chunks, totalChunks });
+  console.log(`💲 Pre-flight estimate: up to $${preflight.costUsd.toFixed(4)} for ${preflight.calls} LLM calls (${preflight.inputTokens} input tokens)`);
+  await onPreflight(preflight);
+  
+  // Step 4: Make LLM calls - transient provider errors (timeouts, 429, 5xx) are retried with backoff
+  console.log(`🤖 Calling ${provider.name} (${provider.model})...`);
+  const useCache = Boolean(cache && cache.isEnabledFor(provider));
+  const cacheStats = useCache ? { hits: 0, misses: 0, bypassed: bypassCache, savedCost: 0 } : null;
+  const callLlm = async (text, system = systemText, schemaVersion = null) => {
+    const cacheKey = useCache
+      ? buildCacheKey({ systemText: system, userText: text, schemaVersion, modelConfig: provider.getModelConfig() })
+      : null;
+    const cached = useCache && !bypassCache ? await cache.get(cacheKey) : null;
+    if (cached) {
+      cacheStats.hits++;
+      cacheStats.savedCost += provider.estimateCost(cached.usage?.inputTokens ?? 0, cached.usage?.outputTokens ?? 0, cached.usage?.cachedInputTokens ?? 0);
+      return cached.text;
+    }
+
+    const response = await withRetry('llm', () => provider.generateJson({
+      systemText: system,
+      userText: text,
+      signal
+    }), { label: `LLM call for job ${jobId}`, signal });
+
+    // Providers that don't report usage are counted locally
+    const callUsage = response.usage
+      ? { inputTokens: response.usage.inputTokens, outputTokens: response.usage.outputTokens, cachedInputTokens: response.usage.cachedInputTokens ?? 0 }
+      : { inputTokens: provider.countTokens(system) + provider.countTokens(text), outputTokens: provider.countTokens(response.text), cachedInputTokens: 0 };
+    usage.inputTokens += callUsage.inputTokens;
+    usage.outputTokens += callUsage.outputTokens;
+    usage.cachedInputTokens += callUsage.cachedInputTokens;
+    usage.estimated = usage.estimated || !response.usage;
+
+    if (useCache) {
+      cacheStats.misses++;
+      // Answers that aren't JSON are retried with another prompt; caching them would only replay the failure
+      if (isJson(response.text)) {
+        await cache.set(cacheKey, { text: response.text, usage: callUsage });
+      }
+    }
+    return response.text;
+  };
+
+  const parseResponse = (rawResponse) => {
+    try {
+      return JSON.parse(rawResponse);
+    } catch (parseError) {
+      const error = new Error(`Failed to parse JSON after retry: ${parseError.message}`);
+      error.code = 'LLM_INVALID_JSON';
+      error.rawResponse = rawResponse;
+      throw error;
+    }
+  };
+
+  const extractChunk = async (userText) => {
+    let rawResponse = await callLlm(userText, systemText, schema.$id);
+    let parsedData;
+    
+    try {
+      parsedData = JSON.parse(rawResponse);
+    } catch (parseError) {
+      console.log('⚠️  Invalid JSON response, retrying with corrective prompt...');
+      
+      // Step 5: Retry once with corrective preface
+      const correctiveUserText = `Previous output invalid. Return ONLY valid JSON per schema.\n\n${userText}`;
+      rawResponse = await callLlm(correctiveUserText, systemText, schema.$id);
+      parsedData = parseResponse(rawResponse);
+    }
+
+    let violations = validateExtraction(parsedData, schema);
+    if (violations.length > 0) {
+      // Step 5b: Retry once, telling the model exactly which fields were wrong
+      console.log(`⚠️  Response violates the extraction schema (${violations.length} errors), retrying with corrections...`);
+      const correctiveUserText = `${userText}\n\nYOUR PREVIOUS RESPONSE:\n${rawResponse}\n\n` +
+        `It violated the schema:\n${formatViolations(violations)}\n\nReturn the corrected JSON object only.`;
+
+      try {
+        const retryResponse = await callLlm(correctiveUserText, systemText, schema.$id);
+        const retryData = parseResponse(retryResponse);
+        const retryViolations = validateExtraction(retryData, schema);
+
+        // Keep whichever answer is closer to the schema
+        if (retryViolations.length <= violations.length) {
+          rawResponse = retryResponse;
+          parsedData = retryData;
+          violations = retryViolations;
+        }
+      } catch (error) {
+        if (error.code !== 'LLM_INVALID_JSON') {
+          throw error;
+        }
+      }
+    }
+
+    return { rawResponse, parsedData, violations };
+  };
+
+  // Step 4b: Classify the document to pick its extraction schema and prompt guidance
+  throwIfCancelled(jobId, signal);
+  const classification = await classifyDocument({ filename, text: promptText, callLlm });
+  // A custom template adds its fields to whichever schema the document type uses
+  const documentType = template
+    ? { ...classification.documentType, schema: withTemplateFields(classification.documentType.schema, template) }
+    : classification.documentType;
+  const { schema } = documentType;
+  console.log(`🏷️  Classified as ${classification.detectedType ?? 'unknown'} (confidence ${classification.confidence ?? 'n/a'}), extracting with ${schema.$id}`);
+
+  // Map: extract each chunk. A chunk the model can't answer in JSON is dropped;
+  // provider errors fail the job so the queue can retry it.
+  const results = [];
+  const chunkResponses = [];
+  const failedChunks = [];
+  const schemaViolations = [];
+
+  for (const chunk of chunks) {
+    throwIfCancelled(jobId, signal);
+
+    const userText = buildUserPrompt({
+      filename,
+      text: chunk.text,
+      maxChars: chunk.text.length,
+      documentType,
+      part: totalChunks > 1 ? { index: chunk.index, total: totalChunks, pageStart: chunk.pageStart, pageEnd: chunk.pageEnd } : null
+    });
+
+    try {
+      const { rawResponse, parsedData, violations } = await extractChunk(userText);
+      if (violations.length > 0) {
+        console.warn(`⚠️  Schema violations remain for job ${jobId}:\n${formatViolations(violations)}`);
+        schemaViolations.push(...violations.map(violation =>
+          totalChunks > 1 ? { ...violation, chunk: chunk.index } : violation
+        ));
+      }
+      results.push({ chunk, data: validateAndCoerceData(parsedData, schema) });
+      chunkResponses.push({ index: chunk.index, pages: [chunk.pageStart, chunk.pageEnd], raw: rawResponse });
+    } catch (error) {
+      if (error.code !== 'LLM_INVALID_JSON' || chunks.length === 1) {
+        throw error;
+      }
+      console.warn(`⚠️  Dropping chunk ${chunk.index + 1}/${totalChunks} of job ${jobId}: ${error.message}`);
+      failedChunks.push({ index: chunk.index, start: chunk.start, end: chunk.end, reason: error.message });
+      chunkResponses.push({ index: chunk.index, pages: [chunk.pageStart, chunk.pageEnd], raw: error.rawResponse, error: error.message });
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error(`No chunk of the document could be extracted (${failedChunks.length} failed)`);
+  }
   
-  const inputCost = (inputTokens / 1000) * inputCostPer1k;
-  const outputCost = (outputTokens / 1000) * outputCostPer1k;
+  // Step 6: Validate and merge (reduce) the chunk results
+  console.log('✅ Validating and coercing extracted data...');
+  await onValidating();
+  const merged = results.length === 1
+    ? { data: results[0].data, conflicts: [] }
+    : mergeExtractions(results);
+  // Put the redacted values back, so values and evidence quotes match the stored text again
+  const { data: mergedData, conflicts } = redaction ? rehydrate(merged, redaction.map) : merged;
+  // Template fields are stored apart from the standard extraction, and evidence as citations
+  const { custom_fields: templateFields = null, evidence = [], ...validatedData } = mergedData;
+  
+  // Step 6b: Locate the evidence in the stored text; values without verifiable evidence cost confidence
+  const { citations, unverifiedFields } = verifyCitations(
+    text,
+    evidence.filter(item => item.field && item.quote),
+    templateFields ? { ...validatedData, custom_fields: templateFields } : validatedData
+  );
+  if (unverifiedFields.length > 0) {
+    const { penalty, maxPenalty } = getCitationConfig();
+    validatedData.confidence_score = Math.max(0, validatedData.confidence_score - Math.min(maxPenalty, penalty * unverifiedFields.length));
+    validatedData.notes = [validatedData.notes, `No verifiable evidence for: ${unverifiedFields.join(', ')}`].filter(Boolean).join(' ');
+  }
+  const chunksDropped = droppedChunks.length + failedChunks.length;
   
-  return inputCost + outputCost;
+  // Step 7: Score each field and apply the organization's review rules - a partially read
+  // document always gets a human look, otherwise only fields that fall short do
+  const confidenceScore = validatedData.confidence_score;
+  const extractedFields = templateFields ? { ...validatedData, custom_fields: templateFields } : validatedData;
+  const { fields: fieldConfidence, inconsistencies } = scoreFields({
+    data: extractedFields,
+    evidence,
+    citations,
+    schemaViolations
+  });
+  const { requiresReview, reasons: reviewReasons } = evaluateReview({
+    data: extractedFields,
+    fieldScores: fieldConfidence,
+    rules: resolveReviewRules(reviewRules),
+    schemaViolations,
+    chunksDropped
+  });
+  
+  // Step 8: Price the tokens used with the model's price table (see pricing.js)
+  const costUsd = provider.estimateCost(usage.inputTokens, usage.outputTokens, usage.cachedInputTokens);
+  
+  const rawResponses = totalChunks === 1
+    ? { raw: chunkResponses[0].raw, classification: classification.rawResponse }
+    : {
+      classification: classification.rawResponse,
+      chunks: chunkResponses,
+      conflicts,
+      dropped: [
+        ...droppedChunks.map(chunk => ({ ...chunk, reason: 'over LLM_MAX_CHUNKS' })),
+        ...failedChunks
+      ]
+    };
+
+  return {
+    extraction: validatedData,
+    templateFields,
+    citations,
+    unverifiedFields,
+    fieldConfidence,
+    inconsistencies,
+    requiresReview,
+    reviewReasons,
+    confidenceScore,
+    classification,
+    schemaVersion: schema.$id,
+    promptVersion: getPromptVersion(systemText, documentType),
+    usage,
+    costUsd,
+    cache: cacheStats && { ...cacheStats, savedCost: Number(cacheStats.savedCost.toFixed(6)) },
+    chunkCount: results.length,
+    totalChunks,
+    chunksDropped,
+    conflicts,
+    schemaViolations,
+    rawResponses,
+    preflight,
+    redaction: redaction && { categories: policy.categories, counts: redaction.counts }
+  };
 }
 
 /**
  * Run LLM extraction for a job
  * @param {string} jobId - Job ID
- * @param {Object} fileMeta - File metadata { filename, mime, filePath }
+ * @param {Object} fileMeta - File metadata { filename, mime, filePath, text }; with text (already
+ *   extracted by the worker), filePath is the stored text file and the file isn't extracted again
+ * @param {Object} options - Options
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight LLM call when the job is cancelled
+ * @param {Object} [options.template] - Custom extraction template whose fields are extracted under custom_fields
+ * @param {Object} [options.reviewRules] - The organization's review rules (Organization.review_rules)
+ * @param {import('./providers/base').LlmProvider} [options.provider] - Provider to use instead of LLM_PROVIDER's (reprocessing with another model)
+ * @param {Object} [options.run] - Recorded on the Extraction: { source: 'upload' | 'reprocess', requestedBy }; pin: true pins the new run
+ * @param {boolean} [options.bypassCache] - Call the provider even when the response cache has the answer
+ * @param {Object} [options.budget] - LLM budgets to reserve the pre-flight estimate on: { userId, orgId, budgets: Organization.llm_budgets }
+ * @param {Object} [options.redactionPolicy] - The organization's PII redaction policy (Organization.redaction_policy)
  * @returns {Promise<Object>} Extracted and validated data
  */
-async function runLlmForJob(jobId, fileMeta) {
-  const { filename, mime, filePath } = fileMeta;
+async function runLlmForJob(jobId, fileMeta, { signal, template = null, reviewRules = null, provider = getProvider(), run = {}, bypassCache = false, budget = null, redactionPolicy = null } = {}) {
+  const { filename, mime, filePath, text } = fileMeta;
+  // Tokens this run spends, known even when it fails halfway
+  const usage = newUsage();
+  // The budget reservation made from the pre-flight estimate, replaced by the real cost once the run ends
+  const llmBudget = getLlmBudgetService();
+  let reservation = null;
+  const settleBudget = async (costUsd) => {
+    if (!reservation) return null;
+    const charged = { costUsd: Number(costUsd.toFixed(6)), tokens: usage.inputTokens + usage.outputTokens };
+    const { hold, ...summary } = reservation;
+    reservation = null;
+    await llmBudget.settle(hold, charged);
+    return { ...summary, charged };
+  };
   
   try {
     console.log(`🚀 Starting LLM extraction for job ${jobId}: ${filename}`);
     
-    // Step 1: Extract plain text and store
-    console.log('📄 Extracting text from file...');
-    const textResult = await extractAndStoreText(filePath, mime, jobId);
-    const textPath = textResult.tempPath;
-    
-    // Step 2: Read system prompt
-    console.log('📋 Loading system prompt...');
-    const systemPromptPath = path.join(__dirname, 'prompts', 'system_contracts_analyst.txt');
-    const systemText = fs.readFileSync(systemPromptPath, 'utf8').trim();
+    // Step 1: Extract plain text and store, unless the worker already did
+    let textResult;
+    if (typeof text === 'string') {
+      textResult = { text, textPath: filePath };
+    } else {
+      console.log('📄 Extracting text from file...');
+      textResult = await extractAndStoreText(filePath, mime, jobId);
+    }
+    const textPath = textResult.textPath;
     
-    // Step 3: Build user prompt
-    console.log('🔨 Building user prompt...');
-    const userText = buildUserPrompt({
+    // Steps 2-8: classify, extract, verify and score
+    const {
+      extraction: validatedData,
+      templateFields,
+      citations,
+      unverifiedFields,
+      fieldConfidence,
+      inconsistencies,
+      requiresReview,
+      reviewReasons,
+      confidenceScore,
+      classification,
+      schemaVersion,
+      promptVersion,
+      costUsd,
+      cache: cacheStats,
+      chunkCount,
+      totalChunks,
+      chunksDropped,
+      conflicts,
+      schemaViolations,
+      rawResponses,
+      redaction
+    } = await extractDocument({
+      jobId,
       filename,
       text: textResult.text,
-      maxChars: 12000
-    });
-    
-    // Step 4: Make LLM call with retry logic
-    console.log('🤖 Calling OpenAI API...');
-    let rawResponse;
-    let parsedData;
-    let retryAttempted = false;
-    
-    try {
-      rawResponse = await runExtractionCall({
-        systemText,
-        userText
-      });
-      
-      // Try to parse JSON
-      parsedData = JSON.parse(rawResponse);
-      
-    } catch (parseError) {
-      if (!retryAttempted) {
-        console.log('⚠️  Invalid JSON response, retrying with corrective prompt...');
-        retryAttempted = true;
-        
-        // Step 5: Retry with corrective preface
-        const correctiveUserText = `Previous output invalid. Return ONLY valid JSON per schema.\n\n${userText}`;
-        
-        rawResponse = await runExtractionCall({
-          systemText,
-          userText: correctiveUserText
-        });
-        
-        parsedData = JSON.parse(rawResponse);
-      } else {
-        throw new Error(`Failed to parse JSON after retry: ${parseError.message}`);
+      provider,
+      template,
+      reviewRules,
+      signal,
+      onValidating: () => transitionJob(prisma, jobId, JOB_STATUS.VALIDATING),
+      cache: getResponseCache(),
+      bypassCache,
+      usage,
+      redactionPolicy,
+      onPreflight: async (estimate) => {
+        if (!budget || !llmBudget.enabled) return;
+        // Models missing from the price table cost $0 on paper, which budgets can't limit
+        if (provider.capabilities.external && !provider.getPricing()) {
+          throw unpricedModelError(provider);
+        }
+
+        const result = await llmBudget.reserve({ ...budget, estimate });
+        if (!result.allowed) {
+          const { hold, ...summary } = result;
+          await prisma.job.update({ where: { id: jobId }, data: { llm_budget: summary } });
+          throw budgetExceededError(result);
+        }
+        result.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+        reservation = result;
       }
-    }
-    
-    // Step 6: Validate and coerce data
-    console.log('✅ Validating and coercing extracted data...');
-    const validatedData = validateAndCoerceData(parsedData);
-    
-    // Step 7: Calculate confidence and review requirement
-    const confidenceScore = validatedData.confidence_score;
-    const requiresReview = confidenceScore < 0.65;
-    
-    // Step 8: Get model config for persistence
-    const modelConfig = getModelConfig();
-    
-    // Estimate cost (rough approximation)
-    const estimatedInputTokens = Math.ceil(userText.length / 4); // ~4 chars per token
-    const estimatedOutputTokens = Math.ceil(rawResponse.length / 4);
-    const estimatedCost = estimateCallCost(modelConfig.model, estimatedInputTokens, estimatedOutputTokens);
+    });
+    const budgetSummary = await settleBudget(costUsd);
     
-    // Step 9: Persist to database via Prisma
+    // Step 9: Persist to database via Prisma - every run is kept as an Extraction
     console.log('💾 Persisting results to database...');
-    const updatedJob = await prisma.job.update({
-      where: { id: jobId },
+    const { _max: { version: lastVersion } } = await prisma.extraction.aggregate({
+      where: { jobId },
+      _max: { version: true },
+    });
+    const extraction = await prisma.extraction.create({
       data: {
+        jobId,
+        version: (lastVersion ?? 0) + 1,
+        source: run.source || 'upload',
+        requestedBy: run.requestedBy ?? null,
+        prompt_version: promptVersion,
         extraction_json: validatedData,
+        document_type: classification.detectedType,
+        document_type_confidence: classification.confidence,
         confidence_score: confidenceScore,
         requires_review: requiresReview,
-        llm_provider: 'openai',
-        llm_model: modelConfig.model,
-        llm_raw_response: { raw: rawResponse },
-        last_call_cost_estimate: estimatedCost,
-        status: 'completed',
+        llm_provider: provider.name,
+        llm_model: provider.model,
+        llm_raw_response: rawResponses,
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        cached_input_tokens: usage.cachedInputTokens,
+        usage_estimated: usage.estimated,
+        cost_usd: costUsd,
+        llm_cache: cacheStats,
+        redaction,
+        chunk_count: chunkCount,
+        chunks_dropped: chunksDropped,
+        schema_version: schemaVersion,
+        schema_violations: schemaViolations.length > 0 ? schemaViolations : null,
+        templateId: template?.id ?? null,
+        template_version: template?.version ?? null,
+        template_fields: templateFields,
+        citations,
+        field_confidence: fieldConfidence,
+        review_reasons: reviewReasons,
+      },
+    });
+
+    // A pinned run stays current: the new run is only recorded, and the job keeps the pinned run's outcome,
+    // unless the reprocess request asked to pin the new run instead
+    const job = await prisma.job.findUnique({ where: { id: jobId } });
+    const pinned = !run.pin && job.extraction_pinned && job.current_extraction_version !== null
+      ? await prisma.extraction.findUnique({ where: { jobId_version: { jobId, version: job.current_extraction_version } } })
+      : null;
+    const current = pinned || extraction;
+    const finalStatus = current.requires_review ? JOB_STATUS.NEEDS_REVIEW : JOB_STATUS.COMPLETED;
+
+    await transitionJob(prisma, jobId, finalStatus, {
+      metadata: { confidenceScore, unverifiedFields: unverifiedFields.length, reviewReasons: reviewReasons.length, inconsistencies: inconsistencies.length, documentType: classification.detectedType, chunkCount, chunksDropped, schemaViolations: schemaViolations.length, ...(cacheStats ? { cacheHits: cacheStats.hits, cacheMisses: cacheStats.misses } : {}), extractionVersion: extraction.version, ...(pinned ? { pinnedVersion: pinned.version } : {}) },
+      data: {
+        ...jobDataFromExtraction(current),
+        ...(run.pin ? { extraction_pinned: true } : {}),
+        // The job's totals are what its runs have spent, whichever run is current; once a run
+        // was counted locally, the totals stay flagged as estimated
+        input_tokens: { increment: usage.inputTokens },
+        output_tokens: { increment: usage.outputTokens },
+        cached_input_tokens: { increment: usage.cachedInputTokens },
+        cost_usd: { increment: costUsd },
+        ...(usage.estimated ? { usage_estimated: true } : {}),
+        ...(budgetSummary ? { llm_budget: budgetSummary } : {}),
         text_path: textPath,
       },
     });
     
-    console.log(`✅ Job ${jobId} completed successfully`);
+    console.log(`✅ Job ${jobId} completed successfully (extraction v${extraction.version}${pinned ? `, v${pinned.version} stays pinned` : ''})`);
     console.log(`📊 Confidence: ${confidenceScore}, Review required: ${requiresReview}`);
-    console.log(`💰 Estimated cost: $${estimatedCost.toFixed(4)}`);
+    if (requiresReview) {
+      console.log(`🔎 Review triggered by: ${reviewReasons.map(reason => reason.field ? `${reason.field} (${reason.reason})` : reason.reason).join(', ')}`);
+    }
+    if (totalChunks > 1) {
+      console.log(`✂️  Chunks extracted: ${chunkCount}/${totalChunks}, dropped: ${chunksDropped}, conflicting fields: ${conflicts.length}`);
+    }
+    console.log(`💰 Cost: $${costUsd.toFixed(6)} (${usage.inputTokens} input tokens, ${usage.cachedInputTokens} prompt-cached, ${usage.outputTokens} output${usage.estimated ? ', counted locally' : ''})`);
+    if (cacheStats) {
+      console.log(`🗃️  LLM cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses${cacheStats.bypassed ? ' (bypassed)' : ''}, saved $${cacheStats.savedCost.toFixed(4)}`);
+    }
     
     return {
+      status: finalStatus,
+      extractionVersion: extraction.version,
       extraction: validatedData,
+      templateFields,
+      citations,
+      fieldConfidence,
+      reviewReasons,
+      documentType: classification.detectedType,
       confidenceScore: confidenceScore,
-      estimatedCost: estimatedCost
+      usage,
+      costUsd,
+      cache: cacheStats,
+      chunkCount,
+      chunksDropped,
+      schemaViolations
     };
     
   } catch (error) {
+    // Calls made before the run stopped were still paid for
+    const spentUsd = provider.estimateCost(usage.inputTokens, usage.outputTokens, usage.cachedInputTokens);
+    // A settle failure must not replace the error that stopped the run
+    let budgetSummary = null;
+    try {
+      budgetSummary = await settleBudget(spentUsd);
+    } catch (settleError) {
+      console.error(`Failed to settle LLM budget for job ${jobId}:`, settleError.message);
+    }
+    const spend = {
+      input_tokens: { increment: usage.inputTokens },
+      output_tokens: { increment: usage.outputTokens },
+      cached_input_tokens: { increment: usage.cachedInputTokens },
+      cost_usd: { increment: spentUsd },
+      ...(usage.estimated ? { usage_estimated: true } : {}),
+      ...(budgetSummary ? { llm_budget: budgetSummary } : {}),
+    };
+
+    if (isCancelledError(error) || signal?.aborted) {
+      if (usage.inputTokens > 0 || budgetSummary) {
+        await prisma.job.update({ where: { id: jobId }, data: spend });
+      }
+      throw error;
+    }
+
     console.error(`❌ LLM extraction failed for job ${jobId}:`, error.message);
     
-    // Update job status to failed
+    // Keep the provider error; the caller moves the job to failed
     await prisma.job.update({
       where: { id: jobId },
       data: {
-        status: 'failed',
         llm_raw_response: { error: error.message },
+        ...spend,
       },
     });
     
@@ -222,6 +767,7 @@ async function runLlmForJob(jobId, fileMeta) {
 
 module.exports = {
   runLlmForJob,
+  extractDocument,
   validateAndCoerceData,
   coerceDate,
   coerceNullableString,
@@ -0,0 +1,189 @@
+// The extraction contract: one JSON Schema drives both the prompt and response validation
+const Ajv = require('ajv');
+const contractSchema = require('./schemas/contract.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map(); // $id -> compiled validator
+
+// Date fields in every extraction schema are YYYY-MM-DD
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+/**
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Compiled Ajv validator, cached by $id
+ */
+function getValidator(schema) {
+  if (!validators.has(schema.$id)) {
+    validators.set(schema.$id, ajv.compile(schema));
+  }
+  return validators.get(schema.$id);
+}
+
+/**
+ * Validate an extraction against a schema
+ * @param {any} data - Parsed LLM response
+ * @param {Object} [schema] - JSON Schema (defaults to the contract schema)
+ * @returns {Array<{path: string, message: string}>} Violations; empty when valid
+ */
+function validateExtraction(data, schema = contractSchema) {
+  const validate = getValidator(schema);
+  if (validate(data)) {
+    return [];
+  }
+
+  return validate.errors.map(error => {
+    let path = error.instancePath || '/';
+    let message = error.message;
+
+    // Name the offending key, which Ajv reports as a param rather than in the path
+    if (error.keyword === 'additionalProperties') {
+      path = `${error.instancePath}/${error.params.additionalProperty}`;
+      message = 'is not allowed';
+    } else if (error.keyword === 'required') {
+      path = `${error.instancePath}/${error.params.missingProperty}`;
+      message = 'is required';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.map(String).join(', ')}`;
+    } else if (error.keyword === 'type') {
+      message = `must be ${String(error.params.type).split(',').join(' or ')}`;
+    }
+
+    return { path, message };
+  });
+}
+
+/**
+ * One line per violation, for logs and the corrective prompt
+ * @param {Array<{path: string, message: string}>} violations
+ * @returns {string}
+ */
+function formatViolations(violations) {
+  return violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n');
+}
+
+/**
+ * Describe a schema node as the placeholder shown in the prompt's JSON skeleton
+ * @param {Object} node - JSON Schema node
+ * @returns {any}
+ */
+function renderNode(node) {
+  const types = [].concat(node.type || []);
+  const nullable = types.includes('null') ? ' or null' : '';
+
+  if (types.includes('object') && node.properties) {
+    return Object.fromEntries(
+      Object.entries(node.properties).map(([key, child]) => [key, renderNode(child)])
+    );
+  }
+
+  if (types.includes('array')) {
+    return [renderNode(node.items || {})];
+  }
+
+  if (types.includes('boolean')) {
+    return `${node.description} (true or false${nullable})`;
+  }
+
+  if (types.includes('number') || types.includes('integer')) {
+    const range = node.minimum !== undefined && node.maximum !== undefined
+      ? ` between ${node.minimum} and ${node.maximum}`
+      : '';
+    return `${node.description} (number${range}${nullable})`;
+  }
+
+  if (node.enum) {
+    const values = node.enum.filter(value => value !== null);
+    return `${node.description} (one of: ${values.join(', ')}${nullable})`;
+  }
+
+  return `${node.description} (string${nullable})`;
+}
+
+/**
+ * Add a document type's fields to a base schema. Extensions (src/llm/schemas/<type>.json)
+ * hold only `$id`, `title`, `properties` and `required`.
+ * @param {Object} base - Base JSON Schema, e.g. the contract schema
+ * @param {Object} extension - Type-specific fields
+ * @returns {Object} Combined JSON Schema
+ */
+function extendSchema(base, extension) {
+  return {
+    ...base,
+    $id: extension.$id,
+    title: extension.title,
+    required: [...base.required, ...(extension.required || [])],
+    properties: { ...base.properties, ...extension.properties }
+  };
+}
+
+/**
+ * JSON Schema node for one field of a custom extraction template
+ * @param {{type: string, description: string, required?: boolean, enum?: Array<string>}} field - Template field
+ * @returns {Object}
+ */
+function templateFieldNode(field) {
+  const nullable = type => (field.required ? type : [type, 'null']);
+  const withEnum = node => (field.enum ? { ...node, enum: field.required ? field.enum : [...field.enum, null] } : node);
+
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+    case 'boolean':
+      return { type: nullable(field.type), description: field.description };
+    case 'date':
+      return { type: nullable('string'), pattern: DATE_PATTERN, description: `${field.description}, YYYY-MM-DD` };
+    case 'list':
+      return {
+        type: 'array',
+        ...(field.required ? { minItems: 1 } : {}),
+        description: field.description,
+        items: { type: 'string', minLength: 1, description: field.description, ...(field.enum ? { enum: field.enum } : {}) }
+      };
+    default:
+      return withEnum({ type: nullable('string'), description: field.description });
+  }
+}
+
+/**
+ * Add a custom extraction template's fields to a schema, under `custom_fields`
+ * @param {Object} schema - Extraction JSON Schema
+ * @param {{id: string, name: string, version: number, fields: Array<Object>}} template - ExtractionTemplate record
+ * @returns {Object} Combined JSON Schema, with an $id naming the template version
+ */
+function withTemplateFields(schema, template) {
+  return {
+    ...schema,
+    $id: `${schema.$id}+template/${template.id}/v${template.version}`,
+    required: [...schema.required, 'custom_fields'],
+    properties: {
+      ...schema.properties,
+      custom_fields: {
+        type: 'object',
+        description: `Fields defined by the "${template.name}" template`,
+        additionalProperties: false,
+        required: template.fields.map(field => field.name),
+        properties: Object.fromEntries(template.fields.map(field => [field.name, templateFieldNode(field)]))
+      }
+    }
+  };
+}
+
+/**
+ * The JSON skeleton shown to the model: every field with its description and type
+ * @param {Object} [schema] - JSON Schema (defaults to the contract schema)
+ * @returns {string}
+ */
+function renderSchemaTemplate(schema = contractSchema) {
+  return JSON.stringify(renderNode(schema), null, 2);
+}
+
+module.exports = {
+  contractSchema,
+  SCHEMA_VERSION: contractSchema.$id,
+  DATE_PATTERN,
+  validateExtraction,
+  formatViolations,
+  extendSchema,
+  withTemplateFields,
+  renderSchemaTemplate
+};
@@ -0,0 +1,150 @@
+// Per-field confidence: the model's own estimate, weighed against what the server can check
+const { citableFields } = require('./citations');
+
+// Multipliers applied to the model's confidence in a field
+const CITATION_FACTORS = {
+  verified: 1,
+  missing: 0.8, // no quote was given
+  unverified: 0.6 // a quote was given but isn't in the document
+};
+const SCHEMA_VIOLATION_FACTOR = 0.5;
+const INCONSISTENCY_FACTOR = 0.5;
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+/**
+ * @param {Object} data - Extraction
+ * @param {string} path - Field path, e.g. 'financial_terms.amount'
+ * @returns {any}
+ */
+function valueAt(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Field path of a schema violation: '/financial_terms/amount' -> 'financial_terms.amount',
+ * '/parties/0' -> 'parties'
+ * @param {string} violationPath - JSON Pointer from validateExtraction
+ * @returns {string|null} Null for violations of the document as a whole
+ */
+function violationField(violationPath) {
+  const segments = violationPath.split('/').filter(Boolean);
+  const numeric = segments.findIndex(segment => /^\d+$/.test(segment));
+  const kept = segments.slice(0, Math.min(2, numeric === -1 ? segments.length : numeric));
+  return kept.length > 0 ? kept.join('.') : null;
+}
+
+/**
+ * Cross-field checks on values that can each be valid but not together
+ * @param {Object} data - Extraction
+ * @returns {Array<{fields: Array<string>, message: string}>} Failed checks
+ */
+function checkConsistency(data) {
+  const failures = [];
+  const fail = (fields, message) => failures.push({ fields, message });
+
+  const dateFields = Object.keys(data).filter(field =>
+    /(^|_)date$/.test(field) && typeof data[field] === 'string'
+  );
+  for (const field of dateFields) {
+    const year = parseInt(data[field].slice(0, 4));
+    if (year < MIN_YEAR || year > MAX_YEAR) {
+      fail([field], `${field} is outside ${MIN_YEAR}-${MAX_YEAR}`);
+    }
+  }
+
+  // YYYY-MM-DD strings compare chronologically
+  if (data.effective_date && data.renewal_date && data.renewal_date <= data.effective_date) {
+    fail(['effective_date', 'renewal_date'], 'renewal_date is not after effective_date');
+  }
+  if (data.issue_date && data.due_date && data.due_date < data.issue_date) {
+    fail(['issue_date', 'due_date'], 'due_date is before issue_date');
+  }
+  for (const milestone of data.milestones || []) {
+    if (milestone.due_date && data.effective_date && milestone.due_date < data.effective_date) {
+      fail(['milestones', 'effective_date'], `milestone "${milestone.description}" is due before effective_date`);
+    }
+  }
+
+  if (data.financial_terms?.amount !== null && data.financial_terms?.amount !== undefined && !data.financial_terms.currency) {
+    fail(['financial_terms.currency'], 'financial_terms.amount has no currency');
+  }
+
+  // Agreements have at least two sides; a single party usually means one was missed
+  if (Array.isArray(data.parties) && data.parties.length === 1) {
+    fail(['parties'], 'only one party found');
+  }
+
+  return failures;
+}
+
+/**
+ * Score every extracted value. A field's confidence is the model's own estimate
+ * (from its evidence entry, else the overall confidence_score), reduced when its
+ * evidence couldn't be verified, it violated the schema or failed a consistency check.
+ * @param {Object} params
+ * @param {Object} params.data - Extraction, including custom_fields when a template is used
+ * @param {Array<{field: string, confidence?: number}>} params.evidence - Evidence from the model
+ * @param {Array<{field: string, verified: boolean}>} params.citations - verifyCitations() result
+ * @param {Array<{path: string, message: string}>} params.schemaViolations - Violations left after the corrective retry
+ * @returns {{fields: Object<string, {confidence: number, model: number, citation: string, issues: Array<string>}>, inconsistencies: Array<{fields: Array<string>, message: string}>}}
+ */
+function scoreFields({ data, evidence = [], citations = [], schemaViolations = [] }) {
+  const covers = (field, path) => field === path || path.startsWith(`${field}.`);
+  const inconsistencies = checkConsistency(data);
+  const fields = {};
+
+  for (const path of citableFields(data)) {
+    const issues = [];
+
+    const stated = evidence
+      .filter(item => covers(item.field, path) && typeof item.confidence === 'number')
+      .map(item => item.confidence);
+    const model = Math.max(0, Math.min(1, stated.length > 0 ? Math.max(...stated) : data.confidence_score));
+
+    const fieldCitations = citations.filter(citation => covers(citation.field, path));
+    let citation = 'missing';
+    if (fieldCitations.some(item => item.verified)) {
+      citation = 'verified';
+    } else if (fieldCitations.length > 0) {
+      citation = 'unverified';
+      issues.push('evidence not found in the document');
+    } else {
+      issues.push('no evidence given');
+    }
+
+    let confidence = model * CITATION_FACTORS[citation];
+
+    const violations = schemaViolations.filter(violation => {
+      const field = violationField(violation.path);
+      return field && (covers(field, path) || covers(path, field));
+    });
+    if (violations.length > 0) {
+      confidence *= SCHEMA_VIOLATION_FACTOR;
+      issues.push(...violations.map(violation => `schema: ${violation.message}`));
+    }
+
+    const failed = inconsistencies.filter(check => check.fields.some(field => covers(field, path)));
+    if (failed.length > 0) {
+      confidence *= INCONSISTENCY_FACTOR;
+      issues.push(...failed.map(check => check.message));
+    }
+
+    fields[path] = {
+      confidence: Math.round(confidence * 100) / 100,
+      model,
+      citation,
+      issues
+    };
+  }
+
+  return { fields, inconsistencies };
+}
+
+module.exports = {
+  scoreFields,
+  checkConsistency,
+  violationField,
+  valueAt
+};
@@ -0,0 +1,182 @@
+// Reduce step of chunked extraction: merge per-chunk results field by field
+
+// Legal-entity suffixes ignored when comparing party names ("Acme Inc." == "ACME")
+const ENTITY_SUFFIXES = /\b(the|inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|lp|llp)\b/g;
+
+// Confidence lost for every field whose chunks disagreed
+const CONFLICT_PENALTY = 0.05;
+
+/**
+ * @param {any} value - Value to compare
+ * @returns {string} Lowercased alphanumeric form
+ */
+function normalizeText(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * @param {string|Object} party - Party name, or an object with a name
+ * @returns {string}
+ */
+function partyKey(party) {
+  const name = typeof party === 'string' ? party : party?.name ?? JSON.stringify(party);
+  return normalizeText(name).replace(ENTITY_SUFFIXES, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string|Object} item - Clause or obligation
+ * @returns {string}
+ */
+function itemKey(item) {
+  return normalizeText(typeof item === 'string' ? item : JSON.stringify(item));
+}
+
+/**
+ * De-duplicate list items across chunks. Items whose keys are equal, or where
+ * one contains the other (the same clause cut short by a chunk boundary), are
+ * merged, keeping the longer wording.
+ * @param {Array<any>} items - Items in chunk order
+ * @param {function(any): string} keyFn - Comparison key
+ * @returns {Array<any>}
+ */
+function dedupeItems(items, keyFn) {
+  const kept = [];
+
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!key) continue;
+
+    const existing = kept.find(entry =>
+      entry.key === key ||
+      (Math.min(entry.key.length, key.length) >= 20 && (entry.key.includes(key) || key.includes(entry.key)))
+    );
+
+    if (!existing) {
+      kept.push({ key, item });
+    } else if (key.length > existing.key.length) {
+      existing.key = key;
+      existing.item = item;
+    }
+  }
+
+  return kept.map(entry => entry.item);
+}
+
+/**
+ * Pick one value for a scalar field: the value most chunks agree on, ties going
+ * to the first chunk that stated one (or the last, with prefer: 'last')
+ * @param {Array<{value: any, chunk: number}>} candidates - Non-null values in chunk order
+ * @param {Object} options
+ * @param {'first'|'last'} [options.prefer] - Tie-break
+ * @returns {{value: any, distinct: Array<any>}}
+ */
+function vote(candidates, { prefer = 'first' } = {}) {
+  const groups = new Map();
+
+  for (const { value, chunk } of candidates) {
+    const key = typeof value === 'string' ? normalizeText(value) : JSON.stringify(value);
+    const group = groups.get(key) || { value, count: 0, first: chunk, last: chunk };
+    group.count++;
+    group.last = chunk;
+    groups.set(key, group);
+  }
+
+  const ranked = [...groups.values()].sort((a, b) =>
+    b.count - a.count || (prefer === 'last' ? b.last - a.last : a.first - b.first)
+  );
+
+  return {
+    value: ranked[0]?.value ?? null,
+    distinct: ranked.map(group => group.value)
+  };
+}
+
+/**
+ * Merge validated extractions from the chunks of one document
+ * @param {Array<{chunk: {index: number, start: number, end: number}, data: Object}>} results - Per-chunk extractions in document order
+ * @returns {{data: Object, conflicts: Array<{field: string, values: Array<any>, chosen: any}>}}
+ */
+function mergeExtractions(results) {
+  const conflicts = [];
+
+  const pick = (field, getValue, options) => {
+    const candidates = results
+      .map(({ chunk, data }) => ({ value: getValue(data), chunk: chunk.index }))
+      .filter(candidate => candidate.value !== null && candidate.value !== undefined && candidate.value !== '');
+    const { value, distinct } = vote(candidates, options);
+
+    if (distinct.length > 1) {
+      conflicts.push({ field, values: distinct, chosen: value });
+    }
+    return value;
+  };
+
+  const financialFields = ['currency', 'amount', 'payment_terms'];
+  const financial = Object.fromEntries(financialFields.map(field => [
+    field,
+    pick(`financial_terms.${field}`, data => data.financial_terms?.[field])
+  ]));
+
+  // Weighted by how much text each chunk covered
+  const totalChars = results.reduce((sum, { chunk }) => sum + (chunk.end - chunk.start), 0) || 1;
+  const meanConfidence = results.reduce(
+    (sum, { chunk, data }) => sum + data.confidence_score * (chunk.end - chunk.start),
+    0
+  ) / totalChars;
+
+  const data = {
+    document_type: pick('document_type', data => data.document_type),
+    parties: dedupeItems(results.flatMap(({ data }) => data.parties), partyKey),
+    // Ties go to the earliest chunk: the preamble states the effective date
+    effective_date: pick('effective_date', data => data.effective_date),
+    renewal_date: pick('renewal_date', data => data.renewal_date),
+    term: pick('term', data => data.term),
+    termination_clauses: dedupeItems(results.flatMap(({ data }) => data.termination_clauses), itemKey),
+    // Ties go to the latest chunk: the governing law clause sits near the end
+    governing_law: pick('governing_law', data => data.governing_law, { prefer: 'last' }),
+    key_obligations: dedupeItems(results.flatMap(({ data }) => data.key_obligations), itemKey),
+    financial_terms: Object.values(financial).some(value => value !== null) ? financial : null,
+    // The first chunk covers the recitals, which describe the whole agreement
+    summary: results.map(({ data }) => data.summary).find(Boolean) || null,
+    confidence_score: null,
+    notes: null
+  };
+
+  // Fields from the document type's schema and custom templates: lists are
+  // de-duplicated, objects merged key by key, everything else is voted on
+  const mergeField = (field, getValue) => {
+    const sample = getValue(results[0].data);
+    if (Array.isArray(sample)) {
+      return dedupeItems(results.flatMap(({ data }) => getValue(data) || []), itemKey);
+    }
+    if (sample && typeof sample === 'object') {
+      return Object.fromEntries(Object.keys(sample).map(key => [
+        key,
+        mergeField(`${field}.${key}`, data => getValue(data)?.[key])
+      ]));
+    }
+    return pick(field, getValue);
+  };
+
+  for (const field of Object.keys(results[0].data)) {
+    if (!(field in data)) {
+      data[field] = mergeField(field, data => data[field]);
+    }
+  }
+
+  data.confidence_score = Math.max(0, Math.min(1, meanConfidence - conflicts.length * CONFLICT_PENALTY));
+
+  const notes = dedupeItems(results.map(({ data }) => data.notes).filter(Boolean), itemKey);
+  if (conflicts.length > 0) {
+    notes.push(`Chunks disagreed on: ${conflicts.map(conflict => conflict.field).join(', ')}`);
+  }
+  data.notes = notes.length > 0 ? notes.join(' ') : null;
+
+  return { data, conflicts };
+}
+
+module.exports = {
+  mergeExtractions,
+  dedupeItems,
+  partyKey
+};
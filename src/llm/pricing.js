@@ -0,0 +1,126 @@
+// LLM prices: USD per 1M tokens, by provider and model name prefix (the longest matching prefix wins)
+const fs = require('fs');
+
+// Maintained by hand from the providers' pricing pages. cachedInput is what a prompt-cache
+// hit costs (OpenAI cached input, Anthropic cache reads). Add new models here or in LLM_PRICING_FILE.
+const DEFAULT_PRICES = {
+  openai: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 },
+    'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cachedInput: 0.1 },
+    'gpt-4.1': { input: 2, output: 8, cachedInput: 0.5 },
+    'gpt-5-nano': { input: 0.05, output: 0.4, cachedInput: 0.005 },
+    'gpt-5-mini': { input: 0.25, output: 2, cachedInput: 0.025 },
+    'gpt-5': { input: 1.25, output: 10, cachedInput: 0.125 },
+  },
+  anthropic: {
+    'claude-3-haiku': { input: 0.25, output: 1.25, cachedInput: 0.03 },
+    'claude-3-5-haiku': { input: 0.8, output: 4, cachedInput: 0.08 },
+    'claude-haiku-4-5': { input: 1, output: 5, cachedInput: 0.1 },
+    'claude-3-5-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+    'claude-3-7-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+    'claude-sonnet-4': { input: 3, output: 15, cachedInput: 0.3 },
+    'claude-opus-4': { input: 15, output: 75, cachedInput: 1.5 },
+    'claude-opus-4-5': { input: 5, output: 25, cachedInput: 0.5 },
+  },
+  // Local models and the mock provider are free unless LLM_PRICING_FILE prices them
+  local: {},
+  mock: {},
+};
+
+let priceTables = null;
+
+/**
+ * Check one price entry from the pricing file
+ * @param {string} label - provider/model, for the error message
+ * @param {Object} entry - { input, output, cachedInput? }
+ * @returns {{input: number, output: number, cachedInput: number}}
+ */
+function normalizePrice(label, entry) {
+  const isPrice = value => typeof value === 'number' && value >= 0;
+  if (!entry || !isPrice(entry.input) || !isPrice(entry.output) || (entry.cachedInput !== undefined && !isPrice(entry.cachedInput))) {
+    throw new Error(`Invalid price for ${label} in LLM_PRICING_FILE: input and output (and optional cachedInput) must be USD per 1M tokens`);
+  }
+  // Without a cached price, cached tokens are charged as regular input
+  return { input: entry.input, output: entry.output, cachedInput: entry.cachedInput ?? entry.input };
+}
+
+/**
+ * Price tables with LLM_PRICING_FILE applied: a JSON file of the same shape as
+ * DEFAULT_PRICES whose entries replace or add to the defaults. Read once.
+ * @returns {Object<string, Object<string, {input: number, output: number, cachedInput: number}>>}
+ */
+function loadPriceTables() {
+  if (priceTables) return priceTables;
+
+  const tables = Object.fromEntries(Object.entries(DEFAULT_PRICES).map(([provider, prices]) => [provider, { ...prices }]));
+  const pricingFile = process.env.LLM_PRICING_FILE;
+
+  if (pricingFile) {
+    let overrides;
+    try {
+      overrides = JSON.parse(fs.readFileSync(pricingFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read LLM_PRICING_FILE ${pricingFile}: ${error.message}`, { cause: error });
+    }
+
+    for (const [provider, prices] of Object.entries(overrides)) {
+      for (const [model, entry] of Object.entries(prices || {})) {
+        tables[provider] = { ...tables[provider], [model]: normalizePrice(`${provider}/${model}`, entry) };
+      }
+    }
+    console.log(`💲 LLM prices loaded from ${pricingFile}`);
+  }
+
+  priceTables = tables;
+  return priceTables;
+}
+
+/**
+ * @param {string} provider - Provider name (openai, local, anthropic, mock)
+ * @returns {Object<string, {input: number, output: number, cachedInput: number}>} USD per 1M tokens by model prefix
+ */
+function getPriceTable(provider) {
+  return loadPriceTables()[provider] || {};
+}
+
+/**
+ * Price of a model; the longest matching prefix wins
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number, cachedInput: number}|null} USD per 1M tokens, or null if unknown
+ */
+function getModelPrice(provider, model) {
+  const table = getPriceTable(provider);
+  const match = Object.keys(table)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? { cachedInput: table[match].input, ...table[match] } : null;
+}
+
+/**
+ * @param {{input: number, output: number, cachedInput: number}|null} price - From getModelPrice
+ * @param {{inputTokens: number, outputTokens: number, cachedInputTokens?: number}} usage - inputTokens includes the cached ones
+ * @returns {number} Cost in USD (0 without a price)
+ */
+function calculateCost(price, { inputTokens, outputTokens, cachedInputTokens = 0 }) {
+  if (!price) return 0;
+
+  const cached = Math.min(cachedInputTokens, inputTokens);
+  return ((inputTokens - cached) * price.input + cached * price.cachedInput + outputTokens * price.output) / 1e6;
+}
+
+// Forget the loaded tables, e.g. after LLM_PRICING_FILE changed
+function resetPriceTables() {
+  priceTables = null;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  calculateCost,
+  getModelPrice,
+  getPriceTable,
+  resetPriceTables
+};
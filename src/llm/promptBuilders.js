@@ -1,4 +1,7 @@
 // Prompt building utilities for LLM interactions
+const crypto = require('crypto');
+const { renderSchemaTemplate } = require('./extractionSchema');
+const { DOCUMENT_TYPES, GENERIC_TYPE, getDocumentType } = require('./documentTypes');
 
 /**
  * Build user prompt for contract analysis
@@ -6,32 +9,21 @@
  * @param {string} params.filename - Name of the file being analyzed
  * @param {string} params.text - Full text content of the document
  * @param {number} params.maxChars - Maximum characters to include (default: 12000)
+ * @param {Object} [params.documentType] - Registry entry from getDocumentType(): label, schema and guidance
+ * @param {Object} [params.part] - Set when the text is one chunk of a longer document
+ * @param {number} params.part.index - 0-based chunk index
+ * @param {number} params.part.total - Number of chunks
+ * @param {number} params.part.pageStart - First page in the chunk
+ * @param {number} params.part.pageEnd - Last page in the chunk
  * @returns {string} Formatted user prompt for LLM
  */
-function buildUserPrompt({ filename, text, maxChars = 12000 }) {
+function buildUserPrompt({ filename, text, maxChars = 12000, documentType = getDocumentType(GENERIC_TYPE), part = null }) {
   // Truncate text to maxChars
   const truncatedText = text.length > maxChars ? text.substring(0, maxChars) : text;
   
-  const prompt = `Extract structured data from this contract document and return ONLY a valid JSON object matching this exact schema:
+  const prompt = `Extract structured data from this ${documentType.label} and return ONLY a valid JSON object matching this exact schema:
 
-{
-  "document_type": "string or null",
-  "parties": ["array of party names/entities"],
-  "effective_date": "YYYY-MM-DD or null",
-  "renewal_date": "YYYY-MM-DD or null", 
-  "term": "string describing contract term or null",
-  "termination_clauses": ["array of termination clause descriptions"],
-  "governing_law": "string or null",
-  "key_obligations": ["array of key obligation descriptions"],
-  "financial_terms": {
-    "currency": "string or null",
-    "amount": "number or null",
-    "payment_terms": "string or null"
-  },
-  "summary": "string summary of the contract or null",
-  "confidence_score": 0.95,
-  "notes": "string with any additional notes or null"
-}
+${renderSchemaTemplate(documentType.schema)}
 
 RULES:
 - Return ONLY valid JSON, no commentary, no markdown, no code fences
@@ -39,7 +31,16 @@ RULES:
 - Dates must be in YYYY-MM-DD format or null
 - confidence_score must be a number between 0 and 1
 - Arrays can be empty [] if no items found
-
+- Use null for financial_terms if the document states no fees or value
+- Do not add fields that are not in the schema
+- For every value you extract, add an evidence entry quoting the document text that supports it, copied exactly, with your confidence in that value
+${documentType.schema.properties.custom_fields ? `- custom_fields are defined by the organization: fill each one as its description says, using only listed values where a list is given
+` : ''}${documentType.guidance ? `
+${documentType.guidance}
+` : ''}${part ? `
+This text is part ${part.index + 1} of ${part.total} of a longer document (pages ${part.pageStart}-${part.pageEnd}).
+Extract only what appears in this part; use null or [] for anything it doesn't contain.
+` : ''}
 FILENAME: ${filename}
 CHAR_LENGTH: ${truncatedText.length}
 
@@ -49,6 +50,52 @@ ${truncatedText}`;
   return prompt;
 }
 
+/**
+ * Build user prompt for document classification, from the start of the document
+ * @param {Object} params - Parameters for building the prompt
+ * @param {string} params.filename - Name of the file being classified
+ * @param {string} params.text - Full text content of the document
+ * @param {number} params.maxChars - Maximum characters to include (default: 4000)
+ * @returns {string} Formatted user prompt for LLM
+ */
+function buildClassificationPrompt({ filename, text, maxChars = 4000 }) {
+  const truncatedText = text.length > maxChars ? text.substring(0, maxChars) : text;
+  const types = Object.entries(DOCUMENT_TYPES)
+    .map(([type, { description }]) => `- ${type}: ${description}`)
+    .join('\n');
+
+  return `Classify this document as one of the following types:
+
+${types}
+
+Return ONLY a valid JSON object:
+{
+  "document_type": "Type from the list above (string)",
+  "confidence": "Your confidence in the classification (number between 0 and 1)"
+}
+
+ALLOWED_TYPES: ${Object.keys(DOCUMENT_TYPES).join(', ')}
+FILENAME: ${filename}
+CHAR_LENGTH: ${truncatedText.length}
+
+TEXT:
+${truncatedText}`;
+}
+
+/**
+ * Fingerprint of the extraction prompt without the document: system prompt, rules,
+ * schema and type guidance. Runs with the same prompt version saw the same instructions.
+ * @param {string} systemText - System prompt
+ * @param {Object} documentType - Registry entry from getDocumentType(), schema possibly with template fields
+ * @returns {string} 12 hex characters
+ */
+function getPromptVersion(systemText, documentType) {
+  const template = buildUserPrompt({ filename: '', text: '', documentType });
+  return crypto.createHash('sha256').update(`${systemText}\n${template}`).digest('hex').slice(0, 12);
+}
+
 module.exports = {
-  buildUserPrompt
+  buildUserPrompt,
+  buildClassificationPrompt,
+  getPromptVersion
 };
\ No newline at end of file
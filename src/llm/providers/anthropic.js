@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { LlmProvider, wrapProviderError } = require('./base');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Pull the JSON object out of a reply that may be wrapped in a code fence or prose
+ * @param {string} text - Model reply
+ * @returns {string}
+ */
+function extractJsonText(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Anthropic reports prompt-cache reads and writes apart from input_tokens; they are all input
+ * @param {Object} usage - Usage block of a Messages API response
+ * @returns {{inputTokens: number, outputTokens: number, cachedInputTokens: number}}
+ */
+function toUsage(usage) {
+  const cacheReads = usage.cache_read_input_tokens || 0;
+  return {
+    inputTokens: usage.input_tokens + cacheReads + (usage.cache_creation_input_tokens || 0),
+    outputTokens: usage.output_tokens,
+    cachedInputTokens: cacheReads,
+  };
+}
+
+class AnthropicProvider extends LlmProvider {
+  /**
+   * Anthropic Messages API, called over HTTP. There is no JSON mode, so the
+   * prompt's JSON-only instructions do the work and the object is cut out of the reply.
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  constructor(options = {}) {
+    super({
+      name: 'anthropic',
+      model: options.model ?? (process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022'),
+      settings: options.settings,
+    });
+    this.apiKey = options.apiKey ?? (process.env.ANTHROPIC_API_KEY || null);
+    this.baseURL = options.baseURL ?? (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com');
+  }
+
+  get capabilities() {
+    return { jsonMode: false, usage: true, external: true };
+  }
+
+  async generateJson({ systemText, userText, signal }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required');
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/v1/messages`, {
+        model: this.model,
+        system: systemText,
+        messages: [{ role: 'user', content: userText }],
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
+      }, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'content-type': 'application/json',
+        },
+        timeout: this.settings.timeoutMs,
+        signal,
+      });
+
+      const text = (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text: extractJsonText(text),
+        usage: response.data.usage ? toUsage(response.data.usage) : null,
+      };
+
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      const apiMessage = error.response?.data?.error?.message;
+      console.error('Anthropic API call failed:', apiMessage || error.message);
+      throw wrapProviderError(this.name, apiMessage ? new Error(apiMessage, { cause: error }) : error, {
+        status: error.response?.status,
+        code: error.code,
+        headers: error.response?.headers,
+      });
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,141 @@
+// Interface shared by every LLM provider (see ./index.js for selection)
+const { calculateCost, getModelPrice, getPriceTable } = require('../pricing');
+const { countTokens } = require('../tokenizer');
+
+/**
+ * Settings shared by all providers, from environment variables
+ * @returns {{temperature: number, maxTokens: number, timeoutMs: number}}
+ */
+function getLlmSettings() {
+  const temperature = parseFloat(process.env.LLM_TEMPERATURE);
+
+  return {
+    temperature: isNaN(temperature) ? 0.1 : temperature,
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 4000,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+  };
+}
+
+/**
+ * Wrap a provider failure, keeping what the retry policy needs to classify it
+ * (status, code and Retry-After headers)
+ * @param {string} providerName - Provider name for the message
+ * @param {Error} error - Original error
+ * @param {Object} [details] - Overrides for status/code/headers
+ * @returns {Error}
+ */
+function wrapProviderError(providerName, error, details = {}) {
+  const wrapped = new Error(`${providerName} extraction failed: ${error.message}`, { cause: error });
+  wrapped.status = details.status ?? error.status;
+  wrapped.code = details.code ?? error.code;
+  wrapped.headers = details.headers ?? error.headers;
+  return wrapped;
+}
+
+class LlmProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name stored on jobs (llm_provider)
+   * @param {string} options.model - Model name stored on jobs (llm_model)
+   * @param {Object} [options.settings] - Overrides for getLlmSettings()
+   */
+  constructor({ name, model, settings = {} }) {
+    this.name = name;
+    this.model = model;
+    this.settings = { ...getLlmSettings(), ...settings };
+  }
+
+  /**
+   * What the provider supports
+   * @returns {{jsonMode: boolean, usage: boolean, external: boolean}}
+   *   jsonMode: the API can force a JSON response;
+   *   usage: responses report real token counts;
+   *   external: document text is sent to a third party
+   */
+  get capabilities() {
+    return { jsonMode: false, usage: false, external: true };
+  }
+
+  /**
+   * USD per 1M tokens, keyed by model name prefix (see ../pricing.js)
+   * @returns {Object<string, {input: number, output: number, cachedInput: number}>}
+   */
+  get priceTable() {
+    return getPriceTable(this.name);
+  }
+
+  /**
+   * Generate a JSON response
+   * @param {Object} params
+   * @param {string} params.systemText - System prompt
+   * @param {string} params.userText - User prompt including the document text
+   * @param {AbortSignal} [params.signal] - Aborts the request
+   * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number, cachedInputTokens: number}|null}>}
+   *   Raw response text (expected to be JSON) and token usage if the provider reports it;
+   *   inputTokens includes the cachedInputTokens served from the provider's prompt cache
+   */
+  async generateJson() {
+    throw new Error(`${this.name} provider does not implement generateJson`);
+  }
+
+  /**
+   * Everything about the model that changes its answers; part of the response cache key
+   * (timeouts don't change answers and are left out)
+   * @returns {Object}
+   */
+  getModelConfig() {
+    return {
+      provider: this.name,
+      model: this.model,
+      temperature: this.settings.temperature,
+      maxTokens: this.settings.maxTokens,
+      jsonMode: this.capabilities.jsonMode,
+    };
+  }
+
+  /**
+   * Count tokens locally, for estimates before a call and responses without usage
+   * @param {string} text - Text to measure
+   * @returns {number}
+   */
+  countTokens(text) {
+    return countTokens(text);
+  }
+
+  /**
+   * Price of the configured model
+   * @returns {{input: number, output: number, cachedInput: number}|null} USD per 1M tokens, or null if unknown
+   */
+  getPricing() {
+    return getModelPrice(this.name, this.model);
+  }
+
+  /**
+   * @param {number} inputTokens - Input tokens, including cached ones
+   * @param {number} outputTokens - Output tokens
+   * @param {number} [cachedInputTokens] - Input tokens served from the provider's prompt cache
+   * @returns {number} Cost in USD (0 for models missing from the price table)
+   */
+  estimateCost(inputTokens, outputTokens, cachedInputTokens = 0) {
+    return calculateCost(this.getPricing(), { inputTokens, outputTokens, cachedInputTokens });
+  }
+
+  /**
+   * Pre-flight estimate of one call with this provider's model, before anything is sent
+   * @param {Object} params
+   * @param {string} params.systemText - System prompt
+   * @param {string} params.userText - User prompt including the document text
+   * @param {number} [params.outputTokens] - Expected output; defaults to the maxTokens ceiling
+   * @returns {{inputTokens: number, outputTokens: number, cost: number}}
+   */
+  estimateCallCost({ systemText, userText, outputTokens = this.settings.maxTokens }) {
+    const inputTokens = this.countTokens(systemText) + this.countTokens(userText);
+    return { inputTokens, outputTokens, cost: this.estimateCost(inputTokens, outputTokens) };
+  }
+}
+
+module.exports = {
+  LlmProvider,
+  getLlmSettings,
+  wrapProviderError,
+};
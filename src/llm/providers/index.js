@@ -0,0 +1,49 @@
+// LLM provider selection: LLM_PROVIDER=openai | local | anthropic | mock
+const OpenAIProvider = require('./openai');
+const LocalProvider = require('./local');
+const AnthropicProvider = require('./anthropic');
+const MockProvider = require('./mock');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider,
+};
+
+let provider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @param {Object} [options] - Overrides for the provider's environment configuration
+ * @returns {import('./base').LlmProvider}
+ */
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    const error = new Error(`Unknown LLM_PROVIDER "${name}"; use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    error.code = 'LLM_PROVIDER_UNKNOWN';
+    throw error;
+  }
+
+  return new Provider(options);
+}
+
+/**
+ * The provider configured by LLM_PROVIDER (default openai), created on first use
+ * @returns {import('./base').LlmProvider}
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProvider((process.env.LLM_PROVIDER || 'openai').trim().toLowerCase());
+  }
+  return provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  getProvider,
+};
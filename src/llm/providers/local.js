@@ -0,0 +1,32 @@
+const OpenAIProvider = require('./openai');
+
+class LocalProvider extends OpenAIProvider {
+  /**
+   * An OpenAI-compatible server on our own hardware (Ollama, llama.cpp's
+   * llama-server, vLLM). Document text never leaves the network and calls are free.
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      model: options.model ?? (process.env.LLM_LOCAL_MODEL || 'llama3.1:8b'),
+      // Ollama's default; llama-server listens on http://localhost:8080/v1
+      baseURL: options.baseURL ?? (process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1'),
+      // Local servers ignore the key, but the client requires one
+      apiKey: options.apiKey ?? (process.env.LLM_LOCAL_API_KEY || 'local'),
+      // Some servers reject response_format; the prompt asks for JSON either way
+      jsonMode: options.jsonMode ?? process.env.LLM_LOCAL_JSON_MODE !== 'false',
+      settings: {
+        // Local models on CPU are much slower than hosted ones
+        timeoutMs: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS) || 120000,
+        ...options.settings,
+      },
+    });
+  }
+
+  get capabilities() {
+    return { ...super.capabilities, external: false };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { LlmProvider } = require('./base');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Fixture name for an uploaded filename: lowercased basename without extension,
+ * e.g. "Acme MSA (final).pdf" -> "acme-msa-final"
+ * @param {string} filename - Uploaded filename
+ * @returns {string}
+ */
+function fixtureNameFor(filename) {
+  return path.basename(filename, path.extname(filename))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Wait for a delay, rejecting if the signal is aborted
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      const error = new Error('Mock LLM call aborted');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class MockProvider extends LlmProvider {
+  /**
+   * Deterministic provider for CI and offline development: answers from JSON
+   * fixtures instead of calling a model. The fixture is picked by the filename
+   * in the prompt (`<fixtures>/<name>.json`, see fixtureNameFor), falling back to
+   * `default.json`. Classification prompts are answered from `<name>.classify.json`
+   * or `default.classify.json` instead. A fixture of the form `{"__error": {"status": 429, "message": "..."}}`
+   * makes the call fail, to exercise retries and failure handling.
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  constructor(options = {}) {
+    super({ name: 'mock', model: options.model ?? 'mock-fixtures', settings: options.settings });
+    this.fixturesDir = options.fixturesDir ?? (process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+    this.latencyMs = options.latencyMs ?? (parseInt(process.env.LLM_MOCK_LATENCY_MS) || 0);
+  }
+
+  get capabilities() {
+    return { jsonMode: true, usage: true, external: false };
+  }
+
+  /**
+   * @param {string} userText - User prompt
+   * @returns {string} Path of the fixture answering this prompt
+   */
+  resolveFixture(userText) {
+    const filename = /^FILENAME: (.*)$/m.exec(userText)?.[1]?.trim();
+    // Classification prompts list the allowed document types
+    const suffix = /^ALLOWED_TYPES: /m.test(userText) ? '.classify.json' : '.json';
+    const candidates = [
+      ...(filename ? [`${fixtureNameFor(filename)}${suffix}`] : []),
+      `default${suffix}`
+    ];
+
+    for (const candidate of candidates) {
+      const fixturePath = path.join(this.fixturesDir, candidate);
+      if (fs.existsSync(fixturePath)) {
+        return fixturePath;
+      }
+    }
+
+    throw new Error(`No mock LLM fixture found in ${this.fixturesDir} (tried ${candidates.join(', ')})`);
+  }
+
+  async generateJson({ systemText, userText, signal }) {
+    if (this.latencyMs > 0) {
+      await delay(this.latencyMs, signal);
+    }
+
+    const fixturePath = this.resolveFixture(userText);
+    const text = fs.readFileSync(fixturePath, 'utf8').trim();
+
+    let fixture = null;
+    try {
+      fixture = JSON.parse(text);
+    } catch {
+      // Invalid JSON fixtures are returned as-is to exercise the corrective retry
+    }
+
+    if (fixture?.__error) {
+      const error = new Error(`mock extraction failed: ${fixture.__error.message || 'simulated failure'}`);
+      error.status = fixture.__error.status;
+      error.code = fixture.__error.code;
+      throw error;
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: this.countTokens(systemText) + this.countTokens(userText),
+        outputTokens: this.countTokens(text),
+        cachedInputTokens: 0
+      }
+    };
+  }
+}
+
+module.exports = MockProvider;
+module.exports.fixtureNameFor = fixtureNameFor;
@@ -0,0 +1,91 @@
+const { OpenAI } = require('openai');
+const { LlmProvider, wrapProviderError } = require('./base');
+const { countOpenAITokens } = require('../tokenizer');
+
+class OpenAIProvider extends LlmProvider {
+  /**
+   * OpenAI chat completions with JSON mode
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  constructor(options = {}) {
+    super({
+      name: options.name ?? 'openai',
+      model: options.model ?? (process.env.OPENAI_MODEL || 'gpt-4o-mini'),
+      settings: options.settings,
+    });
+    this.apiKey = options.apiKey ?? (process.env.OPENAI_API_KEY || null);
+    this.baseURL = options.baseURL ?? null;
+    this.jsonMode = options.jsonMode ?? true;
+    this.client = null;
+  }
+
+  get capabilities() {
+    return { jsonMode: this.jsonMode, usage: true, external: true };
+  }
+
+  // Servers behind another base URL (local models) can serve different weights under the same name
+  getModelConfig() {
+    return { ...super.getModelConfig(), baseURL: this.baseURL };
+  }
+
+  // OpenAI models are counted with their own vocabulary; servers behind another base URL
+  // run other weights (their model names don't say which), so they keep the approximation
+  countTokens(text) {
+    return (this.baseURL ? null : countOpenAITokens(text, this.model)) ?? super.countTokens(text);
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('OPENAI_API_KEY environment variable is required');
+      }
+
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+        timeout: this.settings.timeoutMs,
+        maxRetries: 0, // Retries are handled by the llm retry policy (src/utils/retry.js)
+      });
+    }
+
+    return this.client;
+  }
+
+  async generateJson({ systemText, userText, signal }) {
+    try {
+      const response = await this.getClient().chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: systemText },
+          { role: 'user', content: userText }
+        ],
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
+        ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      }, { signal });
+
+      return {
+        // Raw text content from the first choice
+        text: response.choices[0]?.message?.content || '',
+        // prompt_tokens includes the prompt-cache hits
+        usage: response.usage
+          ? {
+            inputTokens: response.usage.prompt_tokens,
+            outputTokens: response.usage.completion_tokens,
+            cachedInputTokens: response.usage.prompt_tokens_details?.cached_tokens ?? 0,
+          }
+          : null,
+      };
+
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      console.error(`${this.name} API call failed:`, error.message);
+      throw wrapProviderError(this.name, error);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
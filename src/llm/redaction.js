@@ -0,0 +1,236 @@
+// PII redaction: personal data in a document is replaced by placeholders before its text is sent to an
+// external LLM, and the placeholders in the answer are replaced by the original values afterwards.
+// The placeholder map only lives in memory for the run; it is never sent, stored or logged.
+
+// Categories an organization can redact, and the placeholder label of each: [EMAIL_1], [ADDRESS_2]...
+const REDACTION_CATEGORIES = {
+  email: 'EMAIL',
+  phone: 'PHONE',
+  bank_account: 'BANK_ACCOUNT',
+  national_id: 'NATIONAL_ID',
+  address: 'ADDRESS'
+};
+
+const POLICY_KEYS = ['enabled', 'categories'];
+const PLACEHOLDER_PATTERN = /\[([A-Z_]+_\d+)\]/g;
+
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Highway|Hwy|Square|Sq|Terrace|Circle|Cir)';
+
+/**
+ * IBAN checksum (ISO 13616 mod 97), so that long reference numbers aren't taken for IBANs
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Detectors per category. A pattern with a capture group redacts only the group
+// (the number after "Account No."), keeping the label the model needs to read the clause.
+const DETECTORS = {
+  email: [
+    { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g }
+  ],
+  phone: [
+    // (415) 555-0100, 415-555-0100, +1 415 555 0100
+    { pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+    // International numbers: +44 20 7946 0958, +49-30-123456
+    { pattern: /\+\d{1,3}(?:[\s.-]?\d{2,4}){2,5}\b/g }
+  ],
+  bank_account: [
+    { pattern: /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}| [A-Z0-9]{4}(?: [A-Z0-9]{4}){1,6}(?: \d{1,3})?)\b/g, validate: isValidIban },
+    { pattern: /\b(?:account|acct\.?|a\/c|routing|ABA|sort code)(?:\s+(?:number|no\.?|#))?\s*[:#]?\s*(\d(?:[ -]?\d){5,19})\b/gid }
+  ],
+  national_id: [
+    // US SSN/ITIN and EIN
+    { pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { pattern: /\b\d{2}-\d{7}\b/g },
+    { pattern: /\b(?:SSN|TIN|EIN|social security (?:number|no\.?)|tax (?:id|identification)(?: (?:number|no\.?))?|VAT (?:id|number|no\.?))\s*[:#]?\s*((?:[A-Z]{2})?\d(?:[ -]?\d){5,16})\b/gid }
+  ],
+  address: [
+    // 500 Market Street, Suite 300, San Francisco, CA 94105
+    { pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][A-Za-z0-9.'-]*\\s+){1,4}${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:Suite|Ste|Apt|Unit|Floor|Fl)\\.?\\s*#?[A-Z0-9-]+)?(?:,\\s*[A-Z][A-Za-z.'-]*(?:\\s[A-Z][A-Za-z.'-]*)*,?\\s+[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?)?`, 'g') },
+    { pattern: /\bP\.?\s?O\.?\s+Box\s+\d+/gi }
+  ]
+};
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidPolicy(message) {
+  const error = new Error(message);
+  error.code = 'invalid_redaction_policy';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Redaction policy used when an organization sets none, from environment variables.
+ * Unknown categories in PII_REDACTION_CATEGORIES are ignored.
+ * @returns {{enabled: boolean, categories: Array<string>}}
+ */
+function getDefaultRedactionPolicy() {
+  const configured = (process.env.PII_REDACTION_CATEGORIES || '')
+    .split(',')
+    .map(category => category.trim())
+    .filter(Boolean);
+  const unknown = configured.filter(category => !REDACTION_CATEGORIES[category]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Ignoring unknown PII_REDACTION_CATEGORIES: ${unknown.join(', ')}`);
+  }
+
+  return {
+    enabled: process.env.PII_REDACTION_ENABLED === 'true',
+    categories: configured.length > 0
+      ? configured.filter(category => REDACTION_CATEGORIES[category])
+      : Object.keys(REDACTION_CATEGORIES)
+  };
+}
+
+/**
+ * Validate an organization's redaction policy. Omitted settings use the defaults.
+ * @param {any} policy - Policy from the request body: { enabled?, categories? }
+ * @returns {Object} Policy to store
+ */
+function validateRedactionPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw invalidPolicy('Redaction policy must be an object');
+  }
+
+  const unknown = Object.keys(policy).find(key => !POLICY_KEYS.includes(key));
+  if (unknown) {
+    throw invalidPolicy(`Unknown redaction setting ${unknown}; expected any of: ${POLICY_KEYS.join(', ')}`);
+  }
+
+  const validated = {};
+  if (policy.enabled !== undefined) {
+    if (typeof policy.enabled !== 'boolean') {
+      throw invalidPolicy('enabled must be true or false');
+    }
+    validated.enabled = policy.enabled;
+  }
+  if (policy.categories !== undefined) {
+    if (!Array.isArray(policy.categories)) {
+      throw invalidPolicy(`categories must be an array of: ${Object.keys(REDACTION_CATEGORIES).join(', ')}`);
+    }
+    const invalid = policy.categories.find(category => typeof category !== 'string' || !REDACTION_CATEGORIES[category]);
+    if (invalid !== undefined) {
+      throw invalidPolicy(`Unknown redaction category ${JSON.stringify(invalid)}; expected any of: ${Object.keys(REDACTION_CATEGORIES).join(', ')}`);
+    }
+    validated.categories = [...new Set(policy.categories)];
+  }
+
+  return validated;
+}
+
+/**
+ * Effective redaction policy for an organization
+ * @param {Object|null} orgPolicy - Organization.redaction_policy
+ * @returns {{enabled: boolean, categories: Array<string>}} Defaults overridden by the organization's settings
+ */
+function resolveRedactionPolicy(orgPolicy) {
+  return { ...getDefaultRedactionPolicy(), ...(orgPolicy || {}) };
+}
+
+/**
+ * Find the personal data of the given categories in a text. Where matches overlap,
+ * the one that starts first (then the longest) is kept.
+ * @param {string} text - Document text
+ * @param {Array<string>} categories - Categories to detect
+ * @returns {Array<{category: string, start: number, end: number, value: string}>} In text order
+ */
+function detectPii(text, categories) {
+  const found = [];
+  for (const category of categories) {
+    for (const { pattern, validate } of DETECTORS[category] || []) {
+      for (const match of text.matchAll(pattern)) {
+        const [start, end] = match.indices?.[1] ?? [match.index, match.index + match[0].length];
+        const value = text.slice(start, end);
+        if (!validate || validate(value)) {
+          found.push({ category, start, end, value });
+        }
+      }
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const match of found) {
+    if (kept.length === 0 || match.start >= kept[kept.length - 1].end) {
+      kept.push(match);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Replace personal data with placeholders. Placeholders are stable within the text:
+ * the same value always gets the same one, numbered per category in order of appearance.
+ * @param {string} text - Document text
+ * @param {Array<string>} categories - Categories to redact
+ * @returns {{text: string, map: Object<string, string>, counts: Object<string, number>}} Redacted text,
+ *   placeholder to original value, and values redacted per category
+ */
+function redactText(text, categories) {
+  const map = {};
+  const placeholders = new Map();
+  const counts = {};
+  const next = {};
+  let redacted = '';
+  let position = 0;
+
+  for (const { category, start, end, value } of detectPii(text, categories)) {
+    const key = `${category}:${value}`;
+    if (!placeholders.has(key)) {
+      next[category] = (next[category] || 0) + 1;
+      const placeholder = `[${REDACTION_CATEGORIES[category]}_${next[category]}]`;
+      placeholders.set(key, placeholder);
+      map[placeholder] = value;
+    }
+    counts[category] = (counts[category] || 0) + 1;
+    redacted += text.slice(position, start) + placeholders.get(key);
+    position = end;
+  }
+
+  return { text: redacted + text.slice(position), map, counts };
+}
+
+/**
+ * Put the original values back in place of the placeholders, anywhere in an extraction.
+ * Placeholders that aren't in the map (made up by the model) are left as they are.
+ * @param {any} value - Extraction, or any part of it
+ * @param {Object<string, string>} map - redactText().map
+ * @returns {any} Copy with the placeholders replaced
+ */
+function rehydrate(value, map) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, placeholder => map[placeholder] ?? placeholder);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => rehydrate(item, map));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rehydrate(item, map)]));
+  }
+  return value;
+}
+
+module.exports = {
+  REDACTION_CATEGORIES,
+  detectPii,
+  redactText,
+  rehydrate,
+  getDefaultRedactionPolicy,
+  validateRedactionPolicy,
+  resolveRedactionPolicy
+};
@@ -0,0 +1,112 @@
+// LLM response cache: identical prompts to the same model configuration are answered from Redis
+const crypto = require('crypto');
+const redisClient = require('../redisClient');
+
+const KEY_PREFIX = 'llm:cache:v1:';
+
+/**
+ * Cache settings, from environment variables
+ * @returns {{enabled: boolean, ttlSeconds: number}}
+ */
+function getCacheConfig() {
+  return {
+    enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+    ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 30 * 24 * 60 * 60
+  };
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Cache key for one LLM call. Whitespace differences in the prompt don't matter;
+ * any change to the prompt, schema or model configuration is a different key.
+ * @param {Object} params
+ * @param {string} params.systemText - System prompt
+ * @param {string} params.userText - User prompt including the document text
+ * @param {string|null} params.schemaVersion - Extraction schema ($id), null for classification
+ * @param {Object} params.modelConfig - From provider.getModelConfig()
+ * @returns {string}
+ */
+function buildCacheKey({ systemText, userText, schemaVersion, modelConfig }) {
+  const parts = {
+    text: sha256(userText.replace(/\s+/g, ' ').trim()),
+    system: sha256(systemText),
+    schemaVersion,
+    model: modelConfig
+  };
+  return `${KEY_PREFIX}${sha256(JSON.stringify(parts))}`;
+}
+
+class LlmResponseCache {
+  /**
+   * Content-addressed cache of raw provider responses. A cache that can't be
+   * reached is a miss: it never fails a job.
+   * @param {Object} [options] - Overrides for getCacheConfig()
+   * @param {Object} [options.redis] - Redis client wrapper (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    const config = { ...getCacheConfig(), ...options };
+    this.enabled = config.enabled;
+    this.ttlSeconds = config.ttlSeconds;
+    this.redis = options.redis || redisClient;
+  }
+
+  /**
+   * Mock answers are free and should follow edits to their fixtures
+   * @param {import('./providers/base').LlmProvider} provider - Provider about to be called
+   * @returns {boolean}
+   */
+  isEnabledFor(provider) {
+    return this.enabled && provider.name !== 'mock';
+  }
+
+  /**
+   * @param {string} key - From buildCacheKey
+   * @returns {Promise<{text: string, usage: Object|null}|null>} The cached response, or null on a miss
+   */
+  async get(key) {
+    try {
+      const redis = await this.redis.connect();
+      const cached = await redis.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn(`⚠️  LLM cache read failed, calling the provider: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key - From buildCacheKey
+   * @param {{text: string, usage: Object|null}} response - Provider response
+   */
+  async set(key, response) {
+    try {
+      const redis = await this.redis.connect();
+      await redis.set(key, JSON.stringify({ text: response.text, usage: response.usage ?? null }), 'EX', this.ttlSeconds);
+    } catch (error) {
+      console.warn(`⚠️  LLM cache write failed: ${error.message}`);
+    }
+  }
+}
+
+let cache = null;
+
+/**
+ * The shared response cache, created on first use
+ * @returns {LlmResponseCache}
+ */
+function getResponseCache() {
+  if (!cache) {
+    cache = new LlmResponseCache();
+  }
+  return cache;
+}
+
+module.exports = {
+  LlmResponseCache,
+  buildCacheKey,
+  getCacheConfig,
+  getResponseCache
+};
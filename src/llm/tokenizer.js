@@ -0,0 +1,87 @@
+// Local token counting, for estimates before a call and for providers that don't report usage.
+// OpenAI models are counted with their own BPE vocabulary (js-tiktoken). Other models have no
+// bundled vocabulary: their text is split the way BPE tokenizers pre-tokenize it (words with
+// their leading space, digits in groups of three, punctuation runs, whitespace), and words
+// too long to be a single vocabulary entry count as several tokens.
+const { Tiktoken } = require('js-tiktoken/lite');
+
+const PRE_TOKEN_PATTERN = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/giu;
+
+// Longest word counted as one token, and characters per token beyond that
+const SINGLE_TOKEN_WORD = 6;
+const CHARS_PER_WORD_PIECE = 4;
+
+// BPE encoding of OpenAI models, by model name prefix (the longest matching prefix wins)
+const OPENAI_ENCODINGS = {
+  'gpt-3.5-turbo': 'cl100k_base',
+  'gpt-4': 'cl100k_base',
+  'gpt-4o': 'o200k_base',
+  'gpt-4.1': 'o200k_base',
+  'gpt-4.5': 'o200k_base',
+  'gpt-5': 'o200k_base',
+  'o1': 'o200k_base',
+  'o3': 'o200k_base',
+  'o4': 'o200k_base',
+};
+
+// Vocabularies are a few MB each, so they are loaded on first use
+const encoders = new Map();
+
+/**
+ * @param {string} model - OpenAI model name, e.g. 'gpt-4o-mini-2024-07-18'
+ * @returns {string|null} Name of the model's BPE encoding, or null if unknown
+ */
+function getOpenAIEncodingName(model) {
+  const prefix = Object.keys(OPENAI_ENCODINGS)
+    .filter(candidate => model === candidate || String(model).startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? OPENAI_ENCODINGS[prefix] : null;
+}
+
+/**
+ * @param {string} encodingName - e.g. 'o200k_base'
+ * @returns {Tiktoken}
+ */
+function getEncoder(encodingName) {
+  if (!encoders.has(encodingName)) {
+    encoders.set(encodingName, new Tiktoken(require(`js-tiktoken/ranks/${encodingName}`)));
+  }
+  return encoders.get(encodingName);
+}
+
+/**
+ * Approximate number of tokens in a text, for models without a bundled vocabulary
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function countTokens(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PRE_TOKEN_PATTERN)) {
+    const word = piece.trim();
+    tokens += word.length <= SINGLE_TOKEN_WORD ? 1 : Math.ceil(word.length / CHARS_PER_WORD_PIECE);
+  }
+  return tokens;
+}
+
+/**
+ * Number of tokens in a text with an OpenAI model's own vocabulary. Special tokens such as
+ * <|endoftext|> in a document are counted as ordinary text, as the API does.
+ * @param {string} text - Text to measure
+ * @param {string} model - OpenAI model name
+ * @returns {number|null} Token count, or null if the model's encoding is unknown
+ */
+function countOpenAITokens(text, model) {
+  const encodingName = getOpenAIEncodingName(model);
+  if (!encodingName) return null;
+  if (!text) return 0;
+
+  return getEncoder(encodingName).encode(text, [], []).length;
+}
+
+module.exports = {
+  countTokens,
+  countOpenAITokens,
+  getOpenAIEncodingName
+};
@@ -0,0 +1,39 @@
+/**
+ * Middleware factory that provisions the authenticated user's account (must run
+ * after validateAuth) and attaches:
+ * - req.org: { id, name } - the organization the request acts in
+ * - req.orgId: the organization ID
+ * - req.membership: { id, role } - the user's membership in that organization
+ *
+ * API key requests have no user to provision: they act in the key's organization
+ * and req.membership is null.
+ * @param {import('../services/accountProvisioning').AccountProvisioningService} accountService
+ */
+const provisionAccount = (accountService) => async (req, res, next) => {
+  if (req.apiKey) {
+    req.org = { id: req.apiKey.organization.id, name: req.apiKey.organization.name };
+    req.orgId = req.org.id;
+    req.membership = null;
+    return next();
+  }
+
+  try {
+    const account = await accountService.provision({ ...req.user, userId: req.userId });
+
+    req.org = account.org;
+    req.orgId = account.org.id;
+    req.membership = account.membership;
+
+    next();
+  } catch (error) {
+    console.error('❌ Account provisioning failed:', error.message);
+    res.status(503).json({
+      error: 'account_unavailable',
+      message: 'Could not load your account, please retry'
+    });
+  }
+};
+
+module.exports = {
+  provisionAccount
+};
@@ -0,0 +1,65 @@
+const { logSecurityEvent } = require('./security');
+
+/**
+ * Whether a user may access a job. Jobs belonging to an organization are shared
+ * by its members; jobs without one (uploaded before organizations existed) are
+ * only visible to their uploader. Jobs without an owner at all are only
+ * reachable through admin routes.
+ * @param {Object|null} job - Job record
+ * @param {Object} scope - Authenticated user
+ * @param {string} scope.userId - User ID
+ * @param {string} [scope.orgId] - Active organization ID
+ * @returns {boolean}
+ */
+const canAccessJob = (job, { userId, orgId = null }) => {
+  if (!job || !userId) {
+    return false;
+  }
+
+  if (job.orgId) {
+    return Boolean(orgId) && job.orgId === orgId;
+  }
+
+  return Boolean(job.userId) && job.userId === userId;
+};
+
+/**
+ * Middleware factory that loads the job named by req.params.jobId into req.job
+ * (must run after authentication). Jobs that don't exist and jobs the user can't
+ * access both get the same 404, so job IDs can't be probed.
+ * @param {import('../prisma-database')} db - Database manager
+ */
+const requireJobOwnership = (db) => async (req, res, next) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await db.getJob(jobId);
+
+    if (!canAccessJob(job, { userId: req.userId, orgId: req.orgId })) {
+      if (job) {
+        logSecurityEvent('job_access_denied', {
+          userId: req.userId,
+          orgId: req.orgId,
+          jobId,
+          ip: req.ip,
+          path: req.path
+        });
+      }
+
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job found with ID: ${jobId}`
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  canAccessJob,
+  requireJobOwnership
+};
@@ -0,0 +1,59 @@
+const { logSecurityEvent } = require('./security');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+
+/**
+ * Middleware factory restricting a route to members whose role grants a
+ * permission, or API keys whose scopes include it (must run after account
+ * provisioning sets req.membership)
+ * @param {string} permission - Permission, e.g. 'jobs:reprocess'
+ */
+const requirePermission = (permission) => {
+  if (!Object.values(PERMISSIONS).includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (!req.apiKey.scopes.includes(permission)) {
+        logSecurityEvent('permission_denied', {
+          apiKeyId: req.apiKey.id,
+          orgId: req.orgId,
+          permission,
+          ip: req.ip,
+          path: req.path
+        });
+
+        return res.status(403).json({
+          error: 'forbidden',
+          message: `This API key's scopes do not include ${permission}`
+        });
+      }
+
+      return next();
+    }
+
+    const role = req.membership?.role;
+
+    if (!hasPermission(role, permission)) {
+      logSecurityEvent('permission_denied', {
+        userId: req.userId,
+        orgId: req.orgId,
+        role,
+        permission,
+        ip: req.ip,
+        path: req.path
+      });
+
+      return res.status(403).json({
+        error: 'forbidden',
+        message: `Your role (${role || 'none'}) does not allow ${permission}`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requirePermission
+};
@@ -3,7 +3,7 @@ const rateLimiter = require('../rateLimiter');
 /**
  * Create rate limiting middleware
  * @param {string} key - Rate limit key identifier
- * @param {number} limit - Maximum requests allowed
+ * @param {number|function} limit - Maximum requests allowed, or a function returning it for a request
  * @param {number} windowSeconds - Time window in seconds
  * @param {function} getUserId - Function to extract user ID from request
  * @returns {function} Express middleware function
@@ -18,18 +18,20 @@ function createRateLimitMiddleware(key, limit, windowSeconds, getUserId = (req)
         return next();
       }
 
-      const result = await rateLimiter.checkLimit(userId, key, limit, windowSeconds);
+      const max = typeof limit === 'function' ? limit(req) : limit;
+
+      const result = await rateLimiter.checkLimit(userId, key, max, windowSeconds);
 
       // Add rate limit headers
       res.set({
-        'X-RateLimit-Limit': limit,
+        'X-RateLimit-Limit': max,
         'X-RateLimit-Remaining': result.remaining,
         'X-RateLimit-Reset': new Date(result.resetTime).toISOString()
       });
 
       if (!result.allowed) {
         // Log rate limit hit
-        console.log(`RATE_LIMIT_HIT userId=${userId} limit=${limit} window=${windowSeconds} current=${result.current}`);
+        console.log(`RATE_LIMIT_HIT userId=${userId} limit=${max} window=${windowSeconds} current=${result.current}`);
 
         // Set Retry-After header
         if (result.retryAfter) {
@@ -40,7 +42,7 @@ function createRateLimitMiddleware(key, limit, windowSeconds, getUserId = (req)
           error: 'rate_limited',
           message: 'Rate limit exceeded',
           retryAfter: result.retryAfter || windowSeconds,
-          limit,
+          limit: max,
           remaining: result.remaining,
           resetTime: result.resetTime
         });
@@ -65,14 +67,18 @@ const generalRateLimiter = createRateLimitMiddleware(
   (req) => req.ip
 );
 
+const USER_UPLOADS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE) || 10;
+const USER_UPLOADS_PER_HOUR = parseInt(process.env.RATE_LIMIT_USER_PER_HOUR) || 100;
+
 /**
- * Upload rate limiter for authenticated users
+ * Upload rate limiter for authenticated users. API keys are limited
+ * separately (req.userId is `apikey:<id>`) and can lower the limits.
  */
 const uploadRateLimiter = createRateLimitMiddleware(
   'upload_per_minute',
-  parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE) || 10,
+  (req) => Math.min(req.apiKey?.rateLimitPerMinute || USER_UPLOADS_PER_MINUTE, USER_UPLOADS_PER_MINUTE),
   60,
-  (req) => req.user?.id || req.ip
+  (req) => req.userId || req.ip
 );
 
 /**
@@ -80,24 +86,54 @@ const uploadRateLimiter = createRateLimitMiddleware(
  */
 const uploadHourlyRateLimiter = createRateLimitMiddleware(
   'upload_per_hour',
-  parseInt(process.env.RATE_LIMIT_USER_PER_HOUR) || 100,
+  (req) => Math.min(req.apiKey?.rateLimitPerHour || USER_UPLOADS_PER_HOUR, USER_UPLOADS_PER_HOUR),
+  3600,
+  (req) => req.userId || req.ip
+);
+
+/**
+ * Upload rate limiters shared by every member of an organization
+ * (requires account provisioning to have set req.orgId)
+ */
+const orgUploadRateLimiter = createRateLimitMiddleware(
+  'org_upload_per_minute',
+  parseInt(process.env.RATE_LIMIT_ORG_PER_MINUTE) || 60,
+  60,
+  (req) => req.orgId && `org:${req.orgId}`
+);
+
+const orgUploadHourlyRateLimiter = createRateLimitMiddleware(
+  'org_upload_per_hour',
+  parseInt(process.env.RATE_LIMIT_ORG_PER_HOUR) || 1000,
   3600,
-  (req) => req.user?.id || req.ip
+  (req) => req.orgId && `org:${req.orgId}`
 );
 
 /**
- * Combined upload rate limiter that checks both per-minute and per-hour limits
+ * Combined upload rate limiter that checks the user's per-minute and per-hour
+ * limits, then their organization's
  */
 const combinedUploadRateLimiter = async (req, res, next) => {
-  // Check per-minute limit first
-  uploadRateLimiter(req, res, (err) => {
+  const limiters = [
+    uploadRateLimiter,
+    uploadHourlyRateLimiter,
+    ...(req.orgId ? [orgUploadRateLimiter, orgUploadHourlyRateLimiter] : [])
+  ];
+
+  // Run each limiter in turn, stopping at the first one that rejects
+  const runNext = (index) => (err) => {
     if (err || res.headersSent) {
       return;
     }
-    
-    // If per-minute check passed, check per-hour limit
-    uploadHourlyRateLimiter(req, res, next);
-  });
+
+    if (index === limiters.length) {
+      return next();
+    }
+
+    limiters[index](req, res, runNext(index + 1));
+  };
+
+  runNext(0)();
 };
 
 module.exports = {
@@ -105,5 +141,7 @@ module.exports = {
   generalRateLimiter,
   uploadRateLimiter,
   uploadHourlyRateLimiter,
+  orgUploadRateLimiter,
+  orgUploadHourlyRateLimiter,
   combinedUploadRateLimiter
 };
\ No newline at end of file
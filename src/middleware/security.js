@@ -1,6 +1,15 @@
 const { RateLimiterRedis, RateLimiterMemory } = require('rate-limiter-flexible');
 const Redis = require('ioredis');
-const jwt = require('jsonwebtoken');
+const TokenVerifier = require('../services/tokenVerifier');
+const PrismaDatabaseManager = require('../prisma-database');
+const { ApiKeyService } = require('../services/apiKeys');
+
+const tokenVerifier = new TokenVerifier();
+if (!tokenVerifier.configured) {
+  console.error('❌ No AUTH_JWKS_URL, AUTH_JWKS_FILE or JWT_SECRET configured - all authenticated requests will be rejected');
+}
+
+const apiKeyService = new ApiKeyService({ db: new PrismaDatabaseManager() });
 
 // Initialize Redis connection (with fallback to in-memory)
 let redis = null;
@@ -61,10 +70,28 @@ rateLimiters.userPerHour = createRateLimiter(
   3600
 );
 
+/**
+ * API key sent as `Authorization: ApiKey <key>` or `X-API-Key: <key>`
+ * @returns {string|null}
+ */
+const getPresentedApiKey = (req) => {
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.substring(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
 /**
  * Middleware to validate origin/referrer headers
  */
 const validateOrigin = (req, res, next) => {
+  // Browsers never attach API keys on their own, so key-authenticated
+  // server-to-server calls can't be cross-site forgeries; validateAuth checks the key
+  if (getPresentedApiKey(req)) {
+    return next();
+  }
+
   const origin = req.get('Origin') || req.get('Referer');
   
   if (!origin) {
@@ -107,11 +134,29 @@ const validateOrigin = (req, res, next) => {
 };
 
 /**
- * Middleware to validate JWT authentication
+ * Middleware to validate JWT authentication: RS256 tokens against the configured
+ * JWKS, or HS256 tokens signed with JWT_SECRET for local development.
+ * Integrations can send an API key instead, which acts in its organization
+ * with the key's scopes and its own rate limits and quotas (req.apiKey).
  */
-const validateAuth = (req, res, next) => {
+const validateAuth = async (req, res, next) => {
+  const presentedKey = getPresentedApiKey(req);
+  if (presentedKey) {
+    try {
+      const apiKey = await apiKeyService.authenticate(presentedKey);
+      req.apiKey = apiKey;
+      req.userId = `apikey:${apiKey.id}`;
+      req.orgId = apiKey.orgId;
+      return next();
+    } catch (error) {
+      console.warn('🚫 API key validation failed:', error.message);
+      logSecurityEvent('api_key_rejected', { ip: req.ip, path: req.path, reason: error.message });
+      return res.status(error.status || 401).json({ error: error.code || 'invalid_api_key' });
+    }
+  }
+
   const authHeader = req.get('Authorization');
-  
+
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'authentication_required' });
   }
@@ -119,9 +164,10 @@ const validateAuth = (req, res, next) => {
   const token = authHeader.substring(7);
   
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    const decoded = await tokenVerifier.verify(token);
     req.user = decoded;
     req.userId = decoded.userId || decoded.sub || decoded.id;
+    req.orgId = decoded.orgId || decoded.org_id || null;
     
     if (!req.userId) {
       throw new Error('No user ID in token');
@@ -130,10 +176,35 @@ const validateAuth = (req, res, next) => {
     next();
   } catch (error) {
     console.warn('🚫 Auth validation failed:', error.message);
-    return res.status(401).json({ error: 'invalid_token' });
+    // Fail closed: misconfiguration and JWKS outages reject the request too
+    return res.status(error.status || 401).json({ error: error.code || 'invalid_token' });
   }
 };
 
+/**
+ * Middleware to restrict a route to admins (must run after validateAuth).
+ * A user is an admin if the token carries role=admin or their ID is listed in ADMIN_USER_IDS.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminUserIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const isAdmin = req.user?.role === 'admin' || adminUserIds.includes(req.userId);
+
+  if (!isAdmin) {
+    logSecurityEvent('admin_access_denied', {
+      userId: req.userId,
+      ip: req.ip,
+      path: req.path
+    });
+    return res.status(403).json({ error: 'forbidden' });
+  }
+
+  next();
+};
+
 /**
  * Middleware to check rate limits
  */
@@ -199,10 +270,13 @@ const logSecurityEvent = (event, details) => {
 module.exports = {
   validateOrigin,
   validateAuth,
+  requireAdmin,
   checkRateLimit,
   validateFileUpload,
   logSecurityEvent,
   createRateLimiter,
+  tokenVerifier,
+  apiKeyService,
   redis,
   allowedOrigins
 };
\ No newline at end of file
@@ -1,4 +1,11 @@
 const { PrismaClient } = require('@prisma/client');
+const { JOB_STATUS, transitionJob } = require('./services/jobStateMachine');
+const {
+  buildJobFilterWhere,
+  buildCursorWhere,
+  buildJobOrderBy,
+  encodeCursor
+} = require('./utils/jobListQuery');
 
 class PrismaDatabaseManager {
   constructor() {
@@ -16,13 +23,17 @@ class PrismaDatabaseManager {
     }
   }
 
-  async createJob(filename, status = 'pending', extraction = null) {
+  async createJob(filename, status = JOB_STATUS.QUEUED, extraction = null, fields = {}) {
     try {
       const job = await this.prisma.job.create({
         data: {
+          ...fields,
           filename,
           status,
           extraction: extraction || null,
+          events: {
+            create: { toStatus: status },
+          },
         },
       });
       return job;
@@ -62,6 +73,502 @@ class PrismaDatabaseManager {
     }
   }
 
+  async transitionJob(id, status, options = {}) {
+    try {
+      return await transitionJob(this.prisma, id, status, options);
+    } catch (error) {
+      console.error('Error transitioning job:', error.message);
+      throw error;
+    }
+  }
+
+  async failJob(id, message, details = {}) {
+    return this.finishWithError(id, JOB_STATUS.FAILED, message, details);
+  }
+
+  async deadLetterJob(id, message, details = {}) {
+    return this.finishWithError(id, JOB_STATUS.DEAD_LETTER, message, details);
+  }
+
+  async finishWithError(id, status, message, details = {}) {
+    return this.transitionJob(id, status, {
+      error: message,
+      metadata: Object.keys(details).length > 0 ? details : null,
+      data: {
+        extraction: JSON.stringify({
+          error: message,
+          ...details,
+          timestamp: new Date().toISOString(),
+        }),
+      },
+    });
+  }
+
+  async getJobEvents(jobId) {
+    try {
+      const events = await this.prisma.jobEvent.findMany({
+        where: { jobId },
+        orderBy: { createdAt: 'asc' },
+      });
+      return events;
+    } catch (error) {
+      console.error('Error getting job events:', error);
+      throw error;
+    }
+  }
+
+  async getJobsByStatus(status, { limit = 50, offset = 0 } = {}) {
+    try {
+      const [jobs, total] = await Promise.all([
+        this.prisma.job.findMany({
+          where: { status },
+          orderBy: { updatedAt: 'desc' },
+          take: limit,
+          skip: offset,
+        }),
+        this.prisma.job.count({ where: { status } }),
+      ]);
+      return { jobs, total };
+    } catch (error) {
+      console.error('Error getting jobs by status:', error);
+      throw error;
+    }
+  }
+
+  // scope: { userId, orgId }; options: parsed GET /api/jobs query (see parseJobListQuery)
+  async listJobs(scope, { filters = {}, sort = 'createdAt', order = 'desc', limit = 20, cursor = null } = {}) {
+    try {
+      const where = buildJobFilterWhere(scope, filters);
+
+      // Fetch one extra row to know whether there is another page
+      const rows = await this.prisma.job.findMany({
+        where: cursor ? { AND: [where, buildCursorWhere(cursor, sort, order)] } : where,
+        orderBy: buildJobOrderBy(sort, order),
+        take: limit + 1,
+      });
+
+      const jobs = rows.slice(0, limit);
+      const nextCursor = rows.length > limit ? encodeCursor(jobs[jobs.length - 1], sort) : null;
+
+      return { jobs, nextCursor };
+    } catch (error) {
+      console.error('Error listing jobs:', error);
+      throw error;
+    }
+  }
+
+  async findStaleJobs(statuses, updatedBefore) {
+    try {
+      const jobs = await this.prisma.job.findMany({
+        where: {
+          status: { in: [].concat(statuses) },
+          updatedAt: { lt: updatedBefore },
+        },
+        orderBy: { updatedAt: 'asc' },
+      });
+      return jobs;
+    } catch (error) {
+      console.error('Error finding stale jobs:', error);
+      throw error;
+    }
+  }
+
+  async upsertUser({ id, email = null, name = null }) {
+    try {
+      const user = await this.prisma.user.upsert({
+        where: { id },
+        create: { id, email, name },
+        // Keep the profile in sync with the identity provider without erasing known values
+        update: {
+          ...(email ? { email } : {}),
+          ...(name ? { name } : {}),
+        },
+      });
+      return user;
+    } catch (error) {
+      console.error('Error upserting user:', error);
+      throw error;
+    }
+  }
+
+  async getOrganization(id) {
+    try {
+      const organization = await this.prisma.organization.findUnique({
+        where: { id },
+      });
+      return organization;
+    } catch (error) {
+      console.error('Error getting organization:', error);
+      throw error;
+    }
+  }
+
+  async updateOrganization(id, data) {
+    try {
+      const organization = await this.prisma.organization.update({
+        where: { id },
+        data,
+      });
+      return organization;
+    } catch (error) {
+      console.error('Error updating organization:', error);
+      throw error;
+    }
+  }
+
+  async getMembership(userId, orgId) {
+    try {
+      const membership = await this.prisma.membership.findUnique({
+        where: { userId_orgId: { userId, orgId } },
+        include: { organization: true },
+      });
+      return membership;
+    } catch (error) {
+      console.error('Error getting membership:', error);
+      throw error;
+    }
+  }
+
+  // The user's oldest membership is their default organization
+  async getDefaultMembership(userId) {
+    try {
+      const membership = await this.prisma.membership.findFirst({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+        include: { organization: true },
+      });
+      return membership;
+    } catch (error) {
+      console.error('Error getting default membership:', error);
+      throw error;
+    }
+  }
+
+  // Creates the organization with its first member; id is optional (provider org ID)
+  async createOrganization({ id, name, personal = false }, { userId, role }) {
+    try {
+      const organization = await this.prisma.organization.create({
+        data: {
+          ...(id ? { id } : {}),
+          name,
+          personal,
+          memberships: {
+            create: { userId, role },
+          },
+        },
+      });
+      return this.getMembership(userId, organization.id);
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      throw error;
+    }
+  }
+
+  async createMembership(userId, orgId, role) {
+    try {
+      const membership = await this.prisma.membership.upsert({
+        where: { userId_orgId: { userId, orgId } },
+        create: { userId, orgId, role },
+        update: {},
+        include: { organization: true },
+      });
+      return membership;
+    } catch (error) {
+      console.error('Error creating membership:', error);
+      throw error;
+    }
+  }
+
+  async listMemberships(orgId) {
+    try {
+      const memberships = await this.prisma.membership.findMany({
+        where: { orgId },
+        orderBy: { createdAt: 'asc' },
+        include: { user: true },
+      });
+      return memberships;
+    } catch (error) {
+      console.error('Error listing memberships:', error);
+      throw error;
+    }
+  }
+
+  async updateMembershipRole(userId, orgId, role) {
+    try {
+      const membership = await this.prisma.membership.update({
+        where: { userId_orgId: { userId, orgId } },
+        data: { role },
+        include: { user: true },
+      });
+      return membership;
+    } catch (error) {
+      console.error('Error updating membership role:', error);
+      throw error;
+    }
+  }
+
+  async deleteJob(id) {
+    try {
+      // Job events are removed by the cascade
+      const job = await this.prisma.job.delete({
+        where: { id },
+      });
+      return job;
+    } catch (error) {
+      console.error('Error deleting job:', error);
+      throw error;
+    }
+  }
+
+  async createApiKey(data) {
+    try {
+      const apiKey = await this.prisma.apiKey.create({
+        data,
+      });
+      return apiKey;
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  async getApiKey(id) {
+    try {
+      const apiKey = await this.prisma.apiKey.findUnique({
+        where: { id },
+      });
+      return apiKey;
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  // Used on every API key request, so the organization comes along
+  async getApiKeyByLookupId(lookupId) {
+    try {
+      const apiKey = await this.prisma.apiKey.findUnique({
+        where: { lookupId },
+        include: { organization: true },
+      });
+      return apiKey;
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      throw error;
+    }
+  }
+
+  async listApiKeys(orgId) {
+    try {
+      const apiKeys = await this.prisma.apiKey.findMany({
+        where: { orgId },
+        orderBy: { createdAt: 'desc' },
+      });
+      return apiKeys;
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  async revokeApiKey(id) {
+    try {
+      const apiKey = await this.prisma.apiKey.update({
+        where: { id },
+        data: { revokedAt: new Date() },
+      });
+      return apiKey;
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  async touchApiKey(id) {
+    try {
+      await this.prisma.apiKey.update({
+        where: { id },
+        data: { lastUsedAt: new Date() },
+      });
+    } catch (error) {
+      console.error('Error updating API key last use:', error);
+      throw error;
+    }
+  }
+
+  async createExtractionTemplate(data) {
+    try {
+      const template = await this.prisma.extractionTemplate.create({
+        data,
+      });
+      return template;
+    } catch (error) {
+      console.error('Error creating extraction template:', error);
+      throw error;
+    }
+  }
+
+  async getExtractionTemplate(id) {
+    try {
+      const template = await this.prisma.extractionTemplate.findUnique({
+        where: { id },
+      });
+      return template;
+    } catch (error) {
+      console.error('Error getting extraction template:', error);
+      throw error;
+    }
+  }
+
+  async listExtractionTemplates(orgId) {
+    try {
+      const templates = await this.prisma.extractionTemplate.findMany({
+        where: { orgId, deletedAt: null },
+        orderBy: { createdAt: 'desc' },
+      });
+      return templates;
+    } catch (error) {
+      console.error('Error listing extraction templates:', error);
+      throw error;
+    }
+  }
+
+  async updateExtractionTemplate(id, data) {
+    try {
+      const template = await this.prisma.extractionTemplate.update({
+        where: { id },
+        data,
+      });
+      return template;
+    } catch (error) {
+      console.error('Error updating extraction template:', error);
+      throw error;
+    }
+  }
+
+  // Only succeeds while the job is in review and unclaimed, claimed by this user, or claimed before staleBefore
+  async claimJobReview(jobId, userId, staleBefore) {
+    try {
+      const { count } = await this.prisma.job.updateMany({
+        where: {
+          id: jobId,
+          status: JOB_STATUS.NEEDS_REVIEW,
+          OR: [
+            { reviewClaimedBy: null },
+            { reviewClaimedBy: userId },
+            { reviewClaimedAt: { lt: staleBefore } },
+          ],
+        },
+        data: { reviewClaimedBy: userId, reviewClaimedAt: new Date() },
+      });
+      return count > 0 ? this.getJob(jobId) : null;
+    } catch (error) {
+      console.error('Error claiming job review:', error);
+      throw error;
+    }
+  }
+
+  async releaseJobReview(jobId, userId) {
+    try {
+      const { count } = await this.prisma.job.updateMany({
+        where: { id: jobId, reviewClaimedBy: userId },
+        data: { reviewClaimedBy: null, reviewClaimedAt: null },
+      });
+      return count > 0;
+    } catch (error) {
+      console.error('Error releasing job review:', error);
+      throw error;
+    }
+  }
+
+  async listCorrections(jobId) {
+    try {
+      const corrections = await this.prisma.extractionCorrection.findMany({
+        where: { jobId },
+        orderBy: { version: 'asc' },
+      });
+      return corrections;
+    } catch (error) {
+      console.error('Error listing extraction corrections:', error);
+      throw error;
+    }
+  }
+
+  // Bumps the job's extraction_version from expectedVersion; returns null if another correction got there first.
+  // The corrected data is also written to the job's current extraction run, which the correction is linked to.
+  async createCorrection(jobId, expectedVersion, correction, jobData) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.job.updateMany({
+          where: { id: jobId, extraction_version: expectedVersion, status: JOB_STATUS.NEEDS_REVIEW },
+          data: { ...jobData, extraction_version: expectedVersion + 1 },
+        });
+        if (count === 0) {
+          return null;
+        }
+        const job = await tx.job.findUnique({ where: { id: jobId } });
+        const extraction = job.current_extraction_version === null ? null : await tx.extraction.update({
+          where: { jobId_version: { jobId, version: job.current_extraction_version } },
+          data: jobData,
+        });
+        return tx.extractionCorrection.create({
+          data: { ...correction, jobId, version: expectedVersion + 1, extractionId: extraction ? extraction.id : null },
+        });
+      });
+    } catch (error) {
+      console.error('Error creating extraction correction:', error);
+      throw error;
+    }
+  }
+
+  async listExtractions(jobId) {
+    try {
+      const extractions = await this.prisma.extraction.findMany({
+        where: { jobId },
+        orderBy: { version: 'asc' },
+      });
+      return extractions;
+    } catch (error) {
+      console.error('Error listing extractions:', error);
+      throw error;
+    }
+  }
+
+  async countExtractions(jobId) {
+    try {
+      return await this.prisma.extraction.count({ where: { jobId } });
+    } catch (error) {
+      console.error('Error counting extractions:', error);
+      throw error;
+    }
+  }
+
+  async getExtraction(jobId, version) {
+    try {
+      const extraction = await this.prisma.extraction.findUnique({
+        where: { jobId_version: { jobId, version } },
+      });
+      return extraction;
+    } catch (error) {
+      console.error('Error getting extraction:', error);
+      throw error;
+    }
+  }
+
+  // data: job columns of the run that becomes current (see jobDataFromExtraction)
+  async setCurrentExtraction(jobId, data, pinned) {
+    try {
+      const job = await this.prisma.job.update({
+        where: { id: jobId },
+        data: { ...data, extraction_pinned: pinned },
+      });
+      return job;
+    } catch (error) {
+      console.error('Error setting current extraction:', error);
+      throw error;
+    }
+  }
+
   async logWebhook(payload) {
     try {
       const webhook = await this.prisma.webhook.create({
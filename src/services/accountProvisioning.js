@@ -0,0 +1,142 @@
+// Account provisioning: create the User, their Organization and Membership on first sign-in
+const { ROLES, isValidRole } = require('./permissions');
+
+const DEFAULT_ORG_NAME = 'Personal Workspace';
+
+/**
+ * Map an identity provider org role (e.g. Clerk's `org:admin`) to a membership role
+ * @param {string} claimRole - Role claim from the token
+ * @returns {string}
+ */
+function mapClaimRole(claimRole) {
+  const role = String(claimRole || '').replace(/^org:/, '');
+  // Ownership is only granted to whoever creates the organization
+  return isValidRole(role) && role !== ROLES.OWNER ? role : ROLES.MEMBER;
+}
+
+class AccountProvisioningService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   */
+  constructor({ db }) {
+    this.db = db;
+    // Provisioning runs on every authenticated request, so recent results are cached
+    this.cacheTtlMs = parseInt(process.env.ACCOUNT_CACHE_TTL_MS) || 60 * 1000;
+    this.cache = new Map();
+    this.inflight = new Map();
+  }
+
+  /**
+   * Resolve the user's account from verified token claims, creating the User,
+   * Organization and Membership records the first time they are seen
+   * @param {Object} claims - Verified token claims
+   * @returns {Promise<{user: {id: string, email: string|null, name: string|null}, org: {id: string, name: string}, membership: {id: string, role: string}}>}
+   */
+  async provision(claims) {
+    const userId = claims.userId || claims.sub || claims.id;
+    const claimOrgId = claims.orgId || claims.org_id || null;
+    const cacheKey = `${userId}:${claimOrgId || ''}`;
+
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.account;
+    }
+
+    // Concurrent first requests from the same user share one provisioning run
+    if (!this.inflight.has(cacheKey)) {
+      const run = this.resolveAccount(userId, claimOrgId, claims)
+        .then(account => {
+          this.cache.set(cacheKey, { account, expiresAt: Date.now() + this.cacheTtlMs });
+          return account;
+        })
+        .finally(() => this.inflight.delete(cacheKey));
+
+      this.inflight.set(cacheKey, run);
+    }
+
+    return this.inflight.get(cacheKey);
+  }
+
+  async resolveAccount(userId, claimOrgId, claims) {
+    const user = await this.db.upsertUser({
+      id: userId,
+      email: claims.email || claims.email_address || null,
+      name: claims.name || null
+    });
+
+    const membership = claimOrgId
+      ? await this.joinClaimedOrganization(userId, claimOrgId, claims)
+      : await this.getOrCreateDefaultMembership(user);
+
+    return {
+      user: { id: user.id, email: user.email, name: user.name },
+      org: { id: membership.organization.id, name: membership.organization.name },
+      membership: { id: membership.id, role: membership.role }
+    };
+  }
+
+  /**
+   * The token names an organization (e.g. Clerk's active org): make sure it and
+   * the user's membership exist. Whoever creates the organization owns it.
+   */
+  async joinClaimedOrganization(userId, orgId, claims) {
+    const existing = await this.db.getMembership(userId, orgId);
+    if (existing) {
+      return existing;
+    }
+
+    const organization = await this.db.getOrganization(orgId);
+    if (organization) {
+      return this.db.createMembership(userId, orgId, mapClaimRole(claims.org_role || claims.orgRole));
+    }
+
+    try {
+      return await this.db.createOrganization(
+        { id: orgId, name: claims.org_name || claims.org_slug || orgId },
+        { userId, role: ROLES.OWNER }
+      );
+    } catch (error) {
+      // Another instance created it first
+      if (error.code === 'P2002') {
+        return this.db.createMembership(userId, orgId, mapClaimRole(claims.org_role || claims.orgRole));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * No organization in the token: use the user's first organization, creating a
+   * personal workspace on their first sign-in
+   */
+  async getOrCreateDefaultMembership(user) {
+    const existing = await this.db.getDefaultMembership(user.id);
+    if (existing) {
+      return existing;
+    }
+
+    const membership = await this.db.createOrganization(
+      { name: DEFAULT_ORG_NAME, personal: true },
+      { userId: user.id, role: ROLES.OWNER }
+    );
+    console.log(`🏢 Created personal workspace ${membership.orgId} for user ${user.id}`);
+    return membership;
+  }
+
+  /**
+   * Drop cached accounts for a user (e.g. after their role changes)
+   * @param {string} userId - User ID
+   */
+  invalidate(userId) {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${userId}:`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  AccountProvisioningService,
+  mapClaimRole
+};
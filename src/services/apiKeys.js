@@ -0,0 +1,293 @@
+// API keys for server-to-server integrations, scoped to an organization
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+const KEY_PREFIX = 'ffk';
+const KEY_PATTERN = /^ffk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+const BCRYPT_ROUNDS = 10;
+
+// Keys act for an integration, never as an organization administrator
+const NON_DELEGABLE_PERMISSIONS = [PERMISSIONS.MEMBERS_MANAGE, PERMISSIONS.APIKEYS_MANAGE];
+const DEFAULT_SCOPES = [PERMISSIONS.JOBS_READ, PERMISSIONS.JOBS_UPLOAD];
+const LIMIT_FIELDS = ['rateLimitPerMinute', 'rateLimitPerHour', 'dailyUploadLimitMb', 'monthlyUploadLimitMb'];
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @param {string} code - Error code returned to the client
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function apiKeyError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Generate a new key. The lookup ID is stored in the clear to find the record;
+ * only a bcrypt hash of the whole key is kept.
+ * @returns {{lookupId: string, key: string}}
+ */
+function generateApiKey() {
+  const lookupId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { lookupId, key: `${KEY_PREFIX}_${lookupId}_${secret}` };
+}
+
+/**
+ * @param {string} key - Key presented by the client
+ * @returns {string|null} The key's lookup ID, or null if it isn't a well-formed key
+ */
+function parseApiKey(key) {
+  const match = KEY_PATTERN.exec(String(key || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Shape of a key returned by the API (never includes the hash)
+ * @param {Object} apiKey - ApiKey record
+ * @returns {Object}
+ */
+function serializeApiKey(apiKey) {
+  let status = 'active';
+  if (apiKey.revokedAt) {
+    status = 'revoked';
+  } else if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    status = 'expired';
+  }
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: `${KEY_PREFIX}_${apiKey.lookupId}`,
+    scopes: apiKey.scopes,
+    status,
+    limits: Object.fromEntries(LIMIT_FIELDS.map(field => [field, apiKey[field] ?? null])),
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+class ApiKeyService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   */
+  constructor({ db }) {
+    this.db = db;
+    this.defaultExpiryDays = parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS) || 90;
+    this.maxExpiryDays = parseInt(process.env.API_KEY_MAX_EXPIRY_DAYS) || 365;
+    // bcrypt is deliberately slow, so verified keys are cached briefly. A key
+    // revoked on another instance keeps working there until its entry expires.
+    this.cacheTtlMs = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 60 * 1000;
+    this.cache = new Map(); // sha256(key) -> { apiKey, expiresAt }
+    // A key can lower the limits users get, never raise them (defaults as in rateLimitMiddleware.js and userQuota.js)
+    this.limitCeilings = {
+      rateLimitPerMinute: parseInt(process.env.RATE_LIMIT_USER_PER_MINUTE) || 10,
+      rateLimitPerHour: parseInt(process.env.RATE_LIMIT_USER_PER_HOUR) || 100,
+      dailyUploadLimitMb: parseInt(process.env.USER_DAILY_UPLOAD_LIMIT) || 100,
+      monthlyUploadLimitMb: parseInt(process.env.USER_MONTHLY_UPLOAD_LIMIT) || 1000
+    };
+  }
+
+  /**
+   * Validate requested scopes against the creator's role
+   * @param {Array<string>} scopes - Requested permissions
+   * @param {string} creatorRole - Role of the member creating the key
+   * @returns {Array<string>} De-duplicated scopes
+   */
+  validateScopes(scopes, creatorRole) {
+    if (scopes === undefined) {
+      return [...DEFAULT_SCOPES];
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw apiKeyError('scopes must be a non-empty array of permissions', 'invalid_scopes', 400);
+    }
+
+    const delegable = Object.values(PERMISSIONS).filter(p => !NON_DELEGABLE_PERMISSIONS.includes(p));
+
+    for (const scope of scopes) {
+      if (!delegable.includes(scope)) {
+        throw apiKeyError(`Scope ${scope} is not allowed; use: ${delegable.join(', ')}`, 'invalid_scopes', 400);
+      }
+      // A key can't do more than the member who created it
+      if (!hasPermission(creatorRole, scope)) {
+        throw apiKeyError(`Your role (${creatorRole}) does not allow granting ${scope}`, 'invalid_scopes', 403);
+      }
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * @param {number|undefined} expiresInDays - Requested lifetime
+   * @returns {Date}
+   */
+  resolveExpiry(expiresInDays) {
+    const days = expiresInDays === undefined ? this.defaultExpiryDays : Number(expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > this.maxExpiryDays) {
+      throw apiKeyError(`expiresInDays must be an integer between 1 and ${this.maxExpiryDays}`, 'invalid_expiry', 400);
+    }
+
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * @param {Object} input - Request body
+   * @returns {Object} Per-key limit overrides (null falls back to the defaults), at most the defaults
+   */
+  resolveLimits(input) {
+    const limits = {};
+
+    for (const field of LIMIT_FIELDS) {
+      const value = input[field];
+      if (value === undefined || value === null) {
+        limits[field] = null;
+        continue;
+      }
+      if (!Number.isInteger(value) || value < 1) {
+        throw apiKeyError(`${field} must be a positive integer`, 'invalid_limits', 400);
+      }
+      if (value > this.limitCeilings[field]) {
+        throw apiKeyError(`${field} can be at most ${this.limitCeilings[field]}, the limit for users`, 'invalid_limits', 400);
+      }
+      limits[field] = value;
+    }
+
+    return limits;
+  }
+
+  /**
+   * Create a key for an organization. The plaintext key is only returned here.
+   * @param {Object} params
+   * @param {string} params.orgId - Organization the key acts in
+   * @param {string} params.createdBy - User creating the key
+   * @param {string} params.creatorRole - The creator's membership role
+   * @param {Object} params.input - { name, scopes, expiresInDays, rateLimitPerMinute, rateLimitPerHour, dailyUploadLimitMb, monthlyUploadLimitMb }
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async create({ orgId, createdBy, creatorRole, input = {} }) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 100) {
+      throw apiKeyError('name is required (up to 100 characters)', 'invalid_name', 400);
+    }
+
+    const scopes = this.validateScopes(input.scopes, creatorRole);
+    const expiresAt = this.resolveExpiry(input.expiresInDays);
+    const limits = this.resolveLimits(input);
+
+    const { lookupId, key } = generateApiKey();
+    const keyHash = await bcrypt.hash(key, BCRYPT_ROUNDS);
+
+    const apiKey = await this.db.createApiKey({
+      orgId,
+      createdBy,
+      name,
+      lookupId,
+      keyHash,
+      scopes,
+      expiresAt,
+      ...limits
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(orgId) {
+    return this.db.listApiKeys(orgId);
+  }
+
+  /**
+   * Revoke one of an organization's keys
+   * @param {string} orgId - Organization ID
+   * @param {string} keyId - ApiKey ID
+   * @returns {Promise<Object|null>} The revoked key, or null if the org has no such key
+   */
+  async revoke(orgId, keyId) {
+    const apiKey = await this.db.getApiKey(keyId);
+    if (!apiKey || apiKey.orgId !== orgId) {
+      return null;
+    }
+
+    const revoked = apiKey.revokedAt ? apiKey : await this.db.revokeApiKey(keyId);
+
+    for (const [hash, entry] of this.cache) {
+      if (entry.apiKey.id === keyId) {
+        this.cache.delete(hash);
+      }
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Verify a key presented by a client
+   * @param {string} key - Plaintext key
+   * @returns {Promise<Object>} ApiKey record including its organization
+   * @throws {Error} invalid_api_key (401) for unknown, revoked or expired keys
+   */
+  async authenticate(key) {
+    const cacheKey = crypto.createHash('sha256').update(String(key)).digest('hex');
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      this.assertUsable(cached.apiKey);
+      return cached.apiKey;
+    }
+
+    const lookupId = parseApiKey(key);
+    if (!lookupId) {
+      throw apiKeyError('Malformed API key', 'invalid_api_key', 401);
+    }
+
+    let apiKey;
+    try {
+      apiKey = await this.db.getApiKeyByLookupId(lookupId);
+    } catch (error) {
+      throw apiKeyError(`API key lookup failed: ${error.message}`, 'auth_unavailable', 503);
+    }
+
+    if (!apiKey || !(await bcrypt.compare(key, apiKey.keyHash))) {
+      throw apiKeyError('Unknown API key', 'invalid_api_key', 401);
+    }
+
+    this.assertUsable(apiKey);
+
+    this.cache.set(cacheKey, { apiKey, expiresAt: Date.now() + this.cacheTtlMs });
+
+    // Recorded at most once per cache period
+    this.db.touchApiKey(apiKey.id).catch(error => {
+      console.warn(`⚠️  Could not record use of API key ${apiKey.id}:`, error.message);
+    });
+
+    return apiKey;
+  }
+
+  assertUsable(apiKey) {
+    if (apiKey.revokedAt) {
+      throw apiKeyError('API key has been revoked', 'invalid_api_key', 401);
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw apiKeyError('API key has expired', 'invalid_api_key', 401);
+    }
+  }
+}
+
+module.exports = {
+  ApiKeyService,
+  generateApiKey,
+  parseApiKey,
+  serializeApiKey
+};
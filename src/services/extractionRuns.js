@@ -0,0 +1,200 @@
+// Extraction runs: every LLM run of a job is kept; the job's own columns mirror the current one
+const { PROVIDERS } = require('../llm/providers');
+
+// Columns an Extraction shares with Job; copied onto the job when the run becomes current.
+// Tokens and cost are not: the job's are the total spent on all of its runs.
+const RUN_COLUMNS = [
+  'extraction_json',
+  'template_fields',
+  'document_type',
+  'document_type_confidence',
+  'confidence_score',
+  'requires_review',
+  'review_reasons',
+  'field_confidence',
+  'citations',
+  'schema_version',
+  'schema_violations',
+  'template_version',
+  'chunk_count',
+  'chunks_dropped',
+  'llm_provider',
+  'llm_model',
+  'llm_raw_response',
+  'llm_cache',
+  'redaction'
+];
+
+const MODEL_NAME_PATTERN = /^[\w.:/@-]{1,100}$/;
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @param {string} code - Error code returned to the client
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function runError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Job columns for a run that becomes current
+ * @param {Object} extraction - Extraction record
+ * @returns {Object}
+ */
+function jobDataFromExtraction(extraction) {
+  return {
+    ...Object.fromEntries(RUN_COLUMNS.map(column => [column, extraction[column]])),
+    templateId: extraction.templateId,
+    current_extraction_version: extraction.version
+  };
+}
+
+/**
+ * Shape of a run returned by the API
+ * @param {Object} extraction - Extraction record
+ * @param {Object} job - Job record, to flag the current run
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Include the extracted data and raw LLM response
+ * @returns {Object}
+ */
+function serializeExtraction(extraction, job, { full = false } = {}) {
+  return {
+    version: extraction.version,
+    current: extraction.version === job.current_extraction_version,
+    pinned: job.extraction_pinned && extraction.version === job.current_extraction_version,
+    source: extraction.source,
+    requestedBy: extraction.requestedBy,
+    provider: extraction.llm_provider,
+    model: extraction.llm_model,
+    promptVersion: extraction.prompt_version,
+    schemaVersion: extraction.schema_version,
+    template: extraction.templateId ? { id: extraction.templateId, version: extraction.template_version } : null,
+    documentType: extraction.document_type,
+    confidenceScore: extraction.confidence_score,
+    requiresReview: extraction.requires_review,
+    usage: {
+      inputTokens: extraction.input_tokens,
+      outputTokens: extraction.output_tokens,
+      cachedInputTokens: extraction.cached_input_tokens,
+      estimated: extraction.usage_estimated
+    },
+    costUsd: extraction.cost_usd,
+    cache: extraction.llm_cache,
+    redaction: extraction.redaction,
+    createdAt: extraction.createdAt,
+    ...(full ? {
+      extraction: extraction.extraction_json,
+      templateFields: extraction.template_fields,
+      citations: extraction.citations,
+      fieldConfidence: extraction.field_confidence,
+      reviewReasons: extraction.review_reasons,
+      schemaViolations: extraction.schema_violations,
+      rawResponse: extraction.llm_raw_response
+    } : {})
+  };
+}
+
+/**
+ * Validate the overrides in a reprocess request
+ * @param {Object} input - { provider, model, templateId, pin, bypassCache }
+ * @returns {{provider: string|null, model: string|null, templateId: string|null|undefined, pin: boolean, bypassCache: boolean}}
+ *   templateId undefined keeps the job's template; null drops it
+ */
+function validateReprocessOptions(input = {}) {
+  const provider = input.provider === undefined || input.provider === null ? null : String(input.provider).trim().toLowerCase();
+  if (provider !== null && !Object.prototype.hasOwnProperty.call(PROVIDERS, provider)) {
+    throw runError(`provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`, 'invalid_provider', 400);
+  }
+
+  const model = input.model === undefined || input.model === null ? null : input.model;
+  if (model !== null && (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model))) {
+    throw runError('model must be a model name of up to 100 letters, digits and ._:/@-', 'invalid_model', 400);
+  }
+
+  if (input.pin !== undefined && typeof input.pin !== 'boolean') {
+    throw runError('pin must be true or false', 'invalid_pin', 400);
+  }
+
+  if (input.bypassCache !== undefined && typeof input.bypassCache !== 'boolean') {
+    throw runError('bypassCache must be true or false', 'invalid_bypass_cache', 400);
+  }
+
+  return {
+    provider,
+    model,
+    templateId: input.templateId === '' ? null : input.templateId,
+    pin: input.pin === true,
+    bypassCache: input.bypassCache === true
+  };
+}
+
+class ExtractionRunService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Array<Object>>} Runs, oldest first
+   */
+  async list(jobId) {
+    return this.db.listExtractions(jobId);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @param {any} version - Run version from the URL
+   * @returns {Promise<Object>} The run
+   * @throws {Error} extraction_not_found (404)
+   */
+  async get(jobId, version) {
+    const number = parseInt(version);
+    const extraction = String(number) === String(version) ? await this.db.getExtraction(jobId, number) : null;
+    if (!extraction) {
+      throw runError(`Job ${jobId} has no extraction version ${version}`, 'extraction_not_found', 404);
+    }
+    return extraction;
+  }
+
+  /**
+   * Make a run the job's current extraction and keep it current when the job is
+   * reprocessed again. Review corrections follow the run they were made on.
+   * @param {Object} job - Job record
+   * @param {any} version - Run version from the URL
+   * @returns {Promise<Object>} Updated job
+   */
+  async pin(job, version) {
+    const extraction = await this.get(job.id, version);
+    return this.db.setCurrentExtraction(job.id, jobDataFromExtraction(extraction), true);
+  }
+
+  /**
+   * Stop pinning: the latest run becomes current, as do future runs
+   * @param {Object} job - Job record
+   * @returns {Promise<Object>} Updated job
+   */
+  async unpin(job) {
+    const runs = await this.db.listExtractions(job.id);
+    if (runs.length === 0) {
+      return this.db.setCurrentExtraction(job.id, {}, false);
+    }
+    return this.db.setCurrentExtraction(job.id, jobDataFromExtraction(runs[runs.length - 1]), false);
+  }
+}
+
+module.exports = {
+  ExtractionRunService,
+  RUN_COLUMNS,
+  jobDataFromExtraction,
+  serializeExtraction,
+  validateReprocessOptions
+};
@@ -0,0 +1,250 @@
+// Custom extraction templates: organization-defined fields extracted alongside the standard ones
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'list'];
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+const MAX_FIELDS = 50;
+const MAX_ENUM_VALUES = 100;
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @param {string} code - Error code returned to the client
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function templateError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Shape of a template returned by the API
+ * @param {Object} template - ExtractionTemplate record
+ * @returns {Object}
+ */
+function serializeTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    fields: template.fields,
+    version: template.version,
+    createdBy: template.createdBy,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+/**
+ * Validate one template field
+ * @param {any} field - Field from the request body
+ * @param {number} index - Position, for error messages
+ * @returns {{name: string, type: string, description: string, required: boolean, enum?: Array<string>}}
+ */
+function validateField(field, index) {
+  const label = `fields[${index}]`;
+
+  if (!field || typeof field !== 'object' || Array.isArray(field)) {
+    throw templateError(`${label} must be an object`, 'invalid_fields', 400);
+  }
+
+  if (typeof field.name !== 'string' || !FIELD_NAME_PATTERN.test(field.name)) {
+    throw templateError(`${label}.name must be snake_case: a lowercase letter followed by up to 62 lowercase letters, digits or underscores`, 'invalid_fields', 400);
+  }
+
+  const type = field.type ?? 'string';
+  if (!FIELD_TYPES.includes(type)) {
+    throw templateError(`${label}.type must be one of: ${FIELD_TYPES.join(', ')}`, 'invalid_fields', 400);
+  }
+
+  // The description is what the model is told to look for
+  const description = typeof field.description === 'string' ? field.description.trim() : '';
+  if (!description || description.length > 500) {
+    throw templateError(`${label}.description is required (up to 500 characters)`, 'invalid_fields', 400);
+  }
+
+  if (field.required !== undefined && typeof field.required !== 'boolean') {
+    throw templateError(`${label}.required must be true or false`, 'invalid_fields', 400);
+  }
+
+  const validated = { name: field.name, type, description, required: field.required === true };
+
+  if (field.enum !== undefined) {
+    if (type !== 'string' && type !== 'list') {
+      throw templateError(`${label}.enum is only allowed for string and list fields`, 'invalid_fields', 400);
+    }
+    const values = Array.isArray(field.enum) ? field.enum : [];
+    if (values.length === 0 || values.length > MAX_ENUM_VALUES ||
+      !values.every(value => typeof value === 'string' && value.trim())) {
+      throw templateError(`${label}.enum must be 1 to ${MAX_ENUM_VALUES} non-empty strings`, 'invalid_fields', 400);
+    }
+    validated.enum = [...new Set(values.map(value => value.trim()))];
+  }
+
+  return validated;
+}
+
+/**
+ * Validate a template's field list
+ * @param {any} fields - Fields from the request body
+ * @returns {Array<Object>}
+ */
+function validateFields(fields) {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+    throw templateError(`fields must be an array of 1 to ${MAX_FIELDS} fields`, 'invalid_fields', 400);
+  }
+
+  const validated = fields.map(validateField);
+  const names = validated.map(field => field.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw templateError(`Field ${duplicate} is defined more than once`, 'invalid_fields', 400);
+  }
+
+  return validated;
+}
+
+/**
+ * @param {any} name - Template name from the request body
+ * @returns {string}
+ */
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    throw templateError('name is required (up to 100 characters)', 'invalid_name', 400);
+  }
+  return trimmed;
+}
+
+/**
+ * @param {any} description - Template description from the request body
+ * @returns {string|null}
+ */
+function validateDescription(description) {
+  if (description === undefined || description === null || description === '') {
+    return null;
+  }
+  if (typeof description !== 'string' || description.length > 500) {
+    throw templateError('description must be a string of up to 500 characters', 'invalid_description', 400);
+  }
+  return description.trim();
+}
+
+class ExtractionTemplateService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.orgId - Organization the template belongs to
+   * @param {string} params.createdBy - User creating the template
+   * @param {Object} params.input - { name, description, fields }
+   * @returns {Promise<Object>} ExtractionTemplate record
+   */
+  async create({ orgId, createdBy, input = {} }) {
+    return this.db.createExtractionTemplate({
+      orgId,
+      createdBy,
+      name: validateName(input.name),
+      description: validateDescription(input.description),
+      fields: validateFields(input.fields)
+    });
+  }
+
+  /**
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(orgId) {
+    return this.db.listExtractionTemplates(orgId);
+  }
+
+  /**
+   * @param {string} orgId - Organization ID
+   * @param {string} templateId - ExtractionTemplate ID
+   * @returns {Promise<Object|null>} The template, or null if the org has no such template
+   */
+  async get(orgId, templateId) {
+    const template = await this.db.getExtractionTemplate(templateId);
+    if (!template || template.orgId !== orgId || template.deletedAt) {
+      return null;
+    }
+    return template;
+  }
+
+  /**
+   * Update a template. Changing its fields bumps the version; jobs record the
+   * version they were extracted with.
+   * @param {string} orgId - Organization ID
+   * @param {string} templateId - ExtractionTemplate ID
+   * @param {Object} input - Any of { name, description, fields }
+   * @returns {Promise<Object|null>} The updated template, or null if the org has no such template
+   */
+  async update(orgId, templateId, input = {}) {
+    const template = await this.get(orgId, templateId);
+    if (!template) {
+      return null;
+    }
+
+    const data = {};
+    if (input.name !== undefined) {
+      data.name = validateName(input.name);
+    }
+    if (input.description !== undefined) {
+      data.description = validateDescription(input.description);
+    }
+    if (input.fields !== undefined) {
+      data.fields = validateFields(input.fields);
+      data.version = template.version + 1;
+    }
+
+    return Object.keys(data).length > 0 ? this.db.updateExtractionTemplate(templateId, data) : template;
+  }
+
+  /**
+   * Delete a template. It is kept for jobs already queued with it, but can no longer be selected.
+   * @param {string} orgId - Organization ID
+   * @param {string} templateId - ExtractionTemplate ID
+   * @returns {Promise<Object|null>} The deleted template, or null if the org has no such template
+   */
+  async remove(orgId, templateId) {
+    const template = await this.get(orgId, templateId);
+    if (!template) {
+      return null;
+    }
+    return this.db.updateExtractionTemplate(templateId, { deletedAt: new Date() });
+  }
+
+  /**
+   * Template selected for an upload
+   * @param {string} orgId - Organization ID
+   * @param {string|undefined} templateId - templateId from the request, if any
+   * @returns {Promise<Object|null>} The template, or null when none was selected
+   * @throws {Error} template_not_found (404) when the org has no such template
+   */
+  async resolveForUpload(orgId, templateId) {
+    if (templateId === undefined || templateId === null || templateId === '') {
+      return null;
+    }
+
+    const template = await this.get(orgId, String(templateId));
+    if (!template) {
+      throw templateError(`No extraction template ${templateId} in this organization`, 'template_not_found', 404);
+    }
+    return template;
+  }
+}
+
+module.exports = {
+  ExtractionTemplateService,
+  FIELD_TYPES,
+  serializeTemplate,
+  validateFields
+};
@@ -0,0 +1,114 @@
+// Job cancellation: cancel signals between the API and queue workers
+const redisClient = require('../redisClient');
+const { JOB_STATUS } = require('./jobStateMachine');
+
+const CANCEL_CHANNEL = 'jobs:cancel';
+
+/**
+ * Create the error used to unwind a cancelled job
+ * @param {string} jobId - Job ID
+ * @returns {Error}
+ */
+function createCancelledError(jobId) {
+  const error = new Error(`Job ${jobId} was cancelled`);
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+/**
+ * Whether an error means the job was cancelled rather than failed: an explicit
+ * cancellation, an aborted provider request, or a stage transition refused
+ * because the job is already cancelled
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isCancelledError(error) {
+  if (!error) return false;
+
+  return error.code === 'JOB_CANCELLED' ||
+    error.name === 'AbortError' ||
+    error.name === 'APIUserAbortError' ||
+    (error.code === 'INVALID_JOB_TRANSITION' && error.fromStatus === JOB_STATUS.CANCELLED);
+}
+
+/**
+ * Stop between pipeline stages if the job has been cancelled
+ * @param {string} jobId - Job ID
+ * @param {AbortSignal} [signal] - Cancellation signal
+ */
+function throwIfCancelled(jobId, signal) {
+  if (signal?.aborted) {
+    throw createCancelledError(jobId);
+  }
+}
+
+/**
+ * Cancel a job and give its upload back to the quota. Only an upload that never
+ * produced a run is refunded, and only once: reprocessing sends a finished job back
+ * to queued, and cancelling it again must not refund the same upload twice.
+ * @param {Object} db - Database
+ * @param {Object} quotaService - UserQuotaService
+ * @param {Object} job - Job record as read before cancelling
+ * @param {string} cancelledBy - ID of the user cancelling
+ * @returns {Promise<{quotaRefunded: boolean}>} Throws INVALID_JOB_TRANSITION or
+ *   JOB_TRANSITION_CONFLICT if the job finished first
+ */
+async function cancelJob(db, quotaService, job, cancelledBy) {
+  const refundable = Boolean(job.userId && job.file_size) &&
+    !job.quota_refunded &&
+    job.current_extraction_version == null &&
+    await db.countExtractions(job.id) === 0;
+
+  // The flag is set in the cancelling update, so a concurrent cancel can't refund too
+  await db.transitionJob(job.id, JOB_STATUS.CANCELLED, {
+    data: refundable ? { quota_refunded: true } : {},
+    metadata: { source: 'cancel', cancelledBy, cancelledIn: job.status }
+  });
+
+  const quotaRefunded = refundable
+    ? await quotaService.refundUsage(job.userId, job.file_size, job.createdAt, job.orgId)
+    : false;
+
+  return { quotaRefunded };
+}
+
+/**
+ * Tell workers to abort in-flight work for a job
+ * @param {string} jobId - Job ID
+ */
+async function publishCancellation(jobId) {
+  const redis = await redisClient.connect();
+  await redis.publish(CANCEL_CHANNEL, jobId);
+}
+
+/**
+ * Listen for cancellations on a dedicated connection (subscribers can't run other commands)
+ * @param {function(string): void} handler - Called with the cancelled job ID
+ * @returns {Promise<function(): Promise<void>>} Unsubscribe function
+ */
+async function subscribeToCancellations(handler) {
+  const redis = await redisClient.connect();
+  const subscriber = redis.duplicate();
+
+  subscriber.on('message', (channel, jobId) => {
+    if (channel === CANCEL_CHANNEL) {
+      handler(jobId);
+    }
+  });
+
+  await subscriber.subscribe(CANCEL_CHANNEL);
+
+  return async () => {
+    await subscriber.unsubscribe(CANCEL_CHANNEL);
+    await subscriber.quit();
+  };
+}
+
+module.exports = {
+  createCancelledError,
+  isCancelledError,
+  throwIfCancelled,
+  cancelJob,
+  publishCancellation,
+  subscribeToCancellations
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const redisClient = require('../redisClient');
+
+// Pop the oldest pending message and mark it in-flight until its visibility deadline
+const DEQUEUE_SCRIPT = `
+local id = redis.call('RPOP', KEYS[1])
+if not id then
+  return nil
+end
+redis.call('ZADD', KEYS[2], ARGV[1], id)
+local attempts = redis.call('HINCRBY', KEYS[4], id, 1)
+local raw = redis.call('HGET', KEYS[3], id)
+return { id, raw, attempts }
+`;
+
+// Move in-flight messages whose visibility deadline has passed back to the front of the queue
+const REQUEUE_EXPIRED_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, id in ipairs(ids) do
+  redis.call('ZREM', KEYS[1], id)
+  redis.call('RPUSH', KEYS[2], id)
+end
+return #ids
+`;
+
+// Return an in-flight message to the back of the queue
+const RELEASE_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 1 then
+  redis.call('LPUSH', KEYS[2], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+class JobQueue {
+  constructor(name = 'jobs') {
+    this.name = name;
+    this.visibilityTimeoutMs = parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 5 * 60 * 1000; // 5 minutes
+    this.keys = {
+      pending: `queue:${name}:pending`,
+      inflight: `queue:${name}:inflight`,
+      messages: `queue:${name}:messages`,
+      attempts: `queue:${name}:attempts`
+    };
+  }
+
+  /**
+   * Get a connected Redis client with the queue scripts registered
+   * @returns {Promise<import('ioredis').Redis>}
+   */
+  async getRedis() {
+    const redis = await redisClient.connect();
+
+    if (!redis.queueDequeue) {
+      redis.defineCommand('queueDequeue', { numberOfKeys: 4, lua: DEQUEUE_SCRIPT });
+      redis.defineCommand('queueRequeueExpired', { numberOfKeys: 2, lua: REQUEUE_EXPIRED_SCRIPT });
+      redis.defineCommand('queueRelease', { numberOfKeys: 2, lua: RELEASE_SCRIPT });
+    }
+
+    return redis;
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {Object} payload - JSON-serialisable message body
+   * @returns {Promise<string>} Message ID
+   */
+  async enqueue(payload) {
+    const redis = await this.getRedis();
+    const messageId = crypto.randomUUID();
+    const message = {
+      id: messageId,
+      payload,
+      enqueuedAt: new Date().toISOString()
+    };
+
+    await redis
+      .multi()
+      .hset(this.keys.messages, messageId, JSON.stringify(message))
+      .lpush(this.keys.pending, messageId)
+      .exec();
+
+    console.log(`📬 Enqueued message ${messageId} on ${this.name}`);
+    return messageId;
+  }
+
+  /**
+   * Take the next message off the queue. The message stays invisible to other
+   * consumers until it is acknowledged, released or its visibility timeout expires.
+   * @returns {Promise<{id: string, payload: Object, attempts: number, enqueuedAt: string}|null>}
+   */
+  async dequeue() {
+    const redis = await this.getRedis();
+    const deadline = Date.now() + this.visibilityTimeoutMs;
+
+    const result = await redis.queueDequeue(
+      this.keys.pending,
+      this.keys.inflight,
+      this.keys.messages,
+      this.keys.attempts,
+      deadline
+    );
+
+    if (!result) {
+      return null;
+    }
+
+    const [messageId, raw, attempts] = result;
+
+    if (!raw) {
+      // Payload vanished (e.g. manually deleted) - drop the orphaned ID
+      console.warn(`⚠️  Dropping message ${messageId} on ${this.name}: payload missing`);
+      await this.ack(messageId);
+      return null;
+    }
+
+    return {
+      ...JSON.parse(raw),
+      attempts: Number(attempts)
+    };
+  }
+
+  /**
+   * Acknowledge a message as processed and remove it permanently
+   * @param {string} messageId - Message ID
+   */
+  async ack(messageId) {
+    const redis = await this.getRedis();
+
+    await redis
+      .multi()
+      .zrem(this.keys.inflight, messageId)
+      .hdel(this.keys.messages, messageId)
+      .hdel(this.keys.attempts, messageId)
+      .exec();
+  }
+
+  /**
+   * Return an in-flight message to the queue so it can be picked up again
+   * @param {string} messageId - Message ID
+   * @param {number} delayMs - Keep the message invisible this long before redelivery (backoff)
+   * @returns {Promise<boolean>} Whether the message was still in-flight
+   */
+  async release(messageId, delayMs = 0) {
+    const redis = await this.getRedis();
+
+    if (delayMs > 0) {
+      // Delayed redelivery: the expired-message sweep requeues it once the delay passes
+      const updated = await redis.zadd(this.keys.inflight, 'XX', 'CH', Date.now() + delayMs, messageId);
+      return updated === 1;
+    }
+
+    const released = await redis.queueRelease(this.keys.inflight, this.keys.pending, messageId);
+    return released === 1;
+  }
+
+  /**
+   * Push back the visibility deadline of an in-flight message (heartbeat)
+   * @param {string} messageId - Message ID
+   * @param {number} timeoutMs - New visibility timeout from now
+   */
+  async extendVisibility(messageId, timeoutMs = this.visibilityTimeoutMs) {
+    const redis = await this.getRedis();
+    await redis.zadd(this.keys.inflight, 'XX', Date.now() + timeoutMs, messageId);
+  }
+
+  /**
+   * Requeue in-flight messages whose consumer died before acknowledging them
+   * @param {number} limit - Maximum messages to requeue in one sweep
+   * @returns {Promise<number>} Number of messages requeued
+   */
+  async requeueExpired(limit = 100) {
+    const redis = await this.getRedis();
+    const count = await redis.queueRequeueExpired(
+      this.keys.inflight,
+      this.keys.pending,
+      Date.now(),
+      limit
+    );
+
+    if (count > 0) {
+      console.warn(`⏰ Requeued ${count} expired message(s) on ${this.name}`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the job IDs of every message still pending or in-flight
+   * @returns {Promise<Set<string>>}
+   */
+  async getQueuedJobIds() {
+    const redis = await this.getRedis();
+    const messages = await redis.hvals(this.keys.messages);
+
+    return new Set(
+      messages
+        .map(raw => JSON.parse(raw).payload?.jobId)
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Get queue depth
+   * @returns {Promise<{pending: number, inflight: number}>}
+   */
+  async getStats() {
+    const redis = await this.getRedis();
+    const [pending, inflight] = await Promise.all([
+      redis.llen(this.keys.pending),
+      redis.zcard(this.keys.inflight)
+    ]);
+
+    return { pending, inflight };
+  }
+
+  /**
+   * Check queue health
+   */
+  async checkHealth() {
+    try {
+      const stats = await this.getStats();
+      return { healthy: true, ...stats };
+    } catch (error) {
+      return {
+        healthy: false,
+        error: error.message,
+        suggestion: 'Check REDIS_URL and that Redis is running'
+      };
+    }
+  }
+}
+
+module.exports = JobQueue;
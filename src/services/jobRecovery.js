@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JOB_STATUS, ACTIVE_STATUSES } = require('./jobStateMachine');
+
+const LOCK_KEY = 'lock:job-recovery';
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Delete the lock only if it still holds our token: once it has expired, another instance may hold it
+const UNLOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+class JobRecoveryService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   * @param {import('./jobQueue')} deps.jobQueue - Job queue
+   * @param {import('./s3Service')} deps.s3Service - S3 service
+   */
+  constructor({ db, jobQueue, s3Service }) {
+    this.db = db;
+    this.jobQueue = jobQueue;
+    this.s3Service = s3Service;
+    this.enabled = process.env.JOB_RECOVERY_ENABLED !== 'false';
+    this.staleAfterMs = parseInt(process.env.JOB_RECOVERY_STALE_MS) || 10 * 60 * 1000; // 10 minutes
+    this.storageDir = process.env.STORAGE_DIR || './storage';
+  }
+
+  /**
+   * Find where a job's source can still be read from
+   * @param {Object} job - Job record
+   * @returns {Promise<{available: boolean, source?: string, reason?: string}>}
+   */
+  async locateSource(job) {
+    if (job.text_path && fs.existsSync(job.text_path)) {
+      return { available: true, source: 'text' };
+    }
+
+    if (job.file_path && fs.existsSync(job.file_path)) {
+      return { available: true, source: 'file' };
+    }
+
+    // Legacy jobs without file_path were stored as STORAGE_DIR/<jobId>-<filename>
+    const legacyPath = path.join(this.storageDir, `${job.id}-${job.filename}`);
+    if (!job.file_path && !job.object_key && fs.existsSync(legacyPath)) {
+      return { available: true, source: 'file' };
+    }
+
+    if (job.object_key) {
+      if (!this.s3Service.enabled) {
+        return { available: false, reason: 'S3 object cannot be checked: presigned uploads are disabled' };
+      }
+
+      const objectInfo = await this.s3Service.checkObjectExists(job.object_key);
+      if (objectInfo.exists) {
+        return { available: true, source: 's3' };
+      }
+
+      return { available: false, reason: `S3 object no longer exists: ${job.object_key}` };
+    }
+
+    return { available: false, reason: 'Source file and extracted text no longer exist' };
+  }
+
+  /**
+   * Re-enqueue or fail jobs left in an active status by a previous process
+   * @returns {Promise<{requeued: number, failed: number, skipped: number}>}
+   */
+  async recoverOrphanedJobs() {
+    const summary = { requeued: 0, failed: 0, skipped: 0 };
+
+    if (!this.enabled) {
+      return summary;
+    }
+
+    // Only one instance should sweep at a time when several boot together
+    const redis = await this.jobQueue.getRedis();
+    if (!redis.recoveryUnlock) {
+      redis.defineCommand('recoveryUnlock', { numberOfKeys: 1, lua: UNLOCK_SCRIPT });
+    }
+
+    const lockToken = crypto.randomUUID();
+    const locked = await redis.set(LOCK_KEY, lockToken, 'PX', LOCK_TTL_MS, 'NX');
+    if (!locked) {
+      console.log('♻️  Job recovery already running on another instance, skipping');
+      return summary;
+    }
+
+    try {
+      const staleBefore = new Date(Date.now() - this.staleAfterMs);
+      const staleJobs = await this.db.findStaleJobs(ACTIVE_STATUSES, staleBefore);
+
+      if (staleJobs.length === 0) {
+        return summary;
+      }
+
+      // Jobs that still have a queue message are waiting for, or running on, a live worker
+      const queuedJobIds = await this.jobQueue.getQueuedJobIds();
+
+      for (const job of staleJobs) {
+        if (queuedJobIds.has(job.id)) {
+          summary.skipped++;
+          continue;
+        }
+
+        try {
+          const location = await this.locateSource(job);
+
+          if (location.available) {
+            // Back to queued also touches updatedAt so the next sweep skips it
+            await this.db.transitionJob(job.id, JOB_STATUS.QUEUED, {
+              metadata: { source: 'recovery', interruptedIn: job.status }
+            });
+            await this.jobQueue.enqueue({ jobId: job.id });
+            console.log(`♻️  Requeued orphaned job ${job.id} (source: ${location.source})`);
+            summary.requeued++;
+          } else {
+            await this.db.failJob(job.id, `Job interrupted and could not be recovered: ${location.reason}`, {
+              source: 'recovery'
+            });
+            console.warn(`♻️  Failed orphaned job ${job.id}: ${location.reason}`);
+            summary.failed++;
+          }
+        } catch (error) {
+          console.error(`❌ Failed to recover job ${job.id}:`, error.message);
+          summary.skipped++;
+        }
+      }
+
+      console.log(`♻️  Job recovery: ${summary.requeued} requeued, ${summary.failed} failed, ${summary.skipped} skipped`);
+      return summary;
+    } finally {
+      const released = await redis.recoveryUnlock(LOCK_KEY, lockToken);
+      if (released !== 1) {
+        console.warn('⚠️  Job recovery lock expired before the sweep finished');
+      }
+    }
+  }
+}
+
+module.exports = JobRecoveryService;
@@ -0,0 +1,189 @@
+// Job lifecycle: allowed status transitions and transition history (JobEvent)
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  SCANNING: 'scanning',
+  EXTRACTING_TEXT: 'extracting_text',
+  LLM: 'llm',
+  VALIDATING: 'validating',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  NEEDS_REVIEW: 'needs_review',
+  // A reviewer turned the extraction down; it stays rejected until reprocessed
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  // Gave up after exhausting retries for a transient error; can be requeued by an admin
+  DEAD_LETTER: 'dead_letter',
+  // Jobs created before the state machine existed
+  LEGACY_PROCESSING: 'processing'
+};
+
+const TERMINAL_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.NEEDS_REVIEW,
+  JOB_STATUS.REJECTED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.DEAD_LETTER
+];
+
+// Statuses in which a job is waiting for, or running on, a worker
+const ACTIVE_STATUSES = [
+  JOB_STATUS.QUEUED,
+  JOB_STATUS.SCANNING,
+  JOB_STATUS.EXTRACTING_TEXT,
+  JOB_STATUS.LLM,
+  JOB_STATUS.VALIDATING,
+  JOB_STATUS.LEGACY_PROCESSING
+];
+
+// Every active job can be requeued (recovery, retries), failed, dead-lettered or cancelled
+const ALWAYS_ALLOWED_FROM_ACTIVE = [
+  JOB_STATUS.QUEUED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.DEAD_LETTER
+];
+
+const TRANSITIONS = {
+  [JOB_STATUS.QUEUED]: [JOB_STATUS.SCANNING, JOB_STATUS.EXTRACTING_TEXT],
+  [JOB_STATUS.SCANNING]: [JOB_STATUS.EXTRACTING_TEXT],
+  [JOB_STATUS.EXTRACTING_TEXT]: [JOB_STATUS.LLM],
+  [JOB_STATUS.LLM]: [JOB_STATUS.VALIDATING],
+  [JOB_STATUS.VALIDATING]: [JOB_STATUS.COMPLETED, JOB_STATUS.NEEDS_REVIEW],
+  [JOB_STATUS.LEGACY_PROCESSING]: [
+    JOB_STATUS.SCANNING,
+    JOB_STATUS.EXTRACTING_TEXT,
+    JOB_STATUS.LLM,
+    JOB_STATUS.VALIDATING,
+    JOB_STATUS.COMPLETED,
+    JOB_STATUS.NEEDS_REVIEW
+  ],
+  // Reviewers approve (completed) or reject jobs waiting for review
+  [JOB_STATUS.NEEDS_REVIEW]: [JOB_STATUS.QUEUED, JOB_STATUS.COMPLETED, JOB_STATUS.REJECTED],
+  // Other terminal jobs can only be reprocessed
+  [JOB_STATUS.COMPLETED]: [JOB_STATUS.QUEUED],
+  [JOB_STATUS.FAILED]: [JOB_STATUS.QUEUED],
+  [JOB_STATUS.REJECTED]: [JOB_STATUS.QUEUED],
+  [JOB_STATUS.CANCELLED]: [JOB_STATUS.QUEUED],
+  [JOB_STATUS.DEAD_LETTER]: [JOB_STATUS.QUEUED]
+};
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  const allowed = TRANSITIONS[from] || [];
+
+  if (allowed.includes(to)) {
+    return true;
+  }
+
+  return ACTIVE_STATUSES.includes(from) && ALWAYS_ALLOWED_FROM_ACTIVE.includes(to);
+}
+
+/**
+ * @param {string} status - Job status
+ * @returns {boolean} Whether the job has finished (successfully or not)
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Move a job to a new status and record the transition as a JobEvent.
+ * The update only applies if the job is still in the status it was read in,
+ * so concurrent transitions cannot silently overwrite each other.
+ * @param {import('@prisma/client').PrismaClient} prisma - Prisma client
+ * @param {string} jobId - Job ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options - Transition options
+ * @param {string} [options.error] - Error message recorded on the event
+ * @param {Object} [options.data] - Extra job columns to update alongside the status
+ * @param {Object} [options.metadata] - Extra context recorded on the event
+ * @returns {Promise<Object>} Updated job
+ */
+async function transitionJob(prisma, jobId, toStatus, { error = null, data = {}, metadata = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const job = await tx.job.findUnique({ where: { id: jobId } });
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    if (!canTransition(job.status, toStatus)) {
+      const transitionError = new Error(`Invalid job transition ${job.status} → ${toStatus} for job ${jobId}`);
+      transitionError.code = 'INVALID_JOB_TRANSITION';
+      transitionError.fromStatus = job.status;
+      transitionError.toStatus = toStatus;
+      throw transitionError;
+    }
+
+    const { count } = await tx.job.updateMany({
+      where: { id: jobId, status: job.status },
+      data: { ...data, status: toStatus }
+    });
+
+    if (count === 0) {
+      const conflictError = new Error(`Job ${jobId} changed status concurrently`);
+      conflictError.code = 'JOB_TRANSITION_CONFLICT';
+      throw conflictError;
+    }
+
+    // Time spent in the status being left
+    const lastEvent = await tx.jobEvent.findFirst({
+      where: { jobId },
+      orderBy: { createdAt: 'desc' }
+    });
+    const enteredAt = lastEvent ? lastEvent.createdAt : job.createdAt;
+
+    await tx.jobEvent.create({
+      data: {
+        jobId,
+        fromStatus: job.status,
+        toStatus,
+        durationMs: Date.now() - enteredAt.getTime(),
+        error,
+        metadata
+      }
+    });
+
+    console.log(`JOB_TRANSITION job=${jobId} ${job.status}→${toStatus}`);
+
+    return tx.job.findUnique({ where: { id: jobId } });
+  });
+}
+
+/**
+ * Build a status timeline from a job's events (oldest first)
+ * @param {Array<Object>} events - JobEvent records ordered by createdAt
+ * @returns {Array<{status: string, from: string|null, enteredAt: Date, durationMs: number|null, error: string|null}>}
+ */
+function buildTimeline(events) {
+  return events.map((event, index) => {
+    const next = events[index + 1];
+
+    return {
+      status: event.toStatus,
+      from: event.fromStatus,
+      enteredAt: event.createdAt,
+      // Time spent in this status; null while it is the current one
+      durationMs: next ? next.durationMs : null,
+      error: event.error,
+      ...(event.metadata ? { metadata: event.metadata } : {})
+    };
+  });
+}
+
+module.exports = {
+  JOB_STATUS,
+  TERMINAL_STATUSES,
+  ACTIVE_STATUSES,
+  canTransition,
+  isTerminal,
+  transitionJob,
+  buildTimeline
+};
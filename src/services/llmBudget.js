@@ -0,0 +1,446 @@
+// LLM spend budgets: daily and monthly USD and token limits per user and per organization, kept in Redis
+const redisClient = require('../redisClient');
+
+const SCOPES = ['user', 'org'];
+const LIMIT_KEYS = ['dailyUsd', 'monthlyUsd', 'dailyTokens', 'monthlyTokens'];
+const BUDGET_KEYS = [...SCOPES, 'softLimit'];
+const KEY_PREFIX = 'llm:budget:';
+// Counters hold USD in micro-dollars so Redis adds integers
+const MICRO_USD = 1e6;
+const PERIOD_TTL_SECONDS = { daily: 86400 * 2, monthly: 86400 * 32 };
+
+// Reserve an amount on every counter, or on none if any would go over its limit.
+// KEYS: counters; ARGV: limit (-1 for none), amount and TTL per counter.
+// Returns { 1 if reserved else 0, usage of each counter before the reservation }.
+const RESERVE_SCRIPT = `
+local usage = {}
+local fits = 1
+for i = 1, #KEYS do
+  usage[i] = tonumber(redis.call('GET', KEYS[i]) or '0')
+  local limit = tonumber(ARGV[i * 3 - 2])
+  if limit >= 0 and usage[i] + tonumber(ARGV[i * 3 - 1]) > limit then
+    fits = 0
+  end
+end
+if fits == 1 then
+  for i = 1, #KEYS do
+    redis.call('INCRBY', KEYS[i], ARGV[i * 3 - 1])
+    redis.call('EXPIRE', KEYS[i], ARGV[i * 3])
+  end
+end
+table.insert(usage, 1, fits)
+return usage
+`;
+
+// Add an amount (negative gives back) to counters that still exist, never going below zero.
+// KEYS: counters; ARGV: amount per counter.
+const ADJUST_SCRIPT = `
+for i = 1, #KEYS do
+  if redis.call('TTL', KEYS[i]) > 0 then
+    local current = tonumber(redis.call('GET', KEYS[i]) or '0')
+    redis.call('SET', KEYS[i], math.max(0, current + tonumber(ARGV[i])), 'KEEPTTL')
+  end
+end
+return 1
+`;
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidBudgets(message) {
+  const error = new Error(message);
+  error.code = 'invalid_llm_budgets';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Budgets from environment variables. They apply to organizations that haven't set their own
+ * and are the most an organization can set. A limit of null is no limit.
+ * @returns {{user: Object, org: Object, softLimit: number}}
+ */
+function getDefaultBudgets() {
+  const read = (name) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? null : value;
+  };
+  const limitsFor = (prefix) => ({
+    dailyUsd: read(`${prefix}_DAILY_BUDGET_USD`),
+    monthlyUsd: read(`${prefix}_MONTHLY_BUDGET_USD`),
+    dailyTokens: read(`${prefix}_DAILY_TOKEN_BUDGET`),
+    monthlyTokens: read(`${prefix}_MONTHLY_TOKEN_BUDGET`)
+  });
+
+  return {
+    user: limitsFor('LLM_USER'),
+    org: limitsFor('LLM_ORG'),
+    softLimit: read('LLM_BUDGET_SOFT_LIMIT') ?? 0.8
+  };
+}
+
+/**
+ * Validate an organization's budgets. Omitted limits use the defaults. An organization can
+ * only tighten the defaults: limits above them, and null (no limit), are refused.
+ * @param {any} budgets - Budgets from the request body: { user, org, softLimit }
+ * @param {Object} [defaults] - From getDefaultBudgets
+ * @returns {Object} Budgets to store
+ */
+function validateBudgets(budgets, defaults = getDefaultBudgets()) {
+  if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw invalidBudgets('LLM budgets must be an object');
+  }
+
+  const unknown = Object.keys(budgets).find(key => !BUDGET_KEYS.includes(key));
+  if (unknown) {
+    throw invalidBudgets(`Unknown LLM budget setting ${unknown}; expected any of: ${BUDGET_KEYS.join(', ')}`);
+  }
+
+  const validated = {};
+  for (const scope of SCOPES) {
+    if (budgets[scope] === undefined) continue;
+
+    const limits = budgets[scope];
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw invalidBudgets(`${scope} must be an object of limits`);
+    }
+    const unknownLimit = Object.keys(limits).find(key => !LIMIT_KEYS.includes(key));
+    if (unknownLimit) {
+      throw invalidBudgets(`Unknown ${scope} limit ${unknownLimit}; expected any of: ${LIMIT_KEYS.join(', ')}`);
+    }
+
+    validated[scope] = {};
+    for (const [key, value] of Object.entries(limits)) {
+      const isTokens = key.endsWith('Tokens');
+      if (typeof value !== 'number' || value < 0 || (isTokens && !Number.isInteger(value))) {
+        throw invalidBudgets(`${scope}.${key} must be ${isTokens ? 'a whole number of tokens' : 'an amount in USD'}; omit it to use the default`);
+      }
+      const ceiling = defaults[scope][key];
+      if (ceiling !== null && value > ceiling) {
+        throw invalidBudgets(`${scope}.${key} can be at most ${ceiling}, the server's limit`);
+      }
+      validated[scope][key] = value;
+    }
+  }
+
+  if (budgets.softLimit !== undefined) {
+    if (typeof budgets.softLimit !== 'number' || budgets.softLimit <= 0 || budgets.softLimit > 1) {
+      throw invalidBudgets('softLimit must be a fraction of the budget, greater than 0 and at most 1');
+    }
+    validated.softLimit = budgets.softLimit;
+  }
+
+  return validated;
+}
+
+/**
+ * An organization's budgets over the defaults. The defaults stay ceilings, also for
+ * budgets stored before the server's limits were lowered.
+ * @param {Object|null} budgets - Organization.llm_budgets
+ * @returns {{user: Object, org: Object, softLimit: number}}
+ */
+function resolveBudgets(budgets) {
+  const defaults = getDefaultBudgets();
+  const limitsFor = (scope) => Object.fromEntries(LIMIT_KEYS.map(key => {
+    const ceiling = defaults[scope][key];
+    const value = budgets?.[scope]?.[key];
+    if (typeof value !== 'number') return [key, ceiling];
+    return [key, ceiling === null ? value : Math.min(value, ceiling)];
+  }));
+
+  return {
+    user: limitsFor('user'),
+    org: limitsFor('org'),
+    softLimit: budgets?.softLimit ?? defaults.softLimit
+  };
+}
+
+/**
+ * Counters a job of this user and organization counts against, for the UTC day and month of a date
+ * @param {Object} params
+ * @param {string|null} params.userId - User ID (or apikey:<id>)
+ * @param {string|null} params.orgId - Organization ID
+ * @param {Object} params.budgets - From resolveBudgets
+ * @param {Date} [params.date] - When the spend happens
+ * @returns {Array<{scope: string, period: string, metric: string, key: string, limit: number|null}>}
+ *   limit in micro-dollars or tokens, null for none
+ */
+function budgetCounters({ userId, orgId, budgets, date = new Date() }) {
+  const month = date.toISOString().slice(0, 7);
+  const periods = { daily: date.toISOString().slice(0, 10), monthly: month };
+  const subjects = [['user', userId], ['org', orgId]].filter(([, id]) => id);
+
+  return subjects.flatMap(([scope, id]) => ['daily', 'monthly'].flatMap(period => ['usd', 'tokens'].map(metric => {
+    const limit = budgets[scope][`${period}${metric === 'usd' ? 'Usd' : 'Tokens'}`];
+    return {
+      scope,
+      period,
+      metric,
+      key: `${KEY_PREFIX}${scope}:${id}:${metric}:${periods[period]}`,
+      limit: limit === null || limit === undefined ? null : Math.round(metric === 'usd' ? limit * MICRO_USD : limit)
+    };
+  })));
+}
+
+/**
+ * Amounts of a spend per counter, in the counters' units
+ * @param {Array<Object>} counters - From budgetCounters
+ * @param {{costUsd: number, tokens: number}} spend - Cost and tokens (input + output)
+ * @returns {Array<number>}
+ */
+function counterAmounts(counters, { costUsd, tokens }) {
+  return counters.map(counter => counter.metric === 'usd' ? Math.ceil(costUsd * MICRO_USD) : tokens);
+}
+
+function formatAmount(metric, value) {
+  return metric === 'usd' ? `$${(value / MICRO_USD).toFixed(2)}` : `${value.toLocaleString('en-US')} tokens`;
+}
+
+/**
+ * e.g. "Organization daily LLM spend budget"
+ * @param {Object} counter - From budgetCounters
+ * @returns {string}
+ */
+function counterLabel(counter) {
+  return `${counter.scope === 'org' ? 'Organization' : 'User'} ${counter.period} ${counter.metric === 'usd' ? 'LLM spend' : 'LLM token'} budget`;
+}
+
+/**
+ * Limited counters with their usage, for API responses (USD in dollars)
+ * @param {Array<Object>} counters - From budgetCounters
+ * @param {Array<number>} usage - Usage of each counter
+ * @returns {Array<{scope: string, period: string, metric: string, used: number, limit: number, remaining: number}>}
+ */
+function describeCounters(counters, usage) {
+  const toUnit = (counter, value) => counter.metric === 'usd' ? Number((value / MICRO_USD).toFixed(6)) : value;
+
+  return counters
+    .map((counter, index) => ({ counter, used: usage[index] }))
+    .filter(({ counter }) => counter.limit !== null)
+    .map(({ counter, used }) => ({
+      scope: counter.scope,
+      period: counter.period,
+      metric: counter.metric,
+      used: toUnit(counter, used),
+      limit: toUnit(counter, counter.limit),
+      remaining: toUnit(counter, Math.max(0, counter.limit - used))
+    }));
+}
+
+/**
+ * Warnings for counters past the soft limit once an amount is added
+ * @param {Array<Object>} counters - From budgetCounters
+ * @param {Array<number>} usage - Usage of each counter
+ * @param {Array<number>} amounts - Amount being added to each counter
+ * @param {number} softLimit - Fraction of a budget that triggers a warning
+ * @returns {Array<string>}
+ */
+function softLimitWarnings(counters, usage, amounts, softLimit) {
+  return counters
+    .map((counter, index) => ({ counter, used: usage[index] + amounts[index] }))
+    .filter(({ counter, used }) => counter.limit !== null && used >= counter.limit * softLimit)
+    .map(({ counter, used }) => `${counterLabel(counter)} ${Math.min(100, Math.round((used / Math.max(counter.limit, 1)) * 100))}% used (${formatAmount(counter.metric, used)} of ${formatAmount(counter.metric, counter.limit)})`);
+}
+
+/**
+ * Error failing a job whose estimate doesn't fit its budgets
+ * @param {Object} result - From LlmBudgetService.reserve
+ * @returns {Error}
+ */
+function budgetExceededError(result) {
+  const error = new Error(`LLM budget exceeded: ${result.exceeded.join('; ')}`);
+  error.code = 'LLM_BUDGET_EXCEEDED';
+  error.stage = 'llm';
+  return error;
+}
+
+/**
+ * Error failing a job whose external model has no price: budgets would count it as free
+ * @param {Object} provider - LLM provider
+ * @returns {Error}
+ */
+function unpricedModelError(provider) {
+  const error = new Error(`LLM budgets are enabled but ${provider.name} model ${provider.model} has no price; add it to LLM_PRICING_FILE`);
+  error.code = 'LLM_MODEL_UNPRICED';
+  error.stage = 'llm';
+  return error;
+}
+
+class LlmBudgetService {
+  /**
+   * Budgets are checked on upload and reserved, from a pre-flight estimate, before a job's
+   * first LLM call; the reservation is settled with the real cost once the run ends.
+   * Like the upload quota, a budget store that can't be reached lets jobs through.
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Defaults to LLM_BUDGET_ENABLED
+   * @param {Object} [options.redis] - Redis client wrapper (defaults to the shared one)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LLM_BUDGET_ENABLED === 'true';
+    this.redis = options.redis || redisClient;
+  }
+
+  /**
+   * Current usage of the counters
+   * @param {Array<Object>} counters - From budgetCounters
+   * @returns {Promise<Array<number>>}
+   */
+  async readCounters(counters) {
+    if (counters.length === 0) return [];
+    const redis = await this.redis.connect();
+    const values = await redis.mget(...counters.map(counter => counter.key));
+    return values.map(value => parseInt(value) || 0);
+  }
+
+  /**
+   * Upload-time check: refuses new jobs once a budget is used up and warns past the soft limit.
+   * The document hasn't been read yet, so nothing is reserved here.
+   * @param {Object} params
+   * @param {string|null} params.userId - User ID
+   * @param {string|null} params.orgId - Organization ID
+   * @param {Object|null} params.budgets - Organization.llm_budgets
+   * @returns {Promise<{allowed: boolean, status: string, reason?: string, warnings: Array<string>, budgets: Array<Object>}>}
+   */
+  async check({ userId, orgId, budgets }) {
+    if (!this.enabled) {
+      return { allowed: true, status: 'disabled', warnings: [], budgets: [] };
+    }
+
+    const resolved = resolveBudgets(budgets);
+    const counters = budgetCounters({ userId, orgId, budgets: resolved });
+
+    try {
+      const usage = await this.readCounters(counters);
+      const exhausted = counters.filter((counter, index) => counter.limit !== null && usage[index] >= counter.limit);
+      const warnings = softLimitWarnings(counters, usage, counters.map(() => 0), resolved.softLimit);
+
+      return {
+        allowed: exhausted.length === 0,
+        status: exhausted.length > 0 ? 'exceeded' : (warnings.length > 0 ? 'soft_limit' : 'ok'),
+        ...(exhausted.length > 0 ? { reason: `${exhausted.map(counterLabel).join(', ')} used up` } : {}),
+        warnings,
+        budgets: describeCounters(counters, usage)
+      };
+    } catch (error) {
+      console.error('Error checking LLM budget:', error);
+      // Allow the upload if the budget store is unavailable
+      return { allowed: true, status: 'unavailable', warnings: [], budgets: [] };
+    }
+  }
+
+  /**
+   * Atomically reserve a job's estimated spend on every budget it counts against, or on none
+   * @param {Object} params
+   * @param {string|null} params.userId - User ID
+   * @param {string|null} params.orgId - Organization ID
+   * @param {Object|null} params.budgets - Organization.llm_budgets
+   * @param {{costUsd: number, inputTokens: number, outputTokens: number}} params.estimate - Pre-flight estimate
+   * @returns {Promise<Object>} { allowed, status, warnings, exceeded, estimate, hold } - hold is what settle() needs
+   */
+  async reserve({ userId, orgId, budgets, estimate }) {
+    const resolved = resolveBudgets(budgets);
+    const date = new Date();
+    const spend = { costUsd: estimate.costUsd, tokens: estimate.inputTokens + estimate.outputTokens };
+    const counters = budgetCounters({ userId, orgId, budgets: resolved, date });
+    const amounts = counterAmounts(counters, spend);
+    const summary = { estimate: { costUsd: Number(spend.costUsd.toFixed(6)), tokens: spend.tokens }, checkedAt: date.toISOString() };
+
+    if (counters.length === 0) {
+      return { allowed: true, status: 'ok', warnings: [], exceeded: [], ...summary, hold: null };
+    }
+
+    try {
+      const redis = await this.redis.connect();
+      const args = counters.flatMap((counter, index) => [counter.limit ?? -1, amounts[index], PERIOD_TTL_SECONDS[counter.period]]);
+      const [reserved, ...usage] = await redis.eval(RESERVE_SCRIPT, counters.length, ...counters.map(counter => counter.key), ...args);
+
+      const exceeded = counters
+        .map((counter, index) => ({ counter, used: usage[index], amount: amounts[index] }))
+        .filter(({ counter, used, amount }) => counter.limit !== null && used + amount > counter.limit)
+        .map(({ counter, used, amount }) => `${counterLabel(counter)} of ${formatAmount(counter.metric, counter.limit)} would be exceeded (${formatAmount(counter.metric, used)} used, this job needs up to ${formatAmount(counter.metric, amount)})`);
+      const warnings = reserved === 1 ? softLimitWarnings(counters, usage, amounts, resolved.softLimit) : [];
+
+      return {
+        allowed: reserved === 1,
+        status: reserved !== 1 ? 'exceeded' : (warnings.length > 0 ? 'soft_limit' : 'ok'),
+        warnings,
+        exceeded,
+        ...summary,
+        hold: reserved === 1 ? { userId, orgId, date: date.toISOString(), costUsd: spend.costUsd, tokens: spend.tokens } : null
+      };
+    } catch (error) {
+      console.error('Error reserving LLM budget:', error);
+      // Let the job through if the budget store is unavailable
+      return { allowed: true, status: 'unavailable', warnings: [], exceeded: [], ...summary, hold: null };
+    }
+  }
+
+  /**
+   * Replace a reservation with what the run really cost
+   * @param {Object|null} hold - From reserve()
+   * @param {{costUsd: number, tokens: number}} actual - Real cost and tokens (input + output); zero gives it all back
+   * @returns {Promise<boolean>} Whether the counters were adjusted
+   */
+  async settle(hold, actual) {
+    if (!hold) return false;
+
+    // Limits don't matter for the adjustment, only the keys of the day and month the hold was made in
+    const counters = budgetCounters({ userId: hold.userId, orgId: hold.orgId, budgets: resolveBudgets(null), date: new Date(hold.date) });
+    const reserved = counterAmounts(counters, hold);
+    const deltas = counterAmounts(counters, actual).map((amount, index) => amount - reserved[index]);
+
+    try {
+      const redis = await this.redis.connect();
+      await redis.eval(ADJUST_SCRIPT, counters.length, ...counters.map(counter => counter.key), ...deltas);
+      return true;
+    } catch (error) {
+      console.error('Error settling LLM budget:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Budgets and usage of a user and their organization. Like check(), an unreachable
+   * budget store isn't an error: the result has status 'unavailable' and no budgets.
+   * @param {Object} params - { userId, orgId, budgets } as for check()
+   * @returns {Promise<Object>}
+   */
+  async getUsage({ userId, orgId, budgets }) {
+    const resolved = resolveBudgets(budgets);
+    const counters = budgetCounters({ userId, orgId, budgets: resolved });
+    const result = { enabled: this.enabled, softLimit: resolved.softLimit };
+
+    try {
+      const usage = this.enabled ? await this.readCounters(counters) : counters.map(() => 0);
+      return { ...result, budgets: describeCounters(counters, usage) };
+    } catch (error) {
+      console.error('Error reading LLM budget usage:', error);
+      return { ...result, status: 'unavailable', budgets: [] };
+    }
+  }
+}
+
+let service = null;
+
+/**
+ * The shared budget service, created on first use
+ * @returns {LlmBudgetService}
+ */
+function getLlmBudgetService() {
+  if (!service) {
+    service = new LlmBudgetService();
+  }
+  return service;
+}
+
+module.exports = {
+  LlmBudgetService,
+  budgetCounters,
+  budgetExceededError,
+  unpricedModelError,
+  getDefaultBudgets,
+  getLlmBudgetService,
+  resolveBudgets,
+  validateBudgets
+};
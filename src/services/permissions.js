@@ -0,0 +1,82 @@
+// Role-based access control for organization members
+
+const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  REVIEWER: 'reviewer',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+const PERMISSIONS = {
+  JOBS_READ: 'jobs:read',
+  JOBS_UPLOAD: 'jobs:upload',
+  JOBS_CANCEL: 'jobs:cancel',
+  JOBS_REPROCESS: 'jobs:reprocess',
+  JOBS_DELETE: 'jobs:delete',
+  EXTRACTIONS_EDIT: 'extractions:edit',
+  REVIEWS_APPROVE: 'reviews:approve',
+  MEMBERS_MANAGE: 'members:manage',
+  APIKEYS_MANAGE: 'apikeys:manage',
+  TEMPLATES_MANAGE: 'templates:manage',
+  REVIEW_RULES_MANAGE: 'reviewrules:manage',
+  LLM_BUDGETS_MANAGE: 'llmbudgets:manage',
+  REDACTION_MANAGE: 'redaction:manage'
+};
+
+// Each role's permissions; reviewers (e.g. paralegals) can correct and approve but not delete
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.REVIEWER]: [
+    PERMISSIONS.JOBS_READ,
+    PERMISSIONS.JOBS_UPLOAD,
+    PERMISSIONS.JOBS_CANCEL,
+    PERMISSIONS.JOBS_REPROCESS,
+    PERMISSIONS.EXTRACTIONS_EDIT,
+    PERMISSIONS.REVIEWS_APPROVE
+  ],
+  [ROLES.MEMBER]: [
+    PERMISSIONS.JOBS_READ,
+    PERMISSIONS.JOBS_UPLOAD,
+    PERMISSIONS.JOBS_CANCEL
+  ],
+  [ROLES.VIEWER]: [
+    PERMISSIONS.JOBS_READ
+  ]
+};
+
+/**
+ * @param {string} role - Membership role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Check whether a role grants a permission. Unknown roles grant nothing.
+ * @param {string} role - Membership role
+ * @param {string} permission - Permission, e.g. 'jobs:reprocess'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * @param {string} role - Membership role
+ * @returns {Array<string>} Permissions granted by the role
+ */
+function getPermissions(role) {
+  return isValidRole(role) ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  getPermissions
+};
@@ -0,0 +1,185 @@
+// Review routing: decide from per-field confidence and the organization's rules whether a job needs a human
+const { violationField, valueAt } = require('../llm/fieldConfidence');
+
+// Field paths as scored by fieldConfidence: 'effective_date', 'financial_terms.amount', 'custom_fields.po_number'
+const FIELD_PATH_PATTERN = /^[a-z][a-z0-9_]{0,62}(\.[a-z][a-z0-9_]{0,62})?$/;
+const MAX_RULE_FIELDS = 100;
+const RULE_KEYS = ['minConfidence', 'minFieldConfidence', 'fieldThresholds', 'requiredFields', 'alwaysReviewFields'];
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidRules(message) {
+  const error = new Error(message);
+  error.code = 'invalid_review_rules';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Review thresholds used when an organization sets none, from environment variables
+ * @returns {{minConfidence: number, minFieldConfidence: number, fieldThresholds: Object, requiredFields: Array<string>, alwaysReviewFields: Array<string>}}
+ */
+function getDefaultReviewRules() {
+  const read = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+  };
+
+  return {
+    minConfidence: read('REVIEW_MIN_CONFIDENCE', 0.65),
+    minFieldConfidence: read('REVIEW_MIN_FIELD_CONFIDENCE', 0.5),
+    fieldThresholds: {},
+    requiredFields: [],
+    alwaysReviewFields: []
+  };
+}
+
+/**
+ * @param {any} value - Threshold from the request body
+ * @param {string} label - Name for error messages
+ * @returns {number}
+ */
+function validateThreshold(value, label) {
+  if (typeof value !== 'number' || value < 0 || value > 1) {
+    throw invalidRules(`${label} must be a number between 0 and 1`);
+  }
+  return value;
+}
+
+/**
+ * @param {any} fields - Field list from the request body
+ * @param {string} label - Name for error messages
+ * @returns {Array<string>}
+ */
+function validateFieldList(fields, label) {
+  if (!Array.isArray(fields) || fields.length > MAX_RULE_FIELDS) {
+    throw invalidRules(`${label} must be an array of up to ${MAX_RULE_FIELDS} field names`);
+  }
+  const invalid = fields.find(field => typeof field !== 'string' || !FIELD_PATH_PATTERN.test(field));
+  if (invalid !== undefined) {
+    throw invalidRules(`${label} has an invalid field name: ${JSON.stringify(invalid)} (use e.g. "renewal_date" or "financial_terms.amount")`);
+  }
+  return [...new Set(fields)];
+}
+
+/**
+ * Validate an organization's review rules. Omitted settings use the defaults.
+ * @param {any} rules - Rules from the request body
+ * @returns {Object} Rules to store
+ */
+function validateReviewRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw invalidRules('Review rules must be an object');
+  }
+
+  const unknown = Object.keys(rules).find(key => !RULE_KEYS.includes(key));
+  if (unknown) {
+    throw invalidRules(`Unknown review rule ${unknown}; expected any of: ${RULE_KEYS.join(', ')}`);
+  }
+
+  const validated = {};
+  if (rules.minConfidence !== undefined) {
+    validated.minConfidence = validateThreshold(rules.minConfidence, 'minConfidence');
+  }
+  if (rules.minFieldConfidence !== undefined) {
+    validated.minFieldConfidence = validateThreshold(rules.minFieldConfidence, 'minFieldConfidence');
+  }
+  if (rules.fieldThresholds !== undefined) {
+    const thresholds = rules.fieldThresholds;
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      throw invalidRules('fieldThresholds must be an object of field name to threshold');
+    }
+    validateFieldList(Object.keys(thresholds), 'fieldThresholds');
+    validated.fieldThresholds = Object.fromEntries(Object.entries(thresholds).map(([field, value]) =>
+      [field, validateThreshold(value, `fieldThresholds.${field}`)]
+    ));
+  }
+  if (rules.requiredFields !== undefined) {
+    validated.requiredFields = validateFieldList(rules.requiredFields, 'requiredFields');
+  }
+  if (rules.alwaysReviewFields !== undefined) {
+    validated.alwaysReviewFields = validateFieldList(rules.alwaysReviewFields, 'alwaysReviewFields');
+  }
+
+  return validated;
+}
+
+/**
+ * Effective rules for an organization
+ * @param {Object|null} orgRules - Organization.review_rules
+ * @returns {Object} Defaults overridden by the organization's settings
+ */
+function resolveReviewRules(orgRules) {
+  return { ...getDefaultReviewRules(), ...(orgRules || {}) };
+}
+
+/**
+ * Decide whether an extraction needs review, and why. Each reason names the field
+ * that triggered it; reasons about the document as a whole have field null.
+ * @param {Object} params
+ * @param {Object} params.data - Extraction, including custom_fields when a template is used
+ * @param {Object} params.fieldScores - scoreFields().fields
+ * @param {Object} params.rules - resolveReviewRules() result
+ * @param {Array<{path: string, message: string}>} [params.schemaViolations] - Violations left after the corrective retry
+ * @param {number} [params.chunksDropped] - Chunks the model never read
+ * @returns {{requiresReview: boolean, reasons: Array<{field: string|null, reason: string, detail: string}>}}
+ */
+function evaluateReview({ data, fieldScores, rules, schemaViolations = [], chunksDropped = 0 }) {
+  const reasons = [];
+  const add = (field, reason, detail) => reasons.push({ field, reason, detail });
+  const isEmpty = value => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+  if (chunksDropped > 0) {
+    add(null, 'chunks_dropped', `${chunksDropped} chunk(s) of the document were not read`);
+  }
+
+  if (data.confidence_score < rules.minConfidence) {
+    add(null, 'low_confidence', `Overall confidence ${data.confidence_score} is below ${rules.minConfidence}`);
+  }
+
+  // A threshold set for financial_terms applies to each of its keys unless they have their own
+  for (const [field, score] of Object.entries(fieldScores)) {
+    const threshold = rules.fieldThresholds[field] ??
+      rules.fieldThresholds[field.split('.')[0]] ??
+      rules.minFieldConfidence;
+    if (score.confidence < threshold) {
+      const why = score.issues.length > 0 ? ` (${score.issues.join('; ')})` : '';
+      add(field, 'low_field_confidence', `Confidence ${score.confidence} is below ${threshold}${why}`);
+    }
+  }
+
+  for (const field of rules.requiredFields) {
+    if (isEmpty(valueAt(data, field))) {
+      add(field, 'missing_required', 'Required by the organization\'s review rules but not found');
+    }
+  }
+
+  for (const field of rules.alwaysReviewFields) {
+    if (!isEmpty(valueAt(data, field))) {
+      add(field, 'always_review', 'The organization reviews this field on every document');
+    }
+  }
+
+  // Scored fields already pay for their violations in confidence; the rest can't be checked
+  // field by field (e.g. malformed evidence), so any of them sends the job to review
+  const unscored = schemaViolations.filter(violation => {
+    const field = violationField(violation.path);
+    return !field || !Object.keys(fieldScores).some(path => path === field || path.startsWith(`${field}.`));
+  });
+  for (const violation of unscored) {
+    add(violationField(violation.path), 'schema_violation', `${violation.path} ${violation.message}`);
+  }
+
+  return { requiresReview: reasons.length > 0, reasons };
+}
+
+module.exports = {
+  getDefaultReviewRules,
+  validateReviewRules,
+  resolveReviewRules,
+  evaluateReview
+};
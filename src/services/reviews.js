@@ -0,0 +1,392 @@
+// Human review: the review queue, claims, field corrections and approval of needs_review jobs
+const { JOB_STATUS } = require('./jobStateMachine');
+const { parseJobListQuery } = require('../utils/jobListQuery');
+const { getSchemaById } = require('../llm/documentTypes');
+const { validateExtraction, withTemplateFields } = require('../llm/extractionSchema');
+const { violationField } = require('../llm/fieldConfidence');
+
+// Fields the reviewer can't set: the model's own assessment and the evidence behind it
+const UNCORRECTABLE_FIELDS = ['confidence_score', 'evidence'];
+const MAX_CORRECTIONS = 50;
+const CLAIM_FILTERS = ['mine', 'unclaimed', 'all'];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build an error with the HTTP status the route should answer with
+ * @param {string} message - Error message
+ * @param {string} code - Error code returned to the client
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function reviewError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * How long a claim keeps other reviewers off a job, from REVIEW_CLAIM_TTL_MINUTES
+ * @returns {number} Milliseconds
+ */
+function getClaimTtlMs() {
+  const minutes = parseInt(process.env.REVIEW_CLAIM_TTL_MINUTES);
+  return (isNaN(minutes) || minutes < 1 ? 30 : minutes) * 60 * 1000;
+}
+
+/**
+ * The live claim on a job, if any; claims lapse after the TTL
+ * @param {Object} job - Job record
+ * @returns {{userId: string, claimedAt: Date, expiresAt: Date}|null}
+ */
+function activeClaim(job) {
+  if (!job.reviewClaimedBy || !job.reviewClaimedAt) {
+    return null;
+  }
+  const expiresAt = new Date(job.reviewClaimedAt.getTime() + getClaimTtlMs());
+  return expiresAt > new Date()
+    ? { userId: job.reviewClaimedBy, claimedAt: job.reviewClaimedAt, expiresAt }
+    : null;
+}
+
+/**
+ * Shape of a queued review returned by the API
+ * @param {Object} job - Job record
+ * @returns {Object}
+ */
+function serializeReview(job) {
+  return {
+    jobId: job.id,
+    filename: job.filename,
+    documentType: job.document_type,
+    confidenceScore: job.confidence_score,
+    reasons: job.review_reasons || [],
+    claim: activeClaim(job),
+    extractionVersion: job.extraction_version,
+    createdAt: job.createdAt
+  };
+}
+
+/**
+ * Shape of a correction returned by the API
+ * @param {Object} correction - ExtractionCorrection record
+ * @returns {Object}
+ */
+function serializeCorrection(correction) {
+  return {
+    version: correction.version,
+    userId: correction.userId,
+    changes: correction.changes,
+    comment: correction.comment,
+    createdAt: correction.createdAt
+  };
+}
+
+/**
+ * Validate GET /api/reviews query parameters: the job listing parameters (oldest
+ * first by default) plus `claimed`
+ * @param {Object} query - Express req.query
+ * @param {string} userId - Authenticated user
+ * @returns {Object} Parsed query for db.listJobs
+ */
+function parseReviewQueueQuery(query = {}, userId) {
+  const { claimed = 'all', ...rest } = query;
+  const parsed = parseJobListQuery({ order: 'asc', ...rest, status: JOB_STATUS.NEEDS_REVIEW });
+
+  if (!CLAIM_FILTERS.includes(claimed)) {
+    const error = new Error(`claimed must be one of: ${CLAIM_FILTERS.join(', ')}`);
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+
+  if (claimed !== 'all') {
+    parsed.filters.claimedBy = claimed === 'mine' ? userId : null;
+    parsed.filters.claimStaleBefore = new Date(Date.now() - getClaimTtlMs());
+  }
+
+  return parsed;
+}
+
+/**
+ * Validate the corrections in a request body
+ * @param {any} corrections - [{ field, value }]
+ * @returns {Array<{field: string, value: any}>}
+ */
+function validateCorrections(corrections) {
+  if (!Array.isArray(corrections) || corrections.length === 0 || corrections.length > MAX_CORRECTIONS) {
+    throw reviewError(`corrections must be an array of 1 to ${MAX_CORRECTIONS} { field, value } objects`, 'invalid_corrections', 400);
+  }
+
+  const fields = corrections.map((correction, index) => {
+    if (!correction || typeof correction !== 'object' || typeof correction.field !== 'string' || !('value' in correction)) {
+      throw reviewError(`corrections[${index}] must have a field and a value`, 'invalid_corrections', 400);
+    }
+    if (UNCORRECTABLE_FIELDS.includes(correction.field.split('.')[0])) {
+      throw reviewError(`${correction.field} can't be corrected`, 'invalid_corrections', 400);
+    }
+    return correction.field;
+  });
+
+  const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (duplicate) {
+    throw reviewError(`${duplicate} is corrected more than once`, 'invalid_corrections', 400);
+  }
+
+  return corrections.map(({ field, value }) => ({ field, value: value === undefined ? null : value }));
+}
+
+/**
+ * Apply corrections to a copy of the job's extraction. Template fields live in
+ * template_fields but are addressed as custom_fields.<name>.
+ * @param {Object} job - Job record
+ * @param {Array<{field: string, value: any}>} corrections - Validated corrections
+ * @returns {{extraction: Object, templateFields: Object|null, changes: Array<{field: string, from: any, to: any}>}}
+ */
+function applyCorrections(job, corrections) {
+  const extraction = structuredClone(job.extraction_json || {});
+  const templateFields = job.template_fields ? structuredClone(job.template_fields) : null;
+  const changes = [];
+
+  for (const { field, value } of corrections) {
+    const segments = field.split('.');
+    const isCustom = segments[0] === 'custom_fields';
+    const target = isCustom ? templateFields : extraction;
+    const [name, subKey, ...extra] = isCustom ? segments.slice(1) : segments;
+
+    // Objects (financial_terms) can be corrected whole or per key; template fields have no keys
+    const known = Boolean(target && name) && hasOwn(target, name) && extra.length === 0 &&
+      (subKey === undefined || (!isCustom && isPlainObject(target[name]) && hasOwn(target[name], subKey)));
+    if (!known) {
+      throw reviewError(`${field} is not a field of this extraction`, 'invalid_corrections', 400);
+    }
+
+    const from = subKey === undefined ? target[name] : target[name][subKey];
+    if (JSON.stringify(from) === JSON.stringify(value)) {
+      continue;
+    }
+
+    if (subKey === undefined) {
+      target[name] = value;
+    } else {
+      target[name][subKey] = value;
+    }
+    changes.push({ field, from, to: value });
+  }
+
+  return { extraction, templateFields, changes };
+}
+
+class ReviewService {
+  /**
+   * @param {Object} deps
+   * @param {import('../prisma-database')} deps.db - Database manager
+   */
+  constructor({ db }) {
+    this.db = db;
+  }
+
+  /**
+   * Jobs waiting for review in the user's organization
+   * @param {Object} scope - { userId, orgId }
+   * @param {Object} query - parseReviewQueueQuery() result
+   * @returns {Promise<{reviews: Array<Object>, nextCursor: string|null}>}
+   */
+  async listQueue(scope, query) {
+    const { jobs, nextCursor } = await this.db.listJobs(scope, query);
+    return { reviews: jobs.map(serializeReview), nextCursor };
+  }
+
+  /**
+   * Refuse when the job isn't waiting for review or someone else holds it
+   * @param {Object} job - Job record
+   * @param {string} userId - Reviewer
+   */
+  assertReviewable(job, userId) {
+    if (job.status !== JOB_STATUS.NEEDS_REVIEW) {
+      throw reviewError(`Job is ${job.status}, not waiting for review`, 'not_in_review', 409);
+    }
+    const claim = activeClaim(job);
+    if (claim && claim.userId !== userId) {
+      throw reviewError(`Job is claimed by ${claim.userId} until ${claim.expiresAt.toISOString()}`, 'review_claimed', 409);
+    }
+  }
+
+  /**
+   * Claim a job so other reviewers leave it alone. Claiming again renews the claim.
+   * @param {Object} job - Job record
+   * @param {string} userId - Reviewer
+   * @returns {Promise<Object>} The claim
+   */
+  async claim(job, userId) {
+    this.assertReviewable(job, userId);
+
+    // Conditional update: of two reviewers claiming at once, only one gets the job
+    const claimed = await this.db.claimJobReview(job.id, userId, new Date(Date.now() - getClaimTtlMs()));
+    if (!claimed) {
+      throw reviewError('Job was claimed by another reviewer', 'review_claimed', 409);
+    }
+    return activeClaim(claimed);
+  }
+
+  /**
+   * Give up a claim
+   * @param {Object} job - Job record
+   * @param {string} userId - Reviewer
+   * @returns {Promise<boolean>} Whether the user held a claim
+   */
+  async release(job, userId) {
+    return this.db.releaseJobReview(job.id, userId);
+  }
+
+  /**
+   * Correct extracted fields. Each submission becomes a new extraction version,
+   * stored as a diff: the previous value, the new one and the model's original.
+   * @param {Object} job - Job record
+   * @param {string} userId - Reviewer
+   * @param {Object} input - { corrections: [{ field, value }], comment }
+   * @returns {Promise<{correction: Object, extraction: Object, templateFields: Object|null}>}
+   */
+  async correct(job, userId, input = {}) {
+    this.assertReviewable(job, userId);
+
+    const corrections = validateCorrections(input.corrections);
+    const comment = typeof input.comment === 'string' && input.comment.trim() ? input.comment.trim().slice(0, 2000) : null;
+    const { extraction, templateFields, changes } = applyCorrections(job, corrections);
+
+    if (changes.length === 0) {
+      throw reviewError('The corrections don\'t change any value', 'no_changes', 400);
+    }
+
+    await this.assertMatchesSchema(job, extraction, templateFields, changes);
+
+    // The model's value is the `from` of the first correction that touched the field in
+    // the current extraction run; a reprocessed job starts over from the new model output
+    const run = Number.isInteger(job.current_extraction_version)
+      ? await this.db.getExtraction(job.id, job.current_extraction_version)
+      : null;
+    const previous = (await this.db.listCorrections(job.id))
+      .filter(correction => (correction.extractionId || null) === (run ? run.id : null));
+    const original = field => {
+      for (const correction of previous) {
+        const change = correction.changes.find(item => item.field === field);
+        if (change) return change.original;
+      }
+      return undefined;
+    };
+
+    const correction = await this.db.createCorrection(job.id, job.extraction_version, {
+      userId,
+      comment,
+      changes: changes.map(change => {
+        const earlier = original(change.field);
+        return { ...change, original: earlier === undefined ? change.from : earlier };
+      })
+    }, {
+      extraction_json: extraction,
+      ...(templateFields ? { template_fields: templateFields } : {})
+    });
+
+    if (!correction) {
+      throw reviewError('The extraction was changed by someone else; reload it and try again', 'version_conflict', 409);
+    }
+
+    return { correction, extraction, templateFields };
+  }
+
+  /**
+   * Reject corrections that break the schema the job was extracted with. Jobs from
+   * retired schema versions, and template fields from an older template version,
+   * are only checked for the field names.
+   * @param {Object} job - Job record
+   * @param {Object} extraction - Corrected extraction
+   * @param {Object|null} templateFields - Corrected template fields
+   * @param {Array<{field: string}>} changes - Changed fields
+   */
+  async assertMatchesSchema(job, extraction, templateFields, changes) {
+    let schema = getSchemaById(job.schema_version);
+    if (!schema) {
+      return;
+    }
+
+    let data = { ...extraction, evidence: [] };
+    if (templateFields && job.templateId) {
+      const template = await this.db.getExtractionTemplate(job.templateId);
+      if (template && template.version === job.template_version) {
+        schema = withTemplateFields(schema, template);
+        data = { ...data, custom_fields: templateFields };
+      }
+    }
+
+    const touches = path => changes.some(({ field }) => path === field || field.startsWith(`${path}.`) || path.startsWith(`${field}.`));
+    const violations = validateExtraction(data, schema)
+      .filter(violation => touches(violationField(violation.path) || ''));
+
+    if (violations.length > 0) {
+      const error = reviewError(
+        `Corrections don't match the extraction schema: ${violations.map(v => `${v.path} ${v.message}`).join('; ')}`,
+        'invalid_corrections',
+        400
+      );
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a job under review. Approved jobs complete with the corrected
+   * extraction; rejected ones stay rejected until reprocessed.
+   * @param {Object} job - Job record
+   * @param {string} userId - Reviewer
+   * @param {'approved'|'rejected'} decision
+   * @param {string|null} comment - Required when rejecting
+   * @returns {Promise<Object>} Updated job
+   */
+  async decide(job, userId, decision, comment = null) {
+    this.assertReviewable(job, userId);
+
+    const text = typeof comment === 'string' ? comment.trim().slice(0, 2000) : '';
+    if (decision === 'rejected' && !text) {
+      throw reviewError('A reason is required to reject', 'reason_required', 400);
+    }
+
+    return this.db.transitionJob(job.id, decision === 'approved' ? JOB_STATUS.COMPLETED : JOB_STATUS.REJECTED, {
+      metadata: { review: decision, reviewedBy: userId, extractionVersion: job.extraction_version },
+      data: {
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+        review_decision: decision,
+        review_comment: text || null,
+        reviewClaimedBy: null,
+        reviewClaimedAt: null
+      }
+    });
+  }
+
+  /**
+   * Who changed what: every correction, oldest first, and the review decision
+   * @param {Object} job - Job record
+   * @returns {Promise<Object>}
+   */
+  async history(job) {
+    const corrections = await this.db.listCorrections(job.id);
+
+    return {
+      jobId: job.id,
+      extractionVersion: job.extraction_version,
+      corrections: corrections.map(serializeCorrection),
+      claim: activeClaim(job),
+      decision: job.review_decision
+        ? { decision: job.review_decision, reviewedBy: job.reviewedBy, reviewedAt: job.reviewedAt, comment: job.review_comment }
+        : null
+    };
+  }
+}
+
+module.exports = {
+  ReviewService,
+  parseReviewQueueQuery,
+  serializeCorrection,
+  activeClaim
+};
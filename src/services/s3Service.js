@@ -32,9 +32,10 @@ class S3Service {
    * @param {string} filename - Original filename
    * @param {string} contentType - MIME type
    * @param {number} contentLength - File size in bytes
-   * @returns {Promise<{uploadUrl: string, objectKey: string, expiresIn: number}>}
+   * @param {Object} [metadata] - Object metadata, read back on completion; the client must send it as x-amz-meta-* headers
+   * @returns {Promise<{uploadUrl: string, objectKey: string, expiresIn: number, headers?: Object}>}
    */
-  async generatePresignedUpload(userId, filename, contentType, contentLength) {
+  async generatePresignedUpload(userId, filename, contentType, contentLength, metadata = {}) {
     if (!this.enabled) {
       throw new Error('S3 presigned uploads not enabled');
     }
@@ -60,13 +61,22 @@ class S3Service {
       ]
     };
 
+    // Metadata is part of the signature, so the upload must carry the same headers
+    const headers = Object.fromEntries(
+      Object.entries(metadata).map(([key, value]) => [`x-amz-meta-${key}`, value])
+    );
+    if (Object.keys(headers).length > 0) {
+      params.Metadata = metadata;
+    }
+
     try {
       const uploadUrl = await this.s3.getSignedUrlPromise('putObject', params);
       
       return {
         uploadUrl,
         objectKey,
-        expiresIn
+        expiresIn,
+        ...(Object.keys(headers).length > 0 ? { headers } : {})
       };
     } catch (error) {
       console.error('Error generating presigned URL:', error);
@@ -96,7 +106,8 @@ class S3Service {
         exists: true,
         size: result.ContentLength,
         lastModified: result.LastModified,
-        contentType: result.ContentType
+        contentType: result.ContentType,
+        metadata: result.Metadata || {}
       };
     } catch (error) {
       if (error.code === 'NotFound') {
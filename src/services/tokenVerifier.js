@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Build an auth error with the HTTP status validateAuth should answer with
+ * @param {string} message - Error message
+ * @param {string} code - Error code returned to the client
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function authError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+class TokenVerifier {
+  /**
+   * RS256 tokens are verified against a JWKS (Clerk or any OIDC provider), loaded
+   * from AUTH_JWKS_URL or a local AUTH_JWKS_FILE. HS256 tokens are verified with
+   * JWT_SECRET, meant for local development. With neither configured every token
+   * is rejected.
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  constructor(options = {}) {
+    this.jwksUrl = options.jwksUrl ?? (process.env.AUTH_JWKS_URL || process.env.CLERK_JWKS_URL || null);
+    this.jwksFile = options.jwksFile ?? (process.env.AUTH_JWKS_FILE || null);
+    this.issuer = options.issuer ?? (process.env.AUTH_JWT_ISSUER || process.env.CLERK_JWT_ISSUER || null);
+    this.audience = options.audience ?? (process.env.AUTH_JWT_AUDIENCE || null);
+    this.hmacSecret = options.hmacSecret ?? (process.env.JWT_SECRET || null);
+    this.cacheTtlMs = options.cacheTtlMs ?? (parseInt(process.env.AUTH_JWKS_CACHE_TTL_MS) || 10 * 60 * 1000); // 10 minutes
+    // Floor between refreshes triggered by unknown key IDs, so forged kids can't hammer the JWKS endpoint
+    this.minRefreshIntervalMs = options.minRefreshIntervalMs ?? (parseInt(process.env.AUTH_JWKS_MIN_REFRESH_MS) || 30 * 1000);
+    this.clockToleranceSec = options.clockToleranceSec ?? (parseInt(process.env.AUTH_CLOCK_TOLERANCE_SEC) || 5);
+
+    this.keys = new Map(); // kid -> KeyObject
+    this.fetchedAt = 0;
+    this.inflightFetch = null;
+
+    if (this.hmacSecret && process.env.NODE_ENV === 'production') {
+      console.warn('⚠️  HS256 tokens are accepted (JWT_SECRET is set) - use a JWKS in production');
+    }
+  }
+
+  get jwksEnabled() {
+    return Boolean(this.jwksUrl || this.jwksFile);
+  }
+
+  get configured() {
+    return this.jwksEnabled || Boolean(this.hmacSecret);
+  }
+
+  /**
+   * Load the JWKS document from the configured file or URL
+   * @returns {Promise<{keys: Array<Object>}>}
+   */
+  async loadJwks() {
+    if (this.jwksFile) {
+      return JSON.parse(await fs.promises.readFile(this.jwksFile, 'utf8'));
+    }
+
+    const response = await axios.get(this.jwksUrl, { timeout: 5000 });
+    return response.data;
+  }
+
+  /**
+   * Refresh the signing key cache. Concurrent callers share one fetch.
+   * @returns {Promise<void>}
+   */
+  async refreshKeys() {
+    if (!this.inflightFetch) {
+      this.inflightFetch = (async () => {
+        try {
+          const jwks = await this.loadJwks();
+          const keys = new Map();
+
+          for (const jwk of jwks.keys || []) {
+            // Only RSA signing keys are usable for RS256
+            if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig') || !jwk.kid) continue;
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          }
+
+          this.keys = keys;
+          this.fetchedAt = Date.now();
+          console.log(`🔑 Loaded ${keys.size} JWKS signing key(s)`);
+        } finally {
+          this.inflightFetch = null;
+        }
+      })();
+    }
+
+    return this.inflightFetch;
+  }
+
+  /**
+   * Get the public key for a key ID, refreshing the cache when it is stale or
+   * the key is unknown (the provider rotated its keys)
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(kid) {
+    const stale = Date.now() - this.fetchedAt > this.cacheTtlMs;
+    const canRefresh = Date.now() - this.fetchedAt > this.minRefreshIntervalMs;
+
+    if (stale || (!this.keys.has(kid) && canRefresh)) {
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        // Keep serving cached keys through a JWKS outage
+        if (this.keys.size === 0) {
+          throw authError(`Unable to load JWKS: ${error.message}`, 'auth_unavailable', 503);
+        }
+        console.warn('⚠️  JWKS refresh failed, using cached keys:', error.message);
+      }
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw authError(`Unknown signing key: ${kid}`, 'invalid_token', 401);
+    }
+    return key;
+  }
+
+  /**
+   * Verify a bearer token and return its claims
+   * @param {string} token - Encoded JWT
+   * @returns {Promise<Object>} Decoded claims
+   */
+  async verify(token) {
+    if (!this.configured) {
+      throw authError('No JWKS or JWT_SECRET configured', 'auth_not_configured', 500);
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw authError('Malformed token', 'invalid_token', 401);
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+    const options = { algorithms: [alg], clockTolerance: this.clockToleranceSec };
+
+    // The key type is chosen from our configuration, never from the token, so an
+    // RS256 public key can't be replayed as an HS256 secret
+    if (alg === 'RS256' && this.jwksEnabled) {
+      if (!kid) {
+        throw authError('Token has no key ID', 'invalid_token', 401);
+      }
+      key = await this.getSigningKey(kid);
+      if (this.issuer) options.issuer = this.issuer;
+      if (this.audience) options.audience = this.audience;
+    } else if (alg === 'HS256' && this.hmacSecret) {
+      key = this.hmacSecret;
+    } else {
+      throw authError(`Unsupported token algorithm: ${alg}`, 'invalid_token', 401);
+    }
+
+    try {
+      return jwt.verify(token, key, options);
+    } catch (error) {
+      throw authError(error.message, 'invalid_token', 401);
+    }
+  }
+}
+
+module.exports = TokenVerifier;
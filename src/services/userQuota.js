@@ -1,10 +1,24 @@
 const Redis = require('ioredis');
 
+// Decrement a usage counter without going below zero or dropping its expiry
+const REFUND_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+if current <= 0 then
+  return 0
+end
+local remaining = math.max(0, current - tonumber(ARGV[1]))
+redis.call('SET', KEYS[1], remaining, 'KEEPTTL')
+return remaining
+`;
+
 class UserQuotaService {
   constructor() {
     this.enabled = process.env.USER_QUOTA_ENABLED === 'true';
     this.dailyLimit = parseInt(process.env.USER_DAILY_UPLOAD_LIMIT) || 100; // MB
     this.monthlyLimit = parseInt(process.env.USER_MONTHLY_UPLOAD_LIMIT) || 1000; // MB
+    // Organization-wide limits shared by all members; unset means unlimited
+    this.orgDailyLimit = parseInt(process.env.ORG_DAILY_UPLOAD_LIMIT) || null; // MB
+    this.orgMonthlyLimit = parseInt(process.env.ORG_MONTHLY_UPLOAD_LIMIT) || null; // MB
     
     if (this.enabled) {
       try {
@@ -20,54 +34,161 @@ class UserQuotaService {
     }
   }
 
+  /**
+   * Get the usage counter keys for the day and month containing a date
+   * @param {string} userId - User ID
+   * @param {Date} date - Date the usage belongs to
+   * @returns {{dailyKey: string, monthlyKey: string}}
+   */
+  getQuotaKeys(userId, date = new Date()) {
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    return {
+      dailyKey: `quota:${userId}:${month}-${String(date.getDate()).padStart(2, '0')}`,
+      monthlyKey: `quota:${userId}:${month}`
+    };
+  }
+
+  /**
+   * Usage of an organization is tracked like a user's, under its own subject
+   * @param {string} orgId - Organization ID
+   * @returns {string}
+   */
+  orgSubject(orgId) {
+    return `org:${orgId}`;
+  }
+
+  /**
+   * Usage subjects an upload counts against
+   * @param {string} userId - User ID
+   * @param {string|null} orgId - Organization ID
+   * @returns {Array<string>}
+   */
+  getSubjects(userId, orgId) {
+    return orgId ? [userId, this.orgSubject(orgId)] : [userId];
+  }
+
+  /**
+   * Organization-wide limits an upload is checked against. Without configured organization
+   * limits, API key uploads are still held to a user's limits across the whole organization,
+   * so creating more keys doesn't add quota.
+   * @param {boolean} apiKey - The upload comes from an API key
+   * @returns {{dailyLimit: number|null, monthlyLimit: number|null}} null for no limit
+   */
+  getOrgLimits(apiKey = false) {
+    if (apiKey && this.orgDailyLimit === null && this.orgMonthlyLimit === null) {
+      return { dailyLimit: this.dailyLimit, monthlyLimit: this.monthlyLimit };
+    }
+    return { dailyLimit: this.orgDailyLimit, monthlyLimit: this.orgMonthlyLimit };
+  }
+
+  /**
+   * Check an upload against the organization-wide limits
+   * @param {string} orgId - Organization ID
+   * @param {number} fileSizeMB - Upload size in MB
+   * @param {{dailyLimit: number|null, monthlyLimit: number|null}} [limits] - From getOrgLimits
+   * @returns {Promise<{allowed: boolean, reason?: string, usage: Object}>}
+   */
+  async checkOrgQuota(orgId, fileSizeMB, { dailyLimit, monthlyLimit } = this.getOrgLimits()) {
+    const usage = await this.getUsage(this.orgSubject(orgId));
+    const orgUsage = {
+      ...usage,
+      dailyRemaining: dailyLimit === null ? null : Math.max(0, dailyLimit - usage.dailyUsage),
+      monthlyRemaining: monthlyLimit === null ? null : Math.max(0, monthlyLimit - usage.monthlyUsage)
+    };
+
+    if (dailyLimit !== null && usage.dailyUsage + fileSizeMB > dailyLimit) {
+      return {
+        allowed: false,
+        reason: `Organization daily upload limit exceeded (${dailyLimit}MB)`,
+        usage: orgUsage
+      };
+    }
+
+    if (monthlyLimit !== null && usage.monthlyUsage + fileSizeMB > monthlyLimit) {
+      return {
+        allowed: false,
+        reason: `Organization monthly upload limit exceeded (${monthlyLimit}MB)`,
+        usage: orgUsage
+      };
+    }
+
+    return { allowed: true, usage: orgUsage };
+  }
+
   /**
    * Check if user can upload file of given size
    * @param {string} userId - User ID
    * @param {number} fileSizeBytes - File size in bytes
+   * @param {string|null} orgId - Organization the upload belongs to (checked against org limits)
+   * @param {Object} limits - Overrides for this subject's limits in MB (e.g. an API key's)
+   * @param {number|null} [limits.dailyLimit]
+   * @param {number|null} [limits.monthlyLimit]
+   * @param {boolean} [limits.apiKey] - The subject is an API key (see getOrgLimits)
    * @returns {Promise<{allowed: boolean, reason?: string, usage?: Object}>}
    */
-  async checkQuota(userId, fileSizeBytes) {
+  async checkQuota(userId, fileSizeBytes, orgId = null, limits = {}) {
     if (!this.enabled) {
       return { allowed: true };
     }
 
     const fileSizeMB = Math.ceil(fileSizeBytes / (1024 * 1024));
+    // Overrides can only lower the limits
+    const dailyLimit = Math.min(limits.dailyLimit || this.dailyLimit, this.dailyLimit);
+    const monthlyLimit = Math.min(limits.monthlyLimit || this.monthlyLimit, this.monthlyLimit);
     
     try {
       const usage = await this.getUsage(userId);
       
       // Check daily limit
-      if (usage.dailyUsage + fileSizeMB > this.dailyLimit) {
+      if (usage.dailyUsage + fileSizeMB > dailyLimit) {
         return {
           allowed: false,
-          reason: `Daily upload limit exceeded (${this.dailyLimit}MB)`,
+          reason: `Daily upload limit exceeded (${dailyLimit}MB)`,
           usage: {
             ...usage,
-            dailyRemaining: Math.max(0, this.dailyLimit - usage.dailyUsage),
-            monthlyRemaining: Math.max(0, this.monthlyLimit - usage.monthlyUsage)
+            dailyRemaining: Math.max(0, dailyLimit - usage.dailyUsage),
+            monthlyRemaining: Math.max(0, monthlyLimit - usage.monthlyUsage)
           }
         };
       }
       
       // Check monthly limit
-      if (usage.monthlyUsage + fileSizeMB > this.monthlyLimit) {
+      if (usage.monthlyUsage + fileSizeMB > monthlyLimit) {
         return {
           allowed: false,
-          reason: `Monthly upload limit exceeded (${this.monthlyLimit}MB)`,
+          reason: `Monthly upload limit exceeded (${monthlyLimit}MB)`,
           usage: {
             ...usage,
-            dailyRemaining: Math.max(0, this.dailyLimit - usage.dailyUsage),
-            monthlyRemaining: Math.max(0, this.monthlyLimit - usage.monthlyUsage)
+            dailyRemaining: Math.max(0, dailyLimit - usage.dailyUsage),
+            monthlyRemaining: Math.max(0, monthlyLimit - usage.monthlyUsage)
           }
         };
       }
       
+      const orgLimits = this.getOrgLimits(limits.apiKey === true);
+      if (orgId && (orgLimits.dailyLimit !== null || orgLimits.monthlyLimit !== null)) {
+        const orgCheck = await this.checkOrgQuota(orgId, fileSizeMB, orgLimits);
+        if (!orgCheck.allowed) {
+          return {
+            allowed: false,
+            reason: orgCheck.reason,
+            usage: {
+              ...usage,
+              dailyRemaining: Math.max(0, dailyLimit - usage.dailyUsage),
+              monthlyRemaining: Math.max(0, monthlyLimit - usage.monthlyUsage),
+              organization: orgCheck.usage
+            }
+          };
+        }
+      }
+
       return {
         allowed: true,
         usage: {
           ...usage,
-          dailyRemaining: this.dailyLimit - usage.dailyUsage - fileSizeMB,
-          monthlyRemaining: this.monthlyLimit - usage.monthlyUsage - fileSizeMB
+          dailyRemaining: dailyLimit - usage.dailyUsage - fileSizeMB,
+          monthlyRemaining: monthlyLimit - usage.monthlyUsage - fileSizeMB
         }
       };
       
@@ -82,36 +203,39 @@ class UserQuotaService {
    * Record file upload usage
    * @param {string} userId - User ID
    * @param {number} fileSizeBytes - File size in bytes
+   * @param {string|null} orgId - Organization the upload also counts against
    */
-  async recordUsage(userId, fileSizeBytes) {
+  async recordUsage(userId, fileSizeBytes, orgId = null) {
     if (!this.enabled) {
       return;
     }
 
     const fileSizeMB = Math.ceil(fileSizeBytes / (1024 * 1024));
-    const now = new Date();
-    const dailyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-    const monthlyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const keys = this.getSubjects(userId, orgId).map(subject => this.getQuotaKeys(subject));
 
     try {
       if (this.redis) {
         // Use Redis for persistent storage
         const pipeline = this.redis.pipeline();
         
-        pipeline.incrby(dailyKey, fileSizeMB);
-        pipeline.expire(dailyKey, 86400 * 2); // Expire after 2 days
-        
-        pipeline.incrby(monthlyKey, fileSizeMB);
-        pipeline.expire(monthlyKey, 86400 * 32); // Expire after 32 days
+        for (const { dailyKey, monthlyKey } of keys) {
+          pipeline.incrby(dailyKey, fileSizeMB);
+          pipeline.expire(dailyKey, 86400 * 2); // Expire after 2 days
+          
+          pipeline.incrby(monthlyKey, fileSizeMB);
+          pipeline.expire(monthlyKey, 86400 * 32); // Expire after 32 days
+        }
         
         await pipeline.exec();
       } else {
         // Use in-memory cache as fallback
-        const currentDaily = this.quotaCache.get(dailyKey) || 0;
-        const currentMonthly = this.quotaCache.get(monthlyKey) || 0;
-        
-        this.quotaCache.set(dailyKey, currentDaily + fileSizeMB);
-        this.quotaCache.set(monthlyKey, currentMonthly + fileSizeMB);
+        for (const { dailyKey, monthlyKey } of keys) {
+          const currentDaily = this.quotaCache.get(dailyKey) || 0;
+          const currentMonthly = this.quotaCache.get(monthlyKey) || 0;
+          
+          this.quotaCache.set(dailyKey, currentDaily + fileSizeMB);
+          this.quotaCache.set(monthlyKey, currentMonthly + fileSizeMB);
+        }
         
         // Simple cleanup - remove old entries
         if (this.quotaCache.size > 10000) {
@@ -127,15 +251,51 @@ class UserQuotaService {
     }
   }
 
+  /**
+   * Give back usage recorded for an upload that was never processed (e.g. a cancelled job)
+   * @param {string} userId - User ID
+   * @param {number} fileSizeBytes - File size in bytes, as passed to recordUsage
+   * @param {Date} recordedAt - When the usage was recorded, so it is refunded to the right day/month
+   * @param {string|null} orgId - Organization the usage was also recorded against
+   * @returns {Promise<boolean>} Whether usage was refunded
+   */
+  async refundUsage(userId, fileSizeBytes, recordedAt = new Date(), orgId = null) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const fileSizeMB = Math.ceil(fileSizeBytes / (1024 * 1024));
+    const keys = this.getSubjects(userId, orgId)
+      .map(subject => this.getQuotaKeys(subject, recordedAt))
+      .flatMap(({ dailyKey, monthlyKey }) => [dailyKey, monthlyKey]);
+
+    try {
+      if (this.redis) {
+        await Promise.all(keys.map(key => this.redis.eval(REFUND_SCRIPT, 1, key, fileSizeMB)));
+      } else {
+        for (const key of keys) {
+          if (this.quotaCache.has(key)) {
+            this.quotaCache.set(key, Math.max(0, this.quotaCache.get(key) - fileSizeMB));
+          }
+        }
+      }
+
+      console.log(`📊 Refunded ${fileSizeMB}MB usage for user ${userId}`);
+      return true;
+
+    } catch (error) {
+      console.error('Error refunding usage:', error);
+      return false;
+    }
+  }
+
   /**
    * Get current usage for user
    * @param {string} userId - User ID
    * @returns {Promise<{dailyUsage: number, monthlyUsage: number}>}
    */
   async getUsage(userId) {
-    const now = new Date();
-    const dailyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-    const monthlyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const { dailyKey, monthlyKey } = this.getQuotaKeys(userId);
 
     try {
       if (this.redis) {
@@ -204,9 +364,7 @@ class UserQuotaService {
       return;
     }
 
-    const now = new Date();
-    const dailyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-    const monthlyKey = `quota:${userId}:${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const { dailyKey, monthlyKey } = this.getQuotaKeys(userId);
 
     try {
       if (this.redis) {
@@ -261,4 +419,30 @@ class UserQuotaService {
   }
 }
 
-module.exports = UserQuotaService;
\ No newline at end of file
+/**
+ * Why a quota reset has to be refused, if it does. Quotas only limit anything if nobody
+ * can reset their own: not their user counters, not those of the API keys they created,
+ * and not those of their personal workspace, of which they are the only owner.
+ * @param {Object} params
+ * @param {string} params.callerId - User asking for the reset
+ * @param {string} [params.userId] - Member whose counters are reset
+ * @param {Object} [params.apiKey] - API key whose counters are reset
+ * @param {Object} [params.organization] - Organization whose counters are reset, for an organization-wide reset
+ * @param {boolean} [params.callerIsMember] - The caller is a member of that organization
+ * @returns {string|null} Reason for refusing, or null
+ */
+function getQuotaResetRefusal({ callerId, userId = null, apiKey = null, organization = null, callerIsMember = false }) {
+  if (userId) {
+    return userId === callerId ? 'You cannot reset your own quota' : null;
+  }
+  if (apiKey) {
+    return apiKey.createdBy === callerId ? 'You cannot reset the quota of an API key you created' : null;
+  }
+  if (organization?.personal && callerIsMember) {
+    return 'You cannot reset the quota of your own personal workspace';
+  }
+  return null;
+}
+
+module.exports = UserQuotaService;
+module.exports.getQuotaResetRefusal = getQuotaResetRefusal;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { withRetry } = require('../utils/retry');
 
 class VirusScanner {
   constructor() {
@@ -18,7 +19,8 @@ class VirusScanner {
   /**
    * Scan a file for viruses
    * @param {string} filePath - Path to the file to scan
-   * @returns {Promise<{clean: boolean, threat?: string, error?: string}>}
+   * @returns {Promise<{clean: boolean, threat?: string, error?: string, retriesExhausted?: boolean, attempts?: number}>}
+   *   error when the file could not be scanned; retriesExhausted when the scanner kept failing transiently
    */
   async scanFile(filePath) {
     if (!this.enabled) {
@@ -27,20 +29,21 @@ class VirusScanner {
 
     try {
       // Try clamdscan first (daemon), fallback to clamscan
-      let result;
-      try {
-        result = await this.scanWithClamdscan(filePath);
-      } catch (daemonError) {
-        console.warn('ClamAV daemon not available, trying direct scan:', daemonError.message);
-        result = await this.scanWithClamscan(filePath);
-      }
-
-      return result;
+      return await withRetry('virusScan', async () => {
+        try {
+          return await this.scanWithClamdscan(filePath);
+        } catch (daemonError) {
+          console.warn('ClamAV daemon not available, trying direct scan:', daemonError.message);
+          return await this.scanWithClamscan(filePath);
+        }
+      }, { label: `Virus scan of ${filePath}` });
     } catch (error) {
       console.error('Virus scan error:', error);
       return {
         clean: false,
-        error: `Virus scan failed: ${error.message}`
+        error: `Virus scan failed: ${error.message}`,
+        retriesExhausted: error.retriesExhausted === true,
+        attempts: error.attempts ?? null
       };
     }
   }
@@ -96,28 +99,33 @@ class VirusScanner {
   }
 
   /**
-   * Scan file asynchronously and update job status
+   * Scan file asynchronously and fail the job if it is infected. A file that could not be
+   * scanned is never passed on as clean: the job is dead-lettered when the scanner stayed
+   * unavailable through its retries (so it can be requeued once ClamAV is back), and
+   * failed when the scanner can't run at all.
    * @param {string} filePath - Path to the file
    * @param {string} jobId - Job ID to update
    * @param {Object} db - Database instance
+   * @returns {Promise<{clean: boolean, threat?: string, error?: string}>}
    */
   async scanFileAsync(filePath, jobId, db) {
     if (!this.enabled) {
-      return;
+      return { clean: true };
     }
 
     try {
       console.log(`🦠 Starting virus scan for job ${jobId}`);
       const scanResult = await this.scanFile(filePath);
       
-      if (!scanResult.clean) {
-        console.warn(`🚨 Virus detected in job ${jobId}:`, scanResult.threat || scanResult.error);
+      if (scanResult.error) {
+        console.error(`🦠 Could not scan file for job ${jobId}: ${scanResult.error}`);
+        await this.recordScanError(jobId, db, scanResult);
+      } else if (!scanResult.clean) {
+        console.warn(`🚨 Virus detected in job ${jobId}:`, scanResult.threat);
         
         // Update job status to failed
-        await db.updateJob(jobId, {
-          status: 'failed',
-          error_message: `File infected: ${scanResult.threat || scanResult.error}`,
-          completed_at: new Date()
+        await db.failJob(jobId, `File infected: ${scanResult.threat}`, {
+          source: 'virus_scan'
         });
         
         // Delete infected file
@@ -141,18 +149,42 @@ class VirusScanner {
       } else {
         console.log(`✅ File clean for job ${jobId}`);
       }
+
+      return scanResult;
       
     } catch (error) {
       console.error(`Virus scan failed for job ${jobId}:`, error);
       
-      // Update job with scan error but don't fail it completely
-      await db.updateJob(jobId, {
-        scan_status: 'error',
-        scan_error: error.message
-      });
+      // Record the scan error; if even that fails, the queue redelivers the job
+      const scanResult = { clean: false, error: `Virus scan failed: ${error.message}`, retriesExhausted: true };
+      await this.recordScanError(jobId, db, scanResult);
+      return scanResult;
     }
   }
 
+  /**
+   * Record on the job (as its error and job event) that its file could not be scanned
+   * @param {string} jobId - Job ID
+   * @param {Object} db - Database instance
+   * @param {{error: string, retriesExhausted?: boolean, attempts?: number}} scanResult - From scanFile
+   */
+  async recordScanError(jobId, db, { error, retriesExhausted, attempts = null }) {
+    const details = { source: 'virus_scan', stage: 'virusScan', attempts };
+
+    if (retriesExhausted) {
+      await db.deadLetterJob(jobId, error, details);
+    } else {
+      await db.failJob(jobId, error, details);
+    }
+
+    const { logSecurityEvent } = require('../middleware/security');
+    logSecurityEvent('virus_scan_failed', {
+      jobId,
+      error,
+      action: retriesExhausted ? 'dead_letter' : 'failed'
+    });
+  }
+
   /**
    * Check if ClamAV is available
    */
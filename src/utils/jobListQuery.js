@@ -0,0 +1,245 @@
+// Job listing: query-string parsing, filters and keyset (cursor) pagination for GET /api/jobs
+const { JOB_STATUS } = require('../services/jobStateMachine');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Sortable fields: query name -> Job column
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  confidence_score: 'confidence_score'
+};
+
+// A cursor's value must have the type of the field it was issued for
+const CURSOR_VALUE_CHECKS = {
+  createdAt: value => typeof value === 'string' && !isNaN(Date.parse(value)) && new Date(value).toISOString() === value,
+  confidence_score: value => value === null || Number.isFinite(value)
+};
+
+/**
+ * Build the error returned for a malformed listing query
+ * @param {string} message - What was wrong
+ * @param {string} [code] - INVALID_QUERY, or invalid_cursor for a bad cursor
+ * @returns {Error}
+ */
+function invalidQuery(message, code = 'INVALID_QUERY') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encode the position after a job as an opaque cursor
+ * @param {Object} job - Last job on the page
+ * @param {string} sort - Sort field
+ * @returns {string}
+ */
+function encodeCursor(job, sort) {
+  const value = job[SORT_FIELDS[sort]];
+  const payload = { id: job.id, s: sort, v: value instanceof Date ? value.toISOString() : value };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{id: string, s: string, v: string|number|null}}
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof payload.id !== 'string' || !('v' in payload)) {
+      throw new Error('missing fields');
+    }
+    if (!Object.hasOwn(CURSOR_VALUE_CHECKS, payload.s) || !CURSOR_VALUE_CHECKS[payload.s](payload.v)) {
+      throw new Error('value does not match the sort field');
+    }
+    return payload;
+  } catch (error) {
+    throw invalidQuery('cursor is invalid', 'invalid_cursor');
+  }
+}
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|undefined}
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return undefined;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw invalidQuery(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * Validate GET /api/jobs query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{filters: Object, sort: string, order: string, limit: number, cursor: Object|null}}
+ */
+function parseJobListQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (isNaN(limit) || limit < 1) {
+    throw invalidQuery('limit must be a positive integer');
+  }
+
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS[sort]) {
+    throw invalidQuery(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw invalidQuery('order must be asc or desc');
+  }
+
+  const filters = {};
+
+  if (query.status) {
+    const validStatuses = Object.values(JOB_STATUS);
+    filters.status = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+
+    const unknown = filters.status.filter(status => !validStatuses.includes(status));
+    if (unknown.length > 0) {
+      throw invalidQuery(`Unknown status: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (query.requires_review !== undefined) {
+    if (query.requires_review !== 'true' && query.requires_review !== 'false') {
+      throw invalidQuery('requires_review must be true or false');
+    }
+    filters.requiresReview = query.requires_review === 'true';
+  }
+
+  filters.createdAfter = parseDate(query.created_after, 'created_after');
+  filters.createdBefore = parseDate(query.created_before, 'created_before');
+
+  if (query.document_type) {
+    filters.documentType = String(query.document_type);
+  }
+
+  if (query.filename) {
+    filters.filename = String(query.filename);
+  }
+
+  const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+  if (cursor && cursor.s !== sort) {
+    throw invalidQuery('cursor was issued for a different sort', 'invalid_cursor');
+  }
+
+  return {
+    filters,
+    sort,
+    order,
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor
+  };
+}
+
+/**
+ * Build the Prisma where clause for a job listing
+ * @param {Object} scope - Whose jobs to list
+ * @param {string} scope.userId - Authenticated user
+ * @param {string} [scope.orgId] - Their organization; its jobs are shared between members
+ * @param {Object} filters - Parsed filters
+ * @returns {Object}
+ */
+function buildJobFilterWhere({ userId, orgId = null }, filters = {}) {
+  // Jobs uploaded before organizations existed stay visible to their uploader
+  const where = orgId
+    ? { OR: [{ orgId }, { userId, orgId: null }] }
+    : { userId };
+
+  if (filters.status) {
+    where.status = { in: filters.status };
+  }
+
+  if (filters.requiresReview !== undefined) {
+    where.requires_review = filters.requiresReview;
+  }
+
+  if (filters.createdAfter || filters.createdBefore) {
+    where.createdAt = {
+      ...(filters.createdAfter ? { gte: filters.createdAfter } : {}),
+      ...(filters.createdBefore ? { lte: filters.createdBefore } : {})
+    };
+  }
+
+  if (filters.documentType) {
+    where.document_type = { equals: filters.documentType, mode: 'insensitive' };
+  }
+
+  if (filters.filename) {
+    where.filename = { contains: filters.filename, mode: 'insensitive' };
+  }
+
+  // Review claims: claimedBy null selects unclaimed jobs; claims from before claimStaleBefore have lapsed
+  if (filters.claimedBy !== undefined) {
+    where.AND = [filters.claimedBy === null
+      ? { OR: [{ reviewClaimedBy: null }, { reviewClaimedAt: { lt: filters.claimStaleBefore } }] }
+      : { reviewClaimedBy: filters.claimedBy, reviewClaimedAt: { gte: filters.claimStaleBefore } }];
+  }
+
+  return where;
+}
+
+/**
+ * Build the where clause selecting jobs after the cursor, in sort order.
+ * Ties on the sort field are broken by id; null confidence scores sort last.
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} sort - Sort field
+ * @param {string} order - asc | desc
+ * @returns {Object}
+ */
+function buildCursorWhere(cursor, sort, order) {
+  const field = SORT_FIELDS[sort];
+  const op = order === 'asc' ? 'gt' : 'lt';
+  const afterId = { id: { [op]: cursor.id } };
+
+  if (cursor.v === null) {
+    // Already into the null tail
+    return { [field]: null, ...afterId };
+  }
+
+  const value = field === 'createdAt' ? new Date(cursor.v) : cursor.v;
+  const after = [
+    { [field]: { [op]: value } },
+    { [field]: value, ...afterId }
+  ];
+
+  if (field === 'confidence_score') {
+    after.push({ [field]: null });
+  }
+
+  return { OR: after };
+}
+
+/**
+ * Build the Prisma orderBy for a sort field
+ * @param {string} sort - Sort field
+ * @param {string} order - asc | desc
+ * @returns {Array<Object>}
+ */
+function buildJobOrderBy(sort, order) {
+  const field = SORT_FIELDS[sort];
+  const primary = field === 'confidence_score'
+    ? { [field]: { sort: order, nulls: 'last' } }
+    : { [field]: order };
+
+  return [primary, { id: order }];
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseJobListQuery,
+  buildJobFilterWhere,
+  buildCursorWhere,
+  buildJobOrderBy,
+  encodeCursor,
+  decodeCursor
+};
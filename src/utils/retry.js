@@ -0,0 +1,201 @@
+// Retry utilities: per-stage retry policies with exponential backoff and jitter
+
+// Network/filesystem error codes that usually clear up on their own
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EBUSY',
+  'EMFILE',
+  'ENFILE',
+  'EAGAIN'
+]);
+
+// OpenAI SDK errors raised before any HTTP status is available
+const RETRYABLE_ERROR_NAMES = new Set([
+  'APIConnectionError',
+  'APIConnectionTimeoutError'
+]);
+
+// Prisma: P1001 can't reach database, P1002 timed out, P1008 operation timed out,
+// P1017 server closed the connection, P2024 connection pool timeout, P2034 write conflict
+const RETRYABLE_PRISMA_CODES = new Set(['P1001', 'P1002', 'P1008', 'P1017', 'P2024', 'P2034']);
+
+const DEFAULT_POLICIES = {
+  textExtraction: { maxAttempts: 2, baseDelayMs: 500, maxDelayMs: 5000, jitter: 0.2 },
+  virusScan: {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    // clamscan exits 2 on scanner errors; 127 means ClamAV is not installed
+    isRetryable: (error) => error.code !== 127 && error.code !== 'ENOENT'
+  },
+  s3Download: { maxAttempts: 4, baseDelayMs: 500, maxDelayMs: 10000, jitter: 0.2 },
+  llm: { maxAttempts: 4, baseDelayMs: 2000, maxDelayMs: 30000, jitter: 0.3 },
+  // Whole-job redelivery by the queue worker
+  queue: { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 5 * 60 * 1000, jitter: 0.2 }
+};
+
+/**
+ * Wait for a delay, resolving early if the signal is aborted
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Convert a stage name to its env prefix, e.g. textExtraction -> RETRY_TEXT_EXTRACTION
+ * @param {string} stage - Stage name
+ * @returns {string}
+ */
+function envPrefix(stage) {
+  return `RETRY_${stage.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Get the retry policy for a pipeline stage, with env overrides:
+ * RETRY_<STAGE>_MAX_ATTEMPTS, RETRY_<STAGE>_BASE_DELAY_MS, RETRY_<STAGE>_MAX_DELAY_MS, RETRY_<STAGE>_JITTER
+ * @param {string} stage - textExtraction | virusScan | s3Download | llm | queue
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number, jitter: number, isRetryable?: Function}}
+ */
+function getRetryPolicy(stage) {
+  const defaults = DEFAULT_POLICIES[stage];
+
+  if (!defaults) {
+    throw new Error(`Unknown retry stage: ${stage}`);
+  }
+
+  const prefix = envPrefix(stage);
+  const jitter = parseFloat(process.env[`${prefix}_JITTER`]);
+
+  return {
+    ...defaults,
+    maxAttempts: parseInt(process.env[`${prefix}_MAX_ATTEMPTS`]) ||
+      (stage === 'queue' && parseInt(process.env.QUEUE_MAX_ATTEMPTS)) ||
+      defaults.maxAttempts,
+    baseDelayMs: parseInt(process.env[`${prefix}_BASE_DELAY_MS`]) || defaults.baseDelayMs,
+    maxDelayMs: parseInt(process.env[`${prefix}_MAX_DELAY_MS`]) || defaults.maxDelayMs,
+    jitter: isNaN(jitter) ? defaults.jitter : Math.max(0, Math.min(1, jitter))
+  };
+}
+
+/**
+ * Classify an error as transient (worth retrying) or permanent
+ * @param {Error} error - Error to classify
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  // Explicit flag (AWS SDK sets this on its errors)
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const status = error.status || error.statusCode;
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  if (RETRYABLE_ERROR_CODES.has(error.code) || RETRYABLE_PRISMA_CODES.has(error.code)) {
+    return true;
+  }
+
+  if (RETRYABLE_ERROR_NAMES.has(error.name)) {
+    return true;
+  }
+
+  return error.cause ? isRetryableError(error.cause) : false;
+}
+
+/**
+ * Read a Retry-After hint (seconds) from a provider error
+ * @param {Error} error - Provider error
+ * @returns {number|null} Delay in ms, or null if absent
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.headers || error?.cause?.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+
+  return isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^(attempt-1), capped at maxDelayMs
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} minDelayMs - Lower bound, e.g. from Retry-After
+ * @returns {number} Delay in ms
+ */
+function computeBackoff(policy, attempt, minDelayMs = null) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const spread = exponential * policy.jitter;
+  const delay = exponential - spread + Math.random() * spread * 2;
+
+  return Math.round(Math.min(policy.maxDelayMs, Math.max(delay, minDelayMs || 0)));
+}
+
+/**
+ * Run a function, retrying transient failures according to the stage's policy.
+ * The final error is annotated with `stage`, `attempts` and `retriesExhausted`
+ * (true when it was transient but the attempt budget ran out).
+ * @param {string} stage - Retry stage name
+ * @param {function(number): Promise<any>} fn - Work to run; receives the attempt number
+ * @param {Object} options - Options
+ * @param {string} [options.label] - Label for log lines
+ * @param {function(Error, number, number): any} [options.onRetry] - Called before each retry with (error, attempt, delayMs)
+ * @param {AbortSignal} [options.signal] - Stops retrying once aborted
+ * @returns {Promise<any>} Result of fn
+ */
+async function withRetry(stage, fn, { label = stage, onRetry, signal } = {}) {
+  const policy = getRetryPolicy(stage);
+  const isRetryable = policy.isRetryable || isRetryableError;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = !signal?.aborted && isRetryable(error);
+
+      if (!retryable || attempt >= policy.maxAttempts) {
+        error.stage = error.stage || stage;
+        error.attempts = attempt;
+        error.retriesExhausted = retryable;
+        throw error;
+      }
+
+      const delayMs = computeBackoff(policy, attempt, getRetryAfterMs(error));
+      console.warn(`🔁 ${label} failed (attempt ${attempt}/${policy.maxAttempts}), retrying in ${delayMs}ms: ${error.message}`);
+
+      if (onRetry) {
+        await onRetry(error, attempt, delayMs);
+      }
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  getRetryPolicy,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoff,
+  withRetry
+};
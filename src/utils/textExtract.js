@@ -18,7 +18,8 @@ async function extractPlainText(filePath, mime) {
       // Extract text from PDF using pdf-parse
       const dataBuffer = await fs.readFile(filePath);
       const data = await pdf(dataBuffer);
-      text = data.text;
+      // Pages are separated by form feeds so chunking and citations can find page boundaries
+      text = data.pages.map(page => page.text).join('\f');
     } else if (mime === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || 
                filePath.toLowerCase().endsWith('.docx')) {
       // Extract text from DOCX using mammoth
@@ -31,15 +32,20 @@ async function extractPlainText(filePath, mime) {
       throw new Error(`Unsupported file type: ${mime}`);
     }
     
-    // Normalize whitespace and trim
-    text = text.replace(/\s+/g, ' ').trim();
+    // Normalize whitespace and trim, keeping line, paragraph and page breaks
+    text = text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[^\S\n\f]+/g, ' ')
+      .replace(/ ?([\n\f]) ?/g, '$1')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
     
     return {
       text,
       charLength: text.length
     };
   } catch (error) {
-    throw new Error(`Failed to extract text from ${filePath}: ${error.message}`);
+    throw new Error(`Failed to extract text from ${filePath}: ${error.message}`, { cause: error });
   }
 }
 
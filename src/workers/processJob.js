@@ -1,6 +1,10 @@
 const { runLlmForJob } = require('../llm/extractContract');
+const { getProvider, createProvider } = require('../llm/providers');
 const { PrismaClient } = require('@prisma/client');
 const { extractAndStoreText } = require('../utils/textExtract');
+const { JOB_STATUS, transitionJob } = require('../services/jobStateMachine');
+const { withRetry } = require('../utils/retry');
+const { isCancelledError, throwIfCancelled } = require('../services/jobCancellation');
 const fs = require('fs');
 const path = require('path');
 
@@ -9,20 +13,25 @@ const prisma = new PrismaClient();
 /**
  * Process a job through the complete extraction workflow
  * @param {Object} job - Job object from database
+ * @param {Object} options - Source file details
+ * @param {string} options.filePath - Path to the uploaded file (defaults to STORAGE_DIR/<jobId>-<filename>)
+ * @param {string} options.mimeType - MIME type of the uploaded file
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled
  * @returns {Promise<Object>} Processing result
  */
-async function processJob(job) {
+async function processJob(job, options = {}) {
   const jobId = job.id;
   const filename = job.filename;
+  const mimeType = options.mimeType || 'application/pdf';
+  const { signal } = options;
   
   try {
-    // Update job status to processing
-    await prisma.job.update({
-      where: { id: jobId },
-      data: { status: 'processing' }
-    });
+    // Stage transitions are refused once a job is cancelled, so each one doubles as a cancellation check
+    throwIfCancelled(jobId, signal);
 
     // Step 1: Text extraction (OCR phase)
+    await transitionJob(prisma, jobId, JOB_STATUS.EXTRACTING_TEXT);
+
     let textPath;
     let extractedText;
     
@@ -38,16 +47,19 @@ async function processJob(job) {
       console.log(`OCR_START chars=${extractedText.length}`);
     } else {
       // Need to extract text from original file
-      // This assumes the file path is stored or can be derived from job data
-      const filePath = path.join(process.env.STORAGE_DIR || './storage', `${jobId}-${filename}`);
+      const filePath = options.filePath ||
+        path.join(process.env.STORAGE_DIR || './storage', `${jobId}-${filename}`);
       
       if (!fs.existsSync(filePath)) {
         throw new Error(`Original file not found: ${filePath}`);
       }
       
       console.log(`OCR_START chars=0`);
-      const textResult = await extractAndStoreText(filePath, 'application/pdf', jobId);
-      textPath = textResult.tempPath;
+      const textResult = await withRetry('textExtraction', () => extractAndStoreText(filePath, mimeType, jobId), {
+        label: `Text extraction for job ${jobId}`,
+        signal
+      });
+      textPath = textResult.textPath;
       extractedText = textResult.text;
       
       // Update job with text path
@@ -58,52 +70,93 @@ async function processJob(job) {
     }
     
     console.log(`OCR_DONE`);
+    throwIfCancelled(jobId, signal);
+    await transitionJob(prisma, jobId, JOB_STATUS.LLM);
     
-    // Step 2: LLM processing - get model info for logging
-    const { getModelConfig } = require('../llm/openaiClient');
-    const modelConfig = getModelConfig();
-    console.log(`LLM_START model=${modelConfig.model}`);
+    // Step 2: LLM processing - a reprocess request can pick another provider, model or template
+    const reprocess = currentJob.reprocess_request || null;
+    const provider = reprocess && (reprocess.provider || reprocess.model)
+      ? createProvider(reprocess.provider || getProvider().name, reprocess.model ? { model: reprocess.model } : {})
+      : getProvider();
+    console.log(`LLM_START provider=${provider.name} model=${provider.model}`);
     
     // Prepare file metadata for runLlmForJob
     const fileMeta = {
       filename: filename,
-      mime: 'application/pdf', // Default, could be enhanced to detect actual MIME type
+      mime: 'text/plain', // Text has already been extracted to textPath
       filePath: textPath, // Use the text file path since we already extracted text
       text: extractedText // Pass the extracted text directly
     };
     
-    // Call the LLM extraction function
-    const extractionResult = await runLlmForJob(jobId, fileMeta);
+    // Custom extraction template selected at upload or on reprocess, if any (deleted templates still apply to queued jobs)
+    const templateId = reprocess && reprocess.templateId !== undefined ? reprocess.templateId : currentJob.templateId;
+    const template = templateId
+      ? await prisma.extractionTemplate.findUnique({ where: { id: templateId } })
+      : null;
+    if (templateId && !template) {
+      throw new Error(`Extraction template ${templateId} not found`);
+    }
+    
+    // The organization's review rules decide which fields send the job to review,
+    // and its redaction policy which personal data the LLM provider doesn't see
+    const organization = currentJob.orgId
+      ? await prisma.organization.findUnique({ where: { id: currentJob.orgId } })
+      : null;
     
-    // Calculate token estimates for logging
-    const estimatedInputTokens = Math.ceil((extractedText?.length || 0) / 4);
-    const estimatedOutputTokens = Math.ceil((JSON.stringify(extractionResult.extraction || {})).length / 4);
-    const totalTokens = estimatedInputTokens + estimatedOutputTokens;
-    const estimatedCost = extractionResult.estimatedCost || 0;
+    // Call the LLM extraction function
+    const extractionResult = await runLlmForJob(jobId, fileMeta, {
+      signal,
+      template,
+      reviewRules: organization?.review_rules ?? null,
+      provider,
+      run: reprocess ? { source: 'reprocess', requestedBy: reprocess.requestedBy, pin: reprocess.pin === true } : { source: 'upload' },
+      bypassCache: reprocess?.bypassCache === true,
+      // Reprocess runs are charged to whoever asked for them, not the original uploader
+      budget: { userId: reprocess?.requestedBy ?? currentJob.userId, orgId: currentJob.orgId, budgets: organization?.llm_budgets ?? null },
+      redactionPolicy: organization?.redaction_policy ?? null
+    });
     
-    console.log(`LLM_DONE tokens~=${totalTokens}, cost~=$${estimatedCost.toFixed(4)}`);
+    // Token usage as reported by the provider
+    const { usage, costUsd } = extractionResult;
+    console.log(`LLM_DONE input_tokens=${usage.inputTokens} output_tokens=${usage.outputTokens} cost=$${costUsd.toFixed(6)}${usage.estimated ? ' (estimated)' : ''}`);
     console.log(`JOB_DONE`);
 
     return {
       success: true,
       jobId: jobId,
-      status: 'completed',
+      status: extractionResult.status,
       extraction: extractionResult.extraction,
       confidenceScore: extractionResult.confidenceScore,
-      estimatedCost: extractionResult.estimatedCost
+      usage: extractionResult.usage,
+      costUsd: extractionResult.costUsd
     };
     
   } catch (error) {
-    console.log(`JOB_FAILED err=${error.message}`);
+    if (isCancelledError(error) || signal?.aborted) {
+      console.log(`JOB_CANCELLED job=${jobId}`);
+      await cleanupCancelledJob(jobId);
+
+      return {
+        success: false,
+        jobId: jobId,
+        status: JOB_STATUS.CANCELLED,
+        error: 'Job was cancelled'
+      };
+    }
+
+    // Transient errors that outlasted their retry policy go to the dead-letter state
+    const failedStatus = error.retriesExhausted ? JOB_STATUS.DEAD_LETTER : JOB_STATUS.FAILED;
+    console.log(`JOB_FAILED status=${failedStatus} stage=${error.stage || 'unknown'} err=${error.message}`);
     
     // Update job status to failed
     try {
-      await prisma.job.update({
-        where: { id: jobId },
-        data: { 
-          status: 'failed',
+      await transitionJob(prisma, jobId, failedStatus, {
+        error: error.message,
+        metadata: { stage: error.stage || null, attempts: error.attempts || null },
+        data: {
           extraction: JSON.stringify({ 
             error: error.message,
+            stage: error.stage,
             timestamp: new Date().toISOString()
           })
         }
@@ -115,12 +168,37 @@ async function processJob(job) {
     return {
       success: false,
       jobId: jobId,
-      status: 'failed',
+      status: failedStatus,
       error: error.message
     };
   }
 }
 
+/**
+ * Remove the temp text file of a cancelled job
+ * @param {string} jobId - Job ID
+ */
+async function cleanupCancelledJob(jobId) {
+  try {
+    const job = await prisma.job.findUnique({ where: { id: jobId } });
+    const textPath = job?.text_path || path.join(__dirname, '../../temp', `${jobId}.txt`);
+
+    if (fs.existsSync(textPath)) {
+      fs.unlinkSync(textPath);
+      console.log(`🗑️  Deleted temp text for cancelled job ${jobId}`);
+    }
+
+    if (job?.text_path) {
+      await prisma.job.update({
+        where: { id: jobId },
+        data: { text_path: null }
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to clean up cancelled job ${jobId}:`, error.message);
+  }
+}
+
 /**
  * Process job with enhanced error handling and retry logic
  * @param {string} jobId - Job ID to process
@@ -0,0 +1,283 @@
+// Queue worker: consumes jobs from the Redis queue and runs them through processJob
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const PrismaDatabaseManager = require('../prisma-database');
+const JobQueue = require('../services/jobQueue');
+const VirusScanner = require('../services/virusScanner');
+const S3Service = require('../services/s3Service');
+const redisClient = require('../redisClient');
+const { processJob } = require('./processJob');
+const { JOB_STATUS, isTerminal } = require('../services/jobStateMachine');
+const { getRetryPolicy, isRetryableError, computeBackoff, withRetry } = require('../utils/retry');
+const { isCancelledError, throwIfCancelled, subscribeToCancellations } = require('../services/jobCancellation');
+
+const STORAGE_DIR = process.env.STORAGE_DIR || './storage';
+const CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 1;
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 1000;
+const REAP_INTERVAL_MS = parseInt(process.env.QUEUE_REAP_INTERVAL_MS) || 30000;
+const QUEUE_RETRY_POLICY = getRetryPolicy('queue');
+
+const db = new PrismaDatabaseManager();
+const jobQueue = new JobQueue();
+const virusScanner = new VirusScanner();
+const s3Service = new S3Service();
+
+let running = false;
+let consumers = [];
+let reaperTimer = null;
+let unsubscribeCancellations = null;
+
+// jobId -> AbortController for jobs running on this worker
+const activeJobs = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a queued job: fetch the source file, virus scan it and extract
+ * @param {Object} payload - Queue message payload
+ * @param {string} payload.jobId - Job ID
+ * @param {string} [payload.filePath] - Local path of a direct upload (defaults to job.file_path)
+ * @param {string} [payload.objectKey] - S3 object key of a presigned upload (defaults to job.object_key)
+ * @param {string} [payload.mimeType] - MIME type of the uploaded file (defaults to job.mime_type)
+ * @param {Object} options - Options
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled
+ * @returns {Promise<Object>} processJob result
+ */
+async function runQueuedJob(payload, { signal } = {}) {
+  const { jobId } = payload;
+  const job = await db.getJob(jobId);
+
+  if (!job) {
+    console.warn(`⚠️  Skipping queued job ${jobId}: job no longer exists`);
+    return { success: false, jobId, error: 'Job not found' };
+  }
+
+  if (isTerminal(job.status)) {
+    console.warn(`⚠️  Skipping queued job ${jobId}: already ${job.status}`);
+    return { success: false, jobId, error: `Job already ${job.status}` };
+  }
+
+  const objectKey = payload.objectKey || job.object_key;
+  const mimeType = payload.mimeType || job.mime_type;
+  const hasText = Boolean(job.text_path && fs.existsSync(job.text_path));
+  let localPath = payload.filePath || job.file_path;
+  let downloaded = false;
+
+  if (objectKey && !hasText) {
+    // Download file for processing
+    localPath = path.join(STORAGE_DIR, `${jobId}-${path.basename(objectKey)}`);
+    await withRetry('s3Download', () => s3Service.downloadToLocal(objectKey, localPath), {
+      label: `S3 download of ${objectKey}`,
+      signal
+    });
+    downloaded = true;
+  }
+
+  try {
+    throwIfCancelled(jobId, signal);
+
+    if (virusScanner.enabled && localPath && fs.existsSync(localPath)) {
+      await db.transitionJob(jobId, JOB_STATUS.SCANNING);
+      const scanResult = await virusScanner.scanFileAsync(localPath, jobId, db);
+
+      if (!scanResult.clean) {
+        // Job already failed (or dead-lettered, if the scanner was unavailable) by the scanner
+        return { success: false, jobId, error: scanResult.threat ? 'File failed virus scan' : 'File could not be scanned' };
+      }
+    }
+
+    console.log(`🚀 Starting processJob for ${jobId}`);
+    return await processJob(job, { filePath: localPath, mimeType, signal });
+  } finally {
+    // Only the S3 download is a worker-owned copy
+    if (downloaded && fs.existsSync(localPath)) {
+      fs.unlinkSync(localPath);
+    }
+  }
+}
+
+/**
+ * Process a single message, keeping it invisible to other workers while it runs
+ * @param {Object} message - Dequeued message
+ */
+async function handleMessage(message) {
+  const { jobId } = message.payload;
+
+  // Heartbeat so long LLM calls don't outlive the visibility timeout
+  const heartbeat = setInterval(() => {
+    jobQueue.extendVisibility(message.id).catch(error => {
+      console.error(`Failed to extend visibility for message ${message.id}:`, error.message);
+    });
+  }, Math.max(1000, Math.floor(jobQueue.visibilityTimeoutMs / 3)));
+
+  const controller = new AbortController();
+  activeJobs.set(jobId, controller);
+
+  try {
+    const result = await runQueuedJob(message.payload, { signal: controller.signal });
+
+    if (result.success) {
+      console.log(`✅ Job ${jobId} completed successfully`);
+    } else if (result.status === JOB_STATUS.CANCELLED) {
+      console.log(`🚫 Job ${jobId} cancelled`);
+    } else {
+      console.error(`❌ Job ${jobId} failed: ${result.error}`);
+    }
+
+    await jobQueue.ack(message.id);
+  } catch (error) {
+    // Stop the heartbeat before settling so it can't undo a delayed release
+    clearInterval(heartbeat);
+
+    if (isCancelledError(error) || controller.signal.aborted) {
+      console.log(`🚫 Job ${jobId} cancelled`);
+      await jobQueue.ack(message.id);
+      return;
+    }
+
+    const { maxAttempts } = QUEUE_RETRY_POLICY;
+    const transient = error.retriesExhausted || isRetryableError(error);
+    console.error(`❌ Job ${jobId} processing failed (attempt ${message.attempts}/${maxAttempts}):`, error);
+
+    if (!transient || message.attempts >= maxAttempts) {
+      // Permanent errors fail straight away; transient ones that keep failing are dead-lettered
+      const details = { stage: error.stage || 'queue', attempts: message.attempts };
+      try {
+        if (transient) {
+          await db.deadLetterJob(jobId, error.message, details);
+        } else {
+          await db.failJob(jobId, error.message, details);
+        }
+      } catch (failError) {
+        console.error(`Failed to mark job ${jobId} as failed:`, failError.message);
+      }
+      await jobQueue.ack(message.id);
+    } else {
+      const delayMs = computeBackoff(QUEUE_RETRY_POLICY, message.attempts);
+      try {
+        await db.transitionJob(jobId, JOB_STATUS.QUEUED, {
+          error: error.message,
+          metadata: { source: 'retry', attempt: message.attempts, delayMs }
+        });
+      } catch (transitionError) {
+        console.error(`Failed to requeue job ${jobId}:`, transitionError.message);
+      }
+      console.warn(`🔁 Redelivering job ${jobId} in ${delayMs}ms`);
+      await jobQueue.release(message.id, delayMs);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    activeJobs.delete(jobId);
+  }
+}
+
+/**
+ * Poll the queue until the worker is stopped
+ * @param {number} consumerId - Consumer index for logging
+ */
+async function consume(consumerId) {
+  while (running) {
+    let message;
+
+    try {
+      message = await jobQueue.dequeue();
+    } catch (error) {
+      console.error(`❌ Worker ${consumerId} failed to dequeue:`, error.message);
+      await sleep(POLL_INTERVAL_MS * 5);
+      continue;
+    }
+
+    if (!message) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    try {
+      await handleMessage(message);
+    } catch (error) {
+      // Ack/release failed - the visibility timeout will hand the message to another worker
+      console.error(`❌ Worker ${consumerId} failed to settle message ${message.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start consuming jobs
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Number of jobs processed in parallel
+ */
+function startWorker({ concurrency = CONCURRENCY } = {}) {
+  if (running) return;
+  running = true;
+
+  reaperTimer = setInterval(() => {
+    jobQueue.requeueExpired().catch(error => {
+      console.error('❌ Failed to requeue expired messages:', error.message);
+    });
+  }, REAP_INTERVAL_MS);
+
+  subscribeToCancellations((jobId) => {
+    const controller = activeJobs.get(jobId);
+    if (controller) {
+      console.log(`🚫 Aborting cancelled job ${jobId}`);
+      controller.abort();
+    }
+  })
+    .then(unsubscribe => {
+      unsubscribeCancellations = unsubscribe;
+    })
+    .catch(error => {
+      // Cancelled jobs still stop at the next stage transition
+      console.error('❌ Failed to subscribe to job cancellations:', error.message);
+    });
+
+  consumers = Array.from({ length: concurrency }, (_, i) => consume(i + 1));
+  console.log(`👷 Queue worker started (concurrency=${concurrency})`);
+}
+
+/**
+ * Stop consuming and wait for in-flight jobs to finish
+ */
+async function stopWorker() {
+  if (!running) return;
+  running = false;
+
+  clearInterval(reaperTimer);
+  await Promise.all(consumers);
+  consumers = [];
+
+  if (unsubscribeCancellations) {
+    await unsubscribeCancellations().catch(() => {});
+    unsubscribeCancellations = null;
+  }
+  console.log('👷 Queue worker stopped');
+}
+
+// Run as a standalone process: node src/workers/queueWorker.js
+if (require.main === module) {
+  const shutdown = async () => {
+    console.log('\n🛑 Shutting down worker...');
+    await stopWorker();
+    await db.close();
+    await redisClient.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  db.initialize()
+    .then(() => startWorker())
+    .catch(error => {
+      console.error('Failed to start worker:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  runQueuedJob
+};
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * API Keys Test
+ *
+ * Covers API keys for integrations: scopes limited by the creator's role,
+ * limit overrides that can only lower the user defaults, key format,
+ * authenticating (revoked and expired keys, the verification cache) and
+ * reading the key from `Authorization: ApiKey <key>` or `X-API-Key` in the
+ * auth middleware. The database is an in-memory stand-in.
+ */
+
+const { ApiKeyService, generateApiKey, parseApiKey } = require('../src/services/apiKeys');
+const security = require('../src/middleware/security');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function expectRejected(fn, code, status) {
+  try {
+    await fn();
+  } catch (error) {
+    if (error.code !== code || error.status !== status) {
+      throw new Error(`Expected ${code} (${status}), got ${error.code} (${error.status}): ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Expected rejection with ${code}`);
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ * @param {Object<string, string>} vars - Variables to set
+ * @param {Function} fn - Work to run
+ */
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+/**
+ * The ApiKey table in memory
+ */
+class FakeApiKeyDb {
+  constructor() {
+    this.keys = new Map();
+    this.lookups = 0;
+  }
+
+  async createApiKey(data) {
+    const apiKey = { id: `key_${this.keys.size + 1}`, revokedAt: null, lastUsedAt: null, createdAt: new Date(), ...data };
+    this.keys.set(apiKey.id, apiKey);
+    return apiKey;
+  }
+
+  async getApiKey(id) {
+    return this.keys.get(id) || null;
+  }
+
+  async getApiKeyByLookupId(lookupId) {
+    this.lookups++;
+    return [...this.keys.values()].find(apiKey => apiKey.lookupId === lookupId) || null;
+  }
+
+  async revokeApiKey(id) {
+    const apiKey = this.keys.get(id);
+    apiKey.revokedAt = new Date();
+    return apiKey;
+  }
+
+  async touchApiKey(id) {
+    this.keys.get(id).lastUsedAt = new Date();
+  }
+}
+
+/**
+ * Minimal Express request with case-insensitive headers
+ */
+function mockRequest(headers = {}) {
+  const normalized = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip: '127.0.0.1', path: '/api/jobs', get: name => normalized[name.toLowerCase()] };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+class ApiKeysTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testScopes() {
+    const service = new ApiKeyService({ db: new FakeApiKeyDb() });
+
+    assert(service.validateScopes(undefined, 'member').join(',') === 'jobs:read,jobs:upload', 'Omitted scopes should default to read and upload');
+    assert(service.validateScopes(['jobs:read', 'jobs:read', 'reviews:approve'], 'reviewer').join(',') === 'jobs:read,reviews:approve', 'Scopes not de-duplicated');
+    assert(service.validateScopes(['jobs:delete', 'templates:manage'], 'owner').length === 2, 'Owner should grant any delegable scope');
+
+    await expectRejected(() => service.validateScopes([], 'owner'), 'invalid_scopes', 400);
+    await expectRejected(() => service.validateScopes('jobs:read', 'owner'), 'invalid_scopes', 400);
+    await expectRejected(() => service.validateScopes(['jobs:everything'], 'owner'), 'invalid_scopes', 400);
+
+    // Keys never manage members or other keys, whoever creates them
+    for (const scope of ['members:manage', 'apikeys:manage']) {
+      await expectRejected(() => service.validateScopes([scope], 'owner'), 'invalid_scopes', 400);
+    }
+
+    // Nor do more than their creator
+    await expectRejected(() => service.validateScopes(['jobs:delete'], 'reviewer'), 'invalid_scopes', 403);
+    await expectRejected(() => service.validateScopes(['jobs:read', 'jobs:upload'], 'viewer'), 'invalid_scopes', 403);
+    await expectRejected(() => service.validateScopes(['jobs:read'], 'superuser'), 'invalid_scopes', 403);
+  }
+
+  async testLimits() {
+    const service = new ApiKeyService({ db: new FakeApiKeyDb() });
+
+    const defaults = service.resolveLimits({});
+    assert(Object.values(defaults).every(value => value === null), 'Omitted limits should fall back to the defaults');
+
+    const lowered = service.resolveLimits({ rateLimitPerMinute: 5, monthlyUploadLimitMb: null, dailyUploadLimitMb: 100 });
+    assert(lowered.rateLimitPerMinute === 5 && lowered.monthlyUploadLimitMb === null && lowered.dailyUploadLimitMb === 100, `Unexpected limits ${JSON.stringify(lowered)}`);
+
+    for (const [input, label] of [
+      [{ rateLimitPerHour: 0 }, 'Zero limit'],
+      [{ rateLimitPerHour: 2.5 }, 'Fractional limit'],
+      [{ dailyUploadLimitMb: '50' }, 'String limit'],
+      [{ rateLimitPerMinute: 11 }, 'Rate limit above the user default'],
+      [{ monthlyUploadLimitMb: 1001 }, 'Upload limit above the user default']
+    ]) {
+      await expectRejected(() => service.resolveLimits(input), 'invalid_limits', 400).catch(error => {
+        throw new Error(`${label}: ${error.message}`);
+      });
+    }
+
+    // The ceilings follow the configured user defaults
+    await withEnv({ RATE_LIMIT_USER_PER_MINUTE: '30', USER_DAILY_UPLOAD_LIMIT: '20' }, async () => {
+      const configured = new ApiKeyService({ db: new FakeApiKeyDb() });
+      assert(configured.resolveLimits({ rateLimitPerMinute: 30 }).rateLimitPerMinute === 30, 'RATE_LIMIT_USER_PER_MINUTE ignored');
+      await expectRejected(() => configured.resolveLimits({ dailyUploadLimitMb: 21 }), 'invalid_limits', 400);
+    });
+  }
+
+  async testKeyFormat() {
+    const { lookupId, key } = generateApiKey();
+    assert(/^[0-9a-f]{12}$/.test(lookupId) && key.startsWith(`ffk_${lookupId}_`), `Unexpected key ${key}`);
+    assert(parseApiKey(key) === lookupId, 'Generated key not parsed');
+    assert(generateApiKey().key !== key, 'Keys should be random');
+
+    for (const malformed of [
+      '',
+      null,
+      undefined,
+      key.replace('ffk_', 'sk_'),
+      key.slice(0, -1),
+      `${key}x`,
+      ` ${key}`,
+      `ffk_ABCDEF012345_${'a'.repeat(43)}`
+    ]) {
+      assert(parseApiKey(malformed) === null, `Malformed key parsed: ${String(malformed)}`);
+    }
+  }
+
+  async testAuthenticate() {
+    const db = new FakeApiKeyDb();
+    const service = new ApiKeyService({ db });
+    const { apiKey, key } = await service.create({
+      orgId: 'org_1',
+      createdBy: 'user_1',
+      creatorRole: 'admin',
+      input: { name: ' CI upload ' }
+    });
+    assert(apiKey.name === 'CI upload' && apiKey.keyHash && !apiKey.keyHash.includes(key), 'Key should be stored hashed');
+
+    const authenticated = await service.authenticate(key);
+    assert(authenticated.id === apiKey.id && authenticated.orgId === 'org_1', 'Key not authenticated');
+    await service.authenticate(key);
+    assert(db.lookups === 1, 'Verified key should be served from the cache');
+
+    await expectRejected(() => service.authenticate('not-a-key'), 'invalid_api_key', 401);
+    const { lookupId } = generateApiKey();
+    await expectRejected(() => service.authenticate(key.replace(/_[^_]{12}_/, `_${lookupId}_`)), 'invalid_api_key', 401);
+    await expectRejected(() => service.authenticate(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`), 'invalid_api_key', 401);
+
+    // Revoking drops the cached entry at once
+    assert(await service.revoke('org_2', apiKey.id) === null, 'Key revoked from another organization');
+    await service.revoke('org_1', apiKey.id);
+    await expectRejected(() => service.authenticate(key), 'invalid_api_key', 401);
+
+    const expiring = await service.create({ orgId: 'org_1', createdBy: 'user_1', creatorRole: 'admin', input: { name: 'Expiring', expiresInDays: 1 } });
+    db.keys.get(expiring.apiKey.id).expiresAt = new Date(Date.now() - 1000);
+    await expectRejected(() => service.authenticate(expiring.key), 'invalid_api_key', 401);
+
+    // A database outage isn't reported as a bad key
+    db.getApiKeyByLookupId = async () => { throw new Error('connection refused'); };
+    await expectRejected(() => new ApiKeyService({ db }).authenticate(generateApiKey().key), 'auth_unavailable', 503);
+  }
+
+  async testHeaders() {
+    const presented = [];
+    const authenticate = security.apiKeyService.authenticate;
+    security.apiKeyService.authenticate = async (key) => {
+      presented.push(key);
+      if (key !== 'ffk_good') {
+        throw Object.assign(new Error('Unknown API key'), { code: 'invalid_api_key', status: 401 });
+      }
+      return { id: 'key_1', orgId: 'org_1' };
+    };
+
+    const authenticateWith = async (headers) => {
+      const req = mockRequest(headers);
+      const res = mockResponse();
+      let nextCalled = false;
+      await security.validateAuth(req, res, () => { nextCalled = true; });
+      return { req, res, nextCalled };
+    };
+
+    try {
+      for (const headers of [{ Authorization: 'ApiKey ffk_good' }, { Authorization: 'ApiKey   ffk_good ' }, { 'X-API-Key': 'ffk_good' }]) {
+        const { req, nextCalled } = await authenticateWith(headers);
+        assert(nextCalled && req.userId === 'apikey:key_1' && req.orgId === 'org_1' && req.apiKey.id === 'key_1', `Key not accepted from ${JSON.stringify(headers)}`);
+      }
+      assert(presented.every(key => key === 'ffk_good'), `Key not trimmed: ${JSON.stringify(presented)}`);
+
+      // Authorization wins over X-API-Key
+      presented.length = 0;
+      await authenticateWith({ Authorization: 'ApiKey ffk_good', 'X-API-Key': 'ffk_other' });
+      assert(presented.join(',') === 'ffk_good', 'Authorization header should take precedence');
+
+      const rejected = await authenticateWith({ 'X-API-Key': 'ffk_bad' });
+      assert(!rejected.nextCalled && rejected.res.statusCode === 401 && rejected.res.body.error === 'invalid_api_key', 'Bad key not rejected');
+
+      // Bearer tokens and missing credentials never reach the key check
+      presented.length = 0;
+      const bearer = await authenticateWith({ Authorization: 'Bearer not-a-jwt' });
+      const missing = await authenticateWith({});
+      assert(presented.length === 0, 'Bearer token treated as an API key');
+      assert(!bearer.nextCalled && bearer.res.statusCode >= 401, 'Invalid bearer token accepted');
+      assert(!missing.nextCalled && missing.res.body.error === 'authentication_required', 'Missing credentials accepted');
+
+      // Key-authenticated calls skip the origin check, other calls don't
+      let originPassed = false;
+      security.validateOrigin(mockRequest({ 'X-API-Key': 'ffk_good' }), mockResponse(), () => { originPassed = true; });
+      assert(originPassed, 'API key call held to the origin check');
+      const res = mockResponse();
+      security.validateOrigin(mockRequest({ Authorization: 'Bearer token' }), res, () => {});
+      assert(res.statusCode === 403, 'Call without Origin accepted');
+    } finally {
+      security.apiKeyService.authenticate = authenticate;
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running API key tests...\n');
+
+    await this.runTest('Scopes', () => this.testScopes());
+    await this.runTest('Limit overrides', () => this.testLimits());
+    await this.runTest('Key format', () => this.testKeyFormat());
+    await this.runTest('Authenticate', () => this.testAuthenticate());
+    await this.runTest('Key headers', () => this.testHeaders());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ApiKeysTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ApiKeysTest;
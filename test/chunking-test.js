@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * Chunking Test
+ *
+ * Covers map-reduce extraction of long documents: where chunkText cuts
+ * (page, section heading, paragraph, line, sentence, word, in that order of
+ * preference, and only in the chunk's second half), the overlap between
+ * chunks and its cap at a quarter chunk, which chunks are kept past
+ * maxChunks, and how mergeExtractions combines the chunk results:
+ * de-duplicating list items, voting on scalar fields with first/last
+ * tie-breaks, and lowering confidence for each field the chunks disagreed on.
+ */
+
+const { chunkText } = require('../src/llm/chunking');
+const { mergeExtractions, dedupeItems, partyKey } = require('../src/llm/mergeExtractions');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Filler without any line, sentence or word break of its own
+ * @param {number} length - Characters
+ * @returns {string}
+ */
+const solid = (length) => 'x'.repeat(length);
+
+/**
+ * Filler of words, so only word breaks are available
+ * @param {number} length - Characters
+ * @returns {string}
+ */
+const words = (length) => 'lorem '.repeat(Math.ceil(length / 6)).slice(0, length);
+
+/**
+ * Where the first chunk of a 1000-char-chunk split ends
+ * @param {string} text - Document text
+ * @returns {number}
+ */
+const firstBreak = (text) => chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 100 }).chunks[0].end;
+
+/**
+ * Assert consecutive chunks overlap by at most `overlap` characters and together cover the text
+ */
+function assertCoverage(text, chunks, overlap) {
+  assert(chunks[0].start === 0 && chunks[chunks.length - 1].end === text.length, 'Chunks should cover the whole text');
+  for (let i = 1; i < chunks.length; i++) {
+    const [previous, chunk] = [chunks[i - 1], chunks[i]];
+    assert(chunk.start <= previous.end, `Gap between chunks ${i - 1} and ${i}`);
+    assert(previous.end - chunk.start <= overlap, `Chunks ${i - 1} and ${i} overlap by ${previous.end - chunk.start}, more than ${overlap}`);
+    assert(chunk.start > previous.start, `Chunk ${i} does not advance`);
+  }
+}
+
+/**
+ * A validated extraction with every standard field empty
+ * @param {Object} fields - Fields to set
+ * @returns {Object}
+ */
+function extraction(fields = {}) {
+  return {
+    document_type: null,
+    parties: [],
+    effective_date: null,
+    renewal_date: null,
+    term: null,
+    termination_clauses: [],
+    governing_law: null,
+    key_obligations: [],
+    financial_terms: null,
+    summary: null,
+    confidence_score: 0.8,
+    notes: null,
+    ...fields
+  };
+}
+
+/**
+ * Chunk results of equal length, in document order
+ * @param {Array<Object>} extractions - Per-chunk data
+ * @returns {Array<{chunk: Object, data: Object}>}
+ */
+const chunkResults = (extractions) => extractions.map((data, index) => ({
+  chunk: { index, start: index * 1000, end: (index + 1) * 1000 },
+  data
+}));
+
+class ChunkingTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testSingleChunk() {
+    const text = `Page one\fPage two\f${words(500)}`;
+    const { chunks, totalChunks, droppedChunks } = chunkText(text, { maxChars: 1000 });
+    assert(totalChunks === 1 && droppedChunks.length === 0, 'Short text should be one chunk');
+    assert(chunks[0].text === text && chunks[0].pageStart === 1 && chunks[0].pageEnd === 3, 'Single chunk should keep the text and count its pages');
+  }
+
+  async testBreakPriority() {
+    // Each case offers a better break earlier in the second half and a worse one later;
+    // the better one wins. Breaks in the first half are never used.
+    const cases = [
+      ['Page break', `${words(700)}\f${words(100)}\n\n${words(500)}`, 701],
+      ['Section heading', `${words(600)}\nARTICLE 5 TERMINATION\n${words(100)}\n\n${words(500)}`, 601],
+      ['Numbered section', `${words(600)}\n12.3 Governing Law. ${words(100)}\n\n${words(500)}`, 601],
+      ['All-caps heading', `${words(600)}\nCONFIDENTIALITY\n${words(100)}\n\n${words(500)}`, 601],
+      ['Paragraph', `${words(600)}\n\n${words(100)}\n${words(500)}`, 602],
+      ['Line', `${words(600)}\n${words(100)}. ${words(500)}`, 601],
+      ['Sentence', `${words(600)}ends here. ${words(100)} ${solid(500)}`, 611],
+      ['Word', `${words(600)}${solid(800)}`, 600],
+      ['No break at all', solid(1500), 1000],
+      ['First half only', `${words(100)}\f${solid(1400)}`, 1000]
+    ];
+
+    for (const [label, text, expected] of cases) {
+      const end = firstBreak(text);
+      assert(end === expected, `${label}: first chunk ends at ${end}, expected ${expected}`);
+    }
+
+    // The chunk after a heading break starts with the heading
+    const text = `${words(600)}\nSection 9. Notices\n${words(1000)}`;
+    const { chunks } = chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 100 });
+    assert(chunks[1].text.startsWith('Section 9. Notices'), `Second chunk starts with ${JSON.stringify(chunks[1].text.slice(0, 20))}`);
+  }
+
+  async testOverlap() {
+    const text = `${words(4000)}. ${words(4000)}`;
+
+    const { chunks } = chunkText(text, { maxChars: 1000, overlapChars: 100, maxChunks: 100 });
+    assertCoverage(text, chunks, 100);
+    assert(chunks.slice(1).every((chunk, i) => chunk.start < chunks[i].end), 'Chunks should overlap');
+    // The overlap starts after a boundary, not mid-word
+    assert(chunks.slice(1).every(chunk => /\s/.test(text[chunk.start - 1])), 'Overlap starts mid-word');
+
+    // Overlap is capped at a quarter chunk so every chunk still advances
+    for (const overlapChars of [250, 600, 5000]) {
+      const capped = chunkText(text, { maxChars: 1000, overlapChars, maxChunks: 100 });
+      assertCoverage(text, capped.chunks, 250);
+      assert(capped.chunks.some((chunk, i) => i > 0 && capped.chunks[i - 1].end - chunk.start > 200), `overlapChars ${overlapChars} not applied up to the cap`);
+    }
+
+    // Worst case: breaks only just past the half, where an uncapped overlap would stall
+    const stalling = Array.from({ length: 20 }, () => `${solid(500)} `).join('');
+    const result = chunkText(stalling, { maxChars: 1000, overlapChars: 900, maxChunks: 100 });
+    assertCoverage(stalling, result.chunks, 250);
+    assert(result.totalChunks <= 40, `Chunking barely advanced: ${result.totalChunks} chunks`);
+  }
+
+  async testPages() {
+    const text = [1, 2, 3, 4].map(page => `Page ${page} ${words(590)}`).join('\f');
+    const { chunks } = chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 100 });
+
+    assert(chunks[0].end === text.indexOf('\f') + 1 && chunks[0].pageStart === 1 && chunks[0].pageEnd === 1, 'First chunk should end at the page break');
+    assert(chunks[1].text.startsWith('Page 2') && chunks[1].pageStart === 2, 'Second chunk should start on page 2');
+    assert(chunks[chunks.length - 1].pageEnd === 4, 'Last chunk should end on page 4');
+  }
+
+  async testMaxChunks() {
+    const text = Array.from({ length: 10 }, (_, i) => `SECTION ${i + 1}\n${words(900)}`).join('\n');
+    const all = chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 100 });
+    assert(all.totalChunks === 10 && all.droppedChunks.length === 0, `Expected 10 chunks, got ${all.totalChunks}`);
+
+    const limited = chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 4 });
+    assert(limited.totalChunks === 10, 'totalChunks should count dropped chunks');
+    assert(limited.chunks.map(chunk => chunk.index).join(',') === '0,1,2,9', `Kept ${limited.chunks.map(chunk => chunk.index)}, expected the first 3 and the last`);
+    assert(limited.droppedChunks.map(chunk => chunk.index).join(',') === '3,4,5,6,7,8', 'Dropped chunks not reported');
+    assert(limited.droppedChunks.every(chunk => chunk.text === undefined && chunk.end > chunk.start), 'Dropped chunks should carry offsets only');
+
+    const one = chunkText(text, { maxChars: 1000, overlapChars: 0, maxChunks: 1 });
+    assert(one.chunks.length === 1 && one.chunks[0].index === 0 && one.droppedChunks.length === 9, 'maxChunks 1 should keep the first chunk');
+  }
+
+  async testDedupe() {
+    // Party names compare without case, punctuation or entity suffixes
+    const parties = dedupeItems(['Acme Inc.', 'ACME', 'The Acme Corporation', 'Acme Holdings', 'Globex, LLC'], partyKey);
+    assert(parties.join('|') === 'Acme Inc.|Acme Holdings|Globex, LLC', `Unexpected parties ${JSON.stringify(parties)}`);
+
+    // A clause cut short at a chunk boundary is contained in the whole one: keep the longer wording, in first position
+    const clause = 'Either party may terminate this Agreement on 30 days written notice';
+    const clauses = dedupeItems([
+      'Either party may terminate this Agreement',
+      'Payment is due within 30 days',
+      clause,
+      'either party may terminate this agreement.'
+    ], item => item.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+    assert(clauses.join('|') === `${clause}|Payment is due within 30 days`, `Unexpected clauses ${JSON.stringify(clauses)}`);
+
+    // Containment only counts from 20 characters, so short items stay apart
+    const key = item => item;
+    assert(dedupeItems(['a'.repeat(20), `${'a'.repeat(20)}b`], key).length === 1, '20-character containment not merged');
+    assert(dedupeItems(['a'.repeat(19), `${'a'.repeat(19)}b`], key).length === 2, '19-character containment merged');
+    assert(dedupeItems(['net 30', 'net 30 days'], key).length === 2, 'Short items merged');
+
+    // Items with an empty key are dropped
+    assert(dedupeItems(['', '   ', 'Confidentiality'], item => item.trim()).join() === 'Confidentiality', 'Empty items kept');
+  }
+
+  async testVoting() {
+    const { data, conflicts } = mergeExtractions(chunkResults([
+      extraction({ document_type: 'msa', effective_date: '2024-01-15', governing_law: 'New York', term: '3 years', summary: 'Services agreement' }),
+      extraction({ document_type: 'MSA', effective_date: '2024-02-01', governing_law: 'Delaware', term: '3 years', summary: 'Later summary' }),
+      extraction({ document_type: 'nda', effective_date: null, governing_law: '', term: '5 years' })
+    ]));
+
+    assert(data.document_type === 'msa', 'Majority (ignoring case) should win over a later value');
+    assert(data.effective_date === '2024-01-15', 'Effective date ties should go to the first chunk');
+    assert(data.governing_law === 'Delaware', 'Governing law ties should go to the last chunk stating one');
+    assert(data.term === '3 years' && data.summary === 'Services agreement', 'Term or summary not merged');
+
+    const fields = conflicts.map(conflict => conflict.field);
+    assert(fields.join(',') === 'document_type,effective_date,term,governing_law', `Unexpected conflicts ${fields}`);
+    const dates = conflicts.find(conflict => conflict.field === 'effective_date');
+    assert(dates.chosen === '2024-01-15' && dates.values.length === 2, 'Null values should not vote');
+    assert(data.notes.includes('Chunks disagreed on: document_type, effective_date, term, governing_law'), `Conflicts missing from notes: ${data.notes}`);
+  }
+
+  async testConfidence() {
+    const agreeing = mergeExtractions([
+      { chunk: { index: 0, start: 0, end: 3000 }, data: extraction({ term: '1 year', confidence_score: 0.9 }) },
+      { chunk: { index: 1, start: 2900, end: 3900 }, data: extraction({ term: '1 year', confidence_score: 0.5 }) }
+    ]);
+    assert(agreeing.conflicts.length === 0 && agreeing.data.notes === null, 'Agreeing chunks reported a conflict');
+    assert(Math.abs(agreeing.data.confidence_score - 0.8) < 1e-9, `Confidence should be weighted by chunk length, got ${agreeing.data.confidence_score}`);
+
+    const disagreeing = mergeExtractions(chunkResults([
+      extraction({ term: '1 year', renewal_date: '2025-01-01', confidence_score: 0.9 }),
+      extraction({ term: '2 years', renewal_date: '2026-01-01', confidence_score: 0.9 })
+    ]));
+    assert(Math.abs(disagreeing.data.confidence_score - 0.8) < 1e-9, `Expected 0.05 off per conflicting field, got ${disagreeing.data.confidence_score}`);
+
+    const floor = mergeExtractions(chunkResults([
+      extraction({ document_type: 'a', effective_date: '2024-01-01', term: 'a', governing_law: 'a', confidence_score: 0.1 }),
+      extraction({ document_type: 'b', effective_date: '2024-01-02', term: 'b', governing_law: 'b', confidence_score: 0.1 })
+    ]));
+    assert(floor.data.confidence_score === 0, 'Confidence should not go below 0');
+  }
+
+  async testCustomFields() {
+    const { data, conflicts } = mergeExtractions(chunkResults([
+      extraction({ custom_fields: { po_number: 'PO-1', cost_centers: ['CC-10'], contact: { name: 'Jane Roe', email: null } } }),
+      extraction({ custom_fields: { po_number: 'PO-1', cost_centers: ['CC-10', 'CC-20'], contact: { name: 'Jane Roe', email: 'jane@example.com' } } })
+    ]));
+
+    assert(data.custom_fields.po_number === 'PO-1', 'Template scalar not voted on');
+    assert(data.custom_fields.cost_centers.join(',') === 'CC-10,CC-20', 'Template list not de-duplicated');
+    assert(data.custom_fields.contact.email === 'jane@example.com', 'Template object not merged key by key');
+    assert(conflicts.length === 0, `Unexpected conflicts ${JSON.stringify(conflicts)}`);
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running chunking tests...\n');
+
+    await this.runTest('Single chunk', () => this.testSingleChunk());
+    await this.runTest('Break priority', () => this.testBreakPriority());
+    await this.runTest('Overlap', () => this.testOverlap());
+    await this.runTest('Page numbers', () => this.testPages());
+    await this.runTest('Chunks kept past maxChunks', () => this.testMaxChunks());
+    await this.runTest('De-duplicating list items', () => this.testDedupe());
+    await this.runTest('Voting on scalar fields', () => this.testVoting());
+    await this.runTest('Merged confidence', () => this.testConfidence());
+    await this.runTest('Template fields', () => this.testCustomFields());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ChunkingTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ChunkingTest;
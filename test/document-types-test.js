@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Document Types Test
+ *
+ * Covers the document type registry, classification with the mock provider
+ * and its fallbacks to the generic contract schema, and the type-specific
+ * extraction prompt. Needs no external services or API keys.
+ */
+
+const { DOCUMENT_TYPES, GENERIC_TYPE, getDocumentType } = require('../src/llm/documentTypes');
+const { classifyDocument } = require('../src/llm/classifyDocument');
+const { buildUserPrompt } = require('../src/llm/promptBuilders');
+const { contractSchema, validateExtraction } = require('../src/llm/extractionSchema');
+const MockProvider = require('../src/llm/providers/mock');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * LLM call that answers from the mock provider's fixtures
+ * @returns {function(string, string): Promise<string>}
+ */
+function mockCallLlm() {
+  const provider = new MockProvider();
+  return async (userText, systemText) => (await provider.generateJson({ systemText, userText })).text;
+}
+
+class DocumentTypesTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testRegistrySchemas() {
+    for (const [type, { schema }] of Object.entries(DOCUMENT_TYPES)) {
+      assert(schema.$id === (type === GENERIC_TYPE ? contractSchema.$id : `${type}/v3`), `Unexpected $id for ${type}`);
+      for (const field of contractSchema.required) {
+        assert(schema.required.includes(field), `${type} schema does not require ${field}`);
+      }
+      validateExtraction({}, schema); // compiles
+    }
+
+    assert(getDocumentType('poem').type === GENERIC_TYPE, 'Unknown types should fall back to the generic type');
+    assert(getDocumentType('__proto__').type === GENERIC_TYPE, 'Object prototype keys should not be types');
+  }
+
+  async testClassificationRouting() {
+    const callLlm = mockCallLlm();
+
+    const msa = await classifyDocument({ filename: 'contract.pdf', text: 'MASTER SERVICES AGREEMENT', callLlm });
+    assert(msa.detectedType === 'msa' && msa.confidence === 0.9, 'default.classify.json not used');
+    assert(msa.documentType.schema.$id === 'msa/v3', 'MSA schema not selected');
+
+    const lease = await classifyDocument({ filename: 'Lease.pdf', text: 'LEASE AGREEMENT', callLlm });
+    assert(lease.documentType.type === 'lease', 'lease.classify.json not used');
+  }
+
+  async testClassificationFallbacks() {
+    const answer = text => async () => text;
+
+    const unsure = await classifyDocument({ filename: 'a.pdf', text: 'x', callLlm: answer('{"document_type": "nda", "confidence": 0.3}') });
+    assert(unsure.detectedType === 'nda' && unsure.confidence === 0.3, 'Low-confidence type not recorded');
+    assert(unsure.documentType.type === GENERIC_TYPE, 'Low-confidence classification should use the generic schema');
+
+    const invalid = await classifyDocument({ filename: 'a.pdf', text: 'x', callLlm: answer('{"document_type": "poem", "confidence": 0.9}') });
+    assert(invalid.detectedType === null && invalid.documentType.type === GENERIC_TYPE, 'Unknown type should use the generic schema');
+
+    const garbled = await classifyDocument({ filename: 'a.pdf', text: 'x', callLlm: answer('It is an NDA.') });
+    assert(garbled.confidence === null && garbled.documentType.type === GENERIC_TYPE, 'Invalid JSON should use the generic schema');
+  }
+
+  async testTypeSpecificPrompt() {
+    const prompt = buildUserPrompt({ filename: 'lease.pdf', text: 'LEASE', documentType: getDocumentType('lease') });
+
+    assert(prompt.startsWith('Extract structured data from this lease'), 'Document label not used');
+    assert(prompt.includes('"rent_escalation"') && prompt.includes('"security_deposit"'), 'Lease fields missing from the template');
+    assert(prompt.includes(DOCUMENT_TYPES.lease.guidance), 'Lease guidance missing');
+    assert(!buildUserPrompt({ filename: 'a.pdf', text: 'A' }).includes('"premises"'), 'Generic prompt has lease fields');
+  }
+
+  async testFixturesMatchTheirSchemas() {
+    const callLlm = mockCallLlm();
+
+    for (const filename of ['contract.pdf', 'lease.pdf']) {
+      const { documentType } = await classifyDocument({ filename, text: 'x', callLlm });
+      const data = JSON.parse(await callLlm(buildUserPrompt({ filename, text: 'x', documentType }), 'system'));
+      const violations = validateExtraction(data, documentType.schema);
+      assert(violations.length === 0, `${filename} fixture violates ${documentType.schema.$id}: ${JSON.stringify(violations)}`);
+    }
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running document type tests...\n');
+
+    await this.runTest('Registry schemas', () => this.testRegistrySchemas());
+    await this.runTest('Classification routing', () => this.testClassificationRouting());
+    await this.runTest('Classification fallbacks', () => this.testClassificationFallbacks());
+    await this.runTest('Type-specific prompt', () => this.testTypeSpecificPrompt());
+    await this.runTest('Mock fixtures match their schemas', () => this.testFixturesMatchTheirSchemas());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new DocumentTypesTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = DocumentTypesTest;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Evaluation Metrics Test
+ *
+ * Covers how an extraction is scored against a golden file: true/false
+ * positives per field, list items, fuzzy text, dates and the dataset summary.
+ */
+
+const { similarity, scoreField, scoreDocument, summarize } = require('../src/eval/metrics');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const expected = {
+  document_type: 'Professional Services Agreement',
+  parties: ['Acme Corporation', 'FirmFlow Legal Services'],
+  effective_date: '2024-02-01',
+  renewal_date: '2025-01-31',
+  governing_law: 'Massachusetts',
+  financial_terms: { currency: 'USD', amount: 150000, payment_terms: 'Net 30 days' },
+  auto_renewal: null,
+  confidence_score: 0.9
+};
+
+const actual = {
+  document_type: 'Professional services agreement',
+  parties: ['ACME Corporation', 'FirmFlow Legal Services LLC', 'Globex'],
+  effective_date: '2024-01-15',
+  renewal_date: null,
+  governing_law: 'Massachusetts law',
+  financial_terms: { currency: 'USD', amount: 150000, payment_terms: 'Net 30' },
+  auto_renewal: false,
+  confidence_score: 0.4
+};
+
+class EvalMetricsTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testSimilarity() {
+    assert(similarity('Net 30 days', 'net 30 days.') === 1, 'Case and punctuation should not matter');
+    assert(similarity('Massachusetts', 'Massachusetts law') >= 0.8, 'Close text should be similar');
+    assert(similarity('Massachusetts', 'Delaware') < 0.3, 'Different text should not be similar');
+  }
+
+  async testFieldOutcomes() {
+    const fields = scoreDocument(expected, actual);
+
+    assert(!('confidence_score' in fields), 'confidence_score should not be scored');
+    assert(fields.document_type.exact && fields.document_type.tp === 1, 'Case-only difference should be an exact match');
+    assert(!fields.governing_law.exact && fields.governing_law.fuzzy, 'Close text should be a fuzzy match only');
+
+    const wrongDate = fields.effective_date;
+    assert(wrongDate.kind === 'date' && wrongDate.fp === 1 && wrongDate.fn === 1, 'A wrong value is a false positive and a false negative');
+    assert(fields.renewal_date.fn === 1 && fields.renewal_date.fp === 0, 'A missed value is a false negative');
+    assert(fields.auto_renewal.fp === 1 && fields.auto_renewal.fn === 0, 'A made-up value is a false positive');
+
+    assert(fields['financial_terms.amount'].exact, 'Objects should be scored per key');
+    assert(!fields['financial_terms.payment_terms'].fuzzy, '"Net 30" is too far from "Net 30 days"');
+
+    const parties = fields.parties;
+    assert(parties.tp === 2 && parties.fp === 1 && parties.fn === 0, `Wrong list counts ${JSON.stringify(parties)}`);
+    assert(!parties.exact && !parties.fuzzy, 'An extra list item is not a match');
+  }
+
+  async testEmptyValues() {
+    assert(scoreField('term', null, null, 0.8).exact, 'Both empty is a match');
+    assert(scoreField('parties', [], [], 0.8).exact, 'Both empty lists is a match');
+
+    const fields = scoreDocument({ financial_terms: null }, { financial_terms: { currency: null, amount: null, payment_terms: null } });
+    assert(fields.financial_terms.exact && fields.financial_terms.fp === 0, 'An all-null object is the same as null');
+  }
+
+  async testSummary() {
+    const summary = summarize([
+      { status: 'ok', fields: scoreDocument(expected, actual), costUsd: 0.02, usage: { inputTokens: 1000, outputTokens: 200 } },
+      { status: 'ok', fields: scoreDocument(expected, expected), costUsd: 0.01, usage: { inputTokens: 800, outputTokens: 150 } },
+      { status: 'failed', error: 'Provider timed out' }
+    ]);
+
+    assert(summary.documents === 3 && summary.failed === 1, 'Failed documents not counted');
+    assert(summary.dates.total === 4 && summary.dates.correct === 2 && summary.dates.accuracy === 0.5, `Wrong date accuracy ${JSON.stringify(summary.dates)}`);
+    assert(summary.cost.total === 0.03 && summary.cost.perDocument === 0.015 && summary.cost.inputTokens === 1800, 'Wrong cost');
+    assert(summary.perField.effective_date.exactMatch === 0.5, 'Wrong per-field exact match');
+    assert(summary.overall.precision < 1 && summary.overall.recall < 1 && summary.overall.f1 > 0, 'Overall metrics not computed');
+    assert(summary.perField['financial_terms.amount'].f1 === 1, 'Perfect field should have F1 1');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running evaluation metrics tests...\n');
+
+    await this.runTest('Similarity', () => this.testSimilarity());
+    await this.runTest('Field outcomes', () => this.testFieldOutcomes());
+    await this.runTest('Empty values', () => this.testEmptyValues());
+    await this.runTest('Dataset summary', () => this.testSummary());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new EvalMetricsTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = EvalMetricsTest;
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Job Cancellation Test
+ *
+ * Covers cancelling a job and refunding its upload: only an upload that never
+ * produced a run gets its quota back, and only once, even when a reprocessed
+ * job is cancelled again. Also covers which errors count as a cancellation
+ * rather than a failure, and the refund itself: counters of the user and the
+ * organization, never below zero, keeping their expiry. Redis is replaced by
+ * an in-memory stand-in that runs the refund script's logic.
+ */
+
+const { cancelJob, createCancelledError, isCancelledError } = require('../src/services/jobCancellation');
+const { JOB_STATUS, canTransition } = require('../src/services/jobStateMachine');
+const UserQuotaService = require('../src/services/userQuota');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * In-memory jobs and extraction runs, with the state machine's transition rules
+ */
+class FakeJobDb {
+  constructor(jobs = [], extractions = []) {
+    this.jobs = new Map(jobs.map(job => [job.id, { ...job }]));
+    this.extractions = extractions;
+  }
+
+  async countExtractions(jobId) {
+    return this.extractions.filter(extraction => extraction.jobId === jobId).length;
+  }
+
+  async transitionJob(id, status, { data = {} } = {}) {
+    const job = this.jobs.get(id);
+    if (!canTransition(job.status, status)) {
+      const error = new Error(`Invalid job transition ${job.status} → ${status}`);
+      error.code = 'INVALID_JOB_TRANSITION';
+      error.fromStatus = job.status;
+      throw error;
+    }
+    Object.assign(job, data, { status });
+    return { ...job };
+  }
+
+  // What POST /api/jobs/:jobId/reprocess does to the job
+  reprocess(id) {
+    Object.assign(this.jobs.get(id), { status: JOB_STATUS.QUEUED });
+  }
+}
+
+class FakeQuotaService {
+  constructor() {
+    this.refunds = [];
+  }
+
+  async refundUsage(userId, fileSizeBytes) {
+    this.refunds.push({ userId, fileSizeBytes });
+    return true;
+  }
+}
+
+/**
+ * Just enough of ioredis for refunds. eval() does in JavaScript what the
+ * refund script does in Lua; a counter keeps its TTL only if the script
+ * sets it with KEEPTTL.
+ */
+function memoryRedis() {
+  const store = new Map();
+
+  return {
+    store,
+    async eval(script, numKeys, key, amount) {
+      const entry = store.get(key);
+      const current = entry ? Number(entry.value) : 0;
+      if (current <= 0) return 0;
+
+      const remaining = Math.max(0, current - Number(amount));
+      store.set(key, { value: remaining, ttl: /'SET'.*'KEEPTTL'/.test(script) ? entry.ttl : -1 });
+      return remaining;
+    }
+  };
+}
+
+/**
+ * A quota service with quotas enabled, without connecting to Redis
+ * @param {Object|null} redis - Redis stand-in, or null for the in-memory fallback
+ * @returns {UserQuotaService}
+ */
+function quotaService(redis) {
+  const service = new UserQuotaService();
+  service.enabled = true;
+  service.redis = redis;
+  service.quotaCache = new Map();
+  return service;
+}
+
+const MB = 1024 * 1024;
+
+const upload = (fields = {}) => ({
+  id: 'job-1',
+  status: JOB_STATUS.QUEUED,
+  userId: 'user-1',
+  orgId: 'org-1',
+  file_size: 2 * 1024 * 1024,
+  createdAt: new Date(),
+  current_extraction_version: null,
+  quota_refunded: false,
+  ...fields
+});
+
+class JobCancellationTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testRefundUnprocessedUpload() {
+    const db = new FakeJobDb([upload()]);
+    const quota = new FakeQuotaService();
+
+    const result = await cancelJob(db, quota, db.jobs.get('job-1'), 'user-1');
+    assert(result.quotaRefunded === true, 'Unprocessed upload should be refunded');
+    assert(quota.refunds.length === 1 && quota.refunds[0].fileSizeBytes === 2 * 1024 * 1024, 'Refund not recorded');
+
+    const job = db.jobs.get('job-1');
+    assert(job.status === JOB_STATUS.CANCELLED && job.quota_refunded === true, 'Refund should be flagged on the cancelled job');
+  }
+
+  async testSecondCancel() {
+    const db = new FakeJobDb([upload({ status: JOB_STATUS.LLM })]);
+    const quota = new FakeQuotaService();
+
+    await cancelJob(db, quota, { ...db.jobs.get('job-1') }, 'user-1');
+    db.reprocess('job-1');
+    const second = await cancelJob(db, quota, { ...db.jobs.get('job-1') }, 'user-1');
+
+    assert(second.quotaRefunded === false, 'Second cancel should not refund again');
+    assert(quota.refunds.length === 1, `Expected one refund, got ${quota.refunds.length}`);
+    assert(db.jobs.get('job-1').status === JOB_STATUS.CANCELLED, 'Second cancel should still cancel');
+  }
+
+  async testNoRefundAfterRun() {
+    const quota = new FakeQuotaService();
+
+    // A reprocessed job that finished before
+    const reprocessed = new FakeJobDb([upload({ current_extraction_version: 1 })], [{ jobId: 'job-1', version: 1 }]);
+    const first = await cancelJob(reprocessed, quota, reprocessed.jobs.get('job-1'), 'user-1');
+    assert(first.quotaRefunded === false, 'Job with a current run should not be refunded');
+
+    // A run stored without becoming current (e.g. the job was cancelled while validating)
+    const stored = new FakeJobDb([upload()], [{ jobId: 'job-1', version: 1 }]);
+    const second = await cancelJob(stored, quota, stored.jobs.get('job-1'), 'user-1');
+    assert(second.quotaRefunded === false, 'Job with a stored run should not be refunded');
+    assert(stored.jobs.get('job-1').quota_refunded === false, 'Refund flag set without a refund');
+
+    // Nothing to refund without an uploader or a size
+    for (const fields of [{ userId: null }, { file_size: null }]) {
+      const db = new FakeJobDb([upload(fields)]);
+      const result = await cancelJob(db, quota, db.jobs.get('job-1'), 'user-1');
+      assert(result.quotaRefunded === false, `Refunded with ${JSON.stringify(fields)}`);
+    }
+
+    assert(quota.refunds.length === 0, `Expected no refunds, got ${quota.refunds.length}`);
+  }
+
+  async testFinishedJob() {
+    const db = new FakeJobDb([upload({ status: JOB_STATUS.COMPLETED })]);
+    const quota = new FakeQuotaService();
+
+    let error = null;
+    try {
+      await cancelJob(db, quota, db.jobs.get('job-1'), 'user-1');
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.code === 'INVALID_JOB_TRANSITION', 'Finished job should not be cancellable');
+    assert(quota.refunds.length === 0, 'Refunded a job that was not cancelled');
+  }
+
+  async testCancelledErrors() {
+    const transitionError = (fromStatus) => Object.assign(new Error('Invalid job transition'), { code: 'INVALID_JOB_TRANSITION', fromStatus });
+    const named = (name) => Object.assign(new Error('aborted'), { name });
+
+    const cancelled = [
+      [createCancelledError('job-1'), 'JOB_CANCELLED'],
+      [named('AbortError'), 'Aborted fetch'],
+      [named('APIUserAbortError'), 'Aborted OpenAI request'],
+      [transitionError(JOB_STATUS.CANCELLED), 'Stage transition of a cancelled job']
+    ];
+    for (const [error, label] of cancelled) {
+      assert(isCancelledError(error), `${label} should count as cancelled`);
+    }
+
+    const failed = [
+      [transitionError(JOB_STATUS.COMPLETED), 'Transition refused from completed'],
+      [transitionError(undefined), 'Transition refused without a status'],
+      [Object.assign(new Error('Job changed status concurrently'), { code: 'JOB_TRANSITION_CONFLICT' }), 'Concurrent transition'],
+      [new Error('Job job-1 was cancelled'), 'Message alone'],
+      [Object.assign(new Error('timeout'), { name: 'TimeoutError' }), 'Timeout'],
+      [null, 'No error']
+    ];
+    for (const [error, label] of failed) {
+      assert(!isCancelledError(error), `${label} should not count as cancelled`);
+    }
+  }
+
+  async testRefundScript() {
+    const redis = memoryRedis();
+    const quota = quotaService(redis);
+    const recordedAt = new Date(2026, 9, 5, 12);
+    const { dailyKey, monthlyKey } = quota.getQuotaKeys('user-1', recordedAt);
+    redis.store.set(dailyKey, { value: 5, ttl: 3600 });
+    redis.store.set(monthlyKey, { value: 1, ttl: 86400 });
+
+    assert(await quota.refundUsage('user-1', 3 * MB, recordedAt) === true, 'Refund should succeed');
+    assert(redis.store.get(dailyKey).value === 2, `Daily counter is ${redis.store.get(dailyKey).value}, expected 2`);
+    assert(redis.store.get(monthlyKey).value === 0, `Monthly counter is ${redis.store.get(monthlyKey).value}, expected to stop at 0`);
+    assert(redis.store.get(dailyKey).ttl === 3600 && redis.store.get(monthlyKey).ttl === 86400, 'Refund dropped a counter\'s expiry');
+
+    // Partial megabytes were counted as whole ones
+    await quota.refundUsage('user-1', 1, recordedAt);
+    assert(redis.store.get(dailyKey).value === 1, 'A partial megabyte should refund one');
+
+    // Expired counters aren't created again
+    await quota.refundUsage('user-1', MB, new Date(2026, 8, 1));
+    assert(redis.store.size === 2, 'Refund created counters');
+  }
+
+  async testRefundSubjects() {
+    const redis = memoryRedis();
+    const quota = quotaService(redis);
+    const recordedAt = new Date(2026, 9, 5, 12);
+    const keysOf = (subject) => Object.values(quota.getQuotaKeys(subject, recordedAt));
+    const keys = [...keysOf('user-1'), ...keysOf('org:org-1'), ...keysOf('user-2'), ...keysOf('org:org-2')];
+    keys.forEach(key => redis.store.set(key, { value: 10, ttl: 3600 }));
+
+    await quota.refundUsage('user-1', 4 * MB, recordedAt, 'org-1');
+    const values = Object.fromEntries(keys.map(key => [key, redis.store.get(key).value]));
+    assert([...keysOf('user-1'), ...keysOf('org:org-1')].every(key => values[key] === 6), `User and organization not both refunded: ${JSON.stringify(values)}`);
+    assert([...keysOf('user-2'), ...keysOf('org:org-2')].every(key => values[key] === 10), `Other subjects refunded: ${JSON.stringify(values)}`);
+  }
+
+  async testRefundWithoutRedis() {
+    const quota = quotaService(null);
+    const { dailyKey, monthlyKey } = quota.getQuotaKeys('user-1', new Date(2026, 9, 5));
+    quota.quotaCache.set(dailyKey, 2);
+
+    await quota.refundUsage('user-1', 5 * MB, new Date(2026, 9, 5));
+    assert(quota.quotaCache.get(dailyKey) === 0, `In-memory counter is ${quota.quotaCache.get(dailyKey)}, expected 0`);
+    assert(!quota.quotaCache.has(monthlyKey), 'In-memory refund created a counter');
+
+    const disabled = new UserQuotaService();
+    assert(disabled.enabled === false && await disabled.refundUsage('user-1', MB) === false, 'Disabled quotas should not refund');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running job cancellation tests...\n');
+
+    await this.runTest('Refund an unprocessed upload', () => this.testRefundUnprocessedUpload());
+    await this.runTest('Second cancel of the same job', () => this.testSecondCancel());
+    await this.runTest('No refund after a run', () => this.testNoRefundAfterRun());
+    await this.runTest('Finished job', () => this.testFinishedJob());
+    await this.runTest('Cancellation errors', () => this.testCancelledErrors());
+    await this.runTest('Refund script', () => this.testRefundScript());
+    await this.runTest('Refunded subjects', () => this.testRefundSubjects());
+    await this.runTest('Refund without Redis', () => this.testRefundWithoutRedis());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new JobCancellationTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = JobCancellationTest;
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Job List Query Test
+ *
+ * Covers GET /api/jobs query parsing and keyset pagination: walking every
+ * page with each sort and order must return each job exactly once, in sort
+ * order, including ties on the sort field and null confidence scores (which
+ * sort last). The Prisma where/orderBy clauses are evaluated in memory.
+ */
+
+const {
+  MAX_LIMIT,
+  parseJobListQuery,
+  buildCursorWhere,
+  buildJobOrderBy,
+  encodeCursor,
+  decodeCursor
+} = require('../src/utils/jobListQuery');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const valueOf = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Evaluate the subset of Prisma filters the cursor clause uses: equality
+ * (including null), gt/lt and OR
+ * @param {Object} job - Job record
+ * @param {Object} where - Prisma where clause
+ * @returns {boolean}
+ */
+function matches(job, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') {
+      return condition.some(alternative => matches(job, alternative));
+    }
+    const value = valueOf(job[key]);
+    if (condition === null) {
+      return value === null;
+    }
+    if (condition instanceof Date || typeof condition !== 'object') {
+      return value === valueOf(condition);
+    }
+    if (value === null) {
+      return false;
+    }
+    return (condition.gt === undefined || value > valueOf(condition.gt)) &&
+      (condition.lt === undefined || value < valueOf(condition.lt));
+  });
+}
+
+/**
+ * Sort jobs as Postgres would for a Prisma orderBy
+ * @param {Array<Object>} jobs - Job records
+ * @param {Array<Object>} orderBy - From buildJobOrderBy
+ * @returns {Array<Object>}
+ */
+function sortJobs(jobs, orderBy) {
+  return [...jobs].sort((a, b) => {
+    for (const clause of orderBy) {
+      const [field, spec] = Object.entries(clause)[0];
+      const { sort, nulls } = typeof spec === 'string' ? { sort: spec, nulls: null } : spec;
+      const [x, y] = [valueOf(a[field]), valueOf(b[field])];
+
+      if (x === null || y === null) {
+        if (x === y) continue;
+        return (x === null) === (nulls === 'last') ? 1 : -1;
+      }
+      const result = compare(x, y) * (sort === 'asc' ? 1 : -1);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * List every page the way the route does: orderBy, the cursor's where clause, take limit
+ * @returns {Array<Array<string>>} Job ids per page
+ */
+function walkPages(jobs, { sort, order, limit }) {
+  const pages = [];
+  let cursor = null;
+
+  for (let page = 0; page < 100; page++) {
+    const query = parseJobListQuery({ sort, order, limit: String(limit), ...(cursor ? { cursor } : {}) });
+    const where = query.cursor ? buildCursorWhere(query.cursor, query.sort, query.order) : {};
+    const rows = sortJobs(jobs.filter(job => matches(job, where)), buildJobOrderBy(query.sort, query.order)).slice(0, limit);
+
+    pages.push(rows.map(job => job.id));
+    if (rows.length < limit) break;
+    cursor = encodeCursor(rows[rows.length - 1], sort);
+  }
+  return pages;
+}
+
+// Ties on createdAt and on confidence_score, and several null scores
+const at = (minute) => new Date(Date.UTC(2026, 9, 1, 12, minute));
+const JOBS = [
+  { id: 'job-01', createdAt: at(1), confidence_score: 0.9 },
+  { id: 'job-02', createdAt: at(2), confidence_score: null },
+  { id: 'job-03', createdAt: at(2), confidence_score: 0.5 },
+  { id: 'job-04', createdAt: at(2), confidence_score: 0.9 },
+  { id: 'job-05', createdAt: at(3), confidence_score: null },
+  { id: 'job-06', createdAt: at(4), confidence_score: 0.5 },
+  { id: 'job-07', createdAt: at(4), confidence_score: 0.75 },
+  { id: 'job-08', createdAt: at(5), confidence_score: null },
+  { id: 'job-09', createdAt: at(6), confidence_score: 0.9 },
+  { id: 'job-10', createdAt: at(6), confidence_score: 0.2 }
+];
+
+class JobListQueryTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testParsing() {
+    const defaults = parseJobListQuery({});
+    assert(defaults.sort === 'createdAt' && defaults.order === 'desc' && defaults.limit === 20 && defaults.cursor === null, 'Unexpected defaults');
+
+    const parsed = parseJobListQuery({ limit: '500', order: 'ASC', status: 'completed, needs_review', requires_review: 'true' });
+    assert(parsed.limit === MAX_LIMIT && parsed.order === 'asc', 'limit not capped or order not normalized');
+    assert(parsed.filters.status.join(',') === 'completed,needs_review' && parsed.filters.requiresReview === true, 'Filters not parsed');
+
+    const invalid = [
+      [{ limit: '0' }, 'Zero limit'],
+      [{ limit: 'ten' }, 'Non-numeric limit'],
+      [{ sort: 'filename' }, 'Unknown sort'],
+      [{ order: 'up' }, 'Unknown order'],
+      [{ status: 'completed,done' }, 'Unknown status'],
+      [{ requires_review: 'yes' }, 'Non-boolean requires_review'],
+      [{ created_after: 'yesterday' }, 'Bad date']
+    ];
+    for (const [query, label] of invalid) {
+      let error = null;
+      try {
+        parseJobListQuery(query);
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.code === 'INVALID_QUERY', `${label} accepted`);
+    }
+  }
+
+  async testBadCursors() {
+    const cursorOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const invalid = [
+      ['not-a-cursor', 'Garbage'],
+      [cursorOf({ v: 1 }), 'Missing id'],
+      [cursorOf({ id: 'job-01' }), 'Missing value'],
+      [Buffer.from('{"id":').toString('base64url'), 'Truncated JSON'],
+      [cursorOf({ id: 'job-01', s: 'createdAt', v: 1759320060000 }), 'Number for a date'],
+      [cursorOf({ id: 'job-01', s: 'createdAt', v: 'yesterday' }), 'Non-date string'],
+      [cursorOf({ id: 'job-01', s: 'createdAt', v: '2026-10-01' }), 'Date not in the encoded ISO form'],
+      [cursorOf({ id: 'job-01', s: 'createdAt', v: null }), 'Null date'],
+      [cursorOf({ id: 'job-01', s: 'createdAt', v: { gt: '2026-10-01T12:01:00.000Z' } }), 'Object for a date'],
+      [cursorOf({ id: 'job-01', s: 'confidence_score', v: '0.9' }), 'String for a score'],
+      [cursorOf({ id: 'job-01', s: 'confidence_score', v: [0.9] }), 'Array for a score'],
+      [cursorOf({ id: 'job-01', s: 'confidence_score', v: { lt: 1 } }), 'Object for a score'],
+      [cursorOf({ id: 'job-01', s: 'toString', v: 1 }), 'Unknown sort field'],
+      [cursorOf({ id: 'job-01', v: 1 }), 'Missing sort field']
+    ];
+    for (const [cursor, label] of invalid) {
+      let error = null;
+      try {
+        parseJobListQuery({ cursor });
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.code === 'invalid_cursor' && error.message === 'cursor is invalid', `${label} cursor accepted`);
+    }
+
+    let error = null;
+    try {
+      parseJobListQuery({ sort: 'createdAt', cursor: encodeCursor(JOBS[0], 'confidence_score') });
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.code === 'invalid_cursor' && error.message.includes('different sort'), 'Cursor from another sort accepted');
+
+    // Each sort field's own values are accepted, including a null score
+    for (const [sort, v] of [['createdAt', at(2).toISOString()], ['confidence_score', 0], ['confidence_score', 0.75], ['confidence_score', null]]) {
+      const cursor = Buffer.from(JSON.stringify({ id: 'job-01', s: sort, v })).toString('base64url');
+      assert(parseJobListQuery({ sort, cursor }).cursor.v === v, `${sort} cursor with ${JSON.stringify(v)} refused`);
+    }
+
+    const decoded = decodeCursor(encodeCursor(JOBS[1], 'createdAt'));
+    assert(decoded.id === 'job-02' && decoded.v === at(2).toISOString(), 'Dates should round-trip as ISO strings');
+    assert(decodeCursor(encodeCursor(JOBS[1], 'confidence_score')).v === null, 'Null score should round-trip');
+  }
+
+  async testPagination() {
+    for (const sort of ['createdAt', 'confidence_score']) {
+      for (const order of ['asc', 'desc']) {
+        const expected = sortJobs(JOBS, buildJobOrderBy(sort, order)).map(job => job.id);
+
+        for (const limit of [1, 2, 3, 4, 10]) {
+          const pages = walkPages(JOBS, { sort, order, limit });
+          const listed = pages.flat();
+          assert(listed.join(',') === expected.join(','),
+            `${sort} ${order} limit ${limit}: got ${listed.join(',')}, expected ${expected.join(',')}`);
+          assert(pages.slice(0, -1).every(page => page.length === limit), `${sort} ${order} limit ${limit}: short page before the end`);
+        }
+      }
+    }
+  }
+
+  async testNullsLast() {
+    for (const order of ['asc', 'desc']) {
+      const listed = walkPages(JOBS, { sort: 'confidence_score', order, limit: 2 }).flat();
+      const firstNull = listed.findIndex(id => JOBS.find(job => job.id === id).confidence_score === null);
+      assert(firstNull === JOBS.length - 3, `${order}: null scores should be the last three, got ${listed.join(',')}`);
+    }
+
+    // A page ending on the last scored job continues into the null tail
+    const lastScored = { id: 'job-09', confidence_score: 0.9 };
+    const where = buildCursorWhere(decodeCursor(encodeCursor(lastScored, 'confidence_score')), 'confidence_score', 'asc');
+    const next = JOBS.filter(job => matches(job, where)).map(job => job.id);
+    assert(next.join(',') === 'job-02,job-05,job-08', `Null tail not reached: ${next.join(',')}`);
+
+    // A page ending inside the null tail only continues with later nulls
+    const inTail = buildCursorWhere({ id: 'job-05', v: null }, 'confidence_score', 'asc');
+    assert(JOBS.filter(job => matches(job, inTail)).map(job => job.id).join(',') === 'job-08', 'Null tail should continue by id');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running job list query tests...\n');
+
+    await this.runTest('Query parsing', () => this.testParsing());
+    await this.runTest('Bad cursors', () => this.testBadCursors());
+    await this.runTest('Keyset pagination', () => this.testPagination());
+    await this.runTest('Null scores sort last', () => this.testNullsLast());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new JobListQueryTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = JobListQueryTest;
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Job Ownership Test
+ *
+ * Covers who can reach a job: members of the job's organization, only the
+ * uploader for legacy jobs without one, nobody for jobs without an owner,
+ * and a 404 that looks the same for missing jobs and other people's jobs.
+ */
+
+const { canAccessJob, requireJobOwnership } = require('../src/middleware/jobOwnership');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Just the job lookup of the database manager
+ */
+class FakeJobDb {
+  constructor(jobs = []) {
+    this.jobs = new Map(jobs.map(job => [job.id, job]));
+  }
+
+  async getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+}
+
+function mockRequest(jobId, { userId, orgId = null }) {
+  return { params: { jobId }, userId, orgId, ip: '127.0.0.1', path: `/api/jobs/${jobId}` };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+/**
+ * Run requireJobOwnership for one request
+ * @returns {Promise<{req: Object, res: Object, nextCalled: boolean, nextError: Error|undefined}>}
+ */
+async function runMiddleware(db, jobId, scope) {
+  const req = mockRequest(jobId, scope);
+  const res = mockResponse();
+  let nextCalled = false;
+  let nextError;
+
+  await requireJobOwnership(db)(req, res, (error) => {
+    nextCalled = true;
+    nextError = error;
+  });
+  return { req, res, nextCalled, nextError };
+}
+
+const ORG_JOB = { id: 'job-org', orgId: 'org-1', userId: 'alice' };
+const LEGACY_JOB = { id: 'job-legacy', orgId: null, userId: 'alice' };
+const ORPHAN_JOB = { id: 'job-orphan', orgId: null, userId: null };
+
+class JobOwnershipTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testOrganizationJobs() {
+    assert(canAccessJob(ORG_JOB, { userId: 'alice', orgId: 'org-1' }), 'Uploader should reach their job');
+    assert(canAccessJob(ORG_JOB, { userId: 'bob', orgId: 'org-1' }), 'Member of the same organization should reach the job');
+    assert(!canAccessJob(ORG_JOB, { userId: 'carol', orgId: 'org-2' }), 'User of another organization reached the job');
+    assert(!canAccessJob(ORG_JOB, { userId: 'alice', orgId: 'org-2' }), 'Uploader reached the job from another organization');
+    assert(!canAccessJob(ORG_JOB, { userId: 'bob' }), 'User without an organization reached an organization job');
+
+    const db = new FakeJobDb([ORG_JOB]);
+    const member = await runMiddleware(db, 'job-org', { userId: 'bob', orgId: 'org-1' });
+    assert(member.nextCalled && !member.nextError && member.req.job === ORG_JOB, 'Member should pass with req.job loaded');
+
+    const outsider = await runMiddleware(db, 'job-org', { userId: 'carol', orgId: 'org-2' });
+    assert(!outsider.nextCalled && outsider.res.statusCode === 404, `Other organization got ${outsider.res.statusCode}`);
+    assert(outsider.req.job === undefined, 'Job loaded for a user who cannot see it');
+  }
+
+  async testLegacyJobs() {
+    assert(canAccessJob(LEGACY_JOB, { userId: 'alice', orgId: 'org-1' }), 'Uploader should reach their legacy job');
+    assert(canAccessJob(LEGACY_JOB, { userId: 'alice' }), 'Uploader without an organization should reach their legacy job');
+    assert(!canAccessJob(LEGACY_JOB, { userId: 'bob', orgId: 'org-1' }), 'Legacy job visible to another user');
+
+    const db = new FakeJobDb([LEGACY_JOB]);
+    const other = await runMiddleware(db, 'job-legacy', { userId: 'bob', orgId: 'org-1' });
+    assert(!other.nextCalled && other.res.statusCode === 404, `Another user got ${other.res.statusCode}`);
+  }
+
+  async testJobsWithoutOwner() {
+    for (const scope of [{ userId: 'alice', orgId: 'org-1' }, { userId: 'alice' }]) {
+      assert(!canAccessJob(ORPHAN_JOB, scope), `Ownerless job reachable with ${JSON.stringify(scope)}`);
+    }
+    assert(!canAccessJob(ORG_JOB, { userId: null, orgId: 'org-1' }), 'Job reachable without a user');
+    assert(!canAccessJob(null, { userId: 'alice', orgId: 'org-1' }), 'Missing job reachable');
+
+    const result = await runMiddleware(new FakeJobDb([ORPHAN_JOB]), 'job-orphan', { userId: 'alice', orgId: 'org-1' });
+    assert(!result.nextCalled && result.res.statusCode === 404, `Ownerless job got ${result.res.statusCode}`);
+  }
+
+  async testSameNotFound() {
+    // The same job ID, once belonging to someone else and once not existing
+    const scope = { userId: 'carol', orgId: 'org-2' };
+    const denied = await runMiddleware(new FakeJobDb([ORG_JOB]), 'job-org', scope);
+    const missing = await runMiddleware(new FakeJobDb(), 'job-org', scope);
+
+    assert(denied.res.statusCode === 404 && missing.res.statusCode === 404, 'Both should be 404');
+    assert(JSON.stringify(denied.res.body) === JSON.stringify(missing.res.body),
+      `Bodies differ: ${JSON.stringify(denied.res.body)} vs ${JSON.stringify(missing.res.body)}`);
+  }
+
+  async testLookupErrors() {
+    const db = { getJob: async () => { throw new Error('connection lost'); } };
+    const result = await runMiddleware(db, 'job-org', { userId: 'alice', orgId: 'org-1' });
+    assert(result.nextCalled && result.nextError?.message === 'connection lost', 'Database errors should go to the error handler');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running job ownership tests...\n');
+
+    await this.runTest('Organization jobs', () => this.testOrganizationJobs());
+    await this.runTest('Legacy jobs', () => this.testLegacyJobs());
+    await this.runTest('Jobs without an owner', () => this.testJobsWithoutOwner());
+    await this.runTest('Same 404 for missing and hidden jobs', () => this.testSameNotFound());
+    await this.runTest('Lookup errors', () => this.testLookupErrors());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new JobOwnershipTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = JobOwnershipTest;
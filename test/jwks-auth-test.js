@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * JWKS Auth Test
+ *
+ * Verifies RS256 tokens against a stub JWKS server (key caching, rotation,
+ * issuer/audience checks), a local JWKS file, HS256 dev tokens and failing
+ * closed when nothing is configured. Needs no external services.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const TokenVerifier = require('../src/services/tokenVerifier');
+
+const ISSUER = 'https://auth.test.local';
+const AUDIENCE = 'firmflow-api';
+
+/**
+ * Generate an RSA key pair and its public JWK
+ * @param {string} kid - Key ID
+ */
+function createSigningKey(kid) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }
+  };
+}
+
+function signRs256(key, claims = {}, options = {}) {
+  return jwt.sign({ sub: 'user_123', ...claims }, key.privateKey, {
+    algorithm: 'RS256',
+    keyid: key.kid,
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    expiresIn: '5m',
+    ...options
+  });
+}
+
+async function expectRejected(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return;
+  }
+  throw new Error(`Expected rejection with ${code}`);
+}
+
+class JwksAuthTest {
+  constructor() {
+    this.testResults = [];
+    this.jwks = { keys: [] };
+    this.jwksRequests = 0;
+  }
+
+  async startJwksServer() {
+    this.server = http.createServer((req, res) => {
+      this.jwksRequests++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(this.jwks));
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.jwksUrl = `http://127.0.0.1:${this.server.address().port}/.well-known/jwks.json`;
+  }
+
+  createVerifier(options = {}) {
+    return new TokenVerifier({
+      jwksUrl: this.jwksUrl,
+      jwksFile: null,
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      hmacSecret: null,
+      minRefreshIntervalMs: 0,
+      ...options
+    });
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testValidRs256Token() {
+    const key = createSigningKey('key-1');
+    this.jwks = { keys: [key.jwk] };
+    const verifier = this.createVerifier();
+
+    const claims = await verifier.verify(signRs256(key, { org_id: 'org_1' }));
+    if (claims.sub !== 'user_123' || claims.org_id !== 'org_1') {
+      throw new Error(`Unexpected claims: ${JSON.stringify(claims)}`);
+    }
+  }
+
+  async testKeysAreCached() {
+    const key = createSigningKey('key-cache');
+    this.jwks = { keys: [key.jwk] };
+    const verifier = this.createVerifier({ minRefreshIntervalMs: 60000 });
+
+    this.jwksRequests = 0;
+    await verifier.verify(signRs256(key));
+    await verifier.verify(signRs256(key));
+
+    if (this.jwksRequests !== 1) {
+      throw new Error(`Expected 1 JWKS request, got ${this.jwksRequests}`);
+    }
+  }
+
+  async testKeyRotation() {
+    const oldKey = createSigningKey('key-old');
+    const newKey = createSigningKey('key-new');
+    this.jwks = { keys: [oldKey.jwk] };
+    const verifier = this.createVerifier();
+
+    await verifier.verify(signRs256(oldKey));
+
+    // Provider rotates: the unknown kid triggers a refetch
+    this.jwks = { keys: [newKey.jwk] };
+    await verifier.verify(signRs256(newKey));
+  }
+
+  async testWrongIssuerAndAudience() {
+    const key = createSigningKey('key-claims');
+    this.jwks = { keys: [key.jwk] };
+    const verifier = this.createVerifier();
+
+    await expectRejected(verifier.verify(signRs256(key, {}, { issuer: 'https://evil.example' })), 'invalid_token');
+    await expectRejected(verifier.verify(signRs256(key, {}, { audience: 'other-api' })), 'invalid_token');
+  }
+
+  async testUnknownSignerRejected() {
+    const trusted = createSigningKey('key-trusted');
+    const attacker = createSigningKey('key-trusted');
+    this.jwks = { keys: [trusted.jwk] };
+    const verifier = this.createVerifier();
+
+    await expectRejected(verifier.verify(signRs256(attacker)), 'invalid_token');
+  }
+
+  async testLocalJwksFile() {
+    const key = createSigningKey('key-file');
+    const jwksFile = path.join(os.tmpdir(), `jwks-test-${process.pid}.json`);
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [key.jwk] }));
+
+    try {
+      const verifier = this.createVerifier({ jwksUrl: null, jwksFile });
+      await verifier.verify(signRs256(key));
+    } finally {
+      fs.unlinkSync(jwksFile);
+    }
+  }
+
+  async testHs256DevTokens() {
+    const verifier = this.createVerifier({ jwksUrl: null, hmacSecret: 'dev-secret' });
+    const token = jwt.sign({ sub: 'dev-user' }, 'dev-secret', { algorithm: 'HS256' });
+
+    const claims = await verifier.verify(token);
+    if (claims.sub !== 'dev-user') {
+      throw new Error('HS256 token was not accepted');
+    }
+
+    const forged = jwt.sign({ sub: 'dev-user' }, 'wrong-secret', { algorithm: 'HS256' });
+    await expectRejected(verifier.verify(forged), 'invalid_token');
+  }
+
+  async testHs256RejectedWithoutSecret() {
+    const key = createSigningKey('key-only');
+    this.jwks = { keys: [key.jwk] };
+    const verifier = this.createVerifier();
+
+    const token = jwt.sign({ sub: 'user_123' }, 'fallback-secret', { algorithm: 'HS256' });
+    await expectRejected(verifier.verify(token), 'invalid_token');
+  }
+
+  async testFailsClosedWhenUnconfigured() {
+    const verifier = this.createVerifier({ jwksUrl: null, hmacSecret: null });
+    const token = jwt.sign({ sub: 'user_123' }, 'fallback-secret', { algorithm: 'HS256' });
+
+    await expectRejected(verifier.verify(token), 'auth_not_configured');
+  }
+
+  async testJwksUnavailable() {
+    const key = createSigningKey('key-down');
+    const verifier = this.createVerifier({ jwksUrl: 'http://127.0.0.1:1/jwks.json' });
+
+    await expectRejected(verifier.verify(signRs256(key)), 'auth_unavailable');
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting JWKS Auth Tests');
+
+    await this.startJwksServer();
+
+    try {
+      await this.runTest('Valid RS256 token', () => this.testValidRs256Token());
+      await this.runTest('JWKS keys are cached', () => this.testKeysAreCached());
+      await this.runTest('Key rotation', () => this.testKeyRotation());
+      await this.runTest('Wrong issuer and audience rejected', () => this.testWrongIssuerAndAudience());
+      await this.runTest('Unknown signer rejected', () => this.testUnknownSignerRejected());
+      await this.runTest('Local JWKS file', () => this.testLocalJwksFile());
+      await this.runTest('HS256 dev tokens', () => this.testHs256DevTokens());
+      await this.runTest('HS256 rejected without JWT_SECRET', () => this.testHs256RejectedWithoutSecret());
+      await this.runTest('Fails closed when unconfigured', () => this.testFailsClosedWhenUnconfigured());
+      await this.runTest('JWKS unavailable', () => this.testJwksUnavailable());
+    } finally {
+      this.server.close();
+    }
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new JwksAuthTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = JwksAuthTest;
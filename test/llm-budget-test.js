@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Budget Test
+ *
+ * Covers LLM spend budgets: validating an organization's budgets, the
+ * counters a job counts against, reserving a pre-flight estimate (all or
+ * nothing), soft-limit warnings and settling with the real cost. Redis is
+ * replaced by an in-memory stand-in that runs the two scripts' logic.
+ */
+
+const {
+  LlmBudgetService,
+  budgetCounters,
+  resolveBudgets,
+  validateBudgets
+} = require('../src/services/llmBudget');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Just enough of the shared Redis client wrapper for LlmBudgetService.
+ * eval() does in JavaScript what the reserve and adjust scripts do in Lua.
+ * @param {Object} [options]
+ * @param {boolean} [options.down] - Every connection attempt fails
+ */
+function memoryRedis({ down = false } = {}) {
+  const store = new Map();
+  const read = key => store.has(key) ? store.get(key).value : 0;
+
+  return {
+    store,
+    async connect() {
+      if (down) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+      return {
+        async mget(...keys) {
+          return keys.map(key => store.has(key) ? String(store.get(key).value) : null);
+        },
+        async eval(script, numKeys, ...rest) {
+          const keys = rest.slice(0, numKeys);
+          const args = rest.slice(numKeys).map(Number);
+
+          if (script.includes('INCRBY')) {
+            const usage = keys.map(read);
+            const fits = keys.every((key, i) => args[i * 3] < 0 || usage[i] + args[i * 3 + 1] <= args[i * 3]);
+            if (fits) {
+              keys.forEach((key, i) => store.set(key, { value: usage[i] + args[i * 3 + 1], ttl: args[i * 3 + 2] }));
+            }
+            return [fits ? 1 : 0, ...usage];
+          }
+
+          keys.forEach((key, i) => {
+            if (store.has(key)) {
+              store.get(key).value = Math.max(0, read(key) + args[i]);
+            }
+          });
+          return 1;
+        }
+      };
+    }
+  };
+}
+
+const BUDGETS = {
+  user: { dailyUsd: 1, monthlyTokens: 100000 },
+  org: { dailyUsd: 2, monthlyUsd: null }
+};
+
+function estimate(costUsd, inputTokens = 1000, outputTokens = 500) {
+  return { costUsd, inputTokens, outputTokens };
+}
+
+class LlmBudgetTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testValidation() {
+    const budgets = validateBudgets({ org: { dailyUsd: 50, monthlyTokens: 1000000 }, softLimit: 0.9 });
+    assert(budgets.org.dailyUsd === 50 && budgets.org.monthlyTokens === 1000000 && budgets.softLimit === 0.9, 'Budgets not kept');
+
+    const invalid = [
+      [{ team: {} }, 'Unknown scope'],
+      [{ user: { weeklyUsd: 1 } }, 'Unknown limit'],
+      [{ user: { dailyUsd: -1 } }, 'Negative limit'],
+      [{ user: { dailyTokens: 10.5 } }, 'Fractional tokens'],
+      [{ softLimit: 1.5 }, 'Soft limit over 1']
+    ];
+    for (const [input, label] of invalid) {
+      let error = null;
+      try {
+        validateBudgets(input);
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.code === 'invalid_llm_budgets' && error.status === 400, `${label} accepted`);
+    }
+
+    const resolved = resolveBudgets(BUDGETS);
+    assert(resolved.user.dailyUsd === 1 && resolved.user.monthlyUsd === null, 'Unset limits should be unlimited');
+    assert(resolved.softLimit === 0.8, 'Default soft limit not applied');
+  }
+
+  async testCeilings() {
+    const previous = { daily: process.env.LLM_ORG_DAILY_BUDGET_USD, tokens: process.env.LLM_USER_MONTHLY_TOKEN_BUDGET };
+    try {
+      process.env.LLM_ORG_DAILY_BUDGET_USD = '20';
+      process.env.LLM_USER_MONTHLY_TOKEN_BUDGET = '500000';
+
+      const rejected = [
+        [{ org: { dailyUsd: null } }, 'Removing a configured limit'],
+        [{ org: { monthlyUsd: null } }, 'null for a limit the server leaves unset'],
+        [{ org: { dailyUsd: 20.01 } }, 'Raising the org daily limit'],
+        [{ user: { monthlyTokens: 500001 } }, 'Raising the user token limit']
+      ];
+      for (const [input, label] of rejected) {
+        let error = null;
+        try {
+          validateBudgets(input);
+        } catch (caught) {
+          error = caught;
+        }
+        assert(error && error.code === 'invalid_llm_budgets' && error.status === 400, `${label} accepted`);
+      }
+
+      const lowered = validateBudgets({ org: { dailyUsd: 5, monthlyUsd: 1000 }, user: { monthlyTokens: 500000 } });
+      assert(lowered.org.dailyUsd === 5 && lowered.org.monthlyUsd === 1000, 'Lower limits, and limits the server leaves unset, should be accepted');
+
+      // Budgets stored before the server's limits were lowered are capped
+      const resolved = resolveBudgets({ org: { dailyUsd: 100, monthlyUsd: null }, user: { monthlyTokens: 200000 } });
+      assert(resolved.org.dailyUsd === 20, `Stored limit above the ceiling not capped: ${resolved.org.dailyUsd}`);
+      assert(resolved.org.monthlyUsd === null && resolved.user.monthlyTokens === 200000, 'Limits within the ceiling should be kept');
+    } finally {
+      process.env.LLM_ORG_DAILY_BUDGET_USD = previous.daily ?? '';
+      process.env.LLM_USER_MONTHLY_TOKEN_BUDGET = previous.tokens ?? '';
+    }
+  }
+
+  async testCounters() {
+    const counters = budgetCounters({ userId: 'u1', orgId: 'o1', budgets: resolveBudgets(BUDGETS), date: new Date('2026-10-19T23:30:00Z') });
+    const userDaily = counters.find(counter => counter.scope === 'user' && counter.period === 'daily' && counter.metric === 'usd');
+
+    assert(counters.length === 8, `Expected 8 counters, got ${counters.length}`);
+    assert(userDaily.key === 'llm:budget:user:u1:usd:2026-10-19' && userDaily.limit === 1000000, 'Daily USD counter not keyed by UTC day in micro-dollars');
+    assert(counters.some(counter => counter.key === 'llm:budget:org:o1:tokens:2026-10'), 'Monthly token counter missing');
+    assert(budgetCounters({ userId: 'u1', orgId: null, budgets: resolveBudgets(BUDGETS) }).length === 4, 'Jobs without an organization should only count against the user');
+  }
+
+  async testReserve() {
+    const redis = memoryRedis();
+    const budget = new LlmBudgetService({ enabled: true, redis });
+
+    const first = await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.5) });
+    assert(first.allowed && first.status === 'ok' && first.hold, 'Estimate within budget refused');
+
+    const second = await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.35) });
+    assert(second.allowed && second.status === 'soft_limit', 'Soft limit not reported');
+    assert(second.warnings.some(warning => warning.startsWith('User daily LLM spend budget 85% used')), `Unexpected warnings ${JSON.stringify(second.warnings)}`);
+
+    const orgUsage = () => redis.store.get(`llm:budget:org:o1:usd:${new Date().toISOString().slice(0, 10)}`).value;
+    const before = orgUsage();
+    const refused = await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.2) });
+    assert(!refused.allowed && refused.status === 'exceeded' && refused.hold === null, 'Estimate over budget reserved');
+    assert(refused.exceeded[0].startsWith('User daily LLM spend budget of $1.00 would be exceeded'), `Unexpected reason ${refused.exceeded[0]}`);
+    assert(orgUsage() === before, 'A refused reservation must not count against any budget');
+
+    const otherUser = await budget.reserve({ userId: 'u2', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.2) });
+    assert(otherUser.allowed, 'Another member should still have budget left');
+  }
+
+  async testSettle() {
+    const redis = memoryRedis();
+    const budget = new LlmBudgetService({ enabled: true, redis });
+    const key = `llm:budget:user:u1:usd:${new Date().toISOString().slice(0, 10)}`;
+    const tokensKey = `llm:budget:user:u1:tokens:${new Date().toISOString().slice(0, 7)}`;
+
+    const reserved = await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.5) });
+    assert(redis.store.get(key).value === 500000 && redis.store.get(tokensKey).value === 1500, 'Estimate not reserved');
+
+    await budget.settle(reserved.hold, { costUsd: 0.12, tokens: 900 });
+    assert(redis.store.get(key).value === 120000 && redis.store.get(tokensKey).value === 900, 'Reservation not replaced by the real cost');
+
+    const check = await budget.check({ userId: 'u1', orgId: 'o1', budgets: BUDGETS });
+    assert(check.allowed && check.status === 'ok', 'Budget with room left should allow uploads');
+    const userDaily = check.budgets.find(entry => entry.scope === 'user' && entry.period === 'daily' && entry.metric === 'usd');
+    assert(userDaily.used === 0.12 && userDaily.remaining === 0.88, `Unexpected usage ${JSON.stringify(userDaily)}`);
+  }
+
+  async testUploadCheck() {
+    const budget = new LlmBudgetService({ enabled: true, redis: memoryRedis() });
+    await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(1) });
+
+    const check = await budget.check({ userId: 'u1', orgId: 'o1', budgets: BUDGETS });
+    assert(!check.allowed && check.status === 'exceeded' && check.reason.includes('User daily LLM spend budget'), 'Used-up budget should refuse uploads');
+
+    const disabled = await new LlmBudgetService({ enabled: false, redis: memoryRedis() }).check({ userId: 'u1', orgId: 'o1', budgets: BUDGETS });
+    assert(disabled.allowed && disabled.status === 'disabled', 'LLM_BUDGET_ENABLED=false ignored');
+
+    const down = new LlmBudgetService({ enabled: true, redis: memoryRedis({ down: true }) });
+    assert((await down.check({ userId: 'u1', orgId: 'o1', budgets: BUDGETS })).allowed, 'Unreachable Redis should not block uploads');
+    assert((await down.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(5) })).allowed, 'Unreachable Redis should not block jobs');
+  }
+
+  async testUsage() {
+    const budget = new LlmBudgetService({ enabled: true, redis: memoryRedis() });
+    await budget.reserve({ userId: 'u1', orgId: 'o1', budgets: BUDGETS, estimate: estimate(0.5) });
+
+    const usage = await budget.getUsage({ userId: 'u1', orgId: 'o1', budgets: BUDGETS });
+    const orgDaily = usage.budgets.find(entry => entry.scope === 'org' && entry.period === 'daily' && entry.metric === 'usd');
+    assert(usage.enabled && usage.status === undefined && orgDaily.used === 0.5, `Unexpected usage ${JSON.stringify(usage)}`);
+
+    // Same as check(): an unreachable budget store is reported, not raised
+    const down = new LlmBudgetService({ enabled: true, redis: memoryRedis({ down: true }) });
+    const unavailable = await down.getUsage({ userId: 'u1', orgId: 'o1', budgets: BUDGETS });
+    assert(unavailable.status === 'unavailable' && unavailable.budgets.length === 0, `Unexpected usage ${JSON.stringify(unavailable)}`);
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running LLM budget tests...\n');
+
+    await this.runTest('Budget validation', () => this.testValidation());
+    await this.runTest('Budget ceilings', () => this.testCeilings());
+    await this.runTest('Budget counters', () => this.testCounters());
+    await this.runTest('Reserve', () => this.testReserve());
+    await this.runTest('Settle', () => this.testSettle());
+    await this.runTest('Upload check', () => this.testUploadCheck());
+    await this.runTest('Usage', () => this.testUsage());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new LlmBudgetTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = LlmBudgetTest;
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * LLM Providers Test
+ *
+ * Covers provider selection, the fixture-based mock provider, the local
+ * (OpenAI-compatible) and Anthropic providers against stub HTTP servers,
+ * token usage, the price table and token counting. Needs no external services or API keys.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createProvider } = require('../src/llm/providers');
+const MockProvider = require('../src/llm/providers/mock');
+const { resetPriceTables } = require('../src/llm/pricing');
+const { countTokens, getOpenAIEncodingName } = require('../src/llm/tokenizer');
+const { isRetryableError } = require('../src/utils/retry');
+
+const SYSTEM_TEXT = 'You are a contracts analyst.';
+
+function userPrompt(filename) {
+  return `Extract structured data.\n\nFILENAME: ${filename}\nCHAR_LENGTH: 11\n\nTEXT:\nHello world`;
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+class LlmProvidersTest {
+  constructor() {
+    this.testResults = [];
+    this.requests = [];
+    this.nextResponse = null;
+  }
+
+  async startStubServer() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+        const { status = 200, headers = {}, json } = this.nextResponse;
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(json));
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testProviderSelection() {
+    for (const name of ['openai', 'local', 'anthropic', 'mock']) {
+      assert(createProvider(name).name === name, `Expected ${name} provider`);
+    }
+
+    try {
+      createProvider('palm');
+    } catch (error) {
+      assert(error.code === 'LLM_PROVIDER_UNKNOWN', `Unexpected error code ${error.code}`);
+      return;
+    }
+    throw new Error('Unknown provider was accepted');
+  }
+
+  async testMockDefaultFixture() {
+    const provider = new MockProvider();
+    const first = await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('contract.pdf') });
+    const second = await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('contract.pdf') });
+
+    assert(first.text === second.text, 'Mock responses are not deterministic');
+    assert(JSON.parse(first.text).confidence_score === 0.92, 'Default fixture not used');
+    assert(first.usage.inputTokens > 0 && first.usage.outputTokens > 0, 'Mock usage missing');
+    assert(provider.estimateCost(first.usage.inputTokens, first.usage.outputTokens) === 0, 'Mock calls should be free');
+  }
+
+  async testMockFixtureByFilename() {
+    const provider = new MockProvider();
+    const response = await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('Low Confidence.PDF') });
+
+    assert(JSON.parse(response.text).confidence_score === 0.4, 'low-confidence fixture not used');
+  }
+
+  async testMockSimulatedError() {
+    const provider = new MockProvider();
+
+    try {
+      await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('rate-limited.pdf') });
+    } catch (error) {
+      assert(error.status === 429, `Expected status 429, got ${error.status}`);
+      assert(isRetryableError(error), 'Simulated 429 should be retryable');
+      return;
+    }
+    throw new Error('rate-limited fixture did not fail');
+  }
+
+  async testMockCustomFixturesDirAndAbort() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    fs.writeFileSync(path.join(dir, 'default.json'), '{"summary": "custom"}');
+
+    try {
+      const provider = new MockProvider({ fixturesDir: dir, latencyMs: 1000 });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+
+      try {
+        await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('x.pdf'), signal: controller.signal });
+        throw new Error('Aborted call resolved');
+      } catch (error) {
+        assert(error.name === 'AbortError', `Expected AbortError, got ${error.name}`);
+      }
+
+      const fast = new MockProvider({ fixturesDir: dir });
+      const response = await fast.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('x.pdf') });
+      assert(JSON.parse(response.text).summary === 'custom', 'Custom fixtures dir not used');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  async testLocalProvider() {
+    this.nextResponse = {
+      json: {
+        choices: [{ message: { content: '{"summary": "local"}' } }],
+        usage: { prompt_tokens: 120, completion_tokens: 30, prompt_tokens_details: { cached_tokens: 100 } }
+      }
+    };
+
+    const provider = createProvider('local', { baseURL: `${this.baseUrl}/v1`, model: 'llama3.1:8b' });
+    const response = await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('a.pdf') });
+    const request = this.requests.pop();
+
+    assert(request.url === '/v1/chat/completions', `Unexpected path ${request.url}`);
+    assert(request.body.model === 'llama3.1:8b', 'Model not sent');
+    assert(request.body.response_format?.type === 'json_object', 'JSON mode not requested');
+    assert(response.text === '{"summary": "local"}', 'Unexpected response text');
+    assert(response.usage.inputTokens === 120 && response.usage.outputTokens === 30, 'Usage not mapped');
+    assert(response.usage.cachedInputTokens === 100, 'Cached prompt tokens not mapped');
+    assert(provider.capabilities.external === false, 'Local provider should not be external');
+  }
+
+  async testAnthropicProvider() {
+    this.nextResponse = {
+      json: {
+        content: [{ type: 'text', text: 'Here is the JSON:\n```json\n{"summary": "anthropic"}\n```' }],
+        usage: { input_tokens: 200, output_tokens: 40, cache_read_input_tokens: 50 }
+      }
+    };
+
+    const provider = createProvider('anthropic', { baseURL: this.baseUrl, apiKey: 'test-key', model: 'claude-3-5-haiku-20241022' });
+    const response = await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('a.pdf') });
+    const request = this.requests.pop();
+
+    assert(request.url === '/v1/messages', `Unexpected path ${request.url}`);
+    assert(request.headers['x-api-key'] === 'test-key', 'API key header not sent');
+    assert(request.body.system === SYSTEM_TEXT, 'System prompt not sent');
+    assert(JSON.parse(response.text).summary === 'anthropic', 'JSON not extracted from reply');
+    assert(response.usage.inputTokens === 250 && response.usage.outputTokens === 40, 'Usage not mapped');
+    assert(response.usage.cachedInputTokens === 50, 'Cache reads not counted as cached input');
+  }
+
+  async testAnthropicOverloaded() {
+    this.nextResponse = {
+      status: 529,
+      headers: { 'retry-after': '3' },
+      json: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    };
+
+    const provider = createProvider('anthropic', { baseURL: this.baseUrl, apiKey: 'test-key' });
+
+    try {
+      await provider.generateJson({ systemText: SYSTEM_TEXT, userText: userPrompt('a.pdf') });
+    } catch (error) {
+      assert(error.status === 529, `Expected status 529, got ${error.status}`);
+      assert(error.message.includes('Overloaded'), 'API error message not kept');
+      assert(isRetryableError(error), 'Overloaded error should be retryable');
+      return;
+    }
+    throw new Error('Overloaded response did not fail');
+  }
+
+  async testPricing() {
+    const mini = createProvider('openai', { model: 'gpt-4o-mini-2024-07-18' });
+    const full = createProvider('openai', { model: 'gpt-4o-2024-08-06' });
+    const unknown = createProvider('openai', { model: 'ft:custom-model' });
+
+    assert(mini.getPricing().input === 0.15, 'gpt-4o-mini price not matched by longest prefix');
+    assert(full.getPricing().input === 2.5, 'gpt-4o price not matched');
+    assert(Math.abs(mini.estimateCost(1000000, 1000000) - 0.75) < 1e-9, 'Unexpected cost');
+    assert(Math.abs(mini.estimateCost(1000000, 0, 400000) - (0.6 * 0.15 + 0.4 * 0.075)) < 1e-9, 'Cached input not charged at the cached price');
+    assert(unknown.getPricing() === null && unknown.estimateCost(1000, 1000) === 0, 'Unknown models should cost 0');
+    assert(createProvider('anthropic', { model: 'claude-opus-4-5-20251101' }).getPricing().input === 5, 'Newer model not matched over its family prefix');
+  }
+
+  async testPricingFile() {
+    const file = path.join(os.tmpdir(), `llm-prices-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      openai: { 'gpt-4o-mini': { input: 0.2, output: 0.8 } },
+      local: { 'llama3.1': { input: 0.01, output: 0.02, cachedInput: 0 } }
+    }));
+    process.env.LLM_PRICING_FILE = file;
+    resetPriceTables();
+
+    try {
+      const mini = createProvider('openai', { model: 'gpt-4o-mini' });
+      assert(mini.getPricing().input === 0.2 && mini.getPricing().cachedInput === 0.2, 'Override not applied, or cached price not defaulted to input');
+      assert(createProvider('openai', { model: 'gpt-4o' }).getPricing().input === 2.5, 'Defaults lost when overriding one model');
+      assert(createProvider('local', { model: 'llama3.1:8b' }).getPricing().output === 0.02, 'Local model not priced');
+
+      fs.writeFileSync(file, JSON.stringify({ openai: { 'gpt-4o': { input: '2.5' } } }));
+      resetPriceTables();
+      let error = null;
+      try {
+        mini.getPricing();
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.message.includes('openai/gpt-4o'), 'Invalid price accepted');
+    } finally {
+      delete process.env.LLM_PRICING_FILE;
+      resetPriceTables();
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  async testTokenCounting() {
+    const provider = createProvider('openai', { apiKey: 'test', settings: { maxTokens: 500 } });
+    const text = 'This Agreement is made on January 15, 2024 between Acme Corporation and FirmFlow Legal Services.';
+
+    assert(provider.countTokens('') === 0 && provider.countTokens('Hello world') === 2, 'Short words should be one token each');
+    assert(provider.countTokens(text) === 22, `Expected 22 o200k_base tokens, got ${provider.countTokens(text)}`);
+
+    // OpenAI models are counted with their own vocabulary
+    const japanese = '契約の解除';
+    assert(provider.countTokens(japanese) === 4, 'gpt-4o-mini should use o200k_base');
+    assert(createProvider('openai', { apiKey: 'test', model: 'gpt-4-turbo' }).countTokens(japanese) === 7, 'gpt-4-turbo should use cl100k_base');
+    assert(getOpenAIEncodingName('gpt-4o-2024-08-06') === 'o200k_base' && getOpenAIEncodingName('gpt-4.1-mini') === 'o200k_base', 'Dated and gpt-4.1 models not mapped');
+    assert(provider.countTokens('<|endoftext|>') === 7, 'Special tokens in a document should count as text');
+
+    // Other models, and unknown or self-hosted OpenAI-compatible ones, keep the approximation
+    const approximate = countTokens(japanese);
+    assert(createProvider('openai', { apiKey: 'test', model: 'ft:custom' }).countTokens(japanese) === approximate, 'Unknown OpenAI model not approximated');
+    assert(createProvider('local', {}).countTokens(japanese) === approximate, 'Local model counted with an OpenAI vocabulary');
+    assert(createProvider('anthropic', { apiKey: 'test' }).countTokens(japanese) === approximate, 'Anthropic model counted with an OpenAI vocabulary');
+    assert(countTokens(text) > 15 && countTokens(text) < 30, `Unexpected approximation ${countTokens(text)}`);
+
+    const estimate = provider.estimateCallCost({ systemText: SYSTEM_TEXT, userText: text });
+    assert(estimate.inputTokens === provider.countTokens(SYSTEM_TEXT) + provider.countTokens(text), 'Pre-flight input not counted');
+    assert(estimate.outputTokens === 500 && estimate.cost === provider.estimateCost(estimate.inputTokens, 500), 'Pre-flight should price output at maxTokens');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running LLM provider tests...\n');
+    await this.startStubServer();
+
+    try {
+      await this.runTest('Provider selection', () => this.testProviderSelection());
+      await this.runTest('Mock default fixture', () => this.testMockDefaultFixture());
+      await this.runTest('Mock fixture by filename', () => this.testMockFixtureByFilename());
+      await this.runTest('Mock simulated error', () => this.testMockSimulatedError());
+      await this.runTest('Mock fixtures dir and abort', () => this.testMockCustomFixturesDirAndAbort());
+      await this.runTest('Local OpenAI-compatible provider', () => this.testLocalProvider());
+      await this.runTest('Anthropic provider', () => this.testAnthropicProvider());
+      await this.runTest('Anthropic overloaded error', () => this.testAnthropicOverloaded());
+      await this.runTest('Price table', () => this.testPricing());
+      await this.runTest('Pricing file', () => this.testPricingFile());
+      await this.runTest('Token counting', () => this.testTokenCounting());
+    } finally {
+      this.server.close();
+    }
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new LlmProvidersTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = LlmProvidersTest;
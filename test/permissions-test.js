@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Permissions Test
+ *
+ * Covers what each organization role may do (reviewers can correct and
+ * approve but not delete, viewers can only read) and who may reset upload
+ * quotas: no organization role can, since every user owns their personal
+ * workspace, and platform admins cannot reset their own counters, their API
+ * keys' or their personal workspace's.
+ */
+
+const {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  getPermissions
+} = require('../src/services/permissions');
+const { getQuotaResetRefusal } = require('../src/services/userQuota');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const ALL = Object.values(PERMISSIONS);
+
+// The permissions each role is expected to grant; anything not listed is denied
+const EXPECTED = {
+  [ROLES.OWNER]: ALL,
+  [ROLES.ADMIN]: ALL,
+  [ROLES.REVIEWER]: ['jobs:read', 'jobs:upload', 'jobs:cancel', 'jobs:reprocess', 'extractions:edit', 'reviews:approve'],
+  [ROLES.MEMBER]: ['jobs:read', 'jobs:upload', 'jobs:cancel'],
+  [ROLES.VIEWER]: ['jobs:read']
+};
+
+class PermissionsTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testRoleMatrix() {
+    assert(Object.values(ROLES).every(role => EXPECTED[role]), 'Role without expected permissions');
+
+    for (const [role, granted] of Object.entries(EXPECTED)) {
+      for (const permission of ALL) {
+        assert(
+          hasPermission(role, permission) === granted.includes(permission),
+          `${role} ${granted.includes(permission) ? 'lacks' : 'has'} ${permission}`
+        );
+      }
+      assert(getPermissions(role).sort().join(',') === [...granted].sort().join(','), `getPermissions(${role}) differs from hasPermission`);
+    }
+
+    assert(hasPermission('reviewer', 'reviews:approve') && !hasPermission('reviewer', 'jobs:delete'), 'Reviewer should approve but not delete');
+    assert(getPermissions('viewer').join(',') === 'jobs:read', 'Viewer should be read-only');
+
+    // getPermissions hands out a copy
+    getPermissions('viewer').push('jobs:delete');
+    assert(!hasPermission('viewer', 'jobs:delete'), 'Mutating getPermissions() changed the role');
+  }
+
+  async testUnknownRoles() {
+    for (const role of ['superuser', '', undefined, null, 'constructor', '__proto__', 'OWNER']) {
+      assert(!isValidRole(role), `${String(role)} accepted as a role`);
+      assert(getPermissions(role).length === 0, `${String(role)} has permissions`);
+      assert(ALL.every(permission => !hasPermission(role, permission)), `${String(role)} granted a permission`);
+    }
+    assert(!hasPermission('owner', 'jobs:everything'), 'Unknown permission granted');
+  }
+
+  async testNoRoleResetsQuotas() {
+    for (const role of Object.values(ROLES)) {
+      assert(!getPermissions(role).includes('quotas:reset'), `${role} can reset quotas`);
+    }
+  }
+
+  async testOwnQuotaReset() {
+    const caller = 'user_owner';
+
+    assert(getQuotaResetRefusal({ callerId: caller, userId: caller }), 'User reset their own counters');
+    assert(getQuotaResetRefusal({ callerId: caller, apiKey: { id: 'key1', createdBy: caller } }), 'User reset the counters of their own API key');
+    assert(
+      getQuotaResetRefusal({ callerId: caller, organization: { id: 'org1', personal: true }, callerIsMember: true }),
+      'User reset the counters of their personal workspace'
+    );
+
+    assert(getQuotaResetRefusal({ callerId: caller, userId: 'user_other' }) === null, 'Resetting another member refused');
+    assert(getQuotaResetRefusal({ callerId: caller, apiKey: { id: 'key2', createdBy: 'user_other' } }) === null, 'Resetting another member\'s key refused');
+    assert(
+      getQuotaResetRefusal({ callerId: caller, organization: { id: 'org2', personal: false }, callerIsMember: true }) === null,
+      'Resetting a shared organization refused'
+    );
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running permissions tests...\n');
+
+    await this.runTest('Role permission matrix', () => this.testRoleMatrix());
+    await this.runTest('Unknown roles grant nothing', () => this.testUnknownRoles());
+    await this.runTest('No organization role resets quotas', () => this.testNoRoleResetsQuotas());
+    await this.runTest('Own quota reset refused', () => this.testOwnQuotaReset());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new PermissionsTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = PermissionsTest;
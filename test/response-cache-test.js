@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Response Cache Test
+ *
+ * Covers the LLM response cache: what goes into the key, reads and writes
+ * against an in-memory stand-in for Redis, and that an unreachable cache
+ * is a miss rather than an error.
+ */
+
+const { LlmResponseCache, buildCacheKey } = require('../src/llm/responseCache');
+const { createProvider } = require('../src/llm/providers');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Just enough of the shared Redis client wrapper for LlmResponseCache
+ * @param {Object} [options]
+ * @param {boolean} [options.down] - Every connection attempt fails
+ */
+function memoryRedis({ down = false } = {}) {
+  const store = new Map();
+
+  return {
+    store,
+    async connect() {
+      if (down) throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+      return {
+        async get(key) {
+          return store.has(key) ? store.get(key).value : null;
+        },
+        async set(key, value, mode, ttlSeconds) {
+          store.set(key, { value, mode, ttlSeconds });
+          return 'OK';
+        }
+      };
+    }
+  };
+}
+
+class ResponseCacheTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testCacheKey() {
+    const provider = createProvider('openai', { apiKey: 'test' });
+    const base = {
+      systemText: 'You are a contracts analyst.',
+      userText: 'Extract...\n\nTEXT:\nThis Agreement is made on January 15, 2024.',
+      schemaVersion: 'msa/v3',
+      modelConfig: provider.getModelConfig()
+    };
+    const key = buildCacheKey(base);
+
+    assert(key === buildCacheKey({ ...base }), 'Key is not deterministic');
+    assert(key === buildCacheKey({ ...base, userText: 'Extract...\nTEXT:   This Agreement is made on January 15, 2024.  ' }), 'Whitespace should not change the key');
+    assert(key !== buildCacheKey({ ...base, userText: base.userText.replace('15', '16') }), 'Document text not in the key');
+    assert(key !== buildCacheKey({ ...base, systemText: 'You are a lawyer.' }), 'System prompt not in the key');
+    assert(key !== buildCacheKey({ ...base, schemaVersion: 'contract/v3' }), 'Schema version not in the key');
+
+    const otherModel = createProvider('openai', { apiKey: 'test', model: 'gpt-4o' }).getModelConfig();
+    const otherTemperature = createProvider('openai', { apiKey: 'test', settings: { temperature: 0.7 } }).getModelConfig();
+    const localServer = createProvider('local', { model: provider.model }).getModelConfig();
+    for (const modelConfig of [otherModel, otherTemperature, localServer]) {
+      assert(key !== buildCacheKey({ ...base, modelConfig }), `Model config not in the key: ${JSON.stringify(modelConfig)}`);
+    }
+    assert(!key.includes('January'), 'Document text should only be stored hashed');
+  }
+
+  async testReadWrite() {
+    const redis = memoryRedis();
+    const cache = new LlmResponseCache({ redis, enabled: true, ttlSeconds: 60 });
+
+    assert(await cache.get('llm:cache:v1:abc') === null, 'Empty cache should miss');
+    await cache.set('llm:cache:v1:abc', { text: '{"parties":[]}', usage: { inputTokens: 10, outputTokens: 5 } });
+
+    const cached = await cache.get('llm:cache:v1:abc');
+    assert(cached.text === '{"parties":[]}' && cached.usage.inputTokens === 10, 'Response not read back');
+    assert(redis.store.get('llm:cache:v1:abc').ttlSeconds === 60, 'TTL not set');
+  }
+
+  async testProviders() {
+    const cache = new LlmResponseCache({ redis: memoryRedis(), enabled: true });
+    assert(cache.isEnabledFor(createProvider('openai', { apiKey: 'test' })), 'Hosted providers should be cached');
+    assert(!cache.isEnabledFor(createProvider('mock')), 'Mock answers should not be cached');
+    assert(!new LlmResponseCache({ redis: memoryRedis(), enabled: false }).isEnabledFor(createProvider('local')), 'LLM_CACHE_ENABLED=false ignored');
+  }
+
+  async testUnreachableRedis() {
+    const cache = new LlmResponseCache({ redis: memoryRedis({ down: true }), enabled: true });
+    assert(await cache.get('llm:cache:v1:abc') === null, 'Unreachable cache should miss');
+    await cache.set('llm:cache:v1:abc', { text: '{}', usage: null });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running LLM response cache tests...\n');
+
+    await this.runTest('Cache key', () => this.testCacheKey());
+    await this.runTest('Read and write', () => this.testReadWrite());
+    await this.runTest('Cached providers', () => this.testProviders());
+    await this.runTest('Unreachable Redis', () => this.testUnreachableRedis());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ResponseCacheTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ResponseCacheTest;
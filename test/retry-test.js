@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Retry Test
+ *
+ * Covers the retry utilities every pipeline stage uses: per-stage policies
+ * with RETRY_<STAGE>_* overrides, capped and jittered backoff, Retry-After
+ * hints, classifying errors as transient, and withRetry setting
+ * retriesExhausted (which sends a job to dead_letter) only when a transient
+ * error outlasts the attempt budget.
+ */
+
+const {
+  getRetryPolicy,
+  isRetryableError,
+  getRetryAfterMs,
+  computeBackoff,
+  withRetry
+} = require('../src/utils/retry');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ * @param {Object<string, string>} vars - Variables to set
+ * @param {Function} fn - Work to run
+ */
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+function transientError(message = 'socket hang up') {
+  const error = new Error(message);
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+// Retry fast: the policies' real delays are seconds
+const FAST_LLM = { RETRY_LLM_BASE_DELAY_MS: '1', RETRY_LLM_MAX_DELAY_MS: '2', RETRY_LLM_MAX_ATTEMPTS: '3' };
+
+class RetryTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testPolicies() {
+    const llm = getRetryPolicy('llm');
+    assert(llm.maxAttempts === 4 && llm.baseDelayMs === 2000 && llm.maxDelayMs === 30000 && llm.jitter === 0.3, `Unexpected llm defaults ${JSON.stringify(llm)}`);
+
+    await withEnv({ RETRY_TEXT_EXTRACTION_MAX_ATTEMPTS: '5', RETRY_TEXT_EXTRACTION_BASE_DELAY_MS: '100', RETRY_TEXT_EXTRACTION_JITTER: '7' }, () => {
+      const policy = getRetryPolicy('textExtraction');
+      assert(policy.maxAttempts === 5 && policy.baseDelayMs === 100, 'RETRY_TEXT_EXTRACTION_* overrides ignored');
+      assert(policy.jitter === 1, 'Jitter should be clamped to 1');
+      assert(policy.maxDelayMs === 5000, 'Unset overrides should keep the defaults');
+    });
+
+    await withEnv({ RETRY_S3_DOWNLOAD_MAX_ATTEMPTS: 'many' }, () => {
+      assert(getRetryPolicy('s3Download').maxAttempts === 4, 'Invalid override should fall back to the default');
+    });
+
+    await withEnv({ QUEUE_MAX_ATTEMPTS: '7' }, () => {
+      assert(getRetryPolicy('queue').maxAttempts === 7, 'QUEUE_MAX_ATTEMPTS ignored');
+    });
+
+    let error = null;
+    try {
+      getRetryPolicy('ocr');
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.message.includes('Unknown retry stage'), 'Unknown stage accepted');
+  }
+
+  async testBackoff() {
+    const policy = { baseDelayMs: 1000, maxDelayMs: 10000, jitter: 0 };
+    const delays = [1, 2, 3, 4, 5, 6].map(attempt => computeBackoff(policy, attempt));
+    assert(delays.join(',') === '1000,2000,4000,8000,10000,10000', `Backoff not exponential and capped: ${delays}`);
+
+    const jittered = { baseDelayMs: 1000, maxDelayMs: 100000, jitter: 0.2 };
+    const samples = Array.from({ length: 200 }, () => computeBackoff(jittered, 3));
+    assert(samples.every(delay => delay >= 3200 && delay <= 4800), `Jitter outside ±20% of 4000ms: ${Math.min(...samples)}-${Math.max(...samples)}`);
+    assert(new Set(samples).size > 1, 'Jitter should spread the delays');
+
+    // Jitter never pushes a capped delay over the cap
+    const capped = Array.from({ length: 50 }, () => computeBackoff({ ...jittered, maxDelayMs: 2000 }, 10));
+    assert(capped.every(delay => delay <= 2000), 'Jittered delay over maxDelayMs');
+
+    // Retry-After raises the delay up to the cap
+    assert(computeBackoff(policy, 1, 5000) === 5000, 'Retry-After not honoured');
+    assert(computeBackoff(policy, 1, 60000) === 10000, 'Retry-After should be capped at maxDelayMs');
+  }
+
+  async testRetryAfter() {
+    assert(getRetryAfterMs({ headers: { 'retry-after': '3' } }) === 3000, 'Plain header object not read');
+    assert(getRetryAfterMs({ headers: new Headers({ 'Retry-After': '1.5' }) }) === 1500, 'Headers instance not read');
+    assert(getRetryAfterMs({ cause: { headers: { 'retry-after': '2' } } }) === 2000, 'Header on the cause not read');
+    assert(getRetryAfterMs({ headers: { 'retry-after': 'Wed, 21 Oct 2026 07:28:00 GMT' } }) === null, 'HTTP date should be ignored');
+    assert(getRetryAfterMs(new Error('no headers')) === null && getRetryAfterMs(null) === null, 'Missing headers should give null');
+  }
+
+  async testClassification() {
+    const withProps = (props) => Object.assign(new Error('failed'), props);
+
+    for (const status of [408, 429, 500, 503]) {
+      assert(isRetryableError(withProps({ status })), `HTTP ${status} should be retried`);
+    }
+    for (const status of [400, 401, 404, 422]) {
+      assert(!isRetryableError(withProps({ status })), `HTTP ${status} should not be retried`);
+    }
+    assert(isRetryableError(withProps({ statusCode: 502 })), 'statusCode (AWS SDK) not read');
+    assert(isRetryableError(transientError()), 'ECONNRESET should be retried');
+    assert(isRetryableError(withProps({ code: 'P1001' })), 'Prisma connection errors should be retried');
+    assert(isRetryableError(withProps({ name: 'APIConnectionTimeoutError' })), 'OpenAI connection timeouts should be retried');
+    assert(isRetryableError(withProps({ cause: transientError() })), 'Transient cause not found');
+    assert(!isRetryableError(withProps({ status: 503, retryable: false })), 'Explicit retryable flag should win');
+    assert(!isRetryableError(new Error('Unsupported file type')) && !isRetryableError(null), 'Plain errors should not be retried');
+  }
+
+  async testWithRetry() {
+    await withEnv(FAST_LLM, async () => {
+      const retries = [];
+      let calls = 0;
+      const result = await withRetry('llm', async (attempt) => {
+        calls++;
+        if (attempt < 3) throw transientError();
+        return 'ok';
+      }, { onRetry: (error, attempt, delayMs) => retries.push([attempt, delayMs]) });
+      assert(result === 'ok' && calls === 3, `Expected success on the third attempt, got ${calls} calls`);
+      assert(retries.length === 2 && retries.every(([, delayMs]) => delayMs <= 2), `Unexpected retries ${JSON.stringify(retries)}`);
+
+      // Permanent errors fail at once, without retriesExhausted
+      calls = 0;
+      let error = null;
+      try {
+        await withRetry('llm', async () => {
+          calls++;
+          throw Object.assign(new Error('Bad request'), { status: 400 });
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      assert(calls === 1, 'Permanent error retried');
+      assert(error.stage === 'llm' && error.attempts === 1 && error.retriesExhausted === false, `Unexpected annotations ${JSON.stringify(error)}`);
+
+      // A transient error that outlasts the budget is flagged for dead_letter
+      calls = 0;
+      error = null;
+      try {
+        await withRetry('llm', async () => {
+          calls++;
+          throw transientError();
+        });
+      } catch (caught) {
+        error = caught;
+      }
+      assert(calls === 3, `Expected 3 attempts (RETRY_LLM_MAX_ATTEMPTS), got ${calls}`);
+      assert(error.attempts === 3 && error.retriesExhausted === true, 'retriesExhausted not set at max attempts');
+
+      // An aborted job stops retrying and is not dead-lettered
+      const controller = new AbortController();
+      calls = 0;
+      error = null;
+      try {
+        await withRetry('llm', async () => {
+          calls++;
+          controller.abort();
+          throw transientError();
+        }, { signal: controller.signal });
+      } catch (caught) {
+        error = caught;
+      }
+      assert(calls === 1 && error.retriesExhausted === false, 'Aborted work should not be retried');
+    });
+
+    // The stage's own classifier replaces the default one
+    await withEnv({ RETRY_VIRUS_SCAN_BASE_DELAY_MS: '1', RETRY_VIRUS_SCAN_MAX_DELAY_MS: '2' }, async () => {
+      let calls = 0;
+      try {
+        await withRetry('virusScan', async () => {
+          calls++;
+          throw Object.assign(new Error('clamscan: not found'), { code: 127 });
+        });
+      } catch {
+        // expected
+      }
+      assert(calls === 1, 'Missing ClamAV should not be retried');
+    });
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running retry tests...\n');
+
+    await this.runTest('Retry policies', () => this.testPolicies());
+    await this.runTest('Backoff', () => this.testBackoff());
+    await this.runTest('Retry-After', () => this.testRetryAfter());
+    await this.runTest('Error classification', () => this.testClassification());
+    await this.runTest('withRetry', () => this.testWithRetry());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new RetryTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = RetryTest;
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Reviews Test
+ *
+ * Covers the review workflow against an in-memory stand-in for the database:
+ * claims, corrections stored as versioned diffs against the model output,
+ * schema checks on corrected values, and approve/reject.
+ */
+
+const { ReviewService, parseReviewQueueQuery } = require('../src/services/reviews');
+const { JOB_STATUS } = require('../src/services/jobStateMachine');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Just enough of PrismaDatabaseManager for ReviewService
+ * @param {Object} job - The one job in the store
+ */
+function memoryDb(job) {
+  const corrections = [];
+
+  return {
+    job,
+    corrections,
+    async getJob() {
+      return job;
+    },
+    async claimJobReview(jobId, userId, staleBefore) {
+      const free = !job.reviewClaimedBy || job.reviewClaimedBy === userId || job.reviewClaimedAt < staleBefore;
+      if (job.status !== JOB_STATUS.NEEDS_REVIEW || !free) return null;
+      Object.assign(job, { reviewClaimedBy: userId, reviewClaimedAt: new Date() });
+      return job;
+    },
+    async releaseJobReview(jobId, userId) {
+      if (job.reviewClaimedBy !== userId) return false;
+      Object.assign(job, { reviewClaimedBy: null, reviewClaimedAt: null });
+      return true;
+    },
+    async listCorrections() {
+      return [...corrections];
+    },
+    async createCorrection(jobId, expectedVersion, correction, jobData) {
+      if (job.extraction_version !== expectedVersion) return null;
+      Object.assign(job, jobData, { extraction_version: expectedVersion + 1 });
+      const record = { ...correction, jobId, version: expectedVersion + 1, createdAt: new Date() };
+      corrections.push(record);
+      return record;
+    },
+    async getExtractionTemplate() {
+      return null;
+    },
+    async transitionJob(jobId, status, { data }) {
+      Object.assign(job, data, { status });
+      return job;
+    }
+  };
+}
+
+function reviewJob() {
+  return {
+    id: 'job-1',
+    status: JOB_STATUS.NEEDS_REVIEW,
+    schema_version: 'contract/v3',
+    extraction_version: 0,
+    reviewClaimedBy: null,
+    reviewClaimedAt: null,
+    template_fields: null,
+    extraction_json: {
+      document_type: 'Master Services Agreement',
+      parties: ['Acme Corporation', 'Globex'],
+      effective_date: '2024-01-15',
+      renewal_date: '2023-01-15',
+      term: null,
+      termination_clauses: [],
+      governing_law: 'Delaware',
+      key_obligations: [],
+      financial_terms: { currency: 'USD', amount: 1200, payment_terms: null },
+      summary: null,
+      confidence_score: 0.7,
+      notes: null
+    }
+  };
+}
+
+async function rejects(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code === code;
+  }
+  return false;
+}
+
+class ReviewsTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runTest(testName, testFn) {
+    console.log(`\n🧪 Running: ${testName}`);
+    try {
+      await testFn();
+      console.log(`✅ ${testName} - PASSED`);
+      this.testResults.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ ${testName} - FAILED: ${error.message}`);
+      this.testResults.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testClaims() {
+    const db = memoryDb(reviewJob());
+    const reviews = new ReviewService({ db });
+
+    const claim = await reviews.claim(db.job, 'alice');
+    assert(claim.userId === 'alice' && claim.expiresAt > new Date(), 'Claim not returned');
+    assert(await rejects(reviews.claim(db.job, 'bob'), 'review_claimed'), 'Second reviewer could claim');
+    assert(await rejects(reviews.correct(db.job, 'bob', { corrections: [{ field: 'term', value: '1 year' }] }), 'review_claimed'), 'Claimed job corrected by another reviewer');
+
+    // A lapsed claim can be taken over
+    db.job.reviewClaimedAt = new Date(Date.now() - 31 * 60 * 1000);
+    assert((await reviews.claim(db.job, 'bob')).userId === 'bob', 'Lapsed claim not taken over');
+    assert(!(await reviews.release(db.job, 'alice')) && await reviews.release(db.job, 'bob'), 'Only the holder should release');
+  }
+
+  async testCorrectionsAreVersionedDiffs() {
+    const db = memoryDb(reviewJob());
+    const reviews = new ReviewService({ db });
+
+    await reviews.correct(db.job, 'alice', {
+      corrections: [{ field: 'renewal_date', value: '2025-01-15' }, { field: 'financial_terms.amount', value: 120000 }],
+      comment: 'Typo in the year'
+    });
+    const { correction } = await reviews.correct(db.job, 'bob', {
+      corrections: [{ field: 'renewal_date', value: '2025-02-01' }, { field: 'governing_law', value: 'Delaware' }]
+    });
+
+    assert(db.job.extraction_version === 2 && correction.version === 2, 'Versions not bumped');
+    assert(db.job.extraction_json.renewal_date === '2025-02-01' && db.job.extraction_json.financial_terms.amount === 120000, 'Corrections not applied');
+    assert(correction.changes.length === 1, 'Unchanged values should not be recorded');
+    const [change] = correction.changes;
+    assert(change.from === '2025-01-15' && change.to === '2025-02-01' && change.original === '2023-01-15', `Wrong diff ${JSON.stringify(change)}`);
+
+    const history = await reviews.history(db.job);
+    assert(history.corrections.map(item => item.userId).join() === 'alice,bob', 'History not in order');
+    assert(history.corrections[0].comment === 'Typo in the year', 'Comment not kept');
+  }
+
+  async testCorrectionValidation() {
+    const db = memoryDb(reviewJob());
+    const reviews = new ReviewService({ db });
+    const correct = corrections => reviews.correct(db.job, 'alice', { corrections });
+
+    assert(await rejects(correct([{ field: 'renewal_date', value: 'next year' }]), 'invalid_corrections'), 'Invalid date accepted');
+    assert(await rejects(correct([{ field: 'financial_terms.amount', value: '1,200' }]), 'invalid_corrections'), 'String amount accepted');
+    assert(await rejects(correct([{ field: 'payment_schedule', value: 'monthly' }]), 'invalid_corrections'), 'Unknown field accepted');
+    assert(await rejects(correct([{ field: 'confidence_score', value: 1 }]), 'invalid_corrections'), 'confidence_score accepted');
+    assert(await rejects(correct([{ field: 'term', value: null }]), 'no_changes'), 'No-op correction accepted');
+    assert(db.job.extraction_version === 0, 'Rejected corrections were stored');
+  }
+
+  async testDecisions() {
+    const db = memoryDb(reviewJob());
+    const reviews = new ReviewService({ db });
+
+    await reviews.claim(db.job, 'alice');
+    assert(await rejects(reviews.decide(db.job, 'alice', 'rejected', '  '), 'reason_required'), 'Rejected without a reason');
+
+    const job = await reviews.decide(db.job, 'alice', 'approved', 'Looks right');
+    assert(job.status === JOB_STATUS.COMPLETED && job.reviewedBy === 'alice' && job.review_decision === 'approved', 'Approval not recorded');
+    assert(job.reviewClaimedBy === null, 'Claim not cleared on approval');
+    assert(await rejects(reviews.claim(job, 'bob'), 'not_in_review'), 'Approved job still claimable');
+  }
+
+  async testQueueQuery() {
+    const mine = parseReviewQueueQuery({ claimed: 'mine' }, 'alice');
+    assert(mine.order === 'asc' && mine.filters.status[0] === JOB_STATUS.NEEDS_REVIEW, 'Queue should list needs_review oldest first');
+    assert(mine.filters.claimedBy === 'alice' && mine.filters.claimStaleBefore instanceof Date, 'claimed=mine not applied');
+    assert(parseReviewQueueQuery({ claimed: 'unclaimed', status: 'completed' }, 'alice').filters.status[0] === JOB_STATUS.NEEDS_REVIEW, 'Queue status overridable');
+
+    let error = null;
+    try {
+      parseReviewQueueQuery({ claimed: 'theirs' }, 'alice');
+    } catch (caught) {
+      error = caught;
+    }
+    assert(error && error.code === 'INVALID_QUERY', 'Unknown claimed filter accepted');
+  }
+
+  async runAllTests() {
+    console.log('🧪 Running review workflow tests...\n');
+
+    await this.runTest('Claims', () => this.testClaims());
+    await this.runTest('Corrections are versioned diffs', () => this.testCorrectionsAreVersionedDiffs());
+    await this.runTest('Correction validation', () => this.testCorrectionValidation());
+    await this.runTest('Approve and reject', () => this.testDecisions());
+    await this.runTest('Queue query', () => this.testQueueQuery());
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log('\n📊 Test Results:');
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    return failed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const tester = new ReviewsTest();
+  tester.runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ReviewsTest;